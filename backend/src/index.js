@@ -4,7 +4,11 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import captureRouter from './routes/capture.js';
+import sharedRouter from './routes/shared.js';
 import { authGate, isAuthEnforced } from './middleware/auth.js';
+import { startWorker, stopWorker } from './services/jobQueue.js';
+import { recoverStrandedCaptures } from './services/processor.js';
+import { startDigestScheduler, stopDigestScheduler } from './services/digests.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -34,11 +38,13 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json());
+// Captures may carry a snapshot of the page the user is viewing
+app.use(express.json({ limit: '5mb' }));
 
-// Request logging
+// Request logging (share link tokens are credentials, so they stay out of the logs)
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+  const path = req.path.replace(/^\/shared\/[^/]+/, '/shared/:token');
+  console.log(`${new Date().toISOString()} ${req.method} ${path}`);
   next();
 });
 
@@ -63,11 +69,23 @@ app.get('/auth/config', (req, res) => {
   });
 });
 
+// Public pages for shared collections (the link's token is the credential)
+app.use('/shared', sharedRouter);
+
 // API routes
 app.use('/api', authGate, captureRouter);
 
 // Error handling
 app.use((err, req, res, next) => {
+  // Request errors from body parsing (413 too large, 400 malformed JSON, ...)
+  // keep their status so clients can act on it
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.type === 'entity.too.large' ? 'Request body too large' : err.message
+    });
+  }
+
   console.error('Error:', err);
   res.status(500).json({
     success: false,
@@ -91,6 +109,23 @@ app.listen(PORT, () => {
   ║   Auth enforced: ${isAuthEnforced() ? 'yes' : 'no'}                    ║
 ╚═══════════════════════════════════════════╝
   `);
+
+  // Start background job worker and pick up captures stranded by a previous crash
+  startWorker();
+  recoverStrandedCaptures().catch(err => console.error('[Processor] Recovery failed:', err.message));
+
+  // Build scheduled digests (when DIGEST_SCHEDULE is set)
+  startDigestScheduler();
 });
 
+// Graceful shutdown: let in-flight jobs finish (unfinished ones are re-leased after restart)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    console.log(`${signal} received, shutting down`);
+    stopDigestScheduler();
+    await stopWorker();
+    process.exit(0);
+  });
+}
+
 export default app;
@@ -1,18 +1,85 @@
 import express from 'express';
 import { supabase, isConfigured } from '../services/supabase.js';
-import { processInBackground, processPendingCaptures, processCapture, backfillEmbeddings, backfillDisplayTitles } from '../services/processor.js';
+import { processInBackground, processPendingCaptures, processCapture, rerunStages, rerunInBackground } from '../services/processor.js';
 import { isConfigured as isAiConfigured, getModel as getAiModel, clearModelCache } from '../services/ai.js';
-import { isConfigured as isEmbeddingsConfigured, getModel as getEmbeddingsModel, generateQueryEmbedding, formatForPgVector } from '../services/embeddings.js';
+import { isConfigured as isEmbeddingsConfigured, getModel as getEmbeddingsModel } from '../services/embeddings.js';
 import { getUsageSummary, getTodayUsage } from '../services/usage.js';
 import { getSettingsWithOptions, updateSettings } from '../services/settings.js';
-import { getCategories, addCategory, updateCategory, deleteCategory } from '../services/categories.js';
+import { getCategories, getCategoryCounts, addCategory, updateCategory, deleteCategory } from '../services/categories.js';
 import { getTagsWithCounts, deleteTag, mergeTags, renameTag } from '../services/tags.js';
 import { isConfigured as isNotionConfigured, testConnection as testNotionConnection, syncCapture, syncMultiple } from '../services/notion.js';
 import { deleteImages } from '../services/imageStorage.js';
+import { listJobs, retryJob } from '../services/jobQueue.js';
+import { startBackfill, getBackfill, listBackfills, controlBackfill, getOperations as getBackfillOperations } from '../services/backfill.js';
+import { semanticSearch, hybridSearch, listCaptures } from '../services/search.js';
+import { askVault, askCapture, validateQuestion } from '../services/ask.js';
+import { listDeepSummaries, getDeepSummary } from '../services/summaries.js';
+import {
+  listConversations,
+  createConversation,
+  getConversation,
+  updateConversation,
+  deleteConversation,
+  pinCaptures,
+  unpinCapture,
+  sendMessage,
+} from '../services/chat.js';
+import { parseSearchQuery, createFilters } from '../services/searchQuery.js';
+import { canonicalizeUrl } from '../services/canonicalUrl.js';
+import { findRecentCapture, findRecentCaptures, getDuplicateClusters, mergeCaptures, dismissDuplicate } from '../services/duplicates.js';
+import { getHighlights, getHighlightsByCapture, getPageHighlights, getHighlightedUrls, findPageCapture, addHighlights, updateHighlight, deleteHighlight, markHighlightsSynced, MAX_HIGHLIGHTS_PER_REQUEST } from '../services/highlights.js';
+import { parseCaptureEdits } from '../services/captureEdits.js';
+import { syncActionItems, listActionItems, getActionItemsByCapture, setActionItemStatus, snoozeActionItem, setActionItemDueDate, setActionItemBlocks } from '../services/actionItems.js';
+import { getReadingQueue, setReadState, reportReadingProgress, getQueuedUrls } from '../services/readingQueue.js';
+import { getResurfacePicks, recordResurfaceFeedback } from '../services/resurface.js';
+import { listDigests, getDigest, generateDigest, getDigestSchedule } from '../services/digests.js';
+import {
+  listCollections,
+  getCollection,
+  collectionCursorSort,
+  startClustering,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItems,
+  removeCollectionItem,
+  reorderCollectionItems,
+  shareCollection,
+  unshareCollection,
+} from '../services/collections.js';
+import { LISTING_SORTS, SEARCH_SORTS, DEFAULT_PAGE_SIZE, parseLimit, decodeCursor } from '../services/pagination.js';
 import { isAuthEnforced } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Most tabs accepted by one batch capture request
+const MAX_BATCH_CAPTURES = 100;
+
+// Wait after a highlight on a processed capture before re-summarizing it
+const HIGHLIGHT_RERUN_DELAY_SECONDS = 5 * 60;
+
+// Largest page snapshot stored with a capture (characters of HTML and text
+// each, as the extension cuts them)
+const MAX_SNAPSHOT_CHARS = 1500000;
+
+// Columns returned for one capture: all but the embedding, the page snapshot
+// (up to several MB) and the section notes cached for deep summaries
+const CAPTURE_DETAIL_COLUMNS = 'id, url, canonical_url, title, display_title, selected_text, favicon_url, image_url, source_platform, author_name, content, content_markdown, content_type, content_source, transcript, document_metadata, chunk_count, summary, key_takeaways, action_items, category, tags, quality_score, actionability_score, notes, edited_fields, deep_summaries, notion_synced, notion_page_id, notion_synced_at, duplicate_of, duplicate_similarity, duplicate_dismissed, read_state, read_progress, read_at, last_read_at, archived_at, resurface_interval_days, resurface_due_at, last_resurfaced_at, user_id, status, error_message, pipeline_stages, created_at, updated_at, processed_at';
+
+// Columns a capture is synced to Notion with
+const NOTION_SYNC_COLUMNS = 'id, url, title, display_title, summary, key_takeaways, action_items, category, tags, quality_score, image_url, notion_page_id, created_at';
+
+// Keep the html/text of a page snapshot sent by the extension, or null if there is none
+function getPageSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') return null;
+
+  const html = typeof snapshot.html === 'string' ? snapshot.html.slice(0, MAX_SNAPSHOT_CHARS) : '';
+  const text = typeof snapshot.text === 'string' ? snapshot.text.slice(0, MAX_SNAPSHOT_CHARS) : '';
+  if (!html && !text) return null;
+
+  return { html, text, captured_at: new Date().toISOString() };
+}
+
 function getUserId(req) {
   return req.user?.id || null;
 }
@@ -21,10 +88,36 @@ function scopeQueryToUser(queryBuilder, userId) {
   return userId ? queryBuilder.eq('user_id', userId) : queryBuilder;
 }
 
+// Read limit/sort/cursor query params for a paged listing
+function getPaging(req, sorts, defaultSort, defaultLimit = DEFAULT_PAGE_SIZE) {
+  const sort = req.query.sort || defaultSort;
+  if (!sorts.includes(sort)) {
+    return { error: `Invalid sort. Use one of: ${sorts.join(', ')}` };
+  }
+
+  try {
+    return { sort, limit: parseLimit(req.query.limit, defaultLimit), cursor: decodeCursor(req.query.cursor, sort) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Page fields shared by paged listing responses
+function pageResponse(page, sort) {
+  return {
+    results: page.results,
+    count: page.count,
+    total: page.total,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    sort,
+  };
+}
+
 // POST /api/capture - Capture a new URL
 router.post('/capture', async (req, res, next) => {
   try {
-    const { url, title, selectedText, favIconUrl } = req.body;
+    const { url, title, selectedText, favIconUrl, snapshot } = req.body;
     const userId = getUserId(req);
 
     if (!url) {
@@ -51,24 +144,15 @@ router.post('/capture', async (req, res, next) => {
       });
     }
 
-    // Check for duplicate URL (captured in last 24 hours)
+    // Check for duplicate URL (captured in last 24 hours), ignoring tracking params, AMP and mobile variants
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-    const existingQuery = scopeQueryToUser(
-      supabase
-        .from('captures')
-        .select('id')
-        .eq('url', url)
-        .gte('created_at', oneDayAgo),
-      userId
-    );
-    const { data: existing } = await existingQuery
-      .limit(1);
+    const existing = await findRecentCapture(url, oneDayAgo, userId);
 
-    if (existing && existing.length > 0) {
+    if (existing) {
       return res.json({
         success: true,
         message: 'Already captured recently',
-        data: existing[0]
+        data: existing
       });
     }
 
@@ -77,14 +161,16 @@ router.post('/capture', async (req, res, next) => {
       .from('captures')
       .insert({
         url,
+        canonical_url: canonicalizeUrl(url),
         title: title || url,
         selected_text: selectedText || null,
         favicon_url: favIconUrl || null,
+        page_snapshot: getPageSnapshot(snapshot),
         user_id: userId,
         status: 'pending', // Will be processed by AI in Phase 2
         created_at: new Date().toISOString()
       })
-      .select()
+      .select('id, url, title, category, created_at')
       .single();
 
     if (error) {
@@ -93,8 +179,8 @@ router.post('/capture', async (req, res, next) => {
 
     console.log('[CAPTURED]', url);
 
-    // Queue for AI processing (runs in background)
-    processInBackground(data.id, userId);
+    // Queue for AI processing (durable job, runs in background)
+    await processInBackground(data.id, userId);
 
     res.json({
       success: true,
@@ -112,11 +198,130 @@ router.post('/capture', async (req, res, next) => {
   }
 });
 
-// GET /api/search - Search captures
+// POST /api/captures/batch - Capture many tabs at once
+// Each tab gets a result in request order: captured, duplicate (already captured
+// in the last 24 hours or earlier in the batch) or invalid
+router.post('/captures/batch', async (req, res, next) => {
+  try {
+    const { tabs } = req.body;
+    const userId = getUserId(req);
+
+    if (!Array.isArray(tabs) || tabs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'tabs must be a non-empty array'
+      });
+    }
+
+    if (tabs.length > MAX_BATCH_CAPTURES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BATCH_CAPTURES} tabs per batch`
+      });
+    }
+
+    const results = tabs.map(tab => ({ url: tab?.url || null, status: 'invalid', id: null }));
+    const valid = [];
+    tabs.forEach((tab, index) => {
+      if (typeof tab?.url !== 'string' || !tab.url.trim()) {
+        results[index].error = 'URL is required';
+      } else {
+        valid.push({ index, tab, canonicalUrl: canonicalizeUrl(tab.url) });
+      }
+    });
+
+    if (!isConfigured()) {
+      console.log(`[DEV MODE] Would capture ${valid.length} tabs`);
+      for (const { index } of valid) {
+        results[index] = { ...results[index], status: 'captured', id: `dev-${Date.now()}-${index}` };
+      }
+      return res.json({
+        success: true,
+        message: 'Captured (dev mode - Supabase not configured)',
+        results,
+        captured: valid.length,
+        duplicates: 0,
+        invalid: tabs.length - valid.length
+      });
+    }
+
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const existing = await findRecentCaptures(valid.map(item => item.tab.url), oneDayAgo, userId);
+
+    // Insert one capture per canonical URL; repeats point at the first
+    const toInsert = [];
+    const firstByCanonical = new Map();
+    for (const item of valid) {
+      const match = existing.get(item.canonicalUrl);
+      if (match) {
+        results[item.index] = { ...results[item.index], status: 'duplicate', id: match.id };
+      } else if (firstByCanonical.has(item.canonicalUrl)) {
+        firstByCanonical.get(item.canonicalUrl).repeats.push(item.index);
+      } else {
+        const insert = { ...item, repeats: [] };
+        firstByCanonical.set(item.canonicalUrl, insert);
+        toInsert.push(insert);
+      }
+    }
+
+    if (toInsert.length > 0) {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('captures')
+        .insert(toInsert.map(({ tab, canonicalUrl }) => ({
+          url: tab.url,
+          canonical_url: canonicalUrl,
+          title: tab.title || tab.url,
+          selected_text: tab.selectedText || null,
+          favicon_url: tab.favIconUrl || null,
+          user_id: userId,
+          status: 'pending',
+          created_at: now
+        })))
+        .select('id, canonical_url');
+
+      if (error) {
+        throw error;
+      }
+
+      const insertedIds = new Map(data.map(row => [row.canonical_url, row.id]));
+      for (const item of toInsert) {
+        const id = insertedIds.get(item.canonicalUrl);
+        results[item.index] = { ...results[item.index], status: 'captured', id };
+        for (const index of item.repeats) {
+          results[index] = { ...results[index], status: 'duplicate', id };
+        }
+      }
+
+      // Queue for AI processing (durable jobs, run in background)
+      for (const row of data) {
+        await processInBackground(row.id, userId);
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    console.log(`[CAPTURED] Batch of ${tabs.length}: ${count('captured')} new, ${count('duplicate')} duplicates`);
+
+    res.json({
+      success: true,
+      message: `Captured ${count('captured')} tabs`,
+      results,
+      captured: count('captured'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/search - Hybrid search (full-text rank + vector similarity, fused)
 router.get('/search', async (req, res, next) => {
   try {
     const { q: query, source } = req.query;
     const userId = getUserId(req);
+    let mode = req.query.mode || 'hybrid';
 
     if (!query) {
       return res.status(400).json({
@@ -125,6 +330,27 @@ router.get('/search', async (req, res, next) => {
       });
     }
 
+    if (!['hybrid', 'keyword'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode. Use hybrid or keyword'
+      });
+    }
+
+    const paging = getPaging(req, SEARCH_SORTS, 'similarity');
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    // Operators (tag:, quality:>=7, site:, ...) become filters; the rest is ranked
+    const parsed = parseSearchQuery(query);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.errors.join('; ')
+      });
+    }
+
     if (!isConfigured()) {
       return res.json({
         success: true,
@@ -133,32 +359,18 @@ router.get('/search', async (req, res, next) => {
       });
     }
 
-    // Basic text search (Phase 3 will add vector/semantic search)
-    let queryBuilder = scopeQueryToUser(
-      supabase
-      .from('captures')
-      .select('id, url, title, display_title, summary, category, tags, quality_score, created_at, notion_synced, notion_page_id, key_takeaways, action_items, source_platform, author_name, image_url')
-      .or(`title.ilike.%${query}%,summary.ilike.%${query}%,content.ilike.%${query}%`),
-      userId
-    );
-
-    // Apply source filter if provided
-    if (source) {
-      queryBuilder = queryBuilder.eq('source_platform', source);
+    // Without embeddings, hybrid search degrades to full-text ranking
+    if (mode === 'hybrid' && !isEmbeddingsConfigured()) {
+      mode = 'keyword';
     }
 
-    const { data, error } = await queryBuilder
-      .order('created_at', { ascending: false })
-      .limit(20);
-
-    if (error) {
-      throw error;
-    }
+    const page = await hybridSearch(parsed, { mode, source, ...paging }, userId);
 
     res.json({
       success: true,
-      results: data || [],
-      count: data?.length || 0
+      ...pageResponse(page, page.mode === 'filter' && paging.sort === 'similarity' ? 'newest' : paging.sort),
+      searchType: page.mode,
+      filters: parsed.filters
     });
   } catch (error) {
     next(error);
@@ -171,7 +383,6 @@ router.get('/semantic-search', async (req, res, next) => {
     const { q: query, source } = req.query;
     const userId = getUserId(req);
     const threshold = parseFloat(req.query.threshold) || 0.4;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
     if (!query) {
       return res.status(400).json({
@@ -180,6 +391,19 @@ router.get('/semantic-search', async (req, res, next) => {
       });
     }
 
+    const paging = getPaging(req, SEARCH_SORTS, 'similarity', 10);
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    const parsed = parseSearchQuery(query);
+    if (parsed.errors.length > 0 || !parsed.semanticText) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.errors.length > 0 ? parsed.errors.join('; ') : 'Semantic search needs search text besides operators'
+      });
+    }
+
     if (!isConfigured()) {
       return res.json({
         success: true,
@@ -195,27 +419,12 @@ router.get('/semantic-search', async (req, res, next) => {
       });
     }
 
-    // Generate embedding for the search query
-    const queryEmbedding = await generateQueryEmbedding(query);
-    const vectorString = formatForPgVector(queryEmbedding);
-
-    // Call the search_captures function with optional source filter
-    const { data, error } = await supabase.rpc('search_captures', {
-      query_embedding: vectorString,
-      match_threshold: threshold,
-      match_count: limit,
-      filter_user_id: userId || null,
-      filter_source: source || null
-    });
-
-    if (error) {
-      throw error;
-    }
+    // Matches capture and chunk embeddings; results carry the best passage as a snippet
+    const page = await semanticSearch(parsed, { threshold, source, ...paging }, userId);
 
     res.json({
       success: true,
-      results: data || [],
-      count: data?.length || 0,
+      ...pageResponse(page, paging.sort),
       searchType: 'semantic'
     });
   } catch (error) {
@@ -223,13 +432,17 @@ router.get('/semantic-search', async (req, res, next) => {
   }
 });
 
-// GET /api/recent - Get recent captures
+// GET /api/recent - List captures (paged by cursor, newest first by default)
 router.get('/recent', async (req, res, next) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
     const { source, author } = req.query;
     const userId = getUserId(req);
 
+    const paging = getPaging(req, LISTING_SORTS, 'newest', 10);
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
     if (!isConfigured()) {
       return res.json({
         success: true,
@@ -238,34 +451,16 @@ router.get('/recent', async (req, res, next) => {
       });
     }
 
-    let queryBuilder = scopeQueryToUser(
-      supabase
-      .from('captures')
-      .select('id, url, title, display_title, summary, category, tags, quality_score, created_at, notion_synced, notion_page_id, key_takeaways, action_items, source_platform, author_name, image_url'),
-      userId
-    );
-
-    // Apply source filter if provided
-    if (source) {
-      queryBuilder = queryBuilder.eq('source_platform', source);
-    }
-
-    // Apply author filter if provided
+    const filters = createFilters();
     if (author) {
-      queryBuilder = queryBuilder.ilike('author_name', `%${author}%`);
+      filters.authors.push(author);
     }
 
-    const { data, error } = await queryBuilder
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) {
-      throw error;
-    }
+    const page = await listCaptures(filters, { source, ...paging }, userId);
 
     res.json({
       success: true,
-      results: data || []
+      ...pageResponse(page, paging.sort)
     });
   } catch (error) {
     next(error);
@@ -288,7 +483,7 @@ router.get('/capture/:id', async (req, res, next) => {
     const query = scopeQueryToUser(
       supabase
       .from('captures')
-      .select('*')
+      .select(CAPTURE_DETAIL_COLUMNS)
       .eq('id', id),
       userId
     );
@@ -375,38 +570,53 @@ router.get('/captures/:id/related', async (req, res, next) => {
   }
 });
 
-// PATCH /api/captures/:id - Update a capture's category and/or tags
+// PATCH /api/captures/:id - Edit a capture's title, summary, takeaways, action items, category, tags or notes
+// Edited AI fields are marked in edited_fields so reprocessing and backfills keep them
 router.patch('/captures/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { category, tags } = req.body;
     const userId = getUserId(req);
 
+    const { updates, edited, reset, error: validationError } = parseCaptureEdits(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
     if (!isConfigured()) {
       return res.json({
         success: true,
         message: 'Updated (dev mode)',
-        data: { id, category, tags }
+        data: { id, ...updates, edited_fields: edited }
       });
     }
 
-    // Build update object with only provided fields
-    const updates = {};
-    if (category !== undefined) {
-      updates.category = category;
-    }
-    if (tags !== undefined) {
-      // Ensure tags is an array
-      updates.tags = Array.isArray(tags) ? tags : [];
+    const currentQuery = scopeQueryToUser(
+      supabase
+      .from('captures')
+      .select('edited_fields')
+      .eq('id', id),
+      userId
+    );
+    const { data: current, error: fetchError } = await currentQuery.maybeSingle();
+
+    if (fetchError) {
+      throw fetchError;
     }
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({
+    if (!current) {
+      return res.status(404).json({
         success: false,
-        error: 'No fields to update. Provide category and/or tags.'
+        error: 'Capture not found'
       });
     }
 
+    updates.edited_fields = [...new Set([...(current.edited_fields || []), ...edited])]
+      .filter(field => !reset.includes(field));
+
     const updateQuery = scopeQueryToUser(
       supabase
       .from('captures')
@@ -415,7 +625,7 @@ router.patch('/captures/:id', async (req, res, next) => {
       userId
     );
     const { data, error } = await updateQuery
-      .select('id, url, title, display_title, summary, category, tags, quality_score, created_at, notion_synced, notion_page_id, key_takeaways, action_items, source_platform, author_name, image_url')
+      .select('id, url, title, display_title, summary, category, tags, quality_score, created_at, notion_synced, notion_page_id, key_takeaways, action_items, source_platform, author_name, image_url, notes, edited_fields')
       .single();
 
     if (error) {
@@ -429,7 +639,11 @@ router.patch('/captures/:id', async (req, res, next) => {
       });
     }
 
-    console.log(`[UPDATED] Capture ${id}:`, updates);
+    if (updates.action_items) {
+      await syncActionItems(id, updates.action_items);
+    }
+
+    console.log(`[UPDATED] Capture ${id}:`, Object.keys(updates).join(', '));
 
     res.json({
       success: true,
@@ -556,103 +770,236 @@ router.post('/reprocess/:id', async (req, res, next) => {
   }
 });
 
-// POST /api/backfill-embeddings - Generate embeddings for captures that don't have them
-router.post('/backfill-embeddings', async (req, res, next) => {
+// POST /api/captures/:id/rerun - Re-run failed pipeline stages of a capture
+// Body: { stages?: ['scrape', 'image', 'ai', 'insights', 'embedding'] } (default: failed stages)
+router.post('/captures/:id/rerun', async (req, res, next) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { id } = req.params;
+    const { stages } = req.body || {};
     const userId = getUserId(req);
-    const result = await backfillEmbeddings(limit, userId);
-    res.json({
-      success: !result.error,
-      ...result,
-    });
+
+    if (stages !== undefined && !Array.isArray(stages)) {
+      return res.status(400).json({
+        success: false,
+        error: 'stages must be an array of stage names'
+      });
+    }
+
+    const result = await rerunStages(id, userId, stages || null);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// POST /api/backfill-titles - Generate display titles for captures that don't have them
-router.post('/backfill-titles', async (req, res, next) => {
+// ============ Ask ============
+
+/**
+ * Start a server-sent events response
+ * Returns a function that sends one named event with a JSON payload, and a
+ * signal that aborts when the client disconnects.
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  return { send, signal: controller.signal };
+}
+
+// POST /api/ask - Answer a question from your captures, citing them
+// Body: { question, limit (captures to draw on, max 15), source, stream (default true) }
+// Streams server-sent events: `sources` (the captures retrieved), `token` (answer text
+// as it is written), then `done` ({ answer, citations }) or `error`. With stream: false
+// the answer is returned as JSON.
+router.post('/ask', async (req, res, next) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { question, source = null, stream = true } = req.body || {};
     const userId = getUserId(req);
-    const result = await backfillDisplayTitles(limit, userId);
-    res.json({
-      success: !result.error,
-      ...result,
-    });
+    const limit = Math.min(Math.max(parseInt(req.body?.limit) || 8, 1), 15);
+
+    const invalid = validateQuestion(question);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Supabase not configured' });
+    }
+
+    if (!isAiConfigured() || !isEmbeddingsConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Asking needs both AI (OpenRouter) and embeddings (OpenAI) configured'
+      });
+    }
+
+    if (stream === false) {
+      const result = await askVault(question, { limit, source }, userId);
+      return res.status(result.success ? 200 : 500).json(result);
+    }
+
+    const { send, signal } = openEventStream(res);
+    const result = await askVault(question, {
+      limit,
+      source,
+      signal,
+      onSources: sources => send('sources', { sources }),
+      onToken: text => send('token', { text }),
+    }, userId);
+
+    if (result.success) {
+      send('done', { answer: result.answer, citations: result.citations });
+    } else if (!signal.aborted) {
+      send('error', { error: result.error });
+    }
+    res.end();
   } catch (error) {
+    if (res.headersSent) {
+      console.error('[Ask] Stream failed:', error.message);
+      return res.end();
+    }
     next(error);
   }
 });
 
-// GET /api/settings - Get current settings with available options
-router.get('/settings', async (req, res, next) => {
+// POST /api/captures/:id/ask - Answer a question about one capture from its full content
+// Body: { question, history (earlier [{ role, content }] turns about this capture), stream (default true) }
+// Streams `token` events, then `done` ({ answer, citations }) or `error`. Citations point
+// at passages of the capture (chunk_index, location, page_start/page_end, start_seconds, excerpt).
+router.post('/captures/:id/ask', async (req, res, next) => {
   try {
+    const { id } = req.params;
+    const { question, history = [], stream = true } = req.body || {};
     const userId = getUserId(req);
-    const settings = await getSettingsWithOptions(userId);
-    res.json({
-      success: true,
-      ...settings,
-    });
+
+    const invalid = validateQuestion(question);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Supabase not configured' });
+    }
+
+    if (!isAiConfigured()) {
+      return res.status(503).json({ success: false, error: 'AI not configured - missing OpenRouter API key' });
+    }
+
+    if (stream === false) {
+      const result = await askCapture(id, question, { history }, userId);
+      const status = result.success ? 200 : result.error === 'Capture not found' ? 404
+        : result.error.startsWith('history') || result.error.startsWith('Capture has no content') ? 400
+        : 500;
+      return res.status(status).json(result);
+    }
+
+    const { send, signal } = openEventStream(res);
+    const result = await askCapture(id, question, {
+      history,
+      signal,
+      onToken: text => send('token', { text }),
+    }, userId);
+
+    if (result.success) {
+      send('done', { answer: result.answer, citations: result.citations });
+    } else if (!signal.aborted) {
+      send('error', { error: result.error });
+    }
+    res.end();
   } catch (error) {
+    if (res.headersSent) {
+      console.error('[Ask] Stream failed:', error.message);
+      return res.end();
+    }
     next(error);
   }
 });
 
-// PUT /api/settings - Update settings
-router.put('/settings', async (req, res, next) => {
+// GET /api/captures/:id/summaries - Cached deep summaries of a capture (stale: content changed since)
+router.get('/captures/:id/summaries', async (req, res, next) => {
   try {
-    const { aiModel } = req.body;
+    const { id } = req.params;
     const userId = getUserId(req);
-
-    const result = await updateSettings({ aiModel }, userId);
+    const result = await listDeepSummaries(id, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(result.error === 'Capture not found' ? 404 : 500).json(result);
     }
 
-    // Clear AI model cache so next request uses new model
-    clearModelCache();
-
-    // Return updated settings
-    const settings = await getSettingsWithOptions(userId);
-    res.json({
-      success: true,
-      message: 'Settings updated',
-      ...settings,
-    });
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// ============ Categories ============
-
-// GET /api/categories - Get all categories
-router.get('/categories', async (req, res, next) => {
+// POST /api/captures/:id/summaries/:style - Deep summary of a capture's whole content
+// (outline, eli5, brief, tweet), from the cache unless the content changed
+// Body: { refresh } to build it again anyway
+router.post('/captures/:id/summaries/:style', async (req, res, next) => {
   try {
+    const { id, style } = req.params;
     const userId = getUserId(req);
-    const categories = await getCategories(userId);
-    res.json({
-      success: true,
-      categories,
-    });
+    const result = await getDeepSummary(id, style, { refresh: req.body?.refresh === true }, userId);
+
+    if (!result.success) {
+      const status = result.error === 'Capture not found' ? 404
+        : result.error === 'AI not configured' ? 503
+        : result.error.startsWith('Invalid style') || result.error.startsWith('Capture has no content') ? 400
+        : 500;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// POST /api/categories - Add a new category
-router.post('/categories', async (req, res, next) => {
+// ============ Chat ============
+
+// Errors from conversation changes that mean something doesn't exist (the rest are the client's)
+const CHAT_NOT_FOUND_ERRORS = ['Conversation not found', 'Capture not found', 'Capture not pinned'];
+
+function chatErrorStatus(error) {
+  return CHAT_NOT_FOUND_ERRORS.includes(error) ? 404 : 400;
+}
+
+// GET /api/conversations - Chat conversations, most recently active first
+// ?limit=&offset= for paging
+router.get('/conversations', async (req, res, next) => {
   try {
-    const { name, description, color } = req.body;
     const userId = getUserId(req);
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    const result = await addCategory({ name, description, color }, userId);
+    const result = await listConversations({ limit, offset }, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(500).json(result);
     }
 
     res.json(result);
@@ -661,20 +1008,405 @@ router.post('/categories', async (req, res, next) => {
   }
 });
 
-// PUT /api/categories/:id - Update a category
-router.put('/categories/:id', async (req, res, next) => {
+// POST /api/conversations - Start a conversation
+// Body: { title, captureIds (captures to pin) }
+router.post('/conversations', async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { name, description, color } = req.body;
     const userId = getUserId(req);
-
-    const result = await updateCategory(id, { name, description, color }, userId);
+    const { title, captureIds } = req.body || {};
+    const result = await createConversation({ title, captureIds }, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(chatErrorStatus(result.error)).json(result);
     }
 
-    res.json(result);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/conversations/:id - A conversation with its messages and pinned captures
+router.get('/conversations/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await getConversation(id, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Conversation not found' ? 404 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/conversations/:id - Rename a conversation
+// Body: { title }
+router.patch('/conversations/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await updateConversation(id, { title: req.body?.title }, userId);
+
+    if (!result.success) {
+      return res.status(chatErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/conversations/:id - Delete a conversation and its messages
+router.delete('/conversations/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await deleteConversation(id, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Conversation not found' ? 404 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/conversations/:id/pins - Pin captures into a conversation
+// Body: { captureIds }
+router.post('/conversations/:id/pins', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await pinCaptures(id, req.body?.captureIds, userId);
+
+    if (!result.success) {
+      return res.status(chatErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/conversations/:id/pins/:captureId - Unpin a capture
+router.delete('/conversations/:id/pins/:captureId', async (req, res, next) => {
+  try {
+    const { id, captureId } = req.params;
+    const userId = getUserId(req);
+    const result = await unpinCapture(id, captureId, userId);
+
+    if (!result.success) {
+      return res.status(chatErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/conversations/:id/messages - Send a message and get the reply
+// Body: { content, stream (default true) }
+// Streams the same server-sent events as /api/ask: `sources`, `token`, then
+// `done` ({ message, reply }: both saved messages) or `error`. With stream: false
+// the saved messages are returned as JSON.
+router.post('/conversations/:id/messages', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { content, stream = true } = req.body || {};
+    const userId = getUserId(req);
+
+    const invalid = validateQuestion(content, 'content');
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    if (!isConfigured()) {
+      return res.status(503).json({ success: false, error: 'Supabase not configured' });
+    }
+
+    if (!isAiConfigured() || !isEmbeddingsConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Chat needs both AI (OpenRouter) and embeddings (OpenAI) configured'
+      });
+    }
+
+    if (stream === false) {
+      const result = await sendMessage(id, content, {}, userId);
+      return res.status(result.success ? 200 : result.error === 'Conversation not found' ? 404 : 500).json(result);
+    }
+
+    const { send, signal } = openEventStream(res);
+    const result = await sendMessage(id, content, {
+      signal,
+      onSources: sources => send('sources', { sources }),
+      onToken: text => send('token', { text }),
+    }, userId);
+
+    if (result.success) {
+      send('done', { message: result.message, reply: result.reply });
+    } else if (!signal.aborted) {
+      send('error', { error: result.error });
+    }
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('[Chat] Stream failed:', error.message);
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// ============ Backfill ============
+
+// GET /api/backfill - List backfill runs and available operations
+// Query: status (running, paused, cancelled, completed, failed), limit
+router.get('/backfill', async (req, res, next) => {
+  try {
+    if (!isConfigured()) {
+      return res.json({ success: true, runs: [], operations: getBackfillOperations() });
+    }
+
+    const userId = getUserId(req);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const result = await listBackfills({ status: req.query.status || null, limit }, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({ ...result, operations: getBackfillOperations() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/backfill/:id - Get backfill run status and progress
+router.get('/backfill/:id', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await getBackfill(req.params.id, userId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/backfill/:id/(pause|resume|cancel) - Control a backfill run
+router.post('/backfill/:id/:action(pause|resume|cancel)', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await controlBackfill(req.params.id, req.params.action, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/backfill/:operation - Start a backfill run
+// Body: { mode?: 'missing' | 'all', concurrency?: number, max_items?: number }
+router.post('/backfill/:operation', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const { mode, concurrency, max_items: maxItems } = req.body || {};
+    const result = await startBackfill(req.params.operation, { mode, concurrency, maxItems }, userId);
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Jobs ============
+
+// GET /api/jobs - List background jobs (admin)
+// Query: status (queued, running, completed, dead), type, capture_id, limit
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { status, type, capture_id: captureId } = req.query;
+    const userId = getUserId(req);
+
+    const result = await listJobs({ status, type, captureId, limit }, userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/jobs/:id/retry - Requeue a dead-lettered job (admin)
+router.post('/jobs/:id/retry', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const result = await retryJob(id, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/settings - Get current settings with available options
+router.get('/settings', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const settings = await getSettingsWithOptions(userId);
+    res.json({
+      success: true,
+      ...settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/settings - Update settings
+router.put('/settings', async (req, res, next) => {
+  try {
+    const { aiModel } = req.body;
+    const userId = getUserId(req);
+
+    const result = await updateSettings({ aiModel }, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    // Clear AI model cache so next request uses new model
+    clearModelCache();
+
+    // Return updated settings
+    const settings = await getSettingsWithOptions(userId);
+    res.json({
+      success: true,
+      message: 'Settings updated',
+      ...settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Categories ============
+
+// GET /api/categories - Get all categories with capture counts
+router.get('/categories', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const categories = await getCategories(userId);
+    const counts = await getCategoryCounts(userId);
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        ...category,
+        capture_count: counts[category.name?.toLowerCase()] || 0,
+      })),
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/categories/:name/captures - List captures in a category (paged by cursor)
+router.get('/categories/:name/captures', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+
+    const paging = getPaging(req, LISTING_SORTS, 'newest');
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    if (!isConfigured()) {
+      return res.json({
+        success: true,
+        results: [],
+        message: 'Dev mode - Supabase not configured'
+      });
+    }
+
+    const filters = createFilters();
+    filters.categories.push(req.params.name.toLowerCase());
+
+    const page = await listCaptures(filters, { source: req.query.source, ...paging }, userId);
+
+    res.json({
+      success: true,
+      ...pageResponse(page, paging.sort)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/categories - Add a new category
+router.post('/categories', async (req, res, next) => {
+  try {
+    const { name, description, color } = req.body;
+    const userId = getUserId(req);
+
+    const result = await addCategory({ name, description, color }, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/categories/:id - Update a category
+router.put('/categories/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, color } = req.body;
+    const userId = getUserId(req);
+
+    const result = await updateCategory(id, { name, description, color }, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -686,10 +1418,464 @@ router.delete('/categories/:id', async (req, res, next) => {
     const { id } = req.params;
     const userId = getUserId(req);
 
-    const result = await deleteCategory(id, userId);
+    const result = await deleteCategory(id, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Tags ============
+
+// GET /api/tags - Get all tags with counts
+router.get('/tags', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await getTagsWithCounts(userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/tags/:name/captures - List captures with a tag (paged by cursor)
+router.get('/tags/:name/captures', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+
+    const paging = getPaging(req, LISTING_SORTS, 'newest');
+    if (paging.error) {
+      return res.status(400).json({ success: false, error: paging.error });
+    }
+
+    if (!isConfigured()) {
+      return res.json({
+        success: true,
+        results: [],
+        message: 'Dev mode - Supabase not configured'
+      });
+    }
+
+    const filters = createFilters();
+    filters.tags.push(req.params.name.toLowerCase());
+
+    const page = await listCaptures(filters, { source: req.query.source, ...paging }, userId);
+
+    res.json({
+      success: true,
+      ...pageResponse(page, paging.sort)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tags/:name - Delete a tag from all captures
+router.delete('/tags/:name', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const userId = getUserId(req);
+
+    const result = await deleteTag(name, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/tags/merge - Merge one tag into another
+router.post('/tags/merge', async (req, res, next) => {
+  try {
+    const { source, target } = req.body;
+    const userId = getUserId(req);
+
+    const result = await mergeTags(source, target, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tags/:name - Rename a tag
+router.put('/tags/:name', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { newName } = req.body;
+    const userId = getUserId(req);
+
+    const result = await renameTag(name, newName, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Duplicates ============
+
+// GET /api/duplicates - Captures flagged as duplicates, grouped under the capture they repeat
+router.get('/duplicates', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await getDuplicateClusters(userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/duplicates/merge - Fold captures into one surviving capture
+router.post('/duplicates/merge', async (req, res, next) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+    const userId = getUserId(req);
+
+    const result = await mergeCaptures(targetId, sourceIds, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/duplicates/:id/dismiss - Mark a flagged capture as not a duplicate
+router.post('/duplicates/:id/dismiss', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const result = await dismissDuplicate(id, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Capture not found' ? 404 : 400).json(result);
+    }
+
+    // Captures flagged before AI processing still need their summary
+    const { capture } = result;
+    const queued = !capture.summary && capture.pipeline_stages?.ai?.status === 'skipped';
+    if (queued) {
+      await processInBackground(id, userId);
+    }
+
+    res.json({
+      success: true,
+      message: queued ? 'Marked as not a duplicate; queued for processing' : 'Marked as not a duplicate',
+      data: { id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Highlights ============
+
+// GET /api/highlights?url= - Highlights on a page (of its newest capture)
+router.get('/highlights', async (req, res, next) => {
+  try {
+    const { url } = req.query;
+    const userId = getUserId(req);
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'url is required'
+      });
+    }
+
+    const result = await getPageHighlights(url, userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/highlights/pages - URLs of pages with highlights, for re-showing them on revisit
+router.get('/highlights/pages', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await getHighlightedUrls(userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/highlights - Save highlights made on a page, capturing it first if needed
+router.post('/highlights', async (req, res, next) => {
+  try {
+    const { url, title, favIconUrl, highlights } = req.body;
+    const userId = getUserId(req);
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required'
+      });
+    }
+
+    if (!Array.isArray(highlights) || highlights.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'highlights must be a non-empty array'
+      });
+    }
+
+    if (highlights.length > MAX_HIGHLIGHTS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_HIGHLIGHTS_PER_REQUEST} highlights per request`
+      });
+    }
+
+    if (!isConfigured()) {
+      console.log(`[DEV MODE] Would save ${highlights.length} highlights on:`, url);
+      return res.json({
+        success: true,
+        message: 'Saved (dev mode - Supabase not configured)',
+        captureId: 'dev-' + Date.now(),
+        captured: false,
+        highlights: highlights.map((highlight, index) => ({ ...highlight, id: `dev-${Date.now()}-${index}` }))
+      });
+    }
+
+    // Highlights belong to the page's newest capture; a page highlighted before
+    // it was captured is captured now
+    let capture = await findPageCapture(url, userId);
+    let captured = false;
+
+    if (!capture) {
+      const { data, error } = await supabase
+        .from('captures')
+        .insert({
+          url,
+          canonical_url: canonicalizeUrl(url),
+          title: title || url,
+          favicon_url: favIconUrl || null,
+          user_id: userId,
+          status: 'pending',
+          created_at: new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      capture = data;
+      captured = true;
+      console.log('[CAPTURED]', url);
+    }
+
+    const result = await addHighlights(capture.id, highlights, userId);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    // New captures are summarized with their highlights in the prompt. A
+    // processed capture has its summary redone once highlighting settles down:
+    // highlights saved meanwhile fold into the same re-run. Insights are left
+    // alone, so tracked action items keep their status and due dates.
+    if (captured) {
+      await processInBackground(capture.id, userId);
+    } else if (capture.status === 'completed') {
+      await rerunInBackground(capture.id, ['ai'], userId, { delaySeconds: HIGHLIGHT_RERUN_DELAY_SECONDS });
+    }
+
+    res.json({
+      success: true,
+      message: captured ? 'Captured with highlights' : 'Highlights saved',
+      captureId: capture.id,
+      captured,
+      highlights: result.highlights
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/captures/:id/highlights - Highlights of a capture
+router.get('/captures/:id/highlights', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const result = await getHighlights(id, userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/highlights/:id - Edit a highlight's note
+router.patch('/highlights/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const userId = getUserId(req);
+
+    const result = await updateHighlight(id, { note: note ?? null }, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Highlight not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/highlights/:id - Delete a highlight
+router.delete('/highlights/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const result = await deleteHighlight(id, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Highlight not found' ? 404 : 400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Highlight deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Action Items ============
+
+// GET /api/actions - Action items across captures, grouped by capture
+// ?status=open (default, excludes snoozed) | snoozed | done | dismissed; ?capture_id= for one capture
+router.get('/actions', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await listActionItems({
+      view: req.query.status || 'open',
+      captureId: req.query.capture_id || null
+    }, userId);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Invalid status') ? 400 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/actions/:id/:action(done|dismiss|reopen) - Complete, dismiss or reopen an action item
+router.post('/actions/:id/:action(done|dismiss|reopen)', async (req, res, next) => {
+  try {
+    const { id, action } = req.params;
+    const userId = getUserId(req);
+    const status = { done: 'done', dismiss: 'dismissed', reopen: 'open' }[action];
+
+    const result = await setActionItemStatus(id, status, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Action item not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/actions/:id/snooze - Hide an action item from open actions until a date
+// Body: { until: ISO date or date-time }
+router.post('/actions/:id/snooze', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { until } = req.body;
+    const userId = getUserId(req);
+
+    const result = await snoozeActionItem(id, until, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Action item not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/actions/:id - Set or clear an action item's due date
+// Body: { due_date: "YYYY-MM-DD" | null }
+router.patch('/actions/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { due_date } = req.body;
+    const userId = getUserId(req);
+
+    if (due_date === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'due_date is required'
+      });
+    }
+
+    const result = await setActionItemDueDate(id, due_date, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(result.error === 'Action item not found' ? 404 : 400).json(result);
     }
 
     res.json(result);
@@ -698,13 +1884,41 @@ router.delete('/categories/:id', async (req, res, next) => {
   }
 });
 
-// ============ Tags ============
+// ============ Reading Queue ============
 
-// GET /api/tags - Get all tags with counts
-router.get('/tags', async (req, res, next) => {
+// GET /api/queue - Unread captures, most worth reading first
+// ?state=unread (default) | read | archived; ?limit=&cursor= for paging
+router.get('/queue', async (req, res, next) => {
   try {
     const userId = getUserId(req);
-    const result = await getTagsWithCounts(userId);
+    const state = req.query.state || 'unread';
+    const limit = parseLimit(req.query.limit);
+
+    // Cursors only continue the state they were issued for
+    let cursor;
+    try {
+      cursor = decodeCursor(req.query.cursor, state);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const result = await getReadingQueue({ state, limit, cursor }, userId);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Invalid state') ? 400 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/queue/pages - URLs of unread captures, for tracking reading progress
+router.get('/queue/pages', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await getQueuedUrls(userId);
 
     if (!result.success) {
       return res.status(500).json(result);
@@ -716,13 +1930,21 @@ router.get('/tags', async (req, res, next) => {
   }
 });
 
-// DELETE /api/tags/:name - Delete a tag from all captures
-router.delete('/tags/:name', async (req, res, next) => {
+// POST /api/queue/progress - Reading progress on a page, reported by the extension
+// Body: { url, progress: percent scrolled through }
+router.post('/queue/progress', async (req, res, next) => {
   try {
-    const { name } = req.params;
+    const { url, progress } = req.body;
     const userId = getUserId(req);
 
-    const result = await deleteTag(name, userId);
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required'
+      });
+    }
+
+    const result = await reportReadingProgress(url, progress, userId);
 
     if (!result.success) {
       return res.status(400).json(result);
@@ -734,16 +1956,17 @@ router.delete('/tags/:name', async (req, res, next) => {
   }
 });
 
-// POST /api/tags/merge - Merge one tag into another
-router.post('/tags/merge', async (req, res, next) => {
+// POST /api/queue/:id/:action(read|unread|archive) - Change a capture's read state
+router.post('/queue/:id/:action(read|unread|archive)', async (req, res, next) => {
   try {
-    const { source, target } = req.body;
+    const { id, action } = req.params;
     const userId = getUserId(req);
+    const state = action === 'archive' ? 'archived' : action;
 
-    const result = await mergeTags(source, target, userId);
+    const result = await setReadState(id, state, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(result.error === 'Capture not found' ? 404 : 400).json(result);
     }
 
     res.json(result);
@@ -752,17 +1975,329 @@ router.post('/tags/merge', async (req, res, next) => {
   }
 });
 
-// PUT /api/tags/:name - Rename a tag
-router.put('/tags/:name', async (req, res, next) => {
+// ============ Resurfacing ============
+
+// GET /api/resurface - Old captures worth revisiting now
+// Each result has a reason (review | unopened | related) and a short "why"; ?limit= 1-10, default 5
+router.get('/resurface', async (req, res, next) => {
   try {
-    const { name } = req.params;
-    const { newName } = req.body;
     const userId = getUserId(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
 
-    const result = await renameTag(name, newName, userId);
+    const result = await getResurfacePicks({ limit }, userId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      return res.status(500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/resurface/:id/feedback - Feedback on a resurfaced capture
+// Body: { feedback: useful | not_useful | archive, reason }
+router.post('/resurface/:id/feedback', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { feedback, reason = null } = req.body;
+    const userId = getUserId(req);
+
+    const result = await recordResurfaceFeedback(id, feedback, reason, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Capture not found' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Collections ============
+
+// Errors from collection changes that mean something doesn't exist (the rest are the client's)
+const COLLECTION_NOT_FOUND_ERRORS = ['Collection not found', 'Capture not found', 'Capture not in collection'];
+
+function collectionErrorStatus(error) {
+  return COLLECTION_NOT_FOUND_ERRORS.includes(error) ? 404 : 400;
+}
+
+// GET /api/collections - Manual collections, then topical ones found by clustering embeddings, largest first
+// ?kind=auto|manual to list one kind
+router.get('/collections', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await listCollections({ kind: req.query.kind || null }, userId);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Invalid kind') ? 400 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/collections/recluster - Re-cluster all captures into collections (runs as a job)
+router.post('/collections/recluster', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const result = await startClustering(userId);
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 500).json(result);
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/collections - Create a manual collection
+// Body: { name, description, captureIds }
+router.post('/collections', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const { name, description, captureIds } = req.body || {};
+    const result = await createCollection({ name, description, captureIds }, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/collections/:id - A collection and its captures, in order for manual collections,
+// most central first for automatic ones
+// ?limit=&cursor= for paging
+router.get('/collections/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const limit = parseLimit(req.query.limit);
+
+    let cursor;
+    try {
+      cursor = decodeCursor(req.query.cursor, collectionCursorSort(id));
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const result = await getCollection(id, { limit, cursor }, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Collection not found' ? 404 : 500).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/collections/:id - Rename a manual collection or change its description or cover
+// Body: { name, description, cover_capture_id }
+router.patch('/collections/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const { name, description, cover_capture_id } = req.body || {};
+    const result = await updateCollection(id, { name, description, cover_capture_id }, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/collections/:id - Delete a manual collection (its captures are kept)
+router.delete('/collections/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await deleteCollection(id, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/collections/:id/items - Add captures to a manual collection
+// Body: { captureIds, position } (position: where to insert them, default the end)
+router.post('/collections/:id/items', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const { captureIds, position = null } = req.body || {};
+    const result = await addCollectionItems(id, captureIds, { position }, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/collections/:id/items/:captureId - Remove a capture from a manual collection
+router.delete('/collections/:id/items/:captureId', async (req, res, next) => {
+  try {
+    const { id, captureId } = req.params;
+    const userId = getUserId(req);
+    const result = await removeCollectionItem(id, captureId, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/collections/:id/order - Reorder a manual collection
+// Body: { captureIds } (every capture in the collection, in the new order)
+router.put('/collections/:id/order', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await reorderCollectionItems(id, req.body?.captureIds, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/collections/:id/share - Share a manual collection through a public read-only link
+// Body: { expiresAt | expiresInDays, regenerate } (no expiry: the link works until unshared)
+router.post('/collections/:id/share', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const { expiresAt, expiresInDays, regenerate = false } = req.body || {};
+
+    let expiry = expiresAt || null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!(days > 0)) {
+        return res.status(400).json({ success: false, error: 'expiresInDays must be a positive number' });
+      }
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const result = await shareCollection(id, { expiresAt: expiry, regenerate: Boolean(regenerate) }, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/collections/:id/share - Stop sharing a collection; its link stops working
+router.delete('/collections/:id/share', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+    const result = await unshareCollection(id, userId);
+
+    if (!result.success) {
+      return res.status(collectionErrorStatus(result.error)).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ Digests ============
+
+// GET /api/digests - Past digests, newest first, and the digest schedule
+// ?limit=&offset= for paging
+router.get('/digests', async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await listDigests({ limit, offset }, userId);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    res.json({ ...result, schedule: getDigestSchedule() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/digests - Build a digest of the last day or week now
+// Body: { frequency: daily (default) | weekly, deliver: send it by email/webhook (default true) }
+router.post('/digests', async (req, res, next) => {
+  try {
+    const { frequency = 'daily', deliver = true } = req.body;
+    const userId = getUserId(req);
+
+    const result = await generateDigest({ frequency, deliver: deliver !== false }, userId);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Invalid frequency') ? 400 : 500).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/digests/:id - A digest with its content; ?format=html returns the digest as emailed
+router.get('/digests/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = getUserId(req);
+
+    const result = await getDigest(id, userId);
+
+    if (!result.success) {
+      return res.status(result.error === 'Digest not found' ? 404 : 500).json(result);
+    }
+
+    if (req.query.format === 'html') {
+      if (!result.digest.html) {
+        return res.status(404).json({ success: false, error: 'Digest has no content' });
+      }
+      return res.type('html').send(result.digest.html);
     }
 
     res.json(result);
@@ -822,7 +2357,7 @@ router.post('/notion/sync/:id', async (req, res, next) => {
     const captureQuery = scopeQueryToUser(
       supabase
       .from('captures')
-      .select('*')
+      .select(NOTION_SYNC_COLUMNS)
       .eq('id', id),
       userId
     );
@@ -836,7 +2371,11 @@ router.post('/notion/sync/:id', async (req, res, next) => {
       });
     }
 
-    // Sync to Notion
+    // Sync to Notion, with the capture's highlights and action item progress
+    const highlightsByCapture = await getHighlightsByCapture([capture.id], userId);
+    capture.highlights = highlightsByCapture.get(capture.id) || [];
+    const actionItemsByCapture = await getActionItemsByCapture([capture.id], userId);
+    capture.tracked_action_items = actionItemsByCapture.get(capture.id) || [];
     const result = await syncCapture(capture);
 
     if (!result.success) {
@@ -859,6 +2398,8 @@ router.post('/notion/sync/:id', async (req, res, next) => {
       userId
     );
     await updateQuery;
+    await markHighlightsSynced(result.highlightIds || []);
+    await setActionItemBlocks(result.actionItemBlocks);
 
     console.log(`[Notion] Synced capture ${id} -> ${result.pageId}`);
 
@@ -897,7 +2438,7 @@ router.post('/notion/sync-all', async (req, res, next) => {
     const capturesQuery = scopeQueryToUser(
       supabase
       .from('captures')
-      .select('*')
+      .select(NOTION_SYNC_COLUMNS)
       .eq('status', 'completed')
       .or('notion_synced.is.null,notion_synced.eq.false'),
       userId
@@ -918,7 +2459,14 @@ router.post('/notion/sync-all', async (req, res, next) => {
       });
     }
 
-    // Sync all captures
+    // Sync all captures, with their highlights and action item progress
+    const captureIds = captures.map(capture => capture.id);
+    const highlightsByCapture = await getHighlightsByCapture(captureIds, userId);
+    const actionItemsByCapture = await getActionItemsByCapture(captureIds, userId);
+    for (const capture of captures) {
+      capture.highlights = highlightsByCapture.get(capture.id) || [];
+      capture.tracked_action_items = actionItemsByCapture.get(capture.id) || [];
+    }
     const results = await syncMultiple(captures);
 
     // Update synced captures in database
@@ -935,6 +2483,8 @@ router.post('/notion/sync-all', async (req, res, next) => {
         userId
       );
       await syncUpdateQuery;
+      await markHighlightsSynced(synced.highlightIds || []);
+      await setActionItemBlocks(synced.actionItemBlocks);
     }
 
     console.log(`[Notion] Bulk sync: ${results.success} synced, ${results.failed} failed`);
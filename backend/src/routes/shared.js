@@ -0,0 +1,113 @@
+import express from 'express';
+import { getSharedCollection } from '../services/collections.js';
+import { escapeHtml } from '../services/html.js';
+
+// Public, read-only pages for shared collections (no sign-in required)
+const router = express.Router();
+
+// GET /shared/:token - A shared collection's public page
+// ?format=json for the collection as JSON
+router.get('/:token', async (req, res, next) => {
+  try {
+    const { token } = req.params;
+    const result = await getSharedCollection(token);
+
+    // The token is the only credential for the page: keep it out of caches and referrers
+    res.set({
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex, nofollow',
+    });
+
+    const status = result.success
+      ? 200
+      : result.error === 'Collection not found' ? 404
+      : result.error === 'Share link has expired' ? 410
+      : 500;
+
+    if (req.query.format === 'json') {
+      // Internal errors are not shown to the public
+      return res.status(status).json(status === 500 ? { success: false, error: 'Collection could not be loaded' } : result);
+    }
+
+    res.set('Content-Security-Policy', "default-src 'none'; img-src https: http: data:; style-src 'unsafe-inline'");
+    res.status(status).type('html').send(result.success
+      ? renderSharedCollection(result)
+      : renderSharedError(status === 500 ? 'This collection could not be loaded' : status === 410 ? 'This link has expired' : 'This link does not exist or is no longer shared'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Only link and load http(s) URLs from captured pages
+ */
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : null;
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <meta name="referrer" content="no-referrer">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; padding: 24px; background: #f5f5f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 14px; line-height: 1.5; color: #333; }
+    main { max-width: 720px; margin: 0 auto; }
+    .cover { width: 100%; max-height: 240px; object-fit: cover; border-radius: 8px; margin-bottom: 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px; color: #1a1a2e; }
+    .description { margin: 0 0 8px; color: #555; white-space: pre-wrap; }
+    .meta { margin: 0 0 20px; color: #999; font-size: 12px; }
+    .capture { display: flex; gap: 12px; background: #fff; border-radius: 8px; padding: 14px; margin-bottom: 10px; }
+    .capture img { width: 96px; height: 64px; object-fit: cover; border-radius: 4px; flex-shrink: 0; }
+    .capture a { color: #4338ca; text-decoration: none; font-weight: 600; }
+    .capture p { margin: 4px 0 0; color: #555; font-size: 13px; }
+    .capture .source { color: #999; font-size: 12px; }
+    footer { margin-top: 24px; color: #999; font-size: 12px; text-align: center; }
+  </style>
+</head>
+<body>
+  <main>
+    ${body}
+    <footer>Shared from Tab Vault</footer>
+  </main>
+</body>
+</html>`;
+}
+
+function renderSharedCollection({ collection, captures }) {
+  const cover = safeUrl(collection.cover_image_url);
+  const items = captures.map(capture => {
+    const url = safeUrl(capture.url);
+    const image = safeUrl(capture.image_url);
+    const title = escapeHtml(capture.display_title || capture.title || capture.url);
+    const source = [capture.author_name, capture.source_platform].filter(Boolean).join(' · ');
+
+    return `
+    <article class="capture">
+      ${image ? `<img src="${escapeHtml(image)}" alt="" loading="lazy">` : ''}
+      <div>
+        ${url ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer nofollow">${title}</a>` : `<strong>${title}</strong>`}
+        ${source ? `<div class="source">${escapeHtml(source)}</div>` : ''}
+        ${capture.summary ? `<p>${escapeHtml(capture.summary)}</p>` : ''}
+      </div>
+    </article>`;
+  }).join('');
+
+  return renderPage(collection.name, `
+    ${cover ? `<img class="cover" src="${escapeHtml(cover)}" alt="">` : ''}
+    <h1>${escapeHtml(collection.name)}</h1>
+    ${collection.description ? `<p class="description">${escapeHtml(collection.description)}</p>` : ''}
+    <p class="meta">${collection.capture_count} ${collection.capture_count === 1 ? 'capture' : 'captures'}</p>
+    ${items || '<p class="meta">This collection is empty.</p>'}`);
+}
+
+function renderSharedError(message) {
+  return renderPage('Shared collection', `<h1>${escapeHtml(message)}</h1>`);
+}
+
+export default router;
@@ -0,0 +1,371 @@
+// Action Items Service
+// Tracks the action items extracted from captures as tasks that can be done,
+// snoozed, dismissed and given due dates, with completion synced to Notion
+
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isNotionConfigured, findTodoBlock, setTodoChecked } from './notion.js';
+
+// Statuses stored on a row; "snoozed" is an open item with snoozed_until ahead
+const ITEM_STATUSES = ['open', 'done', 'dismissed'];
+
+// Views accepted by listActionItems
+export const ACTION_VIEWS = ['open', 'snoozed', 'done', 'dismissed'];
+
+// Most action items returned by one listing
+const MAX_LIST_ITEMS = 500;
+
+// Columns returned for action items
+const ACTION_ITEM_COLUMNS = 'id, capture_id, text, position, status, due_date, snoozed_until, completed_at, dismissed_at, notion_block_id, created_at, updated_at';
+
+// Capture fields shown with each group of action items
+const CAPTURE_COLUMNS = 'id, url, title, display_title, favicon_url, category, created_at, notion_page_id';
+
+/**
+ * Key for matching action items by text
+ */
+function itemKey(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Bring a capture's tracked action items in line with its action_items list
+ * Items whose text is unchanged keep their status and due date. New items are
+ * added as open; open items no longer in the list are removed, while done and
+ * dismissed ones are kept as a record.
+ * @param {string} captureId - Capture ID
+ * @param {string[]} texts - The capture's action_items
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function syncActionItems(captureId, texts) {
+  if (!isConfigured()) {
+    return { success: true };
+  }
+
+  try {
+    const [{ data: capture, error: captureError }, { data: existing, error: existingError }] = await Promise.all([
+      supabase.from('captures').select('user_id').eq('id', captureId).maybeSingle(),
+      supabase.from('action_items').select('id, text, position, status').eq('capture_id', captureId),
+    ]);
+
+    if (captureError || existingError) {
+      throw captureError || existingError;
+    }
+
+    if (!capture) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const unmatched = [...(existing || [])];
+    const inserts = [];
+    const moves = [];
+
+    (texts || []).forEach((text, position) => {
+      if (!text?.trim()) return;
+
+      const index = unmatched.findIndex(item => itemKey(item.text) === itemKey(text));
+      if (index === -1) {
+        inserts.push({ capture_id: captureId, user_id: capture.user_id, text: text.trim(), position });
+        return;
+      }
+
+      const [item] = unmatched.splice(index, 1);
+      if (item.position !== position) {
+        moves.push({ id: item.id, position });
+      }
+    });
+
+    const removed = unmatched.filter(item => item.status === 'open').map(item => item.id);
+
+    if (removed.length > 0) {
+      const { error } = await supabase.from('action_items').delete().in('id', removed);
+      if (error) throw error;
+    }
+
+    for (const { id, position } of moves) {
+      const { error } = await supabase.from('action_items').update({ position }).eq('id', id);
+      if (error) throw error;
+    }
+
+    if (inserts.length > 0) {
+      const { error } = await supabase.from('action_items').insert(inserts);
+      if (error) throw error;
+    }
+
+    if (inserts.length > 0 || removed.length > 0) {
+      console.log(`[ActionItems] Capture ${captureId}: ${inserts.length} added, ${removed.length} removed`);
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('[ActionItems] Sync failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List action items across captures, grouped by capture
+ * Groups follow their most pressing item: earliest due date first, then the
+ * newest items.
+ * @param {Object} options - { view: open|snoozed|done|dismissed, captureId }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, groups?: Array<{capture: Object, items: Array}>, count?: number, error?: string}>}
+ */
+export async function listActionItems({ view = 'open', captureId = null } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, groups: [], count: 0 };
+  }
+
+  if (!ACTION_VIEWS.includes(view)) {
+    return { success: false, error: `Invalid status. Use one of: ${ACTION_VIEWS.join(', ')}` };
+  }
+
+  try {
+    const now = new Date().toISOString();
+
+    let query = supabase
+      .from('action_items')
+      .select(ACTION_ITEM_COLUMNS)
+      .eq('status', view === 'snoozed' ? 'open' : view);
+
+    if (view === 'open') {
+      query = query.or(`snoozed_until.is.null,snoozed_until.lte.${now}`);
+    } else if (view === 'snoozed') {
+      query = query.gt('snoozed_until', now);
+    }
+
+    if (captureId) {
+      query = query.eq('capture_id', captureId);
+    }
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: items, error } = await query
+      .order('due_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .order('position', { ascending: true })
+      .limit(MAX_LIST_ITEMS);
+
+    if (error) {
+      throw error;
+    }
+
+    const groups = new Map();
+    for (const item of items || []) {
+      if (!groups.has(item.capture_id)) groups.set(item.capture_id, []);
+      groups.get(item.capture_id).push(item);
+    }
+
+    if (groups.size === 0) {
+      return { success: true, groups: [], count: 0 };
+    }
+
+    let capturesQuery = supabase
+      .from('captures')
+      .select(CAPTURE_COLUMNS)
+      .in('id', [...groups.keys()]);
+
+    if (userId) {
+      capturesQuery = capturesQuery.eq('user_id', userId);
+    }
+
+    const { data: captures, error: capturesError } = await capturesQuery;
+
+    if (capturesError) {
+      throw capturesError;
+    }
+
+    const captureById = new Map((captures || []).map(capture => [capture.id, capture]));
+
+    return {
+      success: true,
+      groups: [...groups.entries()]
+        .filter(([id]) => captureById.has(id))
+        .map(([id, groupItems]) => ({
+          capture: captureById.get(id),
+          items: groupItems.sort((a, b) => a.position - b.position),
+        })),
+      count: items.length,
+    };
+  } catch (err) {
+    console.error('[ActionItems] Failed to list:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get the tracked action items of several captures
+ * @param {string[]} captureIds - Capture IDs
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Map<string, Array>>} - Capture ID to its action items, in list order
+ */
+export async function getActionItemsByCapture(captureIds, userId = null) {
+  const byCapture = new Map();
+  if (captureIds.length === 0) return byCapture;
+
+  let query = supabase
+    .from('action_items')
+    .select(ACTION_ITEM_COLUMNS)
+    .in('capture_id', captureIds);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.order('position', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const item of data || []) {
+    if (!byCapture.has(item.capture_id)) byCapture.set(item.capture_id, []);
+    byCapture.get(item.capture_id).push(item);
+  }
+
+  return byCapture;
+}
+
+/**
+ * Mark an action item done, dismissed, or open again
+ * Done and reopened items are checked or unchecked on the capture's Notion page.
+ * @param {string} id - Action item ID
+ * @param {string} status - open, done or dismissed
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, item?: Object, notionSynced?: boolean, error?: string}>}
+ */
+export async function setActionItemStatus(id, status, userId = null) {
+  if (!ITEM_STATUSES.includes(status)) {
+    return { success: false, error: `Invalid status. Use one of: ${ITEM_STATUSES.join(', ')}` };
+  }
+
+  const now = new Date().toISOString();
+  const result = await updateActionItem(id, {
+    status,
+    snoozed_until: null,
+    completed_at: status === 'done' ? now : null,
+    dismissed_at: status === 'dismissed' ? now : null,
+  }, userId);
+
+  if (!result.success || status === 'dismissed') {
+    return result;
+  }
+
+  return { ...result, notionSynced: await syncToNotion(result.item) };
+}
+
+/**
+ * Snooze an open action item, hiding it from open actions until a date
+ * @param {string} id - Action item ID
+ * @param {string} until - ISO date or date-time in the future
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, item?: Object, error?: string}>}
+ */
+export async function snoozeActionItem(id, until, userId = null) {
+  const date = typeof until === 'string' ? new Date(until) : null;
+  if (!date || isNaN(date.getTime()) || date <= new Date()) {
+    return { success: false, error: 'until must be a future date' };
+  }
+
+  return await updateActionItem(id, { status: 'open', snoozed_until: date.toISOString(), completed_at: null, dismissed_at: null }, userId);
+}
+
+/**
+ * Set or clear an action item's due date
+ * @param {string} id - Action item ID
+ * @param {string|null} dueDate - YYYY-MM-DD, or null to clear
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, item?: Object, error?: string}>}
+ */
+export async function setActionItemDueDate(id, dueDate, userId = null) {
+  if (dueDate !== null && (typeof dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || isNaN(new Date(dueDate).getTime()))) {
+    return { success: false, error: 'due_date must be a YYYY-MM-DD date or null' };
+  }
+
+  return await updateActionItem(id, { due_date: dueDate }, userId);
+}
+
+/**
+ * Record the Notion to-do blocks action items were linked to during a sync
+ * @param {Array<{id: string, blockId: string}>} links
+ */
+export async function setActionItemBlocks(links) {
+  for (const { id, blockId } of links || []) {
+    const { error } = await supabase
+      .from('action_items')
+      .update({ notion_block_id: blockId })
+      .eq('id', id);
+
+    if (error) {
+      console.error('[ActionItems] Failed to save Notion block:', error.message);
+    }
+  }
+}
+
+/**
+ * Update an action item row
+ */
+async function updateActionItem(id, updates, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('action_items')
+      .update(updates)
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .select(ACTION_ITEM_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Action item not found' };
+    }
+
+    return { success: true, item: data };
+  } catch (err) {
+    console.error('[ActionItems] Update failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check or uncheck an action item's to-do block on its capture's Notion page
+ * Items synced before they were tracked are linked to their block by text.
+ * @returns {Promise<boolean>} - Whether the to-do was updated
+ */
+async function syncToNotion(item) {
+  if (!isNotionConfigured()) return false;
+
+  let blockId = item.notion_block_id;
+
+  if (!blockId) {
+    const { data: capture } = await supabase
+      .from('captures')
+      .select('notion_page_id')
+      .eq('id', item.capture_id)
+      .maybeSingle();
+
+    if (!capture?.notion_page_id) return false;
+
+    const found = await findTodoBlock(capture.notion_page_id, item.text);
+    if (!found.blockId) return false;
+
+    blockId = found.blockId;
+    await setActionItemBlocks([{ id: item.id, blockId }]);
+  }
+
+  const result = await setTodoChecked(blockId, item.status === 'done');
+  return result.success;
+}
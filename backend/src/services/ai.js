@@ -8,6 +8,42 @@ import { getCategoryPrompt } from './categories.js';
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
+// Added to prompts over video transcripts so points can link back to the video
+const TIMESTAMP_INSTRUCTION = `
+The content is a video transcript with [m:ss] timestamps. Start each point with the timestamp where it is discussed, copied from the transcript, e.g. "[12:34] Point".`;
+
+// Condensed notes must fit within what summarize() and extractInsights() read from content
+const CONDENSED_CONTENT_LENGTH = 5500;
+const CONDENSE_CONCURRENCY = 3;
+
+// Answers to questions run longer than the per-stage model limit
+const ANSWER_MAX_TOKENS = 1200;
+
+// Deep summary styles: what to write and how long it may run
+const DEEP_SUMMARY_PROMPTS = {
+  outline: {
+    maxTokens: 1500,
+    prompt: `Write a detailed outline of the document in markdown: a heading for each major part, with nested bullets for its key points, arguments, data and conclusions. Follow the document's own order and cover all of it, not just the beginning.`,
+  },
+  eli5: {
+    maxTokens: 500,
+    prompt: `Explain what the document says as if to a curious 10-year-old: two or three short paragraphs of plain words, with an everyday analogy where it helps. No jargon; if a technical term is unavoidable, explain it.`,
+  },
+  brief: {
+    maxTokens: 600,
+    prompt: `Write a brief of the document as 5-8 bullet points ("- "), most important first. Each bullet is one sentence with a concrete point, finding or recommendation, not a description of the document.`,
+  },
+  tweet: {
+    maxTokens: 150,
+    prompt: `Write one tweet (at most 280 characters) that gets across the document's single most interesting point. No hashtags, no emojis, no links.`,
+  },
+};
+
+// How answers grounded in numbered sources cite them
+const CITATION_INSTRUCTIONS = `Cite every claim with the number of the source it comes from in square brackets, e.g. "Postgres uses MVCC [2]." or "[1][3]" for several.
+If the sources don't answer the question, say so briefly instead of guessing. Don't cite sources you didn't use.
+Answer in a few short paragraphs or a short list. Use plain text or simple markdown.`;
+
 // Cache the current model (refreshed when settings change)
 const currentModelConfig = new Map();
 
@@ -56,9 +92,14 @@ export function isConfigured() {
  * @param {string} operation - Operation name for usage tracking
  * @param {string|null} captureId - Capture ID for usage tracking
  * @param {string|null} userId - User ID for usage tracking and model settings
+ * @param {Object} options - { maxTokens: override the model's limit, onToken: stream the
+ *   response and call this with each piece of text as it arrives, signal: AbortSignal,
+ *   history: earlier {role, content} turns, sent between the system and user prompts }
  * @returns {Promise<{content: string, usage: {input: number, output: number}}>}
  */
-async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', captureId = null, userId = null) {
+async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', captureId = null, userId = null, options = {}) {
+  const { maxTokens = null, onToken = null, signal = null, history = [] } = options;
+
   if (!isConfigured()) {
     throw new Error('OpenRouter API key not configured');
   }
@@ -78,11 +119,14 @@ async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', c
       model: modelConfig.id,
       messages: [
         { role: 'system', content: systemPrompt },
+        ...history,
         { role: 'user', content: userPrompt },
       ],
-      max_tokens: modelConfig.maxTokens || 500,
+      max_tokens: maxTokens || modelConfig.maxTokens || 500,
       temperature: modelConfig.temperature || 0.3,
+      ...(onToken ? { stream: true, stream_options: { include_usage: true } } : {}),
     }),
+    signal,
   });
 
   if (!response.ok) {
@@ -90,7 +134,7 @@ async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', c
     throw new Error(`OpenRouter error: ${response.status} - ${error}`);
   }
 
-  const data = await response.json();
+  const data = onToken ? await readStream(response, onToken) : await response.json();
 
   // Extract usage from response
   const usage = {
@@ -115,6 +159,54 @@ async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', c
   };
 }
 
+/**
+ * Read a streamed (server-sent events) completion
+ * Returns it in the shape of a non-streamed response.
+ */
+async function readStream(response, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      // Other lines are blank separators or keep-alive comments
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') continue;
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+
+      if (event.error) {
+        throw new Error(`OpenRouter error: ${event.error.message || JSON.stringify(event.error)}`);
+      }
+
+      const token = event.choices?.[0]?.delta?.content;
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+
+      if (event.usage) {
+        usage = event.usage;
+      }
+    }
+  }
+
+  return { choices: [{ message: { content } }], usage };
+}
+
 /**
  * Summarize content into 2-3 sentences
  * @param {string} title - Page title
@@ -123,7 +215,7 @@ async function callOpenRouter(systemPrompt, userPrompt, operation = 'unknown', c
  * @returns {Promise<string>} - Summary
  */
 export async function summarize(title, content, captureId = null, userId = null) {
-  const systemPrompt = `You are a concise summarizer. Create a 2-3 sentence summary that captures the key points and value of the content. Focus on what makes this content useful or interesting. Return plain text only - do not use markdown formatting, headers, or bullet points.`;
+  const systemPrompt = `You are a concise summarizer. Create a 2-3 sentence summary that captures the key points and value of the content. Focus on what makes this content useful or interesting. If the content starts with passages the reader highlighted, make sure the summary covers what they found important. Return plain text only - do not use markdown formatting, headers, or bullet points.`;
 
   const userPrompt = `Title: ${title}
 
@@ -232,13 +324,15 @@ Rate this content:`;
  * @param {string} title - Page title
  * @param {string} content - Page content
  * @param {string|null} captureId - Capture ID for usage tracking
+ * @param {Object} options - { timestamps: prefix takeaways with [m:ss] transcript timestamps }
  * @returns {Promise<{takeaways: string[], actions: string[]}>}
  */
-export async function extractInsights(title, content, captureId = null, userId = null) {
+export async function extractInsights(title, content, captureId = null, userId = null, options = {}) {
   const systemPrompt = `Extract key insights from this content. Return JSON only:
 {"takeaways": ["3-5 key points"], "actions": ["0-3 actionable items if any"]}
 Keep each point concise (under 100 chars). Focus on unique/valuable insights.
-If no clear action items, return empty actions array.`;
+If no clear action items, return empty actions array.
+If the content starts with passages the reader highlighted, give them and the reader's notes extra weight.${options.timestamps ? `${TIMESTAMP_INSTRUCTION} Only takeaways get timestamps.` : ''}`;
 
   const userPrompt = `Title: ${title}
 
@@ -304,6 +398,133 @@ Generate a clean title:`;
   return cleanTitle;
 }
 
+/**
+ * Condense a long document into section notes that fit in a single prompt
+ * Map step over chunks: each chunk becomes short notes labelled with its pages,
+ * so summaries and insights cover the whole document, not just its first pages
+ * @param {string} title - Document title
+ * @param {Array<{text: string, page_start: number|null, page_end: number|null}>} chunks - Ordered content chunks
+ * @param {string|null} captureId - Capture ID for usage tracking
+ * @param {Object} options - { timestamps: keep [m:ss] transcript markers in the notes,
+ *   length: characters of notes for the whole document (default: what one prompt reads) }
+ * @returns {Promise<string>} - Notes for all chunks, in document order
+ */
+export async function condenseChunks(title, chunks, captureId = null, userId = null, options = {}) {
+  const budget = Math.max(300, Math.floor((options.length || CONDENSED_CONTENT_LENGTH) / chunks.length));
+
+  const systemPrompt = `You take notes on one section of a longer document. List the section's key points, findings, and concrete recommendations as short plain-text sentences, one per line. Use at most ${Math.round(budget / 6)} words. No preamble.${options.timestamps ? TIMESTAMP_INSTRUCTION : ''}`;
+
+  const condense = async (chunk, index) => {
+    const label = chunk.page_start
+      ? (chunk.page_end && chunk.page_end !== chunk.page_start ? `[Pages ${chunk.page_start}-${chunk.page_end}]` : `[Page ${chunk.page_start}]`)
+      : `[Part ${index + 1} of ${chunks.length}]`;
+
+    const userPrompt = `Document: ${title}
+Section: ${label}
+
+${chunk.text}
+
+Notes:`;
+
+    const response = await callOpenRouter(systemPrompt, userPrompt, 'condense', captureId, userId);
+    return `${label}\n${response.content.trim().slice(0, budget)}`;
+  };
+
+  const notes = [];
+  for (let i = 0; i < chunks.length; i += CONDENSE_CONCURRENCY) {
+    const batch = chunks.slice(i, i + CONDENSE_CONCURRENCY);
+    notes.push(...await Promise.all(batch.map((chunk, offset) => condense(chunk, i + offset))));
+  }
+
+  return notes.join('\n\n');
+}
+
+/**
+ * Identify the themes running through a set of captures (for digests)
+ * @param {Array<{title: string, summary: string|null}>} captures - Captures to look across
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @returns {Promise<Array<{name: string, description: string, items: number[]}>>} - items are indexes into captures
+ */
+export async function identifyThemes(captures, userId = null) {
+  const systemPrompt = `You find the themes running through a reader's recent captures. Return JSON only:
+{"themes": [{"name": "2-4 word theme", "description": "one sentence on what the captures say about it", "items": [capture numbers]}]}
+Return 1-5 themes, each covering at least 2 captures. Skip captures that fit no theme.`;
+
+  const list = captures
+    .slice(0, 60)
+    .map((capture, index) => `${index + 1}. ${capture.title}${capture.summary ? ` - ${capture.summary.slice(0, 200)}` : ''}`)
+    .join('\n');
+
+  const userPrompt = `Captures:
+${list}
+
+Identify the themes:`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'digest', null, userId);
+
+  try {
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      return (Array.isArray(parsed.themes) ? parsed.themes : [])
+        .filter(theme => typeof theme?.name === 'string' && theme.name.trim())
+        .slice(0, 5)
+        .map(theme => ({
+          name: theme.name.trim(),
+          description: typeof theme.description === 'string' ? theme.description.trim() : '',
+          items: (Array.isArray(theme.items) ? theme.items : [])
+            .map(n => parseInt(n) - 1)
+            .filter(index => index >= 0 && index < Math.min(captures.length, 60)),
+        }));
+    }
+    throw new Error('No JSON found in response');
+  } catch (e) {
+    console.error('[AI] Failed to parse themes:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Name and describe a collection of related captures
+ * @param {Array<{title: string, summary: string|null}>} captures - The collection's most central captures
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @returns {Promise<{name: string, description: string}|null>} - null when the response can't be parsed
+ */
+export async function nameCollection(captures, userId = null) {
+  const systemPrompt = `You name collections of saved web pages. Given the pages in a collection, return JSON only:
+{"name": "2-5 word topic name", "description": "one sentence on what the collection covers"}
+Name the specific topic the pages share (e.g. "Postgres Query Tuning"), not a broad field (e.g. "Technology").`;
+
+  const list = captures
+    .slice(0, 20)
+    .map((capture, index) => `${index + 1}. ${capture.title}${capture.summary ? ` - ${capture.summary.slice(0, 160)}` : ''}`)
+    .join('\n');
+
+  const userPrompt = `Pages in the collection:
+${list}
+
+Name the collection:`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'collection', null, userId);
+
+  try {
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (typeof parsed.name === 'string' && parsed.name.trim()) {
+        return {
+          name: parsed.name.trim().slice(0, 80),
+          description: typeof parsed.description === 'string' ? parsed.description.trim() : '',
+        };
+      }
+    }
+    throw new Error('No name found in response');
+  } catch (e) {
+    console.error('[AI] Failed to parse collection name:', e.message);
+    return null;
+  }
+}
+
 /**
  * Process content through all AI steps
  * @param {string} title - Page title
@@ -331,3 +552,142 @@ export async function processContent(title, content, captureId = null, userId =
     displayTitle,
   };
 }
+
+/**
+ * Answer a question from passages of the user's captures, citing them
+ * Sources are numbered from 1 and cited inline as [n].
+ * @param {string} question - The user's question
+ * @param {Array<{title: string, url: string, passage: string, location: string|null}>} sources - Retrieved passages, best first
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @param {Object} options - { onToken: stream the answer, signal: AbortSignal }
+ * @returns {Promise<string>} - The answer, with [n] citations
+ */
+export async function answerQuestion(question, sources, userId = null, options = {}) {
+  const systemPrompt = `You answer questions using only the user's saved web pages, given as numbered sources.
+${CITATION_INSTRUCTIONS}`;
+
+  const userPrompt = `Sources:
+${formatSources(sources)}
+
+Question: ${question}
+
+Answer:`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'ask', null, userId, {
+    maxTokens: ANSWER_MAX_TOKENS,
+    onToken: options.onToken || null,
+    signal: options.signal || null,
+  });
+  return response.content.trim();
+}
+
+/**
+ * Reply to the next message of a conversation about the user's captures
+ * Each turn gets its own numbered sources; earlier turns are sent as history
+ * with their citations removed, since their numbers referred to other sources.
+ * @param {string} message - The user's new message
+ * @param {Array<{title: string, url: string, passage: string, location: string|null, pinned?: boolean}>} sources - Pinned and retrieved passages
+ * @param {Array<{role: string, content: string}>} history - Earlier messages, oldest first
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @param {Object} options - { onToken: stream the reply, signal: AbortSignal }
+ * @returns {Promise<string>} - The reply, with [n] citations
+ */
+export async function chatReply(message, sources, history, userId = null, options = {}) {
+  const systemPrompt = `You are chatting with the user about their saved web pages. Each message comes with numbered sources from their pages; sources marked (pinned) are pages the user chose for this conversation, so give them priority.
+Use earlier messages for context (e.g. what "they" or "the second one" refers to), but take facts only from the current sources.
+${CITATION_INSTRUCTIONS}`;
+
+  const userPrompt = `Sources:
+${formatSources(sources)}
+
+Message: ${message}`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'chat', null, userId, {
+    maxTokens: ANSWER_MAX_TOKENS,
+    onToken: options.onToken || null,
+    signal: options.signal || null,
+    history: history.map(turn => ({
+      role: turn.role,
+      content: turn.role === 'assistant' ? stripCitations(turn.content) : turn.content,
+    })),
+  });
+  return response.content.trim();
+}
+
+/**
+ * Remove [n] citations, e.g. from earlier answers whose numbers referred to other sources
+ */
+function stripCitations(text) {
+  return text.replace(/\s*\[\d+(?:\s*,\s*\d+)*\]/g, '');
+}
+
+function formatSources(sources) {
+  return sources
+    .map((source, index) => `[${index + 1}] ${source.title}${source.pinned ? ' (pinned)' : ''}${source.location ? ` (${source.location})` : ''}
+URL: ${source.url}
+${source.passage}`)
+    .join('\n\n');
+}
+
+/**
+ * Summarize a whole document in one of the deep summary styles (reduce step)
+ * @param {string} title - Document title
+ * @param {string} text - The document, or its section notes when it is long
+ * @param {string} style - outline, eli5, brief or tweet
+ * @param {string|null} captureId - Capture ID for usage tracking
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @param {Object} options - { fromNotes: text is section notes rather than the document }
+ * @returns {Promise<string>} - The summary
+ */
+export async function deepSummarize(title, text, style, captureId = null, userId = null, options = {}) {
+  const { prompt, maxTokens } = DEEP_SUMMARY_PROMPTS[style];
+
+  const systemPrompt = `You summarize documents the user saved. ${prompt}
+${options.fromNotes ? 'You are given notes on each section of the document, in order, instead of its full text. ' : ''}Use only what the document says. No preamble.`;
+
+  const userPrompt = `Document: ${title}
+
+${options.fromNotes ? 'Section notes' : 'Content'}:
+${text}`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'deep_summary', captureId, userId, { maxTokens });
+  const summary = response.content.trim();
+  return style === 'tweet' ? summary.replace(/^"|"$/g, '').slice(0, 280) : summary;
+}
+
+/**
+ * Answer a question about one capture from passages of its content
+ * Passages are numbered from 1 and cited inline as [n].
+ * @param {string} question - The user's question
+ * @param {Object} capture - { title, url }
+ * @param {Array<{text: string, location: string|null}>} passages - Passages of the capture, in document order
+ * @param {Array<{role: string, content: string}>} history - Earlier questions and answers about the capture, oldest first
+ * @param {string|null} captureId - Capture ID for usage tracking
+ * @param {string|null} userId - User ID for usage tracking and model settings
+ * @param {Object} options - { onToken: stream the answer, signal: AbortSignal }
+ * @returns {Promise<string>} - The answer, with [n] citations
+ */
+export async function answerAboutCapture(question, capture, passages, history, captureId = null, userId = null, options = {}) {
+  const systemPrompt = `You answer questions about one document the user saved, using only the numbered passages from it that you are given.
+Use earlier messages for context, but take facts only from the current passages.
+${CITATION_INSTRUCTIONS}`;
+
+  const userPrompt = `Document: ${capture.title}
+URL: ${capture.url}
+
+Passages:
+${passages.map((passage, index) => `[${index + 1}]${passage.location ? ` (${passage.location})` : ''}\n${passage.text}`).join('\n\n')}
+
+Question: ${question}`;
+
+  const response = await callOpenRouter(systemPrompt, userPrompt, 'ask', captureId, userId, {
+    maxTokens: ANSWER_MAX_TOKENS,
+    onToken: options.onToken || null,
+    signal: options.signal || null,
+    history: history.map(turn => ({
+      role: turn.role,
+      content: turn.role === 'assistant' ? stripCitations(turn.content) : turn.content,
+    })),
+  });
+  return response.content.trim();
+}
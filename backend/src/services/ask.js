@@ -0,0 +1,331 @@
+// Ask Service
+// Answers questions about the user's captures (retrieval-augmented generation):
+// the closest captures and passages are found with search_captures, and the AI
+// answers from them with numbered citations
+
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isAiConfigured, answerQuestion, answerAboutCapture } from './ai.js';
+import { isConfigured as isEmbeddingsConfigured, generateQueryEmbedding, formatForPgVector } from './embeddings.js';
+import { getCaptureChunks } from './chunks.js';
+import { formatTimestamp } from './youtube.js';
+
+const MAX_QUESTION_LENGTH = 2000;
+
+// Captures retrieved per question, and how close they must be
+const DEFAULT_SOURCES = 8;
+const MAX_SOURCES = 15;
+const MATCH_THRESHOLD = 0.3;
+
+// Characters of each capture given to the AI
+const MAX_PASSAGE_LENGTH = 2000;
+
+// Questions about one capture: short content is read whole, long content
+// through its passages closest to the question
+const WHOLE_CAPTURE_LENGTH = 12000;
+const CAPTURE_PASSAGES = 8;
+
+// Earlier turns of a conversation about one capture sent along (kept by the
+// client), and the longest answer accepted in them
+const MAX_HISTORY_TURNS = 10;
+const MAX_HISTORY_ANSWER_LENGTH = 6000;
+
+// Citations like [2] or [1, 3]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Find the captures and passages most relevant to a question
+ * Each source is a capture's best-matching chunk (or its summary and
+ * takeaways when no chunk matched), best first.
+ * @param {string} question - The question
+ * @param {Object} options - { limit, source: only captures from this platform }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Array<{capture_id: string, url: string, title: string, passage: string, location: string|null, chunk_index: number|null, page_start: number|null, page_end: number|null, start_seconds: number|null, similarity: number}>>}
+ */
+export async function retrieveSources(question, { limit = DEFAULT_SOURCES, source = null } = {}, userId = null) {
+  const queryEmbedding = await generateQueryEmbedding(question);
+
+  const { data, error } = await supabase.rpc('search_captures', {
+    query_embedding: formatForPgVector(queryEmbedding),
+    match_threshold: MATCH_THRESHOLD,
+    match_count: Math.min(Math.max(limit, 1), MAX_SOURCES),
+    filter_user_id: userId || null,
+    filter_source: source || null,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(row => ({
+    capture_id: row.id,
+    url: row.url,
+    title: row.display_title || row.title || row.url,
+    passage: getPassage(row),
+    location: row.matched_chunk
+      ? describeLocation({ page_start: row.matched_page_start, page_end: row.matched_page_end, start_seconds: row.matched_start_seconds })
+      : null,
+    chunk_index: row.matched_chunk ? row.matched_chunk_index : null,
+    page_start: row.matched_chunk ? row.matched_page_start : null,
+    page_end: row.matched_chunk ? row.matched_page_end : null,
+    start_seconds: row.matched_chunk ? row.matched_start_seconds : null,
+    similarity: row.similarity,
+  }));
+}
+
+/**
+ * Answer a question from the user's captures
+ * With onSources and onToken the retrieved sources and the answer's text are
+ * handed over as soon as they are available (for streaming).
+ * @param {string} question - The question
+ * @param {Object} options - { limit, source, onSources, onToken, signal }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, answer?: string, citations?: Array, sources?: Array, error?: string}>}
+ */
+export async function askVault(question, { limit = DEFAULT_SOURCES, source = null, onSources = null, onToken = null, signal = null } = {}, userId = null) {
+  const invalid = validateQuestion(question);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (!isAiConfigured() || !isEmbeddingsConfigured()) {
+    return { success: false, error: 'AI not configured' };
+  }
+
+  try {
+    const sources = await retrieveSources(question.trim(), { limit, source }, userId);
+    const numbered = sources.map((item, index) => ({ n: index + 1, ...item }));
+    onSources?.(numbered.map(({ passage, ...item }) => item));
+
+    if (sources.length === 0) {
+      const answer = "I couldn't find anything in your captures about that.";
+      onToken?.(answer);
+      return { success: true, answer, citations: [], sources: [] };
+    }
+
+    const answer = await answerQuestion(question.trim(), sources, userId, { onToken, signal });
+    const citations = extractCitations(answer, numbered);
+
+    console.log(`[Ask] Answered from ${sources.length} sources, ${citations.length} cited`);
+    return {
+      success: true,
+      answer,
+      citations,
+      sources: numbered.map(({ passage, ...item }) => item),
+    };
+  } catch (err) {
+    console.error('[Ask] Failed to answer:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Answer a question about one capture from its full content ("chat with this page")
+ * Passages are numbered and cited as [n]; each citation says where in the
+ * capture it points (page, timestamp or part). The conversation is kept by the
+ * client, which sends the earlier turns as history.
+ * @param {string} captureId - Capture ID
+ * @param {string} question - The question
+ * @param {Object} options - { history: earlier [{role: user|assistant, content}], onToken, signal }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, answer?: string, citations?: Array, error?: string}>}
+ */
+export async function askCapture(captureId, question, { history = [], onToken = null, signal = null } = {}, userId = null) {
+  const invalid = validateQuestion(question) || validateHistory(history);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (!isAiConfigured()) {
+    return { success: false, error: 'AI not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('captures')
+      .select('id, user_id, url, title, display_title, content, summary')
+      .eq('id', captureId);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: capture, error } = await query.maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!capture) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const passages = (await getCapturePassages(capture, question.trim()))
+      .map((passage, index) => ({ n: index + 1, ...passage, location: describeLocation(passage) || `part ${passage.chunk_index + 1}` }));
+
+    if (passages.length === 0) {
+      return { success: false, error: 'Capture has no content to answer from' };
+    }
+
+    const answer = await answerAboutCapture(
+      question.trim(),
+      { title: capture.display_title || capture.title || capture.url, url: capture.url },
+      passages,
+      history.slice(-MAX_HISTORY_TURNS),
+      capture.id,
+      capture.user_id || null,
+      { onToken, signal }
+    );
+
+    const citations = extractCitations(answer, passages).map(({ text, ...passage }) => ({
+      ...passage,
+      excerpt: text.replace(/\s+/g, ' ').trim().slice(0, 200),
+    }));
+
+    console.log(`[Ask] Answered about ${capture.id} from ${passages.length} passages, ${citations.length} cited`);
+    return { success: true, answer, citations };
+  } catch (err) {
+    console.error('[Ask] Failed to answer about capture:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Check a question (or chat message) before answering it
+ * @param {*} question - The question from the request
+ * @param {string} field - Name of the field in error messages
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateQuestion(question, field = 'question') {
+  if (typeof question !== 'string' || !question.trim()) {
+    return `${field} is required`;
+  }
+
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return `${field} must be at most ${MAX_QUESTION_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * The sources an answer cites, in order of first citation
+ * @param {string} answer - Answer with [n] citations
+ * @param {Array<{n: number}>} sources - Numbered sources the answer was given
+ * @returns {Array} - Cited sources (without their passages)
+ */
+export function extractCitations(answer, sources) {
+  const cited = new Set();
+
+  for (const match of answer.matchAll(CITATION_PATTERN)) {
+    for (const n of match[1].split(',')) {
+      cited.add(parseInt(n));
+    }
+  }
+
+  return [...cited]
+    .map(n => sources.find(item => item.n === n))
+    .filter(Boolean)
+    .map(({ passage, ...item }) => item);
+}
+
+/**
+ * Passages of a capture to answer from, in document order
+ * Short content is used whole. Long content uses its indexed chunks closest to
+ * the question, or the chunks sharing the most words with it when the capture
+ * has no chunk embeddings (or embeddings aren't configured).
+ */
+async function getCapturePassages(capture, question) {
+  const chunks = getCaptureChunks(capture.content || capture.summary || '');
+
+  if ((capture.content || '').length <= WHOLE_CAPTURE_LENGTH) {
+    return chunks.map(toPassage);
+  }
+
+  if (isEmbeddingsConfigured()) {
+    const queryEmbedding = await generateQueryEmbedding(question);
+    const { data, error } = await supabase.rpc('match_capture_chunks', {
+      target_capture_id: capture.id,
+      query_embedding: formatForPgVector(queryEmbedding),
+      match_count: CAPTURE_PASSAGES,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (data?.length > 0) {
+      return data
+        .sort((a, b) => a.chunk_index - b.chunk_index)
+        .map(chunk => toPassage({ ...chunk, index: chunk.chunk_index, text: chunk.content }));
+    }
+  }
+
+  const words = [...new Set(question.toLowerCase().match(/[a-z0-9]{4,}/g) || [])];
+  return chunks
+    .map(chunk => {
+      const text = chunk.text.toLowerCase();
+      return { chunk, score: words.filter(word => text.includes(word)).length };
+    })
+    .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)
+    .slice(0, CAPTURE_PASSAGES)
+    .sort((a, b) => a.chunk.index - b.chunk.index)
+    .map(({ chunk }) => toPassage(chunk));
+}
+
+function toPassage(chunk) {
+  return {
+    chunk_index: chunk.index,
+    text: chunk.text,
+    page_start: chunk.page_start,
+    page_end: chunk.page_end,
+    start_seconds: chunk.start_seconds,
+  };
+}
+
+function validateHistory(history) {
+  if (!Array.isArray(history) || history.some(turn => !['user', 'assistant'].includes(turn?.role) || typeof turn.content !== 'string')) {
+    return 'history must be an array of { role: user|assistant, content }';
+  }
+
+  // Only the turns sent along are checked; older ones are dropped anyway
+  for (const turn of history.slice(-MAX_HISTORY_TURNS)) {
+    const maxLength = turn.role === 'user' ? MAX_QUESTION_LENGTH : MAX_HISTORY_ANSWER_LENGTH;
+    if (turn.content.length > maxLength) {
+      return `history ${turn.role} turns must be at most ${maxLength} characters`;
+    }
+  }
+
+  return null;
+}
+
+function getPassage(row) {
+  if (row.matched_chunk) {
+    return row.matched_chunk.slice(0, MAX_PASSAGE_LENGTH);
+  }
+
+  const takeaways = (row.key_takeaways || []).map(takeaway => `- ${takeaway}`).join('\n');
+  return [row.summary, takeaways].filter(Boolean).join('\n').slice(0, MAX_PASSAGE_LENGTH) || row.title || '';
+}
+
+/**
+ * Where in the capture a passage is: its pages or its video timestamp
+ */
+function describeLocation({ page_start: pageStart, page_end: pageEnd, start_seconds: startSeconds }) {
+  if (pageStart) {
+    return pageEnd && pageEnd !== pageStart ? `pages ${pageStart}-${pageEnd}` : `page ${pageStart}`;
+  }
+
+  if (startSeconds !== null && startSeconds !== undefined) {
+    return `at ${formatTimestamp(startSeconds)}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,728 @@
+// Backfill Service
+// Re-enriches existing captures (embeddings, titles, insights, ...) as tracked,
+// resumable background runs executed through the job queue
+
+import { supabase, isConfigured } from './supabase.js';
+import { scrapeUrl, isScrapeable, extractAuthor } from './scraper.js';
+import { generateDisplayTitle, extractInsights, score, isConfigured as isAiConfigured } from './ai.js';
+import { generateCaptureEmbedding, formatForPgVector, isConfigured as isEmbeddingsConfigured } from './embeddings.js';
+import { indexCaptureChunks } from './chunks.js';
+import { detectSourcePlatform } from './sourceDetector.js';
+import { extractImageUrl, storeImage } from './imageStorage.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { canonicalizeUrl } from './canonicalUrl.js';
+import { findDuplicate } from './duplicates.js';
+import { omitEditedFields } from './captureEdits.js';
+import { syncActionItems } from './actionItems.js';
+import { startClustering } from './collections.js';
+
+export const BACKFILL_JOB = 'backfill';
+
+const BATCH_SIZE = 25;
+const MAX_CONCURRENCY = 10;
+const MAX_RECORDED_ERRORS = 20;
+
+/**
+ * Backfill operations
+ * - columns: capture columns the operation reads
+ * - missing: filter selecting captures that lack the field (mode=missing)
+ * - stage: pipeline stage to mark completed after a successful backfill
+ * - edits: user-editable fields the operation writes; captures where the user
+ *   edited all of them are skipped, and edited fields are never overwritten
+ * - run: async (capture) => updates object, or null to skip the capture
+ * - onComplete: optional async (run) => void, called when a run that processed captures completes
+ */
+const OPERATIONS = {
+  embeddings: {
+    description: 'Generate vector embeddings for semantic search',
+    columns: 'title, summary, category, tags, content',
+    missing: query => query.is('embedding', null),
+    stage: 'embedding',
+    concurrency: 5,
+    unavailable: () => (isEmbeddingsConfigured() ? null : 'Embeddings not configured'),
+    run: async (capture) => {
+      const embedding = await generateCaptureEmbedding(capture);
+      const chunkCount = await indexCaptureChunks(capture);
+      return { embedding: formatForPgVector(embedding), chunk_count: chunkCount };
+    },
+    // Re-cluster collections once over the new embeddings, rather than per capture
+    onComplete: run => startClustering(run.user_id || null),
+  },
+  chunks: {
+    description: 'Split content into chunks with their own embeddings for passage search',
+    columns: 'title, content',
+    missing: query => query.is('chunk_count', null),
+    stage: 'embedding',
+    concurrency: 3,
+    unavailable: () => (isEmbeddingsConfigured() ? null : 'Embeddings not configured'),
+    run: async (capture) => ({ chunk_count: await indexCaptureChunks(capture) }),
+  },
+  titles: {
+    description: 'Generate clean display titles',
+    columns: 'title, content',
+    missing: query => query.is('display_title', null),
+    edits: ['display_title'],
+    concurrency: 3,
+    unavailable: () => (isAiConfigured() ? null : 'AI not configured'),
+    run: async (capture) => {
+      const displayTitle = await generateDisplayTitle(
+        capture.title || '',
+        capture.content || '',
+        capture.id,
+        capture.user_id || null
+      );
+      return { display_title: displayTitle };
+    },
+  },
+  insights: {
+    description: 'Extract key takeaways and action items',
+    columns: 'title, url, content, content_type',
+    missing: query => query.is('key_takeaways', null),
+    stage: 'insights',
+    edits: ['key_takeaways', 'action_items'],
+    concurrency: 3,
+    unavailable: () => (isAiConfigured() ? null : 'AI not configured'),
+    run: async (capture) => {
+      if (!capture.content && !capture.title) return null;
+
+      const insights = await extractInsights(
+        capture.title || capture.url,
+        capture.content || capture.title || '',
+        capture.id,
+        capture.user_id || null,
+        { timestamps: capture.content_type === 'transcript' }
+      );
+      return { key_takeaways: insights.takeaways, action_items: insights.actions };
+    },
+  },
+  authors: {
+    description: 'Extract author names from page metadata',
+    columns: 'url',
+    missing: query => query.is('author_name', null),
+    concurrency: 2,
+    run: async (capture) => {
+      let html = '';
+      if (isScrapeable(capture.url)) {
+        const scrapeResult = await scrapeUrl(capture.url);
+        html = scrapeResult.html || '';
+      }
+
+      const authorName = extractAuthor(html, capture.url);
+      return authorName ? { author_name: authorName } : null;
+    },
+  },
+  images: {
+    description: 'Extract and store preview images',
+    columns: 'url',
+    missing: query => query.is('image_url', null),
+    stage: 'image',
+    concurrency: 2,
+    unavailable: () => (isConfigured() ? null : 'Supabase not configured'),
+    run: async (capture) => {
+      let html = '';
+      if (isScrapeable(capture.url)) {
+        const scrapeResult = await scrapeUrl(capture.url);
+        html = scrapeResult.html || '';
+      }
+
+      const sourceImageUrl = await extractImageUrl(capture.url, html);
+      if (!sourceImageUrl) return null;
+
+      const imageResult = await storeImage(sourceImageUrl, capture.id);
+      if (!imageResult.success) {
+        throw new Error(imageResult.error || 'Image storage failed');
+      }
+      return { image_url: imageResult.url };
+    },
+  },
+  duplicates: {
+    description: 'Record canonical URLs and flag duplicates of earlier captures',
+    columns: 'url, canonical_url, embedding, duplicate_dismissed',
+    missing: query => query.is('canonical_url', null),
+    stage: 'dedupe',
+    // One at a time, so each capture is compared with the earlier ones already canonicalized
+    concurrency: 1,
+    run: async (capture) => {
+      // Keep canonical URLs taken from a page's rel=canonical during processing
+      const canonicalUrl = capture.canonical_url || canonicalizeUrl(capture.url);
+      if (capture.duplicate_dismissed) {
+        return { canonical_url: canonicalUrl };
+      }
+
+      const match = await findDuplicate({ ...capture, canonical_url: canonicalUrl });
+      return {
+        canonical_url: canonicalUrl,
+        duplicate_of: match?.id || null,
+        duplicate_similarity: match?.similarity ?? null,
+      };
+    },
+  },
+  source_platform: {
+    description: 'Detect source platform from URL',
+    columns: 'url',
+    missing: query => query.is('source_platform', null),
+    concurrency: 10,
+    run: async (capture) => ({ source_platform: detectSourcePlatform(capture.url) }),
+  },
+  scores: {
+    description: 'Score quality and actionability from summaries',
+    columns: 'title, url, summary, category',
+    missing: query => query.is('quality_score', null),
+    concurrency: 3,
+    unavailable: () => (isAiConfigured() ? null : 'AI not configured'),
+    run: async (capture) => {
+      if (!capture.summary) return null;
+
+      const scores = await score(
+        capture.title || capture.url,
+        capture.summary,
+        capture.category || 'reference',
+        capture.id,
+        capture.user_id || null
+      );
+      return { quality_score: scores.quality, actionability_score: scores.actionability };
+    },
+  },
+};
+
+/**
+ * Get available backfill operations for display
+ * @returns {Array<{name: string, description: string, available: boolean, reason?: string}>}
+ */
+export function getOperations() {
+  return Object.entries(OPERATIONS).map(([name, op]) => {
+    const reason = op.unavailable?.() || null;
+    return {
+      name,
+      description: op.description,
+      available: !reason,
+      ...(reason ? { reason } : {}),
+    };
+  });
+}
+
+/**
+ * Build the capture query for a run (filters shared by counting and batching)
+ */
+function buildCaptureQuery(run, op, select, options = undefined) {
+  let query = supabase
+    .from('captures')
+    .select(select, options)
+    .eq('status', 'completed');
+
+  if (run.user_id) {
+    query = query.eq('user_id', run.user_id);
+  }
+
+  if (run.mode !== 'all') {
+    query = op.missing(query);
+  }
+
+  return query;
+}
+
+/**
+ * Fetch the next batch of captures after the run's cursor (keyset on created_at, id)
+ */
+async function fetchBatch(run, op, limit) {
+  let query = buildCaptureQuery(run, op, `id, user_id, created_at, pipeline_stages, edited_fields, ${op.columns}`);
+
+  if (run.cursor?.created_at && run.cursor?.id) {
+    const { created_at: createdAt, id } = run.cursor;
+    query = query.or(`created_at.gt.${createdAt},and(created_at.eq.${createdAt},id.gt.${id})`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch captures: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Run fn over items with at most `concurrency` in flight
+ * @returns {Promise<Array<{status: string, value?: any, reason?: Error}>>}
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Backfill a single capture
+ * @returns {Promise<'processed'|'skipped'>}
+ */
+async function backfillCapture(op, capture) {
+  const editedFields = capture.edited_fields || [];
+  if (op.edits?.every(field => editedFields.includes(field))) {
+    return 'skipped';
+  }
+
+  const result = await op.run(capture);
+  if (!result) {
+    return 'skipped';
+  }
+
+  const updates = omitEditedFields(result, editedFields);
+
+  if (op.stage) {
+    updates.pipeline_stages = {
+      ...(capture.pipeline_stages || {}),
+      [op.stage]: {
+        status: 'completed',
+        finished_at: new Date().toISOString(),
+        source: 'backfill',
+      },
+    };
+  }
+
+  const { error } = await supabase
+    .from('captures')
+    .update(updates)
+    .eq('id', capture.id);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (updates.action_items) {
+    await syncActionItems(capture.id, updates.action_items);
+  }
+
+  return 'processed';
+}
+
+/**
+ * Fetch a run row
+ */
+async function getRunRow(runId, userId = null) {
+  let query = supabase
+    .from('backfill_runs')
+    .select('*')
+    .eq('id', runId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a run only while it is still running under this job, so a concurrent
+ * pause/cancel (or a resume that handed the run to a new job) wins
+ * @returns {Promise<boolean>} - false if the run is no longer ours to update
+ */
+async function updateRunningRun(runId, jobId, updates) {
+  const { data, error } = await supabase
+    .from('backfill_runs')
+    .update(updates)
+    .eq('id', runId)
+    .eq('job_id', jobId)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Execute a backfill run until it finishes, is paused/cancelled, or hits max_items
+ * Progress and the cursor are saved after every batch, so a crashed run resumes
+ * where it left off when its job is reclaimed.
+ */
+async function executeRun(runId, jobId) {
+  // Claim the run for this job; a run resumed under a newer job is left alone
+  const { data: claimed, error: claimError } = await supabase
+    .from('backfill_runs')
+    .update({ job_id: jobId })
+    .eq('id', runId)
+    .eq('status', 'running')
+    .or(`job_id.is.null,job_id.eq.${jobId}`)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    console.log(`[Backfill] Run ${runId} is not running under job ${jobId}, nothing to do`);
+    return;
+  }
+
+  let run = await getRunRow(runId);
+
+  const op = OPERATIONS[run.operation];
+  const unavailable = op ? op.unavailable?.() : `Unknown operation: ${run.operation}`;
+  if (unavailable) {
+    await updateRunningRun(runId, jobId, {
+      status: 'failed',
+      last_error: unavailable,
+      finished_at: new Date().toISOString(),
+    });
+    return;
+  }
+
+  const concurrency = Math.min(Math.max(run.concurrency || op.concurrency, 1), MAX_CONCURRENCY);
+  let { processed, failed, skipped, cursor } = run;
+  let errors = Array.isArray(run.errors) ? run.errors : [];
+
+  console.log(`[Backfill] Running ${run.operation} (${run.mode}) run ${runId} from ${cursor ? 'cursor' : 'start'}, concurrency=${concurrency}`);
+
+  while (true) {
+    const handled = processed + failed + skipped;
+    if (run.max_items && handled >= run.max_items) {
+      break;
+    }
+
+    const batchLimit = run.max_items ? Math.min(BATCH_SIZE, run.max_items - handled) : BATCH_SIZE;
+    const batch = await fetchBatch({ ...run, cursor }, op, batchLimit);
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    const results = await mapWithConcurrency(batch, concurrency, capture => backfillCapture(op, capture));
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        if (result.value === 'skipped') {
+          skipped++;
+        } else {
+          processed++;
+        }
+      } else {
+        failed++;
+        errors = [
+          { capture_id: batch[index].id, error: result.reason?.message || String(result.reason) },
+          ...errors,
+        ].slice(0, MAX_RECORDED_ERRORS);
+        console.error(`[Backfill] ${run.operation} failed for ${batch[index].id}:`, result.reason?.message);
+      }
+    });
+
+    const last = batch[batch.length - 1];
+    cursor = { created_at: last.created_at, id: last.id };
+
+    const stillRunning = await updateRunningRun(runId, jobId, {
+      processed,
+      failed,
+      skipped,
+      cursor,
+      errors,
+      last_error: errors[0]?.error || null,
+    });
+
+    if (!stillRunning) {
+      // Paused or cancelled between batches: record progress and stop
+      await supabase
+        .from('backfill_runs')
+        .update({ processed, failed, skipped, cursor, errors })
+        .eq('id', runId)
+        .eq('job_id', jobId);
+
+      run = await getRunRow(runId);
+      console.log(`[Backfill] Run ${runId} ${run?.status || 'removed'} at ${processed + failed + skipped} items`);
+      return;
+    }
+  }
+
+  await updateRunningRun(runId, jobId, {
+    status: 'completed',
+    finished_at: new Date().toISOString(),
+  });
+
+  if (op.onComplete && processed > 0) {
+    await op.onComplete(run);
+  }
+
+  console.log(`[Backfill] Run ${runId} complete: ${processed} processed, ${failed} failed, ${skipped} skipped`);
+}
+
+registerJobHandler(BACKFILL_JOB, async (job) => {
+  await executeRun(job.payload?.runId, job.id);
+}, {
+  onDead: async (job, error) => {
+    if (!job.payload?.runId) return;
+
+    await supabase
+      .from('backfill_runs')
+      .update({
+        status: 'failed',
+        last_error: error.message,
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', job.payload.runId)
+      .eq('job_id', job.id)
+      .eq('status', 'running');
+  },
+});
+
+/**
+ * Enqueue the job that executes a run and link it to the run
+ */
+async function enqueueRun(run, userId) {
+  const jobResult = await enqueueJob(BACKFILL_JOB, {
+    userId,
+    payload: { runId: run.id },
+    maxAttempts: 3,
+  });
+
+  if (!jobResult.success) {
+    await supabase
+      .from('backfill_runs')
+      .update({ status: 'failed', last_error: jobResult.error, finished_at: new Date().toISOString() })
+      .eq('id', run.id);
+    return { success: false, error: `Failed to queue backfill: ${jobResult.error}` };
+  }
+
+  // The job may already have claimed the run; only fill in an unset job_id
+  await supabase
+    .from('backfill_runs')
+    .update({ job_id: jobResult.job.id })
+    .eq('id', run.id)
+    .is('job_id', null);
+
+  return { success: true };
+}
+
+/**
+ * Start a backfill run
+ * @param {string} operation - Operation name (see getOperations)
+ * @param {Object} options - { mode: 'missing'|'all', concurrency, maxItems }
+ * @returns {Promise<{success: boolean, run?: Object, error?: string, conflict?: boolean}>}
+ */
+export async function startBackfill(operation, { mode = 'missing', concurrency = null, maxItems = null } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const op = OPERATIONS[operation];
+  if (!op) {
+    return { success: false, error: `Unknown operation: ${operation}. Valid operations: ${Object.keys(OPERATIONS).join(', ')}` };
+  }
+
+  const unavailable = op.unavailable?.();
+  if (unavailable) {
+    return { success: false, error: unavailable };
+  }
+
+  if (!['missing', 'all'].includes(mode)) {
+    return { success: false, error: 'mode must be "missing" or "all"' };
+  }
+
+  try {
+    // One active run per operation at a time
+    let activeQuery = supabase
+      .from('backfill_runs')
+      .select('id, status')
+      .eq('operation', operation)
+      .in('status', ['running', 'paused']);
+
+    if (userId) {
+      activeQuery = activeQuery.eq('user_id', userId);
+    }
+
+    const { data: active } = await activeQuery.limit(1);
+
+    if (active && active.length > 0) {
+      return {
+        success: false,
+        conflict: true,
+        error: `A ${operation} backfill is already ${active[0].status} (run ${active[0].id})`,
+      };
+    }
+
+    const run = {
+      operation,
+      mode,
+      concurrency: Math.min(Math.max(parseInt(concurrency) || op.concurrency, 1), MAX_CONCURRENCY),
+      max_items: parseInt(maxItems) || null,
+      user_id: userId,
+      status: 'running',
+    };
+
+    const { count } = await buildCaptureQuery(run, op, 'id', { count: 'exact', head: true });
+    run.total = run.max_items ? Math.min(count || 0, run.max_items) : (count || 0);
+
+    const { data: created, error } = await supabase
+      .from('backfill_runs')
+      .insert(run)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const queued = await enqueueRun(created, userId);
+    if (!queued.success) {
+      return queued;
+    }
+
+    console.log(`[Backfill] Started ${operation} (${mode}) run ${created.id}: ${run.total} captures`);
+    return { success: true, run: created };
+  } catch (err) {
+    console.error('[Backfill] Start failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a run with derived progress
+ * @returns {Promise<{success: boolean, run?: Object, error?: string}>}
+ */
+export async function getBackfill(runId, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const run = await getRunRow(runId, userId);
+    if (!run) {
+      return { success: false, error: 'Backfill run not found' };
+    }
+
+    return { success: true, run: withProgress(run) };
+  } catch (err) {
+    console.error('[Backfill] Get failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List recent runs
+ * @returns {Promise<{success: boolean, runs?: Array, error?: string}>}
+ */
+export async function listBackfills({ status = null, limit = 20 } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('backfill_runs')
+      .select('*');
+
+    if (status) query = query.eq('status', status);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, runs: (data || []).map(withProgress) };
+  } catch (err) {
+    console.error('[Backfill] List failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function withProgress(run) {
+  const handled = run.processed + run.failed + run.skipped;
+  return {
+    ...run,
+    progress: run.total > 0 ? Math.min(Math.round((handled / run.total) * 100), 100) : (run.status === 'completed' ? 100 : 0),
+  };
+}
+
+/**
+ * Pause, resume, or cancel a run
+ * Pause and cancel take effect after the current batch; resume re-queues the
+ * run and continues from its saved cursor.
+ * @param {string} runId - Run ID
+ * @param {'pause'|'resume'|'cancel'} action
+ * @returns {Promise<{success: boolean, run?: Object, error?: string}>}
+ */
+export async function controlBackfill(runId, action, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const transitions = {
+    pause: { from: ['running'], to: 'paused' },
+    resume: { from: ['paused'], to: 'running' },
+    cancel: { from: ['running', 'paused'], to: 'cancelled' },
+  };
+
+  const transition = transitions[action];
+  if (!transition) {
+    return { success: false, error: `Unknown action: ${action}` };
+  }
+
+  try {
+    const updates = { status: transition.to };
+    if (action === 'cancel') {
+      updates.finished_at = new Date().toISOString();
+    }
+    if (action === 'resume') {
+      // Hand the run to the job enqueued below; the previous job stops at its next batch
+      updates.job_id = null;
+    }
+
+    let query = supabase
+      .from('backfill_runs')
+      .update(updates)
+      .eq('id', runId)
+      .in('status', transition.from);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: run, error } = await query.select().maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!run) {
+      return { success: false, error: `Run not found or cannot ${action} from its current status` };
+    }
+
+    if (action === 'resume') {
+      const queued = await enqueueRun(run, userId);
+      if (!queued.success) {
+        return queued;
+      }
+    }
+
+    console.log(`[Backfill] Run ${runId} -> ${transition.to}`);
+    return { success: true, run: withProgress(run) };
+  } catch (err) {
+    console.error(`[Backfill] ${action} failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
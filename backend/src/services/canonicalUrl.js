@@ -0,0 +1,130 @@
+// Canonical URL Service
+// Reduces the URL variants a page is shared under (tracking params, AMP,
+// mobile hosts, fragments) to one form used for duplicate detection
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_hsenc', '_hsmi', 'mkt_tok', 'ref', 'ref_src', 'ref_url', 'cmpid', 's_cid', 'ncid', 'sr_share',
+  'oly_enc_id', 'oly_anon_id', 'vero_id', 'wickedid', 'spm', '__s', 'amp', 'outputtype',
+]);
+const TRACKING_PREFIXES = ['utm_', 'hsa_', 'pk_', 'mtm_', '_ga'];
+
+// Per-site parameters that don't change the content (share sources, video offsets)
+const SITE_PARAMS = {
+  'youtube.com': new Set(['si', 'feature', 'pp', 't', 'ab_channel']),
+  'twitter.com': new Set(['s', 't']),
+  'x.com': new Set(['s', 't']),
+};
+
+// Host labels that mark mobile or AMP editions (m.example.com, en.m.wikipedia.org)
+const EDITION_LABELS = new Set(['m', 'mobile', 'amp']);
+
+/**
+ * Canonicalize a URL for duplicate matching
+ * Non-HTTP URLs (chrome://, file://) and unparseable input are returned trimmed.
+ * @param {string} url - URL as captured
+ * @returns {string} - e.g. "https://example.com/post" for
+ *   "http://m.example.com/post/amp/?utm_source=x#comments"
+ */
+export function canonicalizeUrl(url) {
+  const input = (url || '').trim();
+
+  let parsed;
+  try {
+    parsed = new URL(unwrapAmpCache(input));
+  } catch (e) {
+    return input;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return input;
+  }
+
+  const host = normalizeHost(parsed.hostname);
+
+  // youtu.be/ID is the same video as youtube.com/watch?v=ID
+  if (host === 'youtu.be') {
+    const videoId = parsed.pathname.slice(1).split('/')[0];
+    if (videoId) {
+      parsed.searchParams.set('v', videoId);
+      return buildUrl('youtube.com', '/watch', parsed.searchParams, '');
+    }
+  }
+
+  return buildUrl(host, normalizePath(parsed.pathname), parsed.searchParams, parsed.hash);
+}
+
+/**
+ * Whether a canonical link is usable for a page
+ * Some sites point every page's rel=canonical at their home page, which would
+ * make all of their articles duplicates of each other.
+ * @param {string} canonicalLink - Canonical URL declared by the page
+ * @param {string} url - URL the page was captured from
+ * @returns {boolean}
+ */
+export function isUsableCanonicalLink(canonicalLink, url) {
+  try {
+    const link = new URL(canonicalLink);
+    const page = new URL(url);
+    if (link.protocol !== 'http:' && link.protocol !== 'https:') return false;
+    return normalizePath(link.pathname) !== '/' || normalizePath(page.pathname) === '/';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Rebuild a URL from canonical parts (https, sorted params)
+ */
+function buildUrl(host, path, searchParams, hash) {
+  const siteParams = SITE_PARAMS[host];
+  const params = [...searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name) && !siteParams?.has(name.toLowerCase()))
+    .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  // Fragments are in-page anchors, except client-side routes (#/path, #!path)
+  const fragment = /^#[!/]/.test(hash) ? hash : '';
+
+  return `https://${host}${path}${query}${fragment}`;
+}
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Drop www. and mobile/AMP edition labels, keeping at least a two-label host
+ */
+function normalizeHost(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (labels[0] === 'www' && labels.length > 2) labels.shift();
+
+  const kept = labels.filter((label, i) => i === labels.length - 1 || !EDITION_LABELS.has(label));
+  return (kept.length >= 2 ? kept : labels).join('.');
+}
+
+/**
+ * Strip AMP path variants (/amp, /amp/, .amp.html) and the trailing slash
+ */
+function normalizePath(pathname) {
+  const path = pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(\.html?)?$/i, (match, extension) => extension || '')
+    .replace(/\/{2,}/g, '/');
+
+  return path.length > 1 ? path.replace(/\/$/, '') : '/';
+}
+
+/**
+ * Unwrap AMP cache URLs to the page they serve
+ * google.com/amp/s/example.com/post and example-com.cdn.ampproject.org/c/s/example.com/post
+ */
+function unwrapAmpCache(url) {
+  const match = url.match(/^https?:\/\/(?:www\.google\.[a-z.]+\/amp\/|[^/]+\.cdn\.ampproject\.org\/[a-z]\/)(s\/)?(.+)$/i);
+  if (!match) return url;
+  return `${match[1] ? 'https' : 'http'}://${match[2]}`;
+}
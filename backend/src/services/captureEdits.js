@@ -0,0 +1,116 @@
+// Capture Edits Service
+// Manual edits to AI-generated capture fields. Edited fields are recorded in
+// edited_fields, and pipeline and backfill results leave them alone
+
+import { supabase } from './supabase.js';
+
+// Fields the AI fills in that the user can take over
+export const USER_EDITABLE_FIELDS = ['display_title', 'summary', 'key_takeaways', 'action_items', 'category', 'tags'];
+
+// Limits on edited values
+const MAX_TITLE_CHARS = 200;
+const MAX_SUMMARY_CHARS = 5000;
+const MAX_LIST_ITEMS = 20;
+const MAX_ITEM_CHARS = 500;
+const MAX_NOTES_CHARS = 100000;
+
+/**
+ * Validate an edit request body
+ * Edited AI fields are added to edited_fields; fields listed in resetEdits are
+ * handed back to the AI (their current value stays until the next reprocess).
+ * @param {Object} body - { display_title, summary, key_takeaways, action_items, category, tags, notes, resetEdits }
+ * @returns {{updates?: Object, edited?: string[], reset?: string[], error?: string}}
+ */
+export function parseCaptureEdits(body) {
+  const { display_title, summary, key_takeaways, action_items, category, tags, notes, resetEdits } = body || {};
+  const updates = {};
+
+  if (display_title !== undefined) {
+    if (typeof display_title !== 'string' || !display_title.trim()) {
+      return { error: 'display_title must be a non-empty string' };
+    }
+    updates.display_title = display_title.trim().slice(0, MAX_TITLE_CHARS);
+  }
+
+  if (summary !== undefined) {
+    if (typeof summary !== 'string') {
+      return { error: 'summary must be a string' };
+    }
+    updates.summary = summary.trim().slice(0, MAX_SUMMARY_CHARS) || null;
+  }
+
+  for (const [field, value] of [['key_takeaways', key_takeaways], ['action_items', action_items]]) {
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { error: `${field} must be an array of strings` };
+    }
+    updates[field] = value
+      .map(item => item.trim().slice(0, MAX_ITEM_CHARS))
+      .filter(Boolean)
+      .slice(0, MAX_LIST_ITEMS);
+  }
+
+  if (category !== undefined) {
+    updates.category = category;
+  }
+
+  if (tags !== undefined) {
+    // Ensure tags is an array
+    updates.tags = Array.isArray(tags) ? tags : [];
+  }
+
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== 'string') {
+      return { error: 'notes must be a string or null' };
+    }
+    updates.notes = notes?.trim() ? notes.slice(0, MAX_NOTES_CHARS) : null;
+  }
+
+  let reset = [];
+  if (resetEdits !== undefined) {
+    if (!Array.isArray(resetEdits) || resetEdits.some(field => !USER_EDITABLE_FIELDS.includes(field))) {
+      return { error: `resetEdits must list fields from: ${USER_EDITABLE_FIELDS.join(', ')}` };
+    }
+    reset = resetEdits;
+  }
+
+  if (Object.keys(updates).length === 0 && reset.length === 0) {
+    return { error: `No fields to update. Provide ${USER_EDITABLE_FIELDS.join(', ')}, notes or resetEdits.` };
+  }
+
+  const edited = USER_EDITABLE_FIELDS.filter(field => field in updates);
+  return { updates, edited, reset };
+}
+
+/**
+ * Drop user-edited fields from AI results before they are saved
+ * @param {Object} updates - Fields about to be written
+ * @param {string[]|null} editedFields - The capture's edited_fields
+ * @returns {Object} - Updates without the edited fields
+ */
+export function omitEditedFields(updates, editedFields) {
+  if (!editedFields || editedFields.length === 0) return updates;
+
+  return Object.fromEntries(Object.entries(updates).filter(([field]) => !editedFields.includes(field)));
+}
+
+/**
+ * Read a capture's current edited_fields
+ * Read just before saving AI results, so edits made while a capture was being
+ * processed are kept too.
+ * @param {string} captureId - Capture ID
+ * @returns {Promise<string[]>}
+ */
+export async function getEditedFields(captureId) {
+  const { data, error } = await supabase
+    .from('captures')
+    .select('edited_fields')
+    .eq('id', captureId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read edited fields: ${error.message}`);
+  }
+
+  return data?.edited_fields || [];
+}
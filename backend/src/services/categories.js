@@ -58,6 +58,27 @@ export async function getCategories(userId = null) {
   }
 }
 
+/**
+ * Count captures per category (uncategorized captures count as reference)
+ * @returns {Promise<Object>} Map of lowercase category name to capture count
+ */
+export async function getCategoryCounts(userId = null) {
+  if (!isConfigured()) {
+    return {};
+  }
+
+  const { data, error } = await supabase.rpc('get_category_counts', {
+    filter_user_id: userId || null,
+  });
+
+  if (error) {
+    console.error('[Categories] Failed to count captures:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries((data || []).map(row => [row.category, Number(row.capture_count)]));
+}
+
 /**
  * Get category names for AI prompt
  * @returns {Promise<string>} Formatted category list for prompt
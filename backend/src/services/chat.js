@@ -0,0 +1,585 @@
+// Chat Service
+// Multi-turn conversations over captures. Every message re-retrieves the
+// captures closest to what is being discussed, adds the captures pinned into
+// the conversation, and the AI replies with numbered citations. Conversations
+// and their messages are saved.
+
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isAiConfigured, chatReply } from './ai.js';
+import { isConfigured as isEmbeddingsConfigured } from './embeddings.js';
+import { retrieveSources, extractCitations, validateQuestion } from './ask.js';
+
+const CONVERSATION_COLUMNS = 'id, title, message_count, last_message_at, created_at, updated_at';
+const MESSAGE_COLUMNS = 'id, role, content, sources, citations, error, created_at';
+
+// Captures retrieved per message, on top of the pinned ones
+const RETRIEVED_SOURCES = 6;
+const MAX_PINS = 10;
+
+// Earlier messages sent with each new one
+const HISTORY_MESSAGES = 12;
+
+// Characters of each pinned capture given to the AI
+const PINNED_PASSAGE_LENGTH = 3000;
+
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * List conversations, most recently active first
+ * @param {Object} options - { limit, offset }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, results?: Array, count?: number, total?: number, hasMore?: boolean, error?: string}>}
+ */
+export async function listConversations({ limit = 20, offset = 0 } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, results: [], count: 0, total: 0, hasMore: false };
+  }
+
+  try {
+    let query = supabase
+      .from('conversations')
+      .select(CONVERSATION_COLUMNS, { count: 'exact' });
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error, count } = await query
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const results = data || [];
+    const total = count ?? results.length;
+    return { success: true, results, count: results.length, total, hasMore: offset + results.length < total };
+  } catch (err) {
+    console.error('[Chat] Failed to list conversations:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Start a conversation, optionally with captures pinned into it
+ * @param {Object} fields - { title, captureIds: captures to pin }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, conversation?: Object, error?: string}>}
+ */
+export async function createConversation({ title = null, captureIds = [] } = {}, userId = null) {
+  const invalid = validateTitle(title);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .insert({ user_id: userId, title: title?.trim() || null })
+      .select(CONVERSATION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (captureIds?.length > 0) {
+      const pinned = await pinCaptures(conversation.id, captureIds, userId);
+      if (!pinned.success) {
+        await supabase.from('conversations').delete().eq('id', conversation.id);
+        return pinned;
+      }
+    }
+
+    console.log(`[Chat] Started conversation ${conversation.id}`);
+    return { success: true, conversation: { ...conversation, pins: await getPins(conversation.id) } };
+  } catch (err) {
+    console.error('[Chat] Failed to create conversation:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a conversation with its messages (oldest first) and pinned captures
+ * @param {string} id - Conversation ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, conversation?: Object, messages?: Array, error?: string}>}
+ */
+export async function getConversation(id, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const found = await getConversationRow(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const [{ data: messages, error }, pins] = await Promise.all([
+      supabase
+        .from('messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('conversation_id', id)
+        .order('created_at', { ascending: true }),
+      getPins(id),
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, conversation: { ...found.conversation, pins }, messages: messages || [] };
+  } catch (err) {
+    console.error('[Chat] Failed to get conversation:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Rename a conversation
+ * @param {string} id - Conversation ID
+ * @param {Object} updates - { title }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, conversation?: Object, error?: string}>}
+ */
+export async function updateConversation(id, { title } = {}, userId = null) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return { success: false, error: 'title is required' };
+  }
+
+  const invalid = validateTitle(title);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('conversations')
+      .update({ title: title.trim() })
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select(CONVERSATION_COLUMNS).maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Conversation not found' };
+    }
+
+    return { success: true, conversation: data };
+  } catch (err) {
+    console.error('[Chat] Failed to update conversation:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a conversation and its messages
+ * @param {string} id - Conversation ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteConversation(id, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('conversations')
+      .delete()
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Conversation not found' };
+    }
+
+    console.log(`[Chat] Deleted conversation ${id}`);
+    return { success: true };
+  } catch (err) {
+    console.error('[Chat] Failed to delete conversation:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Pin captures into a conversation, so every reply reads them
+ * @param {string} id - Conversation ID
+ * @param {string[]} captureIds - Captures to pin
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, pins?: Array, error?: string}>}
+ */
+export async function pinCaptures(id, captureIds, userId = null) {
+  if (!Array.isArray(captureIds) || captureIds.length === 0 || captureIds.some(captureId => typeof captureId !== 'string')) {
+    return { success: false, error: 'captureIds must be a non-empty array of capture IDs' };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const found = await getConversationRow(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const requested = [...new Set(captureIds)];
+    let capturesQuery = supabase
+      .from('captures')
+      .select('id')
+      .in('id', requested);
+
+    if (userId) {
+      capturesQuery = capturesQuery.eq('user_id', userId);
+    }
+
+    const { data: captures, error: capturesError } = await capturesQuery;
+
+    if (capturesError) {
+      throw capturesError;
+    }
+
+    if ((captures || []).length !== requested.length) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const current = await getPins(id);
+    const added = requested.filter(captureId => !current.some(pin => pin.capture_id === captureId));
+
+    if (current.length + added.length > MAX_PINS) {
+      return { success: false, error: `At most ${MAX_PINS} captures can be pinned` };
+    }
+
+    if (added.length > 0) {
+      const { error } = await supabase
+        .from('conversation_pins')
+        .insert(added.map(captureId => ({ conversation_id: id, capture_id: captureId, user_id: userId })));
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return { success: true, pins: await getPins(id) };
+  } catch (err) {
+    console.error('[Chat] Failed to pin captures:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Unpin a capture from a conversation
+ * @param {string} id - Conversation ID
+ * @param {string} captureId - Capture ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, pins?: Array, error?: string}>}
+ */
+export async function unpinCapture(id, captureId, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const found = await getConversationRow(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { data, error } = await supabase
+      .from('conversation_pins')
+      .delete()
+      .eq('conversation_id', id)
+      .eq('capture_id', captureId)
+      .select('capture_id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Capture not pinned' };
+    }
+
+    return { success: true, pins: await getPins(id) };
+  } catch (err) {
+    console.error('[Chat] Failed to unpin capture:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Send a message in a conversation and get the reply
+ * The reply is saved even when answering fails (with its error), so the
+ * conversation shows what happened. With onSources and onToken the sources
+ * and the reply's text are handed over as soon as they are available.
+ * @param {string} id - Conversation ID
+ * @param {string} content - The user's message
+ * @param {Object} options - { onSources, onToken, signal }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, message?: Object, reply?: Object, error?: string}>}
+ */
+export async function sendMessage(id, content, { onSources = null, onToken = null, signal = null } = {}, userId = null) {
+  const invalid = validateQuestion(content, 'content');
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (!isAiConfigured() || !isEmbeddingsConfigured()) {
+    return { success: false, error: 'AI not configured' };
+  }
+
+  const text = content.trim();
+
+  try {
+    const found = await getConversationRow(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const history = await getHistory(id);
+    const message = await saveMessage(id, userId, { role: 'user', content: text });
+
+    let reply;
+    try {
+      // Follow-ups ("and the second one?") are retrieved together with the message before them
+      const previous = [...history].reverse().find(turn => turn.role === 'user');
+      const sources = await getSources(id, previous ? `${previous.content}\n${text}` : text, userId);
+      const numbered = sources.map((item, index) => ({ n: index + 1, ...item }));
+      const listed = numbered.map(({ passage, ...item }) => item);
+      onSources?.(listed);
+
+      const answer = sources.length > 0
+        ? await chatReply(text, sources, history, userId, { onToken, signal })
+        : "I couldn't find anything in your captures about that. Try rephrasing, or pin the captures you mean.";
+
+      if (sources.length === 0) {
+        onToken?.(answer);
+      }
+
+      reply = await saveMessage(id, userId, {
+        role: 'assistant',
+        content: answer,
+        sources: listed,
+        citations: extractCitations(answer, numbered),
+      });
+    } catch (err) {
+      console.error('[Chat] Failed to reply:', err.message);
+      await saveMessage(id, userId, { role: 'assistant', content: '', error: signal?.aborted ? 'Cancelled' : err.message });
+      await nameConversation(found.conversation, text);
+      return { success: false, message, error: err.message };
+    }
+
+    await nameConversation(found.conversation, text);
+
+    console.log(`[Chat] Replied in ${id} from ${reply.sources.length} sources, ${reply.citations.length} cited`);
+    return { success: true, message, reply };
+  } catch (err) {
+    console.error('[Chat] Failed to send message:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+async function getConversationRow(id, userId) {
+  let query = supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('id', id);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    return { success: false, error: 'Conversation not found' };
+  }
+
+  return { success: true, conversation: data };
+}
+
+/**
+ * Pinned captures of a conversation, in the order they were pinned
+ */
+async function getPins(conversationId) {
+  const { data, error } = await supabase
+    .from('conversation_pins')
+    .select('capture_id, pinned_at, captures(url, title, display_title, image_url)')
+    .eq('conversation_id', conversationId)
+    .order('pinned_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(pin => ({
+    capture_id: pin.capture_id,
+    url: pin.captures?.url || null,
+    title: pin.captures?.display_title || pin.captures?.title || pin.captures?.url || null,
+    image_url: pin.captures?.image_url || null,
+    pinned_at: pin.pinned_at,
+  }));
+}
+
+/**
+ * The last messages of a conversation, oldest first (failed replies left out)
+ */
+async function getHistory(conversationId) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('role, content')
+    .eq('conversation_id', conversationId)
+    .is('error', null)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_MESSAGES);
+
+  if (error) {
+    throw error;
+  }
+
+  const history = (data || []).reverse();
+
+  // History must not start with a reply to a message that was cut off
+  while (history.length > 0 && history[0].role !== 'user') {
+    history.shift();
+  }
+
+  return history;
+}
+
+/**
+ * Sources for one message: the pinned captures first, then the closest others
+ * A pinned capture that is also retrieved gets the retrieved passage too.
+ */
+async function getSources(conversationId, query, userId) {
+  const [pins, retrieved] = await Promise.all([
+    supabase
+      .from('conversation_pins')
+      .select('pinned_at, captures(id, url, title, display_title, summary, key_takeaways, content)')
+      .eq('conversation_id', conversationId)
+      .order('pinned_at', { ascending: true }),
+    // Over-fetch: retrieved captures that are pinned don't count towards RETRIEVED_SOURCES
+    retrieveSources(query, { limit: RETRIEVED_SOURCES * 2 }, userId),
+  ]);
+
+  if (pins.error) {
+    throw pins.error;
+  }
+
+  const pinned = (pins.data || [])
+    .map(pin => pin.captures)
+    .filter(Boolean)
+    .map(capture => {
+      const match = retrieved.find(item => item.capture_id === capture.id);
+      const takeaways = (capture.key_takeaways || []).map(takeaway => `- ${takeaway}`).join('\n');
+      const excerpt = match?.chunk_index !== null && match?.chunk_index !== undefined
+        ? match.passage
+        : (capture.content || '').slice(0, PINNED_PASSAGE_LENGTH);
+
+      return {
+        capture_id: capture.id,
+        url: capture.url,
+        title: capture.display_title || capture.title || capture.url,
+        passage: [capture.summary, takeaways, excerpt].filter(Boolean).join('\n\n').slice(0, PINNED_PASSAGE_LENGTH),
+        location: match?.location || null,
+        chunk_index: match?.chunk_index ?? null,
+        page_start: match?.page_start ?? null,
+        page_end: match?.page_end ?? null,
+        start_seconds: match?.start_seconds ?? null,
+        similarity: match?.similarity ?? null,
+        pinned: true,
+      };
+    });
+
+  const others = retrieved
+    .filter(item => !pinned.some(pin => pin.capture_id === item.capture_id))
+    .slice(0, RETRIEVED_SOURCES)
+    .map(item => ({ ...item, pinned: false }));
+
+  return [...pinned, ...others];
+}
+
+async function saveMessage(conversationId, userId, fields) {
+  const { data, error } = await supabase
+    .from('messages')
+    .insert({ conversation_id: conversationId, user_id: userId, ...fields })
+    .select(MESSAGE_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Title an untitled conversation after its first message
+ * Message counts are kept by the database (migration 040). A title set
+ * meanwhile, by the user or an earlier message, is kept.
+ */
+async function nameConversation(conversation, message) {
+  if (conversation.title) return;
+
+  const { error } = await supabase
+    .from('conversations')
+    .update({ title: message.length > 80 ? `${message.slice(0, 77).trimEnd()}...` : message })
+    .eq('id', conversation.id)
+    .is('title', null);
+
+  if (error) {
+    console.error('[Chat] Failed to title conversation:', error.message);
+  }
+}
+
+function validateTitle(title) {
+  if (title === null || title === undefined) {
+    return null;
+  }
+
+  if (typeof title !== 'string') {
+    return 'title must be a string';
+  }
+
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return `title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+
+  return null;
+}
@@ -0,0 +1,119 @@
+// Chunker Service
+// Splits long capture content into ordered chunks on paragraph boundaries,
+// tracking "[Page N]" and "[m:ss]" markers so each chunk knows the pages or
+// transcript offset it covers
+
+const PAGE_MARKER = /^\[Page (\d+)\]$/;
+const TIME_MARKER = /^\[(\d+(?::\d{2}){1,2})\]/;
+
+/**
+ * Split text into chunks of at most maxChars
+ * Paragraphs are kept whole where possible; oversized paragraphs are split on
+ * lines, then hard-wrapped. With overlap, each chunk repeats trailing
+ * paragraphs of the previous one (up to overlap chars) for context.
+ * @param {string} text - Content to split
+ * @param {Object} options - { maxChars, overlap }
+ * @returns {Array<{index: number, text: string, page_start: number|null, page_end: number|null, start_seconds: number|null}>}
+ */
+export function chunkText(text, { maxChars = 12000, overlap = 0 } = {}) {
+  if (!text) return [];
+
+  const chunks = [];
+  let parts = [];
+  let length = 0;
+  let page = null;
+  let added = false;
+
+  const flush = () => {
+    const chunk = parts.map(part => part.text).join('\n\n').trim();
+    if (chunk && added) {
+      chunks.push({
+        index: chunks.length,
+        text: chunk,
+        page_start: parts[0].page,
+        page_end: parts[parts.length - 1].page,
+        start_seconds: parts.find(part => part.seconds !== null)?.seconds ?? null,
+      });
+    }
+
+    // Carry trailing paragraphs into the next chunk
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = parts.length - 1; i > 0 && overlap > 0; i--) {
+      if (carriedLength + parts[i].text.length + 2 > overlap) break;
+      carried.unshift(parts[i]);
+      carriedLength += parts[i].text.length + 2;
+    }
+
+    parts = carried;
+    length = carriedLength;
+    added = false;
+  };
+
+  for (const paragraph of splitParagraphs(text, maxChars)) {
+    const marker = paragraph.split('\n', 1)[0].match(PAGE_MARKER);
+    if (marker) {
+      page = parseInt(marker[1]);
+    }
+
+    if (added && length + paragraph.length + 2 > maxChars) {
+      flush();
+    }
+
+    // Drop carried context that no longer fits alongside this paragraph
+    while (parts.length > 0 && length + paragraph.length + 2 > maxChars) {
+      length -= parts.shift().text.length + 2;
+    }
+
+    parts.push({ text: paragraph, page, seconds: parseTimeMarker(paragraph) });
+    length += paragraph.length + 2;
+    added = true;
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Read a leading "[m:ss]" / "[h:mm:ss]" transcript timestamp
+ */
+function parseTimeMarker(paragraph) {
+  const match = paragraph.match(TIME_MARKER);
+  if (!match) return null;
+  return match[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Split text into paragraphs no longer than maxChars
+ */
+function splitParagraphs(text, maxChars) {
+  const paragraphs = [];
+
+  for (const paragraph of text.split(/\n{2,}/)) {
+    if (paragraph.length <= maxChars) {
+      paragraphs.push(paragraph);
+      continue;
+    }
+
+    let current = '';
+    for (const line of paragraph.split('\n')) {
+      if (current && current.length + line.length + 1 > maxChars) {
+        paragraphs.push(current);
+        current = '';
+      }
+
+      if (line.length > maxChars) {
+        for (let offset = 0; offset < line.length; offset += maxChars) {
+          paragraphs.push(line.slice(offset, offset + maxChars));
+        }
+        continue;
+      }
+
+      current = current ? `${current}\n${line}` : line;
+    }
+
+    if (current) paragraphs.push(current);
+  }
+
+  return paragraphs;
+}
@@ -0,0 +1,75 @@
+// Chunks Service
+// Splits capture content into overlapping chunks and stores an embedding per
+// chunk in capture_chunks, so search can match passages deep in long captures
+
+import { supabase } from './supabase.js';
+import { generateEmbeddings, formatForPgVector } from './embeddings.js';
+import { chunkText } from './chunker.js';
+
+// Chunk size and overlap in characters (~400 / ~50 tokens)
+const CHUNK_CHARS = 1500;
+const CHUNK_OVERLAP = 200;
+
+// Content beyond this many chunks is not indexed
+const MAX_CHUNKS = 1000;
+
+// Rows per insert (each row carries a 1536-dim vector)
+const INSERT_BATCH_SIZE = 100;
+
+/**
+ * Split capture content into the chunks that get indexed
+ * @param {string} content - Capture content
+ * @returns {Array<{index: number, text: string, page_start: number|null, page_end: number|null, start_seconds: number|null}>}
+ */
+export function getCaptureChunks(content) {
+  return chunkText(content || '', { maxChars: CHUNK_CHARS, overlap: CHUNK_OVERLAP })
+    .slice(0, MAX_CHUNKS);
+}
+
+/**
+ * Replace a capture's chunks with freshly embedded ones
+ * @param {Object} capture - Capture with id, user_id, title, content
+ * @returns {Promise<number>} - Number of chunks stored
+ */
+export async function indexCaptureChunks(capture) {
+  const chunks = getCaptureChunks(capture.content);
+
+  // Embed before deleting so a failed embedding keeps the previous chunks
+  const inputs = chunks.map(chunk => (capture.title ? `${capture.title}\n\n${chunk.text}` : chunk.text));
+  const embeddings = chunks.length > 0
+    ? await generateEmbeddings(inputs, capture.id, capture.user_id || null)
+    : [];
+
+  const { error: deleteError } = await supabase
+    .from('capture_chunks')
+    .delete()
+    .eq('capture_id', capture.id);
+
+  if (deleteError) {
+    throw new Error(`Failed to clear chunks: ${deleteError.message}`);
+  }
+
+  const rows = chunks.map((chunk, i) => ({
+    capture_id: capture.id,
+    user_id: capture.user_id || null,
+    chunk_index: chunk.index,
+    content: chunk.text,
+    page_start: chunk.page_start,
+    page_end: chunk.page_end,
+    start_seconds: chunk.start_seconds,
+    embedding: formatForPgVector(embeddings[i]),
+  }));
+
+  for (let offset = 0; offset < rows.length; offset += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('capture_chunks')
+      .insert(rows.slice(offset, offset + INSERT_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to store chunks: ${error.message}`);
+    }
+  }
+
+  console.log(`[Chunks] Indexed ${rows.length} chunks for ${capture.id}`);
+  return rows.length;
+}
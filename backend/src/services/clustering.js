@@ -0,0 +1,189 @@
+// Clustering
+// Spherical k-means over normalized embedding vectors, for automatic
+// collections. Clustering thousands of captures takes seconds of arithmetic,
+// so it (and filing the rest of the vault under the clusters found) runs in a
+// worker thread instead of stalling requests on the API process.
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+
+const KMEANS_ITERATIONS = 15;
+
+/**
+ * Spherical k-means over normalized vectors, in a worker thread
+ * Starts from the given seed centroids, then picks the rest k-means++ style
+ * (far from the centroids chosen so far).
+ * @param {Float32Array[]} vectors - Normalized vectors
+ * @param {number} k - Number of clusters
+ * @param {Float32Array[]} seeds - Initial centroids
+ * @returns {Promise<{assignments: Int32Array, similarities: Float32Array, centroids: Float32Array[]}>}
+ */
+export async function kMeans(vectors, k, seeds) {
+  const dims = vectors[0].length;
+  const { assignments, similarities, centroids } = await runInWorker('kmeans', {
+    vectors: pack(vectors, dims),
+    seeds: pack(seeds, dims),
+    dims,
+    k,
+  });
+  return { assignments, similarities, centroids: unpack(centroids, dims) };
+}
+
+/**
+ * Find each vector's closest centroid, in a worker thread
+ * @param {Float32Array[]} vectors - Normalized vectors
+ * @param {Float32Array[]} centroids - Normalized centroids
+ * @returns {Promise<{assignments: Int32Array, similarities: Float32Array}>}
+ */
+export function nearestCentroids(vectors, centroids) {
+  const dims = vectors[0].length;
+  return runInWorker('nearest', {
+    vectors: pack(vectors, dims),
+    centroids: pack(centroids, dims),
+    dims,
+  });
+}
+
+/**
+ * Run a task on a worker thread, moving its packed vectors over
+ */
+function runInWorker(task, data) {
+  const transferList = Object.values(data).filter(value => value instanceof Float32Array).map(value => value.buffer);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { task, ...data }, transferList });
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Clustering worker (${task}) stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Spherical k-means, run in the worker thread
+ */
+function runKMeans(vectors, k, seeds) {
+  const dims = vectors[0].length;
+  const centroids = seeds.slice(0, k).map(seed => Float32Array.from(seed));
+
+  // Similarity of each vector to its closest centroid so far
+  const closest = new Float32Array(vectors.length).fill(-1);
+  const updateClosest = centroid => {
+    vectors.forEach((vector, i) => {
+      closest[i] = Math.max(closest[i], dot(vector, centroid));
+    });
+  };
+  centroids.forEach(updateClosest);
+
+  while (centroids.length < k) {
+    const weights = Array.from(closest, similarity => Math.max(1 - similarity, 0) ** 2);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) break;
+
+    let target = Math.random() * total;
+    let index = weights.findIndex(weight => (target -= weight) <= 0);
+    if (index === -1) index = vectors.length - 1;
+
+    const centroid = Float32Array.from(vectors[index]);
+    centroids.push(centroid);
+    updateClosest(centroid);
+  }
+
+  const assignments = new Int32Array(vectors.length).fill(-1);
+  const similarities = new Float32Array(vectors.length);
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let changed = 0;
+    vectors.forEach((vector, i) => {
+      const [best, bestSimilarity] = closestCentroid(vector, centroids);
+      if (assignments[i] !== best) changed++;
+      assignments[i] = best;
+      similarities[i] = bestSimilarity;
+    });
+
+    if (changed === 0) break;
+
+    const sums = centroids.map(() => new Float32Array(dims));
+    const counts = new Int32Array(centroids.length);
+    vectors.forEach((vector, i) => {
+      const sum = sums[assignments[i]];
+      for (let d = 0; d < dims; d++) sum[d] += vector[d];
+      counts[assignments[i]]++;
+    });
+
+    // Clusters left empty keep their centroid
+    sums.forEach((sum, c) => {
+      if (counts[c] > 0) centroids[c] = normalize(sum);
+    });
+
+    vectors.forEach((vector, i) => {
+      similarities[i] = dot(vector, centroids[assignments[i]]);
+    });
+  }
+
+  return { assignments, similarities, centroids };
+}
+
+function runNearest(vectors, centroids) {
+  const assignments = new Int32Array(vectors.length);
+  const similarities = new Float32Array(vectors.length);
+  vectors.forEach((vector, i) => {
+    [assignments[i], similarities[i]] = closestCentroid(vector, centroids);
+  });
+  return { assignments, similarities };
+}
+
+function closestCentroid(vector, centroids) {
+  let best = 0;
+  let bestSimilarity = -Infinity;
+  centroids.forEach((centroid, c) => {
+    const similarity = dot(vector, centroid);
+    if (similarity > bestSimilarity) {
+      best = c;
+      bestSimilarity = similarity;
+    }
+  });
+  return [best, bestSimilarity];
+}
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector));
+  if (length > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= length;
+  }
+  return vector;
+}
+
+// Vectors are sent to and from the worker as one flat array, moved rather than copied
+function pack(vectors, dims) {
+  const packed = new Float32Array(vectors.length * dims);
+  vectors.forEach((vector, i) => packed.set(vector, i * dims));
+  return packed;
+}
+
+function unpack(packed, dims) {
+  return Array.from({ length: packed.length / dims }, (_, i) => packed.subarray(i * dims, (i + 1) * dims));
+}
+
+if (!isMainThread && workerData?.task === 'kmeans') {
+  const { vectors, seeds, dims, k } = workerData;
+  const { assignments, similarities, centroids } = runKMeans(unpack(vectors, dims), k, unpack(seeds, dims));
+  const packedCentroids = pack(centroids, dims);
+  parentPort.postMessage(
+    { assignments, similarities, centroids: packedCentroids },
+    [assignments.buffer, similarities.buffer, packedCentroids.buffer]
+  );
+}
+
+if (!isMainThread && workerData?.task === 'nearest') {
+  const { vectors, centroids, dims } = workerData;
+  const { assignments, similarities } = runNearest(unpack(vectors, dims), unpack(centroids, dims));
+  parentPort.postMessage({ assignments, similarities }, [assignments.buffer, similarities.buffer]);
+}
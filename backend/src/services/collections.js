@@ -0,0 +1,1308 @@
+// Collections Service
+// Automatic collections group captures into topics by clustering their
+// embeddings (spherical k-means in a `cluster_collections` job), are named by
+// the AI, and take in newly embedded captures between full re-clusterings.
+// Manual collections are ordered lists curated by the user, which can be
+// shared through a public read-only link.
+
+import { randomBytes } from 'crypto';
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isAiConfigured, nameCollection } from './ai.js';
+import { formatForPgVector, parsePgVector } from './embeddings.js';
+import { kMeans, nearestCentroids, dot, normalize } from './clustering.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { CAPTURE_COLUMNS } from './search.js';
+import { applyCursor, pageResults } from './pagination.js';
+
+export const CLUSTER_COLLECTIONS_JOB = 'cluster_collections';
+
+// auto: found by clustering; manual: curated by the user
+export const COLLECTION_KINDS = ['auto', 'manual'];
+
+// Clustering: about one collection per TARGET_COLLECTION_SIZE captures, capped;
+// smaller clusters are dropped and their captures left unclustered. k-means
+// runs on the newest MAX_CLUSTER_CAPTURES; older captures are then filed under
+// the closest cluster found, FILE_BATCH_SIZE at a time.
+const MIN_CAPTURES_TO_CLUSTER = 12;
+const TARGET_COLLECTION_SIZE = 12;
+const MAX_COLLECTIONS = 60;
+const MIN_COLLECTION_SIZE = 3;
+const MAX_CLUSTER_CAPTURES = 4000;
+const FILE_BATCH_SIZE = 2000;
+
+// A capture belongs in a collection only this close to its centroid (cosine similarity)
+const MIN_MEMBER_SIMILARITY = 0.35;
+
+// Re-cluster once this many more captures fit no collection than after the last run
+const RECLUSTER_AFTER = 25;
+
+// A collection is renamed once its size has grown or shrunk by this factor since it was named
+const RENAME_GROWTH = 1.5;
+
+// A new cluster keeps an old collection's identity (and name) when at least
+// this share of its captures were in that collection
+const SAME_COLLECTION_OVERLAP = 0.5;
+
+// Most central captures shown to the AI when naming a collection
+const NAMING_SAMPLE_SIZE = 15;
+
+const BATCH_SIZE = 500;
+
+// Columns returned for collections
+const COLLECTION_COLUMNS = 'id, kind, name, description, capture_count, cover_capture_id, share_token, share_expires_at, created_at, updated_at';
+
+// Capture fields shown on a shared collection's public page
+const SHARED_CAPTURE_COLUMNS = 'id, url, title, display_title, summary, image_url, author_name, category, tags, source_platform, created_at';
+
+// Order of a collection's captures, for keyset paging (see get_collection_items)
+const ITEM_SORT_KEYS = {
+  manual: [{ column: 'position', ascending: true, nullable: true }, { column: 'added_at', ascending: true }],
+  auto: [{ column: 'similarity', ascending: false, nullable: true }],
+};
+
+// Limits for manual collections and their public pages
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_ITEMS_PER_REQUEST = 200;
+const MAX_SHARED_ITEMS = 500;
+
+/**
+ * List collections, largest first, with their cover images and the latest clustering run
+ * @param {Object} options - { kind: auto|manual, or all kinds when unset }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, results?: Array, count?: number, lastRun?: Object|null, error?: string}>}
+ */
+export async function listCollections({ kind = null } = {}, userId = null) {
+  if (kind && !COLLECTION_KINDS.includes(kind)) {
+    return { success: false, error: `Invalid kind. Use one of: ${COLLECTION_KINDS.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: true, results: [], count: 0, lastRun: null };
+  }
+
+  try {
+    let query = supabase
+      .from('collections')
+      .select(COLLECTION_COLUMNS);
+
+    if (kind) {
+      query = query.eq('kind', kind);
+    }
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const [{ data, error }, lastRun] = await Promise.all([
+      query
+        .order('kind', { ascending: false })
+        .order('capture_count', { ascending: false })
+        .order('name', { ascending: true }),
+      getLatestRun(userId),
+    ]);
+
+    if (error) {
+      throw error;
+    }
+
+    const results = await withCovers(data || []);
+    return { success: true, results, count: results.length, lastRun };
+  } catch (err) {
+    console.error('[Collections] Failed to list:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a collection and a page of its captures, paged by cursor
+ * Manual collections list captures in their set order, automatic ones most
+ * central first.
+ * @param {string} id - Collection ID
+ * @param {Object} options - { limit, cursor } (cursor from decodeCursor, issued for collectionCursorSort(id))
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, collection?: Object, results?: Array, count?: number, total?: number, hasMore?: boolean, nextCursor?: string|null, error?: string}>}
+ */
+export async function getCollection(id, { limit = 20, cursor = null } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const found = await getCollectionRow(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { collection } = found;
+
+    const sortKeys = ITEM_SORT_KEYS[collection.kind];
+    const itemsQuery = supabase.rpc('get_collection_items', { target_collection_id: id }, { count: 'exact' });
+    const { data: items, error: itemsError, count } = await applyCursor(itemsQuery, sortKeys, cursor, limit);
+
+    if (itemsError) {
+      throw itemsError;
+    }
+
+    const page = pageResults(items || [], collectionCursorSort(id), sortKeys, cursor, limit, count);
+    const captures = await fetchCapturesInOrder(page.results.map(item => item.id), `${CAPTURE_COLUMNS}, favicon_url`);
+    const itemById = new Map(page.results.map(item => [item.id, item]));
+    const results = captures.map(capture => ({
+      ...capture,
+      position: itemById.get(capture.id).position,
+      similarity: itemById.get(capture.id).similarity,
+    }));
+
+    return { success: true, collection, ...page, results, count: results.length };
+  } catch (err) {
+    console.error('[Collections] Failed to get collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Sort name recorded in a collection's page cursors, so they only continue that collection
+ * @param {string} id - Collection ID
+ * @returns {string}
+ */
+export function collectionCursorSort(id) {
+  return `collection:${id}`;
+}
+
+/**
+ * Create a manual collection, optionally with captures in it
+ * @param {Object} fields - { name, description, captureIds }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, collection?: Object, error?: string}>}
+ */
+export async function createCollection({ name, description = null, captureIds = [] } = {}, userId = null) {
+  const invalid = validateCollectionFields({ name, description }, true);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const { data: collection, error } = await supabase
+      .from('collections')
+      .insert({
+        user_id: userId,
+        kind: 'manual',
+        name: name.trim(),
+        description: description?.trim() || null,
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (captureIds?.length > 0) {
+      const added = await addCollectionItems(collection.id, captureIds, {}, userId);
+      if (!added.success) {
+        await supabase.from('collections').delete().eq('id', collection.id);
+        return added;
+      }
+    }
+
+    console.log(`[Collections] Created collection ${collection.id}: ${name.trim()}`);
+    return { success: true, collection: (await getCollectionRow(collection.id, userId)).collection };
+  } catch (err) {
+    console.error('[Collections] Failed to create collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Update a manual collection's name, description or cover
+ * @param {string} id - Collection ID
+ * @param {Object} updates - { name, description, cover_capture_id: a capture in the collection, or null for the first with an image }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, collection?: Object, error?: string}>}
+ */
+export async function updateCollection(id, updates = {}, userId = null) {
+  const invalid = validateCollectionFields(updates, false);
+  if (invalid) {
+    return { success: false, error: invalid };
+  }
+
+  const fields = {};
+  if (updates.name !== undefined) fields.name = updates.name.trim();
+  if (updates.description !== undefined) fields.description = updates.description?.trim() || null;
+  if (updates.cover_capture_id !== undefined) fields.cover_capture_id = updates.cover_capture_id || null;
+
+  if (Object.keys(fields).length === 0) {
+    return { success: false, error: 'Nothing to update. Send name, description or cover_capture_id' };
+  }
+
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    if (fields.cover_capture_id) {
+      const { data: item, error } = await supabase
+        .from('collection_items')
+        .select('capture_id')
+        .eq('collection_id', id)
+        .eq('capture_id', fields.cover_capture_id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!item) {
+        return { success: false, error: 'cover_capture_id must be a capture in the collection' };
+      }
+    }
+
+    const { error } = await supabase
+      .from('collections')
+      .update(fields)
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, collection: (await getCollectionRow(id, userId)).collection };
+  } catch (err) {
+    console.error('[Collections] Failed to update collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a manual collection (its captures are kept)
+ * @param {string} id - Collection ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteCollection(id, userId = null) {
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { error } = await supabase
+      .from('collections')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`[Collections] Deleted collection ${id}`);
+    return { success: true };
+  } catch (err) {
+    console.error('[Collections] Failed to delete collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Add captures to a manual collection
+ * Captures already in it stay where they are.
+ * @param {string} id - Collection ID
+ * @param {string[]} captureIds - Captures to add, in order
+ * @param {Object} options - { position: index to insert them at (default: the end) }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, added?: number, count?: number, error?: string}>}
+ */
+export async function addCollectionItems(id, captureIds, { position = null } = {}, userId = null) {
+  if (!Array.isArray(captureIds) || captureIds.length === 0 || captureIds.some(captureId => typeof captureId !== 'string')) {
+    return { success: false, error: 'captureIds must be a non-empty array of capture IDs' };
+  }
+
+  if (captureIds.length > MAX_ITEMS_PER_REQUEST) {
+    return { success: false, error: `At most ${MAX_ITEMS_PER_REQUEST} captures per request` };
+  }
+
+  if (position !== null && (!Number.isInteger(position) || position < 0)) {
+    return { success: false, error: 'position must be a non-negative integer' };
+  }
+
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const requested = [...new Set(captureIds)];
+    let capturesQuery = supabase
+      .from('captures')
+      .select('id, user_id')
+      .in('id', requested);
+
+    if (userId) {
+      capturesQuery = capturesQuery.eq('user_id', userId);
+    }
+
+    const { data: captures, error: capturesError } = await capturesQuery;
+
+    if (capturesError) {
+      throw capturesError;
+    }
+
+    if ((captures || []).length !== requested.length) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const order = await getItemOrder(id);
+    const added = requested.filter(captureId => !order.includes(captureId));
+    const at = position === null ? order.length : Math.min(position, order.length);
+    order.splice(at, 0, ...added);
+
+    if (added.length > 0) {
+      const ownerById = new Map(captures.map(capture => [capture.id, capture.user_id]));
+      const { error: insertError } = await supabase
+        .from('collection_items')
+        .insert(added.map(captureId => ({
+          collection_id: id,
+          capture_id: captureId,
+          user_id: ownerById.get(captureId),
+          position: order.indexOf(captureId),
+        })));
+
+      if (insertError) {
+        throw insertError;
+      }
+    }
+
+    await savePositions(id, order);
+    await setCaptureCount(id, order.length);
+
+    return { success: true, added: added.length, count: order.length };
+  } catch (err) {
+    console.error('[Collections] Failed to add captures:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Remove a capture from a manual collection
+ * @param {string} id - Collection ID
+ * @param {string} captureId - Capture ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, count?: number, error?: string}>}
+ */
+export async function removeCollectionItem(id, captureId, userId = null) {
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { data, error } = await supabase
+      .from('collection_items')
+      .delete()
+      .eq('collection_id', id)
+      .eq('capture_id', captureId)
+      .select('capture_id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Capture not in collection' };
+    }
+
+    if (found.collection.cover_capture_id === captureId) {
+      await supabase.from('collections').update({ cover_capture_id: null }).eq('id', id);
+    }
+
+    const order = await getItemOrder(id);
+    await savePositions(id, order);
+    await setCaptureCount(id, order.length);
+
+    return { success: true, count: order.length };
+  } catch (err) {
+    console.error('[Collections] Failed to remove capture:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Put a manual collection's captures in a new order
+ * @param {string} id - Collection ID
+ * @param {string[]} captureIds - Every capture in the collection, in the new order
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function reorderCollectionItems(id, captureIds, userId = null) {
+  if (!Array.isArray(captureIds)) {
+    return { success: false, error: 'captureIds must be an array of capture IDs' };
+  }
+
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const current = await getItemOrder(id);
+    const requested = new Set(captureIds);
+    if (requested.size !== captureIds.length || requested.size !== current.length || current.some(captureId => !requested.has(captureId))) {
+      return { success: false, error: 'captureIds must list every capture in the collection exactly once' };
+    }
+
+    await savePositions(id, captureIds);
+    return { success: true };
+  } catch (err) {
+    console.error('[Collections] Failed to reorder captures:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Share a manual collection through a public read-only link
+ * The link keeps its token when shared again (only the expiry changes) unless
+ * regenerate is set, which makes the old link stop working.
+ * @param {string} id - Collection ID
+ * @param {Object} options - { expiresAt: ISO date in the future, or null for never; regenerate }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, collection?: Object, error?: string}>}
+ */
+export async function shareCollection(id, { expiresAt = null, regenerate = false } = {}, userId = null) {
+  const expiry = expiresAt === null ? null : new Date(expiresAt);
+  if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+    return { success: false, error: 'expiresAt must be a future date or null' };
+  }
+
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { error } = await supabase
+      .from('collections')
+      .update({
+        share_token: !found.collection.share_token || regenerate ? randomBytes(24).toString('base64url') : found.collection.share_token,
+        share_expires_at: expiry?.toISOString() || null,
+      })
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, collection: (await getCollectionRow(id, userId)).collection };
+  } catch (err) {
+    console.error('[Collections] Failed to share collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Stop sharing a collection; its link stops working
+ * @param {string} id - Collection ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function unshareCollection(id, userId = null) {
+  try {
+    const found = await getManualCollection(id, userId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { error } = await supabase
+      .from('collections')
+      .update({ share_token: null, share_expires_at: null })
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('[Collections] Failed to unshare collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a shared collection by its link token, for its public page
+ * Only public fields are returned: no notes, IDs or the share token.
+ * @param {string} token - Share token
+ * @returns {Promise<{success: boolean, collection?: Object, captures?: Array, error?: string}>}
+ */
+export async function getSharedCollection(token) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (!token || typeof token !== 'string') {
+    return { success: false, error: 'Collection not found' };
+  }
+
+  try {
+    const { data: collection, error } = await supabase
+      .from('collections')
+      .select(COLLECTION_COLUMNS)
+      .eq('share_token', token)
+      .eq('kind', 'manual')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    if (collection.share_expires_at && new Date(collection.share_expires_at) <= new Date()) {
+      return { success: false, error: 'Share link has expired' };
+    }
+
+    const order = (await getItemOrder(collection.id)).slice(0, MAX_SHARED_ITEMS);
+    const captures = await fetchCapturesInOrder(order, SHARED_CAPTURE_COLUMNS);
+    const [{ cover_image_url: coverImageUrl }] = await withCovers([collection]);
+
+    return {
+      success: true,
+      collection: {
+        name: collection.name,
+        description: collection.description,
+        cover_image_url: coverImageUrl,
+        capture_count: collection.capture_count,
+        updated_at: collection.updated_at,
+      },
+      captures: captures.map(({ id, ...capture }) => capture),
+    };
+  } catch (err) {
+    console.error('[Collections] Failed to get shared collection:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Queue a full re-clustering of a user's captures
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, run?: Object, conflict?: boolean, error?: string}>}
+ */
+export async function startClustering(userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const { data: run, error } = await supabase
+      .from('collection_runs')
+      .insert({ user_id: userId })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { success: false, conflict: true, error: 'Collections are already being re-clustered' };
+      }
+      throw error;
+    }
+
+    const jobResult = await enqueueJob(CLUSTER_COLLECTIONS_JOB, {
+      userId,
+      payload: { runId: run.id },
+      maxAttempts: 3,
+    });
+
+    if (!jobResult.success) {
+      await supabase
+        .from('collection_runs')
+        .update({ status: 'failed', error: jobResult.error, finished_at: new Date().toISOString() })
+        .eq('id', run.id);
+      return { success: false, error: `Failed to queue clustering: ${jobResult.error}` };
+    }
+
+    await supabase
+      .from('collection_runs')
+      .update({ job_id: jobResult.job.id })
+      .eq('id', run.id);
+
+    console.log(`[Collections] Queued clustering run ${run.id}`);
+    return { success: true, run: { ...run, job_id: jobResult.job.id } };
+  } catch (err) {
+    console.error('[Collections] Failed to start clustering:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * File a newly embedded capture under the closest collection
+ * Captures that fit no collection are left out; once enough have piled up, a
+ * full re-clustering is queued. Never throws, so capture processing isn't
+ * failed by it.
+ * @param {string} captureId - Capture ID
+ * @returns {Promise<{success: boolean, collectionId?: string|null, error?: string}>}
+ */
+export async function assignCaptureToCollection(captureId) {
+  if (!isConfigured()) {
+    return { success: true, collectionId: null };
+  }
+
+  try {
+    const [{ data: capture, error: captureError }, { data: current, error: currentError }] = await Promise.all([
+      supabase.from('captures').select('id, user_id, embedding, duplicate_of').eq('id', captureId).maybeSingle(),
+      supabase.from('collection_items').select('collection_id').eq('capture_id', captureId),
+    ]);
+
+    if (captureError || currentError) {
+      throw captureError || currentError;
+    }
+
+    if (!capture) {
+      return { success: true, collectionId: null };
+    }
+
+    // Manual collections the capture is in are left alone
+    const collections = await loadCollections(capture.user_id);
+    const autoIds = new Set(collections.map(collection => collection.id));
+    const currentIds = (current || []).map(item => item.collection_id).filter(id => autoIds.has(id));
+
+    if (!capture.embedding || capture.duplicate_of) {
+      await removeFromCollections(captureId, currentIds);
+      return { success: true, collectionId: null };
+    }
+
+    const vector = normalize(Float32Array.from(parsePgVector(capture.embedding)));
+
+    let best = null;
+    let bestSimilarity = -1;
+    for (const collection of collections) {
+      const similarity = dot(vector, collection.centroid);
+      if (similarity > bestSimilarity) {
+        best = collection;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || bestSimilarity < MIN_MEMBER_SIMILARITY) {
+      await removeFromCollections(captureId, currentIds);
+      await maybeRecluster(capture.user_id);
+      return { success: true, collectionId: null };
+    }
+
+    if (currentIds.includes(best.id)) {
+      await supabase
+        .from('collection_items')
+        .update({ similarity: bestSimilarity })
+        .eq('collection_id', best.id)
+        .eq('capture_id', captureId);
+      return { success: true, collectionId: best.id };
+    }
+
+    await removeFromCollections(captureId, currentIds);
+
+    const { error: insertError } = await supabase
+      .from('collection_items')
+      .insert({ collection_id: best.id, capture_id: captureId, user_id: capture.user_id, similarity: bestSimilarity });
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    // Move the centroid toward the new capture, as if it had been clustered with the rest
+    const centroid = normalize(best.centroid.map((value, i) => value * best.capture_count + vector[i]));
+    const captureCount = best.capture_count + 1;
+
+    const { error: updateError } = await supabase
+      .from('collections')
+      .update({ centroid: formatForPgVector(Array.from(centroid)), capture_count: captureCount })
+      .eq('id', best.id);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (needsNaming(captureCount, best.named_count)) {
+      await nameCollections([best.id], capture.user_id);
+    }
+
+    console.log(`[Collections] Capture ${captureId} added to "${best.name}" (similarity ${bestSimilarity.toFixed(3)})`);
+    return { success: true, collectionId: best.id };
+  } catch (err) {
+    console.error('[Collections] Failed to assign capture:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+registerJobHandler(CLUSTER_COLLECTIONS_JOB, async (job) => {
+  const runId = job.payload?.runId;
+
+  await supabase
+    .from('collection_runs')
+    .update({ status: 'running', error: null })
+    .eq('id', runId);
+
+  try {
+    const result = await clusterCaptures(runId, job.user_id || null);
+
+    await supabase
+      .from('collection_runs')
+      .update({
+        status: 'completed',
+        capture_count: result.captureCount,
+        collection_count: result.collectionCount,
+        unclustered_count: result.unclusteredCount,
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', runId);
+
+    console.log(`[Collections] Run ${runId}: ${result.captureCount} captures in ${result.collectionCount} collections, ${result.unclusteredCount} unclustered`);
+  } catch (err) {
+    // Left running so the retry picks it up; marked failed once the job is dead
+    await supabase
+      .from('collection_runs')
+      .update({ error: err.message })
+      .eq('id', runId);
+    throw err;
+  }
+}, {
+  onDead: async (job, error) => {
+    if (!job.payload?.runId) return;
+
+    await supabase
+      .from('collection_runs')
+      .update({ status: 'failed', error: error.message, finished_at: new Date().toISOString() })
+      .eq('id', job.payload.runId);
+  },
+});
+
+/**
+ * Re-cluster all of a user's embedded captures
+ * Existing collections seed the clustering, and a cluster made up mostly of an
+ * old collection's captures takes over that collection, so collections (and
+ * their names) survive re-clustering while the vault is stable. Where each
+ * capture goes is staged in collection_run_items, and the collections are
+ * swapped over in one transaction at the end (apply_collection_run).
+ * @returns {Promise<{captureCount: number, collectionCount: number, unclusteredCount: number}>}
+ */
+async function clusterCaptures(runId, userId) {
+  // Left over from an earlier attempt of the run
+  const { error: clearError } = await supabase.from('collection_run_items').delete().eq('run_id', runId);
+  if (clearError) throw clearError;
+
+  const [captures, existing] = await Promise.all([
+    loadEmbeddedCaptures(userId, 0, MAX_CLUSTER_CAPTURES),
+    loadCollections(userId, { withItems: true }),
+  ]);
+
+  if (captures.length < MIN_CAPTURES_TO_CLUSTER) {
+    return { captureCount: captures.length, collectionCount: existing.length, unclusteredCount: await countUnclustered(userId) };
+  }
+
+  const k = Math.min(Math.max(Math.round(captures.length / TARGET_COLLECTION_SIZE), 2), MAX_COLLECTIONS);
+  const { assignments, similarities, centroids } = await kMeans(
+    captures.map(capture => capture.vector),
+    k,
+    existing.map(collection => collection.centroid),
+  );
+
+  const collectionByCapture = new Map();
+  for (const collection of existing) {
+    for (const captureId of collection.captureIds) collectionByCapture.set(captureId, collection);
+  }
+
+  // Clusters keep their size, most central capture and overlap with the old
+  // collections; their members go straight to the staging table
+  const clusters = centroids.map((centroid, index) => ({ index, centroid, size: 0, central: null, overlap: new Map() }));
+  let captureCount = 0;
+
+  const stage = async (batch, batchAssignments, batchSimilarities) => {
+    const rows = batch.map((capture, i) => {
+      const similarity = batchSimilarities[i];
+      if (similarity < MIN_MEMBER_SIMILARITY) {
+        return { run_id: runId, capture_id: capture.id, user_id: capture.user_id, cluster: null, similarity: null };
+      }
+
+      const cluster = clusters[batchAssignments[i]];
+      cluster.size++;
+      if (!cluster.central || similarity > cluster.central.similarity) {
+        cluster.central = { title: capture.title, similarity };
+      }
+
+      const collection = collectionByCapture.get(capture.id);
+      if (collection) {
+        cluster.overlap.set(collection, (cluster.overlap.get(collection) || 0) + 1);
+      }
+
+      return { run_id: runId, capture_id: capture.id, user_id: capture.user_id, cluster: cluster.index, similarity };
+    });
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const { error } = await supabase
+        .from('collection_run_items')
+        .upsert(rows.slice(i, i + BATCH_SIZE), { onConflict: 'run_id,capture_id', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    captureCount += batch.length;
+  };
+
+  await stage(captures, assignments, similarities);
+
+  if (captures.length === MAX_CLUSTER_CAPTURES) {
+    for (let offset = MAX_CLUSTER_CAPTURES; ; offset += FILE_BATCH_SIZE) {
+      const batch = await loadEmbeddedCaptures(userId, offset, FILE_BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      const nearest = await nearestCentroids(batch.map(capture => capture.vector), centroids);
+      await stage(batch, nearest.assignments, nearest.similarities);
+
+      if (batch.length < FILE_BATCH_SIZE) break;
+    }
+  }
+
+  const kept = clusters
+    .filter(cluster => cluster.size >= MIN_COLLECTION_SIZE)
+    .sort((a, b) => b.size - a.size);
+
+  // Hand each old collection to the largest cluster holding most of its captures
+  const taken = new Set();
+  for (const cluster of kept) {
+    const [match, shared] = [...cluster.overlap.entries()]
+      .filter(([collection]) => !taken.has(collection.id))
+      .sort((a, b) => b[1] - a[1])[0] || [];
+
+    if (match && shared >= cluster.size * SAME_COLLECTION_OVERLAP) {
+      cluster.collection = match;
+      taken.add(match.id);
+    }
+  }
+
+  const { data: applied, error: applyError } = await supabase.rpc('apply_collection_run', {
+    target_run_id: runId,
+    filter_user_id: userId,
+    clusters: kept.map(cluster => ({
+      cluster: cluster.index,
+      collection_id: cluster.collection?.id || null,
+      centroid: formatForPgVector(Array.from(cluster.centroid)),
+      name: (cluster.central.title || 'Untitled').slice(0, 80),
+    })),
+  });
+
+  if (applyError) {
+    throw applyError;
+  }
+
+  const toName = (applied || [])
+    .filter(({ cluster_index: index, kept_collection_id: id }) => {
+      const { collection, size } = clusters[index];
+      return collection?.id !== id || needsNaming(size, collection.named_count);
+    })
+    .map(({ kept_collection_id: id }) => id);
+
+  await nameCollections(toName, userId);
+
+  return {
+    captureCount,
+    collectionCount: kept.length,
+    unclusteredCount: await countUnclustered(userId),
+  };
+}
+
+/**
+ * Load a page of the embedded captures to cluster, newest first
+ */
+async function loadEmbeddedCaptures(userId, offset, limit) {
+  const captures = [];
+
+  while (captures.length < limit) {
+    let query = supabase
+      .from('captures')
+      .select('id, user_id, title, display_title, url, embedding')
+      .not('embedding', 'is', null)
+      .is('duplicate_of', null);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const from = offset + captures.length;
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true })
+      .range(from, from + Math.min(BATCH_SIZE, limit - captures.length) - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const row of data || []) {
+      captures.push({
+        id: row.id,
+        user_id: row.user_id,
+        title: row.display_title || row.title || row.url,
+        vector: normalize(Float32Array.from(parsePgVector(row.embedding))),
+      });
+    }
+
+    if (!data || data.length < BATCH_SIZE) break;
+  }
+
+  return captures;
+}
+
+/**
+ * Load automatic collections with their centroids (and, optionally, their capture IDs)
+ */
+async function loadCollections(userId, { withItems = false } = {}) {
+  let query = supabase
+    .from('collections')
+    .select('id, name, centroid, capture_count, named_count')
+    .eq('kind', 'auto');
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const collections = (data || [])
+    .filter(collection => collection.centroid)
+    .map(collection => ({ ...collection, centroid: normalize(Float32Array.from(parsePgVector(collection.centroid))), captureIds: [] }));
+
+  if (withItems && collections.length > 0) {
+    const byId = new Map(collections.map(collection => [collection.id, collection]));
+    const ids = [...byId.keys()];
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const { data: items, error: itemsError } = await supabase
+        .from('collection_items')
+        .select('collection_id, capture_id')
+        .in('collection_id', ids)
+        .order('capture_id', { ascending: true })
+        .order('collection_id', { ascending: true })
+        .range(offset, offset + BATCH_SIZE - 1);
+
+      if (itemsError) {
+        throw itemsError;
+      }
+
+      for (const item of items || []) {
+        byId.get(item.collection_id)?.captureIds.push(item.capture_id);
+      }
+
+      if (!items || items.length < BATCH_SIZE) break;
+    }
+  }
+
+  return collections;
+}
+
+/**
+ * Take a capture out of collections, keeping their sizes in step
+ */
+async function removeFromCollections(captureId, collectionIds) {
+  if (collectionIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('collection_items')
+    .delete()
+    .eq('capture_id', captureId)
+    .in('collection_id', collectionIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const { data: collections } = await supabase
+    .from('collections')
+    .select('id, capture_count')
+    .in('id', collectionIds);
+
+  for (const collection of collections || []) {
+    await supabase
+      .from('collections')
+      .update({ capture_count: Math.max(collection.capture_count - 1, 0) })
+      .eq('id', collection.id);
+  }
+}
+
+/**
+ * Queue a re-clustering when enough captures fit no collection
+ * The first clustering runs as soon as there are enough embedded captures.
+ */
+async function maybeRecluster(userId) {
+  const [lastRun, unclustered] = await Promise.all([getLatestRun(userId, 'completed'), countUnclustered(userId)]);
+
+  const due = lastRun
+    ? unclustered - (lastRun.unclustered_count || 0) >= RECLUSTER_AFTER
+    : unclustered >= MIN_CAPTURES_TO_CLUSTER;
+
+  if (due) {
+    const result = await startClustering(userId);
+    if (!result.success && !result.conflict) {
+      console.error('[Collections] Could not queue re-clustering:', result.error);
+    }
+  }
+}
+
+/**
+ * Have the AI name and describe collections from their most central captures
+ * Collections keep their current name when the AI isn't configured or fails.
+ */
+async function nameCollections(collectionIds, userId) {
+  if (!isAiConfigured() || collectionIds.length === 0) return;
+
+  for (const id of collectionIds) {
+    try {
+      const { data: items, error: itemsError } = await supabase
+        .from('collection_items')
+        .select('capture_id')
+        .eq('collection_id', id)
+        .order('similarity', { ascending: false, nullsFirst: false })
+        .limit(NAMING_SAMPLE_SIZE);
+
+      if (itemsError) throw itemsError;
+      if (!items?.length) continue;
+
+      const { data: captures, error: capturesError } = await supabase
+        .from('captures')
+        .select('id, url, title, display_title, summary')
+        .in('id', items.map(item => item.capture_id));
+
+      if (capturesError) throw capturesError;
+
+      const named = await nameCollection(
+        (captures || []).map(capture => ({ title: capture.display_title || capture.title || capture.url, summary: capture.summary })),
+        userId,
+      );
+      if (!named) continue;
+
+      const { data: collection } = await supabase.from('collections').select('capture_count').eq('id', id).single();
+
+      await supabase
+        .from('collections')
+        .update({ name: named.name, description: named.description || null, named_count: collection?.capture_count ?? items.length })
+        .eq('id', id);
+
+      console.log(`[Collections] Named collection ${id}: ${named.name}`);
+    } catch (err) {
+      console.error(`[Collections] Failed to name collection ${id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Whether a collection of this size should be (re)named
+ */
+function needsNaming(captureCount, namedCount) {
+  if (!namedCount) return true;
+  return captureCount >= namedCount * RENAME_GROWTH || captureCount <= namedCount / RENAME_GROWTH;
+}
+
+async function getLatestRun(userId, status = null) {
+  let query = supabase
+    .from('collection_runs')
+    .select('id, status, capture_count, collection_count, unclustered_count, error, created_at, finished_at');
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+async function countUnclustered(userId) {
+  const { data, error } = await supabase.rpc('count_unclustered_captures', { filter_user_id: userId });
+
+  if (error) {
+    throw error;
+  }
+
+  return Number(data) || 0;
+}
+
+/**
+ * Add each collection's cover image and, when shared, its public link path
+ */
+async function withCovers(collections) {
+  if (collections.length === 0) {
+    return collections;
+  }
+
+  const { data, error } = await supabase.rpc('get_collection_covers', {
+    collection_ids: collections.map(collection => collection.id),
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const coverById = new Map((data || []).map(cover => [cover.collection_id, cover.image_url]));
+  return collections.map(collection => ({
+    ...collection,
+    cover_image_url: coverById.get(collection.id) || null,
+    share_path: collection.share_token ? `/shared/${collection.share_token}` : null,
+  }));
+}
+
+/**
+ * Fetch captures by ID, keeping the order of the IDs
+ */
+async function fetchCapturesInOrder(captureIds, columns) {
+  if (captureIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('captures')
+    .select(columns)
+    .in('id', captureIds);
+
+  if (error) {
+    throw error;
+  }
+
+  const byId = new Map((data || []).map(capture => [capture.id, capture]));
+  return captureIds.filter(captureId => byId.has(captureId)).map(captureId => byId.get(captureId));
+}
+
+async function getCollectionRow(id, userId) {
+  let query = supabase
+    .from('collections')
+    .select(COLLECTION_COLUMNS)
+    .eq('id', id);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    return { success: false, error: 'Collection not found' };
+  }
+
+  const [collection] = await withCovers([data]);
+  return { success: true, collection };
+}
+
+/**
+ * Get a collection that the user may change (automatic ones belong to clustering)
+ */
+async function getManualCollection(id, userId) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const found = await getCollectionRow(id, userId);
+  if (found.success && found.collection.kind !== 'manual') {
+    return { success: false, error: "Automatic collections can't be changed" };
+  }
+
+  return found;
+}
+
+function validateCollectionFields({ name, description }, requireName) {
+  if (name !== undefined || requireName) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return `name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') {
+      return 'description must be a string';
+    }
+    if (description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Capture IDs of a manual collection, in order
+ */
+async function getItemOrder(collectionId) {
+  const { data, error } = await supabase
+    .from('collection_items')
+    .select('capture_id')
+    .eq('collection_id', collectionId)
+    .order('position', { ascending: true, nullsFirst: false })
+    .order('added_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(item => item.capture_id);
+}
+
+/**
+ * Number a collection's captures 0..n-1 in the given order, writing only the
+ * positions that changed
+ */
+async function savePositions(collectionId, order) {
+  const { data, error } = await supabase
+    .from('collection_items')
+    .select('capture_id, position')
+    .eq('collection_id', collectionId);
+
+  if (error) {
+    throw error;
+  }
+
+  const positionById = new Map((data || []).map(item => [item.capture_id, item.position]));
+
+  for (const [position, captureId] of order.entries()) {
+    if (!positionById.has(captureId) || positionById.get(captureId) === position) {
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('collection_items')
+      .update({ position })
+      .eq('collection_id', collectionId)
+      .eq('capture_id', captureId);
+
+    if (updateError) {
+      throw updateError;
+    }
+  }
+}
+
+async function setCaptureCount(collectionId, captureCount) {
+  const { error } = await supabase
+    .from('collections')
+    .update({ capture_count: captureCount })
+    .eq('id', collectionId);
+
+  if (error) {
+    throw error;
+  }
+}
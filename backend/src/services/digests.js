@@ -0,0 +1,684 @@
+// Digest Service
+// Builds daily or weekly digests of what was captured (captures by category,
+// top-quality captures, open action items and AI-identified themes), delivers
+// them by email over SMTP and/or as a webhook POST, and keeps their history.
+// A scheduler in the backend builds each digest once its period ends.
+
+import nodemailer from 'nodemailer';
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isAiConfigured, identifyThemes } from './ai.js';
+import { listActionItems } from './actionItems.js';
+import { escapeHtml } from './html.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Schedule: off, daily or weekly, at DIGEST_HOUR server time (weekly on DIGEST_WEEKDAY, 0 = Sunday)
+const SCHEDULE = (process.env.DIGEST_SCHEDULE || 'off').toLowerCase();
+const DIGEST_HOUR = parseScheduleNumber(process.env.DIGEST_HOUR, 8, 23);
+const DIGEST_WEEKDAY = parseScheduleNumber(process.env.DIGEST_WEEKDAY, 1, 6);
+const CHECK_INTERVAL_MS = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Scheduled digests cover this user's captures (all captures when unset)
+const DIGEST_USER_ID = process.env.DIGEST_USER_ID || null;
+
+// Most captures read into one digest (the counts still cover every capture of
+// the period), and how many are listed per category
+const MAX_DIGEST_CAPTURES = 500;
+const CATEGORY_BATCH_SIZE = 1000;
+const ITEMS_PER_CATEGORY = 8;
+const TOP_QUALITY_COUNT = 5;
+const OPEN_ACTIONS_COUNT = 10;
+
+// Themes are only identified when there is enough to find them in
+const MIN_CAPTURES_FOR_THEMES = 3;
+
+// A scheduled digest that failed (or whose build was cut off, e.g. by a crash)
+// is attempted again on later checks, up to this many times in all
+const MAX_SCHEDULED_ATTEMPTS = 3;
+const BUILD_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Columns returned when listing digests
+const DIGEST_LIST_COLUMNS = 'id, frequency, trigger, period_start, period_end, status, attempts, capture_count, deliveries, error, created_at, delivered_at';
+
+let schedulerTimer = null;
+let transport = null;
+
+/**
+ * Check if digests can be emailed (needs an SMTP host and a recipient)
+ */
+export function isEmailConfigured() {
+  return !!(process.env.SMTP_HOST && process.env.DIGEST_EMAIL_TO);
+}
+
+/**
+ * Check if digests are posted to a webhook
+ */
+export function isWebhookConfigured() {
+  return !!process.env.DIGEST_WEBHOOK_URL;
+}
+
+/**
+ * Get the digest schedule and where digests are delivered
+ * @returns {{frequency: string, hour: number, weekday: number|null, channels: string[], nextRunAt: string|null}}
+ */
+export function getDigestSchedule() {
+  const enabled = DIGEST_FREQUENCIES.includes(SCHEDULE);
+  const channels = [];
+  if (isEmailConfigured()) channels.push('email');
+  if (isWebhookConfigured()) channels.push('webhook');
+
+  return {
+    frequency: enabled ? SCHEDULE : 'off',
+    hour: DIGEST_HOUR,
+    weekday: SCHEDULE === 'weekly' ? DIGEST_WEEKDAY : null,
+    channels,
+    nextRunAt: enabled ? shiftPeriod(getLastScheduledTime(SCHEDULE, new Date()), SCHEDULE, 1).toISOString() : null,
+  };
+}
+
+/**
+ * Start the digest scheduler
+ * Every few minutes it checks whether the latest scheduled digest was built,
+ * and builds and delivers it if not. A digest missed while the backend was
+ * down is sent when it comes back; older missed periods are not.
+ */
+export function startDigestScheduler() {
+  if (schedulerTimer) return;
+
+  if (!isConfigured() || !DIGEST_FREQUENCIES.includes(SCHEDULE)) {
+    console.log('[Digest] Scheduler disabled (Supabase not configured or DIGEST_SCHEDULE not daily/weekly)');
+    return;
+  }
+
+  const channels = getDigestSchedule().channels;
+  console.log(`[Digest] Scheduler started (${SCHEDULE} at ${DIGEST_HOUR}:00, delivery: ${channels.join(', ') || 'history only'})`);
+
+  const tick = async () => {
+    try {
+      await runScheduledDigest();
+    } catch (err) {
+      console.error('[Digest] Scheduled run failed:', err.message);
+    }
+    if (schedulerTimer) {
+      schedulerTimer = setTimeout(tick, CHECK_INTERVAL_MS);
+    }
+  };
+
+  schedulerTimer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop the digest scheduler
+ */
+export function stopDigestScheduler() {
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Build the digest for the latest scheduled period if it hasn't been built yet,
+ * or attempt it again if it failed or its build was abandoned
+ */
+async function runScheduledDigest() {
+  const periodEnd = getLastScheduledTime(SCHEDULE, new Date());
+
+  let query = supabase
+    .from('digests')
+    .select('id, status, attempts, attempted_at')
+    .eq('trigger', 'scheduled')
+    .eq('frequency', SCHEDULE)
+    .eq('period_end', periodEnd.toISOString());
+
+  query = DIGEST_USER_ID ? query.eq('user_id', DIGEST_USER_ID) : query.is('user_id', null);
+
+  const { data: existing, error } = await query.limit(1).maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const period = {
+    frequency: SCHEDULE,
+    trigger: 'scheduled',
+    periodStart: shiftPeriod(periodEnd, SCHEDULE, -1),
+    periodEnd,
+  };
+
+  if (!existing) {
+    await createDigest(period, DIGEST_USER_ID);
+    return;
+  }
+
+  if (!isRetryable(existing)) return;
+
+  // Claim the retry only if no other instance claimed it since it was read
+  const { data: claimed, error: claimError } = await supabase
+    .from('digests')
+    .update({ status: 'building', attempts: existing.attempts + 1, attempted_at: new Date().toISOString(), error: null })
+    .eq('id', existing.id)
+    .eq('status', existing.status)
+    .eq('attempts', existing.attempts)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) return;
+
+  console.log(`[Digest] Retrying ${SCHEDULE} digest ${existing.id} (attempt ${existing.attempts + 1} of ${MAX_SCHEDULED_ATTEMPTS})`);
+  await completeDigest(existing.id, period, DIGEST_USER_ID);
+}
+
+/**
+ * Whether a scheduled digest should be attempted again: it failed, or is still
+ * marked as building long after its build started, and has attempts left
+ */
+function isRetryable(digest) {
+  if (digest.attempts >= MAX_SCHEDULED_ATTEMPTS) return false;
+  if (digest.status === 'failed') return true;
+  return digest.status === 'building' && Date.now() - new Date(digest.attempted_at).getTime() > BUILD_TIMEOUT_MS;
+}
+
+/**
+ * Build a digest now, covering the last day or week, and deliver it
+ * @param {Object} options - { frequency: daily|weekly, deliver }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, digest?: Object, error?: string}>}
+ */
+export async function generateDigest({ frequency = 'daily', deliver = true } = {}, userId = null) {
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    return { success: false, error: `Invalid frequency. Use one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const periodEnd = new Date();
+  return await createDigest({
+    frequency,
+    trigger: 'manual',
+    periodStart: shiftPeriod(periodEnd, frequency, -1),
+    periodEnd,
+    deliver,
+  }, userId);
+}
+
+/**
+ * Build, deliver and record a digest
+ * The row is claimed before building, so a scheduled period is only built once
+ * even with several backend instances running.
+ */
+async function createDigest({ frequency, trigger, periodStart, periodEnd, deliver = true }, userId = null) {
+  const { data: row, error: insertError } = await supabase
+    .from('digests')
+    .insert({
+      user_id: userId,
+      frequency,
+      trigger,
+      period_start: periodStart.toISOString(),
+      period_end: periodEnd.toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    if (insertError.code === '23505') {
+      return { success: false, error: 'Digest already built for this period' };
+    }
+    console.error('[Digest] Failed to create digest:', insertError.message);
+    return { success: false, error: insertError.message };
+  }
+
+  return await completeDigest(row.id, { frequency, periodStart, periodEnd, deliver }, userId);
+}
+
+/**
+ * Build and deliver a claimed digest, and record the outcome on its row
+ */
+async function completeDigest(id, { frequency, periodStart, periodEnd, deliver = true }, userId = null) {
+  let updates;
+  try {
+    const content = await buildDigestContent(periodStart, periodEnd, userId);
+    const digest = { frequency, periodStart, periodEnd, content };
+    const html = renderDigestHtml(digest);
+
+    updates = { capture_count: content.captureCount, content, html };
+
+    if (content.captureCount === 0) {
+      updates.status = 'skipped';
+    } else if (!deliver || (!isEmailConfigured() && !isWebhookConfigured())) {
+      updates.status = 'stored';
+    } else {
+      const deliveries = await deliverDigest({ id, ...digest }, html, renderDigestText(digest));
+      const delivered = deliveries.filter(d => d.success).length;
+
+      updates.deliveries = deliveries;
+      updates.status = delivered === deliveries.length ? 'sent' : delivered > 0 ? 'partial' : 'failed';
+      updates.error = deliveries.filter(d => !d.success).map(d => `${d.channel}: ${d.error}`).join('; ') || null;
+      if (delivered > 0) {
+        updates.delivered_at = new Date().toISOString();
+      }
+    }
+  } catch (err) {
+    console.error('[Digest] Build failed:', err.message);
+    updates = { status: 'failed', error: err.message };
+  }
+
+  const { data, error } = await supabase
+    .from('digests')
+    .update(updates)
+    .eq('id', id)
+    .select(DIGEST_LIST_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[Digest] Failed to save digest:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  console.log(`[Digest] ${frequency} digest ${id}: ${data.status} (${data.capture_count} captures)`);
+  return { success: true, digest: data };
+}
+
+/**
+ * Gather what goes into a digest for a period
+ * @returns {Promise<Object>} - { captureCount, categories, topQuality, openActions, themes }
+ */
+async function buildDigestContent(periodStart, periodEnd, userId = null) {
+  const { data, error, count } = await periodCapturesQuery(
+    'id, url, title, display_title, summary, category, quality_score, created_at',
+    periodStart,
+    periodEnd,
+    userId,
+    { count: 'exact' },
+  )
+    .order('created_at', { ascending: false })
+    .limit(MAX_DIGEST_CAPTURES);
+
+  if (error) {
+    throw error;
+  }
+
+  const captures = (data || []).map(capture => ({
+    id: capture.id,
+    url: capture.url,
+    title: capture.display_title || capture.title || capture.url,
+    summary: capture.summary,
+    category: capture.category?.toLowerCase() || 'reference',
+    quality: capture.quality_score,
+  }));
+  const brief = ({ id, url, title }) => ({ id, url, title });
+
+  const captureCount = count ?? captures.length;
+
+  const byCategory = new Map();
+  for (const capture of captures) {
+    if (!byCategory.has(capture.category)) byCategory.set(capture.category, []);
+    byCategory.get(capture.category).push(capture);
+  }
+
+  // Past the cap, categories are counted over the whole period
+  const categoryCounts = captureCount > captures.length
+    ? await countPeriodCategories(periodStart, periodEnd, userId)
+    : new Map([...byCategory.entries()].map(([category, items]) => [category, items.length]));
+
+  const categories = [...categoryCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, categoryCount]) => ({
+      category,
+      count: categoryCount,
+      captures: (byCategory.get(category) || []).slice(0, ITEMS_PER_CATEGORY).map(brief),
+    }));
+
+  const topQuality = captures
+    .filter(capture => capture.quality)
+    .sort((a, b) => b.quality - a.quality)
+    .slice(0, TOP_QUALITY_COUNT)
+    .map(capture => ({ ...brief(capture), summary: capture.summary, quality: capture.quality }));
+
+  const openActions = { count: 0, items: [] };
+  const actions = await listActionItems({ view: 'open' }, userId);
+  if (actions.success) {
+    openActions.count = actions.count;
+    openActions.items = actions.groups
+      .flatMap(group => group.items.map(item => ({
+        text: item.text,
+        due_date: item.due_date,
+        capture: brief({ ...group.capture, title: group.capture.display_title || group.capture.title || group.capture.url }),
+      })))
+      .slice(0, OPEN_ACTIONS_COUNT);
+  }
+
+  let themes = [];
+  if (isAiConfigured() && captures.length >= MIN_CAPTURES_FOR_THEMES) {
+    try {
+      themes = (await identifyThemes(captures, userId)).map(theme => ({
+        name: theme.name,
+        description: theme.description,
+        captures: theme.items.map(index => brief(captures[index])),
+      }));
+    } catch (err) {
+      console.error('[Digest] Failed to identify themes:', err.message);
+    }
+  }
+
+  return { captureCount, categories, topQuality, openActions, themes };
+}
+
+/**
+ * Query a period's captures (flagged duplicates left out)
+ */
+function periodCapturesQuery(columns, periodStart, periodEnd, userId, options = {}) {
+  let query = supabase
+    .from('captures')
+    .select(columns, options)
+    .gte('created_at', periodStart.toISOString())
+    .lt('created_at', periodEnd.toISOString())
+    .is('duplicate_of', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  return query;
+}
+
+/**
+ * Count a period's captures per category
+ */
+async function countPeriodCategories(periodStart, periodEnd, userId) {
+  const counts = new Map();
+
+  for (let offset = 0; ; offset += CATEGORY_BATCH_SIZE) {
+    const { data, error } = await periodCapturesQuery('id, category', periodStart, periodEnd, userId)
+      .order('id', { ascending: true })
+      .range(offset, offset + CATEGORY_BATCH_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const capture of data || []) {
+      const category = capture.category?.toLowerCase() || 'reference';
+      counts.set(category, (counts.get(category) || 0) + 1);
+    }
+
+    if (!data || data.length < CATEGORY_BATCH_SIZE) break;
+  }
+
+  return counts;
+}
+
+/**
+ * Send a digest to every configured channel
+ * @returns {Promise<Array<{channel: string, success: boolean, error?: string, at: string}>>}
+ */
+async function deliverDigest(digest, html, text) {
+  const deliveries = [];
+
+  if (isEmailConfigured()) {
+    try {
+      await getTransport().sendMail({
+        from: process.env.DIGEST_EMAIL_FROM || process.env.SMTP_USER || 'tab-vault@localhost',
+        to: process.env.DIGEST_EMAIL_TO,
+        subject: getDigestTitle(digest),
+        html,
+        text,
+      });
+      deliveries.push({ channel: 'email', success: true, at: new Date().toISOString() });
+    } catch (err) {
+      console.error('[Digest] Email failed:', err.message);
+      deliveries.push({ channel: 'email', success: false, error: err.message, at: new Date().toISOString() });
+    }
+  }
+
+  if (isWebhookConfigured()) {
+    try {
+      const response = await fetch(process.env.DIGEST_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: 'digest',
+          id: digest.id,
+          frequency: digest.frequency,
+          period_start: digest.periodStart.toISOString(),
+          period_end: digest.periodEnd.toISOString(),
+          title: getDigestTitle(digest),
+          content: digest.content,
+          html,
+        }),
+        signal: AbortSignal.timeout(15000),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded ${response.status}`);
+      }
+      deliveries.push({ channel: 'webhook', success: true, at: new Date().toISOString() });
+    } catch (err) {
+      console.error('[Digest] Webhook failed:', err.message);
+      deliveries.push({ channel: 'webhook', success: false, error: err.message, at: new Date().toISOString() });
+    }
+  }
+
+  return deliveries;
+}
+
+/**
+ * SMTP transport, created on first use
+ * SMTP_SECURE=true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered.
+ */
+function getTransport() {
+  if (!transport) {
+    const secure = (process.env.SMTP_SECURE || 'false').toLowerCase() === 'true';
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transport;
+}
+
+/**
+ * List past digests, newest first
+ * @param {Object} options - { limit, offset }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, results?: Array, count?: number, total?: number, hasMore?: boolean, error?: string}>}
+ */
+export async function listDigests({ limit = 20, offset = 0 } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, results: [], count: 0, total: 0, hasMore: false };
+  }
+
+  try {
+    let query = supabase
+      .from('digests')
+      .select(DIGEST_LIST_COLUMNS, { count: 'exact' });
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const results = data || [];
+    const total = count ?? results.length;
+    return { success: true, results, count: results.length, total, hasMore: offset + results.length < total };
+  } catch (err) {
+    console.error('[Digest] Failed to list:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a digest with its content and HTML
+ * @param {string} id - Digest ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, digest?: Object, error?: string}>}
+ */
+export async function getDigest(id, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('digests')
+      .select(`${DIGEST_LIST_COLUMNS}, content, html`)
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Digest not found' };
+    }
+
+    return { success: true, digest: data };
+  } catch (err) {
+    console.error('[Digest] Failed to get digest:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Read an hour or weekday from the environment, falling back to a default when unset or out of range
+ */
+function parseScheduleNumber(value, fallback, max) {
+  const number = parseInt(value);
+  return Number.isInteger(number) && number >= 0 && number <= max ? number : fallback;
+}
+
+/**
+ * Latest scheduled time at or before now (server local time)
+ */
+function getLastScheduledTime(frequency, now) {
+  const time = new Date(now);
+  time.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (time > now) {
+    time.setDate(time.getDate() - 1);
+  }
+  if (frequency === 'weekly') {
+    while (time.getDay() !== DIGEST_WEEKDAY) {
+      time.setDate(time.getDate() - 1);
+    }
+  }
+  return time;
+}
+
+/**
+ * Move a time by a number of digest periods (days or weeks)
+ */
+function shiftPeriod(time, frequency, periods) {
+  const shifted = new Date(time);
+  shifted.setDate(shifted.getDate() + periods * (frequency === 'weekly' ? 7 : 1));
+  return shifted;
+}
+
+function getDigestTitle({ frequency, periodEnd, content }) {
+  const label = frequency === 'weekly' ? 'Weekly' : 'Daily';
+  const date = periodEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return `Tab Vault ${label} Digest - ${date} (${content.captureCount} ${content.captureCount === 1 ? 'capture' : 'captures'})`;
+}
+
+/**
+ * Render a digest as an email-friendly HTML page (inline styles only)
+ */
+function renderDigestHtml(digest) {
+  const { content } = digest;
+  const link = capture => `<a href="${escapeHtml(capture.url)}" style="color:#4338ca;text-decoration:none;">${escapeHtml(capture.title)}</a>`;
+  const heading = text => `<h2 style="font-size:15px;margin:24px 0 8px;color:#1a1a2e;">${escapeHtml(text)}</h2>`;
+  const sections = [];
+
+  if (content.themes.length > 0) {
+    sections.push(heading('Themes') + content.themes.map(theme => `
+      <p style="margin:0 0 12px;"><strong>${escapeHtml(theme.name)}</strong>${theme.description ? ` - ${escapeHtml(theme.description)}` : ''}
+      ${theme.captures.length ? `<br><span style="font-size:13px;">${theme.captures.map(link).join(' &middot; ')}</span>` : ''}</p>`).join(''));
+  }
+
+  if (content.topQuality.length > 0) {
+    sections.push(heading('Top captures') + content.topQuality.map(capture => `
+      <p style="margin:0 0 12px;">${link(capture)} <span style="color:#999;font-size:12px;">&#9733; ${capture.quality}/10</span>
+      ${capture.summary ? `<br><span style="color:#555;font-size:13px;">${escapeHtml(capture.summary)}</span>` : ''}</p>`).join(''));
+  }
+
+  if (content.categories.length > 0) {
+    sections.push(heading('New captures') + content.categories.map(group => `
+      <p style="margin:0 0 4px;"><strong style="text-transform:capitalize;">${escapeHtml(group.category)}</strong> <span style="color:#999;">(${group.count})</span></p>
+      <ul style="margin:0 0 12px;padding-left:20px;">
+        ${group.captures.map(capture => `<li style="margin-bottom:4px;">${link(capture)}</li>`).join('')}
+        ${group.count > group.captures.length ? `<li style="color:#999;">and ${group.count - group.captures.length} more</li>` : ''}
+      </ul>`).join(''));
+  }
+
+  if (content.openActions.items.length > 0) {
+    sections.push(heading(`Open actions (${content.openActions.count})`) + `
+      <ul style="margin:0;padding-left:20px;">
+        ${content.openActions.items.map(item => `
+          <li style="margin-bottom:6px;">${escapeHtml(item.text)}${item.due_date ? ` <span style="color:#b45309;font-size:12px;">due ${escapeHtml(item.due_date)}</span>` : ''}
+          <br><span style="font-size:12px;">${link(item.capture)}</span></li>`).join('')}
+      </ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:14px;line-height:1.5;color:#333;">
+  <div style="max-width:640px;margin:0 auto;background:#fff;border-radius:8px;padding:24px;">
+    <h1 style="font-size:18px;margin:0 0 4px;color:#1a1a2e;">${escapeHtml(getDigestTitle(digest))}</h1>
+    <p style="margin:0;color:#999;font-size:12px;">${escapeHtml(digest.periodStart.toLocaleString('en-US'))} - ${escapeHtml(digest.periodEnd.toLocaleString('en-US'))}</p>
+    ${sections.join('\n')}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render a digest as plain text (the email's text part)
+ */
+function renderDigestText(digest) {
+  const { content } = digest;
+  const lines = [getDigestTitle(digest), ''];
+
+  if (content.themes.length > 0) {
+    lines.push('THEMES');
+    content.themes.forEach(theme => lines.push(`- ${theme.name}${theme.description ? `: ${theme.description}` : ''}`));
+    lines.push('');
+  }
+
+  if (content.topQuality.length > 0) {
+    lines.push('TOP CAPTURES');
+    content.topQuality.forEach(capture => lines.push(`- ${capture.title} (${capture.quality}/10)`, `  ${capture.url}`));
+    lines.push('');
+  }
+
+  lines.push('NEW CAPTURES');
+  content.categories.forEach(group => {
+    lines.push(`${group.category} (${group.count})`);
+    group.captures.forEach(capture => lines.push(`- ${capture.title}`, `  ${capture.url}`));
+  });
+
+  if (content.openActions.items.length > 0) {
+    lines.push('', `OPEN ACTIONS (${content.openActions.count})`);
+    content.openActions.items.forEach(item => lines.push(`- ${item.text}${item.due_date ? ` (due ${item.due_date})` : ''}`));
+  }
+
+  return lines.join('\n');
+}
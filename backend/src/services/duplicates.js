@@ -0,0 +1,299 @@
+// Duplicates Service
+// Flags captures of a page already in the vault (same canonical URL, or an
+// embedding nearly identical to an earlier capture) and merges them away
+
+import { supabase, isConfigured } from './supabase.js';
+import { canonicalizeUrl } from './canonicalUrl.js';
+
+// Embedding similarity at which two captures count as the same content
+// (mirrors and reposts land around 0.97+, related articles below 0.9)
+const NEAR_DUPLICATE_THRESHOLD = 0.95;
+
+// Flagged duplicates read per request when building clusters
+const CLUSTER_SCAN_LIMIT = 1000;
+
+// Columns returned for captures in duplicate clusters
+const CLUSTER_COLUMNS = 'id, url, canonical_url, title, display_title, summary, category, tags, quality_score, created_at, source_platform, image_url, notion_synced, duplicate_of, duplicate_similarity';
+
+/**
+ * Find a capture of the same URL captured since a given time
+ * Matches the canonical URL, and the raw URL for captures saved before
+ * canonical URLs were recorded.
+ * @param {string} url - URL as captured
+ * @param {string} since - ISO timestamp
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Object|null>} - { id, status } of the existing capture
+ */
+export async function findRecentCapture(url, since, userId = null) {
+  const existing = await findRecentCaptures([url], since, userId);
+  return existing.get(canonicalizeUrl(url)) || null;
+}
+
+/**
+ * Find captures of any of the given URLs captured since a given time
+ * @param {string[]} urls - URLs as captured
+ * @param {string} since - ISO timestamp
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Map<string, Object>>} - Canonical URL to { id, status } of the existing capture
+ */
+export async function findRecentCaptures(urls, since, userId = null) {
+  const found = new Map();
+  if (urls.length === 0) return found;
+
+  const canonicalUrls = [...new Set(urls.map(canonicalizeUrl))];
+  const quotedCanonical = canonicalUrls.map(quoteFilterValue).join(',');
+  const quotedUrls = [...new Set(urls)].map(quoteFilterValue).join(',');
+
+  let query = supabase
+    .from('captures')
+    .select('id, url, canonical_url, status')
+    .or(`canonical_url.in.(${quotedCanonical}),url.in.(${quotedUrls})`)
+    .gte('created_at', since);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const capture of data || []) {
+    const key = capture.canonical_url || canonicalizeUrl(capture.url);
+    if (!found.has(key)) found.set(key, { id: capture.id, status: capture.status });
+  }
+
+  return found;
+}
+
+/**
+ * Find the earlier capture with the same canonical URL
+ * @param {Object} capture - Capture with id, user_id, created_at, canonical_url
+ * @returns {Promise<{id: string, similarity: number}|null>}
+ */
+export async function findCanonicalDuplicate(capture) {
+  if (!capture.canonical_url) return null;
+
+  let query = supabase
+    .from('captures')
+    .select('id, duplicate_of')
+    .eq('canonical_url', capture.canonical_url)
+    .neq('id', capture.id)
+    .lt('created_at', capture.created_at);
+
+  query = capture.user_id ? query.eq('user_id', capture.user_id) : query.is('user_id', null);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check canonical URL: ${error.message}`);
+  }
+
+  const match = data?.[0];
+  return match ? { id: match.duplicate_of || match.id, similarity: 1 } : null;
+}
+
+/**
+ * Find the earlier capture this one duplicates
+ * Checks the canonical URL first, then embedding similarity against captures
+ * that are not themselves duplicates, so clusters stay one level deep.
+ * @param {Object} capture - Capture with id, user_id, created_at, canonical_url, embedding
+ * @returns {Promise<{id: string, similarity: number}|null>}
+ */
+export async function findDuplicate(capture) {
+  const canonicalMatch = await findCanonicalDuplicate(capture);
+  if (canonicalMatch || !capture.embedding) {
+    return canonicalMatch;
+  }
+
+  const { data, error } = await supabase.rpc('find_near_duplicates', {
+    query_embedding: capture.embedding,
+    exclude_capture_id: capture.id,
+    created_before: capture.created_at,
+    match_threshold: NEAR_DUPLICATE_THRESHOLD,
+    match_count: 1,
+    filter_user_id: capture.user_id || null
+  });
+
+  if (error) {
+    throw new Error(`Failed to check near-duplicates: ${error.message}`);
+  }
+
+  const match = data?.[0];
+  return match ? { id: match.id, similarity: match.similarity } : null;
+}
+
+/**
+ * Get flagged duplicates grouped under the capture they duplicate
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, clusters?: Array<{capture: Object, duplicates: Array}>, count?: number, error?: string}>}
+ */
+export async function getDuplicateClusters(userId = null) {
+  if (!isConfigured()) {
+    return { success: true, clusters: [], count: 0 };
+  }
+
+  try {
+    let duplicatesQuery = supabase
+      .from('captures')
+      .select(CLUSTER_COLUMNS)
+      .not('duplicate_of', 'is', null);
+
+    if (userId) {
+      duplicatesQuery = duplicatesQuery.eq('user_id', userId);
+    }
+
+    const { data: duplicates, error } = await duplicatesQuery
+      .order('created_at', { ascending: false })
+      .limit(CLUSTER_SCAN_LIMIT);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!duplicates || duplicates.length === 0) {
+      return { success: true, clusters: [], count: 0 };
+    }
+
+    const originalIds = [...new Set(duplicates.map(capture => capture.duplicate_of))];
+    let originalsQuery = supabase
+      .from('captures')
+      .select(CLUSTER_COLUMNS)
+      .in('id', originalIds);
+
+    if (userId) {
+      originalsQuery = originalsQuery.eq('user_id', userId);
+    }
+
+    const { data: originals, error: originalsError } = await originalsQuery;
+
+    if (originalsError) {
+      throw originalsError;
+    }
+
+    // Clusters keep the order of their newest duplicate
+    const originalsById = new Map((originals || []).map(capture => [capture.id, capture]));
+    const clusters = new Map();
+    for (const duplicate of duplicates) {
+      const original = originalsById.get(duplicate.duplicate_of);
+      if (!original) continue;
+
+      if (!clusters.has(original.id)) {
+        clusters.set(original.id, { capture: original, duplicates: [] });
+      }
+      clusters.get(original.id).duplicates.push(duplicate);
+    }
+
+    return { success: true, clusters: [...clusters.values()], count: clusters.size };
+  } catch (err) {
+    console.error('[Duplicates] Failed to fetch clusters:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Merge captures into one surviving capture
+ * Runs as one transaction (merge_captures): tags, selected text (the user's
+ * notes from capture time), Markdown notes and action items are folded into
+ * the target, and highlights, tracked action items, collection memberships and
+ * chat pins move to it; the merged captures are deleted along with their chunks.
+ * @param {string} targetId - Capture that survives
+ * @param {string[]} sourceIds - Captures folded into it
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, capture?: Object, merged?: number, error?: string}>}
+ */
+export async function mergeCaptures(targetId, sourceIds, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (!targetId || !Array.isArray(sourceIds) || sourceIds.length === 0) {
+    return { success: false, error: 'targetId and a non-empty sourceIds array are required' };
+  }
+
+  const ids = [...new Set(sourceIds)];
+  if (ids.includes(targetId)) {
+    return { success: false, error: 'A capture cannot be merged into itself' };
+  }
+
+  try {
+    const { data: merged, error: mergeError } = await supabase.rpc('merge_captures', {
+      target_id: targetId,
+      source_ids: ids,
+      filter_user_id: userId || null,
+    });
+
+    if (mergeError) {
+      // Raised by merge_captures when a capture is missing or not the user's
+      if (mergeError.code === 'P0002') {
+        return { success: false, error: mergeError.message };
+      }
+      throw mergeError;
+    }
+
+    const { data: capture, error: fetchError } = await supabase
+      .from('captures')
+      .select(CLUSTER_COLUMNS)
+      .eq('id', targetId)
+      .single();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    console.log(`[Duplicates] Merged ${merged} captures into ${targetId}`);
+    return { success: true, capture, merged };
+  } catch (err) {
+    console.error('[Duplicates] Merge failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Mark a flagged capture as not a duplicate
+ * Dismissed captures are not flagged again when reprocessed.
+ * @param {string} captureId - Flagged capture
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, capture?: Object, error?: string}>}
+ */
+export async function dismissDuplicate(captureId, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('captures')
+      .update({ duplicate_of: null, duplicate_similarity: null, duplicate_dismissed: true })
+      .eq('id', captureId);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .select('id, summary, pipeline_stages')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    return { success: true, capture: data };
+  } catch (err) {
+    console.error('[Duplicates] Dismiss failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+function quoteFilterValue(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
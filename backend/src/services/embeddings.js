@@ -8,6 +8,13 @@ import { recordUsage } from './usage.js';
 const EMBEDDING_MODEL = 'text-embedding-3-small';
 const EMBEDDING_DIMENSIONS = 1536;
 
+// Truncate text if too long (8191 tokens max for embedding model)
+// Rough estimate: 4 chars per token
+const MAX_EMBEDDING_CHARS = 30000;
+
+// Inputs per request when embedding many texts at once
+const EMBEDDING_BATCH_SIZE = 100;
+
 let openai = null;
 
 /**
@@ -50,11 +57,8 @@ export async function generateEmbedding(text, captureId = null, userId = null) {
     throw new Error('OpenAI API key not configured');
   }
 
-  // Truncate text if too long (8191 tokens max for embedding model)
-  // Rough estimate: 4 chars per token
-  const maxChars = 30000;
-  const truncatedText = text.length > maxChars
-    ? text.slice(0, maxChars)
+  const truncatedText = text.length > MAX_EMBEDDING_CHARS
+    ? text.slice(0, MAX_EMBEDDING_CHARS)
     : text;
 
   const response = await client.embeddings.create({
@@ -78,6 +82,54 @@ export async function generateEmbedding(text, captureId = null, userId = null) {
   return response.data[0].embedding;
 }
 
+/**
+ * Generate embeddings for several texts in batched requests
+ * @param {string[]} texts - Texts to embed
+ * @param {string|null} captureId - Capture ID for usage tracking
+ * @param {string|null} userId - User ID for usage tracking
+ * @param {string} operation - Usage operation name
+ * @returns {Promise<number[][]>} - Embedding vectors, in input order
+ */
+export async function generateEmbeddings(texts, captureId = null, userId = null, operation = 'embed_chunks') {
+  const client = getClient();
+
+  if (!client) {
+    throw new Error('OpenAI API key not configured');
+  }
+
+  const embeddings = [];
+  let inputTokens = 0;
+
+  for (let offset = 0; offset < texts.length; offset += EMBEDDING_BATCH_SIZE) {
+    const batch = texts
+      .slice(offset, offset + EMBEDDING_BATCH_SIZE)
+      .map(text => text.slice(0, MAX_EMBEDDING_CHARS));
+
+    const response = await client.embeddings.create({
+      model: EMBEDDING_MODEL,
+      input: batch,
+      dimensions: EMBEDDING_DIMENSIONS,
+    });
+
+    inputTokens += response.usage?.prompt_tokens || 0;
+    // The API may return items out of order; index maps them back
+    const sorted = [...response.data].sort((a, b) => a.index - b.index);
+    embeddings.push(...sorted.map(item => item.embedding));
+  }
+
+  recordUsage({
+    captureId,
+    userId,
+    service: 'openai',
+    model: EMBEDDING_MODEL,
+    operation,
+    inputTokens,
+    outputTokens: 0,
+  }).catch(err => console.error('[Embeddings] Failed to record usage:', err));
+
+  return embeddings;
+}
+
 /**
  * Generate embedding for a capture
  * Combines title, summary, and content for rich embedding
@@ -123,6 +175,16 @@ export function formatForPgVector(embedding) {
   return `[${embedding.join(',')}]`;
 }
 
+/**
+ * Parse an embedding read back from Supabase pgvector
+ * @param {string|number[]|null} value - Vector string ("[0.1,0.2,...]") or array
+ * @returns {number[]|null} - Embedding array, or null when missing
+ */
+export function parsePgVector(value) {
+  if (!value) return null;
+  return Array.isArray(value) ? value : JSON.parse(value);
+}
+
 /**
  * Generate embedding for a search query
  * @param {string} query - Search query text
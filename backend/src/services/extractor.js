@@ -0,0 +1,653 @@
+// Content Extractor
+// Readability-style main content extraction: parses HTML into a tree, strips
+// boilerplate, scores blocks by text density, and renders clean text + Markdown
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose contents are never article text (removed before parsing)
+const RAW_TEXT_ELEMENTS = /<(script|style|noscript|template|svg|math|iframe|object|canvas|textarea|select)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+  'tr', 'ul',
+]);
+
+// Always boilerplate, wherever they appear
+const REMOVE_TAGS = new Set([
+  'head', 'nav', 'aside', 'footer', 'form', 'button', 'input', 'label', 'dialog', 'menu', 'embed', 'link', 'meta',
+]);
+
+const BOILERPLATE_ROLES = new Set([
+  'navigation', 'complementary', 'banner', 'contentinfo', 'dialog', 'alertdialog', 'menu', 'menubar', 'search',
+]);
+
+// class/id patterns (adapted from Mozilla Readability)
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|ad-break|agegate|pagination|pager|popup|promo|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const NEGATIVE_PATTERN = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|consent|cookie|footer|gdpr|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|subscribe|tags|widget/i;
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+
+const TAG_BASE_SCORES = {
+  div: 5, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5,
+};
+
+// Containers that are dropped from the article when they look like link lists or clutter
+const CONDITIONAL_TAGS = new Set(['div', 'section', 'ul', 'ol', 'table', 'figure', 'header', 'details']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  copy: '©', reg: '®', trade: '™', times: '×', deg: '°', euro: '€', pound: '£', shy: '', zwj: '', zwnj: '',
+};
+
+/**
+ * Extract the main article content from an HTML page
+ * @param {string} html - Raw page HTML
+ * @param {string} baseUrl - Page URL, used to resolve relative links and images
+ * @returns {{text: string, markdown: string}} - Clean plain text and structured Markdown
+ */
+export function extractArticle(html, baseUrl = null) {
+  if (!html) {
+    return { text: '', markdown: '' };
+  }
+
+  const root = parseHtml(html);
+  const body = findFirst(root, node => node.tag === 'body') || root;
+
+  removeBoilerplate(body, false);
+  measure(body);
+
+  const article = pickArticle(body);
+  cleanConditionally(article);
+
+  return {
+    text: renderBlocks(article, { baseUrl, plain: true }).join('\n\n'),
+    markdown: renderBlocks(article, { baseUrl, plain: false }).join('\n\n'),
+  };
+}
+
+// ============ Parsing ============
+
+/**
+ * Parse HTML into a lightweight element tree
+ * Tolerates unclosed and misnested tags the way browsers commonly do
+ * (a new block closes an open <p>, a new <li> closes the previous one, ...).
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const source = html.replace(RAW_TEXT_ELEMENTS, '');
+  let lastIndex = 0;
+
+  const appendText = (text) => {
+    if (!text) return;
+    const parent = stack[stack.length - 1];
+    parent.children.push({ text: decodeEntities(text), parent });
+  };
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    appendText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, closing, rawTag, rawAttrs = ''] = match;
+    if (!rawTag) continue; // Comment, doctype, or processing instruction
+
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      closeTag(stack, tag);
+      continue;
+    }
+
+    closeImplied(stack, tag);
+
+    const parent = stack[stack.length - 1];
+    const node = { tag, attrs: parseAttributes(rawAttrs), children: [], parent };
+    parent.children.push(node);
+
+    if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(rawAttrs)) {
+      stack.push(node);
+    }
+  }
+
+  appendText(source.slice(lastIndex));
+  return root;
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  for (const match of raw.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function closeTag(stack, tag) {
+  for (let i = stack.length - 1; i > 0; i--) {
+    if (stack[i].tag === tag) {
+      stack.length = i;
+      return;
+    }
+  }
+  // Stray closing tag with no open element: ignore
+}
+
+function closeImplied(stack, tag) {
+  if (BLOCK_TAGS.has(tag)) {
+    closeWithin(stack, ['p'], BLOCK_TAGS);
+  }
+
+  if (tag === 'li') {
+    closeWithin(stack, ['li'], new Set(['ul', 'ol', 'menu']));
+  } else if (tag === 'dt' || tag === 'dd') {
+    closeWithin(stack, ['dt', 'dd'], new Set(['dl']));
+  } else if (tag === 'tr') {
+    closeWithin(stack, ['tr'], new Set(['table', 'thead', 'tbody', 'tfoot']));
+  } else if (tag === 'td' || tag === 'th') {
+    closeWithin(stack, ['td', 'th'], new Set(['tr', 'table']));
+  }
+}
+
+// Close the nearest open element in `tags`, unless a boundary element comes first
+function closeWithin(stack, tags, boundary) {
+  for (let i = stack.length - 1; i > 0; i--) {
+    const open = stack[i].tag;
+    if (tags.includes(open)) {
+      stack.length = i;
+      return;
+    }
+    if (boundary.has(open)) {
+      return;
+    }
+  }
+}
+
+// ============ Tree helpers ============
+
+function isText(node) {
+  return node.text !== undefined;
+}
+
+function walk(node, fn) {
+  for (const child of node.children) {
+    if (!isText(child)) {
+      fn(child);
+      walk(child, fn);
+    }
+  }
+}
+
+function findFirst(node, predicate) {
+  for (const child of node.children) {
+    if (isText(child)) continue;
+    if (predicate(child)) return child;
+    const found = findFirst(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Raw text content, preserving whitespace (used for <pre> and code)
+function rawText(node) {
+  if (isText(node)) return node.text;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(rawText).join('');
+}
+
+/**
+ * Record text length, link text length and comma count on every element
+ */
+function measure(node) {
+  for (const child of node.children) {
+    if (!isText(child)) measure(child);
+  }
+  tally(node);
+}
+
+// Sum stats from already-measured children
+function tally(node) {
+  let textLength = 0;
+  let linkLength = 0;
+  let commas = 0;
+
+  for (const child of node.children) {
+    if (isText(child)) {
+      textLength += child.text.replace(/\s+/g, ' ').trim().length;
+      commas += (child.text.match(/[,，]/g) || []).length;
+    } else {
+      textLength += child.textLength;
+      linkLength += child.tag === 'a' ? child.textLength : child.linkLength;
+      commas += child.commas;
+    }
+  }
+
+  node.textLength = textLength;
+  node.linkLength = linkLength;
+  node.commas = commas;
+}
+
+function linkDensity(node) {
+  return node.textLength ? node.linkLength / node.textLength : 0;
+}
+
+function classWeight(node) {
+  let weight = 0;
+
+  for (const value of [node.attrs.class, node.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE_PATTERN.test(value)) weight -= 25;
+    if (POSITIVE_PATTERN.test(value)) weight += 25;
+  }
+
+  return weight;
+}
+
+// ============ Boilerplate removal ============
+
+function removeBoilerplate(node, insideContent) {
+  const inContent = insideContent || node.tag === 'article' || node.tag === 'main';
+
+  node.children = node.children.filter(child => {
+    if (isText(child)) return true;
+    if (isBoilerplate(child, inContent)) return false;
+    removeBoilerplate(child, inContent);
+    return true;
+  });
+}
+
+function isBoilerplate(node, insideContent) {
+  const { tag, attrs } = node;
+
+  if (REMOVE_TAGS.has(tag)) return true;
+
+  // Site headers go; an article's own <header> (title, byline) stays
+  if (tag === 'header' && !insideContent) return true;
+
+  if ('hidden' in attrs || attrs['aria-hidden'] === 'true') return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(attrs.style || '')) return true;
+  if (BOILERPLATE_ROLES.has(attrs.role)) return true;
+
+  if (tag === 'body' || tag === 'article' || tag === 'main' || tag === 'a') return false;
+
+  const matchString = `${attrs.class || ''} ${attrs.id || ''}`;
+  return UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString);
+}
+
+// ============ Scoring ============
+
+// Paragraph-like elements whose text scores their ancestors
+function isScorable(node) {
+  if (['p', 'pre', 'td', 'blockquote'].includes(node.tag)) return true;
+
+  // Divs used as paragraphs (no block-level children)
+  if (node.tag === 'div' || node.tag === 'section') {
+    return !node.children.some(child => !isText(child) && BLOCK_TAGS.has(child.tag));
+  }
+
+  return false;
+}
+
+function scoreCandidates(body) {
+  const candidates = new Map();
+
+  walk(body, node => {
+    if (!isScorable(node) || node.textLength < 25) return;
+
+    const contentScore = 1 + node.commas + Math.min(Math.floor(node.textLength / 100), 3);
+
+    let ancestor = node.parent;
+    for (let level = 0; ancestor && ancestor.tag !== '#root' && level < 3; level++) {
+      if (!candidates.has(ancestor)) {
+        candidates.set(ancestor, (TAG_BASE_SCORES[ancestor.tag] || 0) + classWeight(ancestor));
+      }
+
+      const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+      candidates.set(ancestor, candidates.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parent;
+    }
+  });
+
+  let top = null;
+  let topScore = -Infinity;
+
+  for (const [node, score] of candidates) {
+    const adjusted = score * (1 - linkDensity(node));
+    candidates.set(node, adjusted);
+
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  }
+
+  return { candidates, top };
+}
+
+/**
+ * Pick the article root: the best-scoring candidate plus related siblings
+ * (split article bodies, standalone paragraphs); falls back to <article>/<main>
+ * or the whole body for pages without a clear content block.
+ */
+function pickArticle(body) {
+  const { candidates, top } = scoreCandidates(body);
+
+  if (!top || top.textLength < 200) {
+    return findFirst(body, node => (node.tag === 'article' || node.tag === 'main') && node.textLength >= 200) || body;
+  }
+
+  const parent = top.parent;
+  if (!parent || parent.tag === '#root') {
+    return top;
+  }
+
+  const topScore = candidates.get(top);
+  const threshold = Math.max(10, topScore * 0.2);
+
+  const children = parent.children.filter(sibling => {
+    if (sibling === top) return true;
+    if (isText(sibling)) return false;
+
+    const bonus = sibling.attrs.class && sibling.attrs.class === top.attrs.class ? topScore * 0.2 : 0;
+    if (candidates.has(sibling) && candidates.get(sibling) + bonus >= threshold) return true;
+
+    if (sibling.tag === 'p') {
+      const density = linkDensity(sibling);
+      if (sibling.textLength > 80 && density < 0.25) return true;
+      if (sibling.textLength > 0 && density === 0 && /\.( |$)/.test(rawText(sibling).trim())) return true;
+    }
+
+    return false;
+  });
+
+  const article = { tag: 'div', attrs: {}, children, parent: null };
+  tally(article);
+  return article;
+}
+
+// ============ Cleanup ============
+
+/**
+ * Remove link lists, empty wrappers and negatively weighted containers from the article
+ */
+function cleanConditionally(node) {
+  node.children = node.children.filter(child => {
+    if (isText(child)) return true;
+    cleanConditionally(child);
+    return !shouldRemove(child);
+  });
+  tally(node);
+}
+
+function shouldRemove(node) {
+  if (/^h[1-6]$/.test(node.tag)) {
+    return classWeight(node) < 0 || linkDensity(node) > 0.33;
+  }
+
+  if (!CONDITIONAL_TAGS.has(node.tag)) {
+    return false;
+  }
+
+  // Data tables are content even when short
+  if (node.tag === 'table' && !isLayoutTable(node)) {
+    return false;
+  }
+
+  const weight = classWeight(node);
+  if (weight < 0) return true;
+
+  const counts = { p: 0, li: 0, img: 0, pre: 0 };
+  walk(node, el => {
+    if (el.tag in counts) counts[el.tag]++;
+  });
+
+  if (node.textLength === 0) return counts.img === 0;
+  if (node.commas >= 10) return false;
+
+  const density = linkDensity(node);
+  const isList = node.tag === 'ul' || node.tag === 'ol';
+
+  if (!isList && counts.li > counts.p && density > 0.2) return true;
+  if (!isList && node.textLength < 25 && counts.img !== 1 && counts.pre === 0) return true;
+  // Short, link-heavy blocks (related links, tag clouds); long prose with inline links survives
+  if (!isList && weight < 25 && density > 0.2 && counts.pre === 0 && (density > 0.5 || node.textLength < 500)) return true;
+  if (weight >= 25 && density > 0.5) return true;
+
+  return false;
+}
+
+// ============ Rendering ============
+
+/**
+ * Render an element's children as a list of blocks (paragraphs, headings, lists, ...)
+ * ctx.plain renders readable text without Markdown syntax
+ */
+function renderBlocks(node, ctx) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = normalizeInline(inline);
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of node.children) {
+    if (!isText(child) && BLOCK_TAGS.has(child.tag)) {
+      flush();
+      blocks.push(...renderBlock(child, ctx));
+    } else {
+      inline += renderInline(child, ctx);
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+function renderBlock(node, ctx) {
+  const heading = node.tag.match(/^h([1-6])$/);
+  if (heading) {
+    const text = normalizeInline(renderInlineChildren(node, ctx)).replace(/\n/g, ' ');
+    if (!text) return [];
+    return [ctx.plain ? text : `${'#'.repeat(Number(heading[1]))} ${text}`];
+  }
+
+  switch (node.tag) {
+    case 'hr':
+      return ctx.plain ? [] : ['---'];
+
+    case 'pre': {
+      const code = rawText(node).replace(/^\n+/, '').replace(/\s+$/, '');
+      if (!code) return [];
+      if (ctx.plain) return [code];
+
+      const fence = code.includes('```') ? '~~~' : '```';
+      return [`${fence}${codeLanguage(node)}\n${code}\n${fence}`];
+    }
+
+    case 'blockquote': {
+      const inner = renderBlocks(node, ctx).join('\n\n');
+      if (!inner) return [];
+      if (ctx.plain) return [inner];
+      return [inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')];
+    }
+
+    case 'ul':
+    case 'ol':
+      return renderList(node, ctx);
+
+    case 'table':
+      return isLayoutTable(node) ? renderBlocks(node, ctx) : renderTable(node, ctx);
+
+    default:
+      return renderBlocks(node, ctx);
+  }
+}
+
+function renderInline(node, ctx) {
+  if (isText(node)) {
+    return node.text.replace(/\s+/g, ' ');
+  }
+
+  switch (node.tag) {
+    case 'br':
+      return '\n';
+
+    case 'img': {
+      if (ctx.plain) return '';
+      const src = resolveUrl(node.attrs.src || node.attrs['data-src'], ctx.baseUrl);
+      if (!src) return '';
+      return `![${(node.attrs.alt || '').replace(/[\[\]\n]/g, ' ').trim()}](${src})`;
+    }
+
+    case 'a': {
+      const text = renderInlineChildren(node, ctx);
+      const href = resolveUrl(node.attrs.href, ctx.baseUrl);
+      if (ctx.plain || !href || !text.trim()) return text;
+      return wrap(text.replace(/\n/g, ' '), '[', `](${href})`);
+    }
+
+    case 'strong':
+    case 'b':
+      return ctx.plain ? renderInlineChildren(node, ctx) : wrap(renderInlineChildren(node, ctx), '**', '**');
+
+    case 'em':
+    case 'i':
+      return ctx.plain ? renderInlineChildren(node, ctx) : wrap(renderInlineChildren(node, ctx), '*', '*');
+
+    case 'code':
+    case 'kbd':
+    case 'samp': {
+      const code = rawText(node).replace(/\s+/g, ' ');
+      if (ctx.plain) return code;
+      const fence = code.includes('`') ? '``' : '`';
+      return wrap(code, fence, fence);
+    }
+
+    default: {
+      // Block elements nested inside inline context (e.g. <a><div>..</div></a>) still need word breaks
+      const inner = renderInlineChildren(node, ctx);
+      return BLOCK_TAGS.has(node.tag) ? ` ${inner} ` : inner;
+    }
+  }
+}
+
+function renderInlineChildren(node, ctx) {
+  return node.children.map(child => renderInline(child, ctx)).join('');
+}
+
+function renderList(node, ctx) {
+  const ordered = node.tag === 'ol';
+  let index = parseInt(node.attrs.start) || 1;
+  const items = [];
+
+  for (const child of node.children) {
+    if (isText(child)) continue;
+
+    const blocks = child.tag === 'li' ? renderBlocks(child, ctx) : renderBlock(child, ctx);
+    if (blocks.length === 0) continue;
+
+    if (child.tag !== 'li') {
+      // Lists nested directly in a list (invalid but common)
+      items.push(indent(blocks.join('\n'), '  '));
+      continue;
+    }
+
+    const marker = ordered ? `${index++}. ` : '- ';
+    items.push(marker + indent(blocks.join('\n'), ' '.repeat(marker.length)).trimStart());
+  }
+
+  return items.length > 0 ? [items.join('\n')] : [];
+}
+
+function renderTable(node, ctx) {
+  const rows = [];
+  walk(node, el => {
+    if (el.tag === 'tr') rows.push(el);
+  });
+
+  const cells = rows
+    .map(row => row.children
+      .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+      .map(cell => {
+        const text = normalizeInline(renderInlineChildren(cell, ctx)).replace(/\n/g, ' ');
+        return ctx.plain ? text : text.replace(/\|/g, '\\|');
+      }))
+    .filter(row => row.some(Boolean));
+
+  if (cells.length === 0) return [];
+  if (ctx.plain) return [cells.map(row => row.join(' | ')).join('\n')];
+
+  const width = Math.max(...cells.map(row => row.length));
+  const line = row => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`;
+
+  return [[
+    line(cells[0]),
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...cells.slice(1).map(line),
+  ].join('\n')];
+}
+
+// Tables used for page layout hold blocks in their cells; render those as flowing content
+function isLayoutTable(node) {
+  return !!findFirst(node, el => ['table', 'div', 'p', 'ul', 'ol', 'pre', 'blockquote', 'h1', 'h2', 'h3'].includes(el.tag));
+}
+
+function codeLanguage(node) {
+  const code = findFirst(node, el => el.tag === 'code');
+  const classes = `${node.attrs.class || ''} ${code?.attrs.class || ''}`;
+  const match = classes.match(/(?:lang|language)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+function normalizeInline(text) {
+  return text
+    .replace(/ {2,}/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// Wrap text in markers, keeping surrounding whitespace outside them
+function wrap(text, open, close) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : text;
+}
+
+function indent(text, pad) {
+  return text.split('\n').map(line => (line ? pad + line : line)).join('\n');
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || href.startsWith('data:')) return null;
+
+  try {
+    const resolved = new URL(href, baseUrl || undefined);
+    return ['http:', 'https:', 'mailto:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
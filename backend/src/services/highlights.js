@@ -0,0 +1,394 @@
+// Highlights Service
+// Passages highlighted on captured pages, with notes, anchored by quote so the
+// extension can mark them again when the page is revisited
+
+import { supabase, isConfigured } from './supabase.js';
+import { findRecentCapture } from './duplicates.js';
+
+// Limits on what is stored per highlight
+const MAX_QUOTE_CHARS = 5000;
+const MAX_CONTEXT_CHARS = 32;
+const MAX_NOTE_CHARS = 5000;
+
+// Most highlights accepted in one request
+export const MAX_HIGHLIGHTS_PER_REQUEST = 50;
+
+// Highlighted pages returned to the extension for re-showing highlights
+const HIGHLIGHTED_PAGES_LIMIT = 2000;
+
+// How much highlighted text goes into AI prompts
+const PROMPT_QUOTE_CHARS = 400;
+const PROMPT_NOTE_CHARS = 400;
+const PROMPT_HIGHLIGHTS_CHARS = 3000;
+
+// Columns returned for highlights
+const HIGHLIGHT_COLUMNS = 'id, capture_id, quote, prefix, suffix, note, notion_synced_at, created_at, updated_at';
+
+/**
+ * Get the highlights of a capture, in the order they were made
+ * @param {string} captureId - Capture ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, highlights?: Array, error?: string}>}
+ */
+export async function getHighlights(captureId, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, highlights: [] };
+  }
+
+  try {
+    const highlightsByCapture = await getHighlightsByCapture([captureId], userId);
+    return { success: true, highlights: highlightsByCapture.get(captureId) || [] };
+  } catch (err) {
+    console.error('[Highlights] Failed to fetch:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get the highlights of several captures
+ * @param {string[]} captureIds - Capture IDs
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Map<string, Array>>} - Capture ID to its highlights, oldest first
+ */
+export async function getHighlightsByCapture(captureIds, userId = null) {
+  const byCapture = new Map();
+  if (captureIds.length === 0) return byCapture;
+
+  let query = supabase
+    .from('highlights')
+    .select(HIGHLIGHT_COLUMNS)
+    .in('capture_id', captureIds);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const highlight of data || []) {
+    if (!byCapture.has(highlight.capture_id)) byCapture.set(highlight.capture_id, []);
+    byCapture.get(highlight.capture_id).push(highlight);
+  }
+
+  return byCapture;
+}
+
+/**
+ * Get the capture of a page and its highlights
+ * @param {string} url - Page URL
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, captureId?: string|null, highlights?: Array, error?: string}>}
+ */
+export async function getPageHighlights(url, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, captureId: null, highlights: [] };
+  }
+
+  try {
+    const capture = await findPageCapture(url, userId);
+    if (!capture) {
+      return { success: true, captureId: null, highlights: [] };
+    }
+
+    const highlightsByCapture = await getHighlightsByCapture([capture.id], userId);
+    return { success: true, captureId: capture.id, highlights: highlightsByCapture.get(capture.id) || [] };
+  } catch (err) {
+    console.error('[Highlights] Failed to fetch page highlights:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Find the newest capture of a page, whenever it was captured
+ * @param {string} url - Page URL
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Object|null>} - { id, status } of the capture
+ */
+export async function findPageCapture(url, userId = null) {
+  return await findRecentCapture(url, new Date(0).toISOString(), userId);
+}
+
+/**
+ * List the URLs of pages that have highlights
+ * The extension checks visited pages against this list before asking for
+ * their highlights, so ordinary browsing sends nothing to the backend.
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, urls?: string[], error?: string}>}
+ */
+export async function getHighlightedUrls(userId = null) {
+  if (!isConfigured()) {
+    return { success: true, urls: [] };
+  }
+
+  try {
+    let highlightsQuery = supabase
+      .from('highlights')
+      .select('capture_id');
+
+    if (userId) {
+      highlightsQuery = highlightsQuery.eq('user_id', userId);
+    }
+
+    const { data: highlights, error } = await highlightsQuery
+      .order('created_at', { ascending: false })
+      .limit(HIGHLIGHTED_PAGES_LIMIT);
+
+    if (error) {
+      throw error;
+    }
+
+    const captureIds = [...new Set((highlights || []).map(highlight => highlight.capture_id))];
+    if (captureIds.length === 0) {
+      return { success: true, urls: [] };
+    }
+
+    let capturesQuery = supabase
+      .from('captures')
+      .select('url, canonical_url')
+      .in('id', captureIds);
+
+    if (userId) {
+      capturesQuery = capturesQuery.eq('user_id', userId);
+    }
+
+    const { data: captures, error: capturesError } = await capturesQuery;
+
+    if (capturesError) {
+      throw capturesError;
+    }
+
+    const urls = new Set();
+    for (const capture of captures || []) {
+      urls.add(capture.url);
+      if (capture.canonical_url) urls.add(capture.canonical_url);
+    }
+
+    return { success: true, urls: [...urls] };
+  } catch (err) {
+    console.error('[Highlights] Failed to list highlighted pages:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Add highlights to a capture
+ * A capture already synced to Notion is marked unsynced so the new
+ * highlights are added to its page on the next sync.
+ * @param {string} captureId - Capture ID
+ * @param {Array<{quote: string, prefix?: string, suffix?: string, note?: string}>} highlights
+ * @param {string|null} userId - Owner of the highlights
+ * @returns {Promise<{success: boolean, highlights?: Array, error?: string}>}
+ */
+export async function addHighlights(captureId, highlights, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const rows = (highlights || []).map(normalizeHighlight);
+  if (rows.length === 0 || rows.some(row => !row)) {
+    return { success: false, error: 'Each highlight needs a non-empty quote' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('highlights')
+      .insert(rows.map(row => ({ ...row, capture_id: captureId, user_id: userId })))
+      .select(HIGHLIGHT_COLUMNS);
+
+    if (error) {
+      throw error;
+    }
+
+    let syncQuery = supabase
+      .from('captures')
+      .update({ notion_synced: false })
+      .eq('id', captureId)
+      .eq('notion_synced', true);
+
+    if (userId) {
+      syncQuery = syncQuery.eq('user_id', userId);
+    }
+
+    const { error: syncError } = await syncQuery;
+
+    if (syncError) {
+      console.error('[Highlights] Failed to mark capture for Notion sync:', syncError.message);
+    }
+
+    console.log(`[Highlights] Added ${data.length} to capture ${captureId}`);
+    return { success: true, highlights: data };
+  } catch (err) {
+    console.error('[Highlights] Add failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Update a highlight's note
+ * The quote and its anchor are fixed once saved.
+ * @param {string} id - Highlight ID
+ * @param {Object} updates - { note }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, highlight?: Object, error?: string}>}
+ */
+export async function updateHighlight(id, { note }, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  if (note !== null && typeof note !== 'string') {
+    return { success: false, error: 'note must be a string or null' };
+  }
+
+  try {
+    let query = supabase
+      .from('highlights')
+      .update({ note: note?.trim().slice(0, MAX_NOTE_CHARS) || null })
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .select(HIGHLIGHT_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Highlight not found' };
+    }
+
+    return { success: true, highlight: data };
+  } catch (err) {
+    console.error('[Highlights] Update failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a highlight
+ * @param {string} id - Highlight ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteHighlight(id, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('highlights')
+      .delete()
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Highlight not found' };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error('[Highlights] Delete failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Record that highlights were added to their capture's Notion page
+ * @param {string[]} ids - Highlight IDs
+ */
+export async function markHighlightsSynced(ids) {
+  if (ids.length === 0) return;
+
+  const { error } = await supabase
+    .from('highlights')
+    .update({ notion_synced_at: new Date().toISOString() })
+    .in('id', ids);
+
+  if (error) {
+    console.error('[Highlights] Failed to mark as synced:', error.message);
+  }
+}
+
+/**
+ * Build the reader's highlights and notes into a block for AI prompts
+ * Text selected when capturing counts as a highlight.
+ * @param {string} captureId - Capture ID
+ * @param {string|null} selectedText - Text selected when the page was captured
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<string>} - Empty when there is nothing highlighted
+ */
+export async function getHighlightsPrompt(captureId, selectedText = null, userId = null) {
+  let highlights = [];
+  if (isConfigured()) {
+    try {
+      highlights = (await getHighlightsByCapture([captureId], userId)).get(captureId) || [];
+    } catch (err) {
+      console.error('[Highlights] Failed to fetch for prompt:', err.message);
+    }
+  }
+
+  const passages = highlights.map(highlight => ({ quote: highlight.quote, note: highlight.note }));
+  if (selectedText?.trim() && !passages.some(passage => passage.quote.trim() === selectedText.trim())) {
+    passages.unshift({ quote: selectedText, note: null });
+  }
+
+  if (passages.length === 0) return '';
+
+  const lines = [];
+  let length = 0;
+  for (const { quote, note } of passages) {
+    const text = truncatePromptText(quote, PROMPT_QUOTE_CHARS);
+    const noteText = note ? truncatePromptText(note, PROMPT_NOTE_CHARS) : '';
+    const line = `- "${text}"${noteText ? ` (Reader's note: ${noteText})` : ''}`;
+    if (length + line.length > PROMPT_HIGHLIGHTS_CHARS) break;
+    lines.push(line);
+    length += line.length;
+  }
+
+  if (lines.length === 0) return '';
+
+  return `Passages the reader highlighted:\n${lines.join('\n')}`;
+}
+
+function truncatePromptText(text, maxChars) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > maxChars ? `${clean.slice(0, maxChars)}...` : clean;
+}
+
+/**
+ * Validate and trim one highlight from a request
+ * @returns {Object|null} - Row fields, or null if the highlight has no quote
+ */
+function normalizeHighlight(input) {
+  const quote = typeof input?.quote === 'string' ? input.quote.trim() : '';
+  if (!quote) return null;
+
+  const note = typeof input.note === 'string' ? input.note.trim().slice(0, MAX_NOTE_CHARS) : '';
+
+  // Keep the context nearest the quote
+  return {
+    quote: quote.slice(0, MAX_QUOTE_CHARS),
+    prefix: typeof input.prefix === 'string' && input.prefix ? input.prefix.slice(-MAX_CONTEXT_CHARS) : null,
+    suffix: typeof input.suffix === 'string' && input.suffix ? input.suffix.slice(0, MAX_CONTEXT_CHARS) : null,
+    note: note || null,
+  };
+}
@@ -0,0 +1,16 @@
+// HTML Service
+// Escaping for the HTML the backend renders itself (digest emails, shared
+// collection pages)
+
+/**
+ * Escape text for HTML content and double-quoted attributes
+ * @param {*} text - Text to escape (null and undefined become '')
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
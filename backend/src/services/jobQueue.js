@@ -0,0 +1,402 @@
+// Job Queue Service
+// Durable background jobs backed by the Supabase `jobs` table
+// Workers lease jobs, retry failures with backoff, and dead-letter after max attempts
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { supabase, isConfigured } from './supabase.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+const WORKER_ID = `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+
+// Registered handlers, keyed by job type
+const handlers = new Map();
+
+let pollTimer = null;
+let running = false;
+const inFlight = new Set();
+
+/**
+ * Check if the job queue can be used (needs Supabase and the worker enabled)
+ */
+export function isEnabled() {
+  return isConfigured() && (process.env.JOB_WORKER_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Get this process's worker ID (used for leasing)
+ */
+export function getWorkerId() {
+  return WORKER_ID;
+}
+
+/**
+ * Register a handler for a job type
+ * @param {string} type - Job type (e.g., 'process_capture')
+ * @param {Function} handler - async (job) => void; throw to fail the attempt
+ * @param {Object} options - Optional: { onDead(job, error) } called when a job is dead-lettered
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  handlers.set(type, { handler, onDead: options.onDead || null });
+}
+
+/**
+ * Enqueue a job
+ * A capture can only have one active (queued/running) job per type; enqueueing a
+ * duplicate returns the existing job instead of creating a second one.
+ * @param {string} type - Job type
+ * @param {Object} params - { captureId, userId, payload, maxAttempts, runAt }
+ * @returns {Promise<{success: boolean, job?: Object, duplicate?: boolean, error?: string}>}
+ */
+export async function enqueueJob(type, { captureId = null, userId = null, payload = {}, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = null } = {}) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        capture_id: captureId,
+        user_id: userId,
+        payload,
+        max_attempts: maxAttempts,
+        run_at: runAt || new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique violation: an active job for this capture already exists
+      if (error.code === '23505' && captureId) {
+        const { data: existing } = await supabase
+          .from('jobs')
+          .select('*')
+          .eq('type', type)
+          .eq('capture_id', captureId)
+          .in('status', ['queued', 'running'])
+          .limit(1)
+          .maybeSingle();
+
+        return { success: true, job: existing, duplicate: true };
+      }
+      throw error;
+    }
+
+    console.log(`[JobQueue] Enqueued ${type} job ${data.id}${captureId ? ` for capture ${captureId}` : ''}`);
+    pokeWorker();
+    return { success: true, job: data };
+  } catch (err) {
+    console.error('[JobQueue] Enqueue failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Compute retry delay for an attempt (exponential backoff, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in seconds
+ */
+function getBackoffSeconds(attempts) {
+  const delay = BACKOFF_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Update a job we hold the lease on. Scoped to locked_by so a worker that lost
+ * its lease (and had the job reclaimed) can't overwrite the new owner's state.
+ */
+async function updateLeasedJob(job, updates) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .update(updates)
+    .eq('id', job.id)
+    .eq('locked_by', WORKER_ID)
+    .eq('status', 'running')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    console.warn(`[JobQueue] Lost lease on job ${job.id}, skipping update`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Mark a job dead and notify its handler
+ */
+async function deadLetter(job, errorMessage, entry) {
+  await updateLeasedJob(job, {
+    status: 'dead',
+    last_error: errorMessage,
+    locked_by: null,
+    lease_expires_at: null,
+  });
+
+  console.error(`[JobQueue] Job ${job.id} (${job.type}) dead after ${job.attempts} attempts: ${errorMessage}`);
+
+  if (entry?.onDead) {
+    try {
+      await entry.onDead(job, new Error(errorMessage));
+    } catch (err) {
+      console.error('[JobQueue] onDead handler failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Run a single leased job
+ */
+async function runJob(job) {
+  const entry = handlers.get(job.type);
+
+  if (!entry) {
+    await deadLetter(job, `No handler registered for job type: ${job.type}`, null);
+    return;
+  }
+
+  // A job reclaimed after a crash may already be past its ceiling
+  if (job.attempts > job.max_attempts) {
+    await deadLetter(job, job.last_error || 'Max attempts exceeded', entry);
+    return;
+  }
+
+  // Keep the lease alive while the handler runs
+  const heartbeat = setInterval(() => {
+    updateLeasedJob(job, {
+      lease_expires_at: new Date(Date.now() + LEASE_SECONDS * 1000).toISOString(),
+    }).catch(err => console.error('[JobQueue] Lease renewal failed:', err.message));
+  }, Math.max(LEASE_SECONDS * 1000 / 3, 1000));
+
+  try {
+    console.log(`[JobQueue] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    await entry.handler(job);
+
+    clearInterval(heartbeat);
+    await updateLeasedJob(job, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      last_error: null,
+      locked_by: null,
+      lease_expires_at: null,
+    });
+    console.log(`[JobQueue] Completed job ${job.id}`);
+  } catch (err) {
+    clearInterval(heartbeat);
+
+    if (job.attempts >= job.max_attempts) {
+      await deadLetter(job, err.message, entry);
+      return;
+    }
+
+    const delaySeconds = getBackoffSeconds(job.attempts);
+    await updateLeasedJob(job, {
+      status: 'queued',
+      last_error: err.message,
+      run_at: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+      locked_by: null,
+      lease_expires_at: null,
+    });
+    console.warn(`[JobQueue] Job ${job.id} failed (attempt ${job.attempts}), retrying in ${delaySeconds}s: ${err.message}`);
+  }
+}
+
+/**
+ * Claim and run available jobs, up to the concurrency limit
+ */
+async function poll() {
+  pollTimer = null;
+  if (!running) return;
+
+  const capacity = CONCURRENCY - inFlight.size;
+
+  if (capacity > 0 && handlers.size > 0) {
+    try {
+      const { data: jobs, error } = await supabase.rpc('claim_jobs', {
+        worker_id: WORKER_ID,
+        batch_size: capacity,
+        lease_seconds: LEASE_SECONDS,
+        job_types: [...handlers.keys()],
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      for (const job of jobs || []) {
+        const promise = runJob(job)
+          .catch(err => console.error(`[JobQueue] Job ${job.id} crashed:`, err.message))
+          .finally(() => {
+            inFlight.delete(promise);
+            pokeWorker();
+          });
+        inFlight.add(promise);
+      }
+    } catch (err) {
+      console.error('[JobQueue] Poll failed:', err.message);
+    }
+  }
+
+  schedulePoll(POLL_INTERVAL_MS);
+}
+
+function schedulePoll(delay) {
+  if (!running || pollTimer) return;
+  pollTimer = setTimeout(poll, delay);
+}
+
+/**
+ * Trigger an immediate poll (e.g., right after enqueueing)
+ */
+function pokeWorker() {
+  if (!running) return;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  schedulePoll(0);
+}
+
+/**
+ * Start the worker loop
+ */
+export function startWorker() {
+  if (running) return;
+
+  if (!isEnabled()) {
+    console.log('[JobQueue] Worker disabled (Supabase not configured or JOB_WORKER_ENABLED=false)');
+    return;
+  }
+
+  running = true;
+  console.log(`[JobQueue] Worker ${WORKER_ID} started (concurrency=${CONCURRENCY}, lease=${LEASE_SECONDS}s)`);
+  schedulePoll(0);
+}
+
+/**
+ * Stop polling and wait for in-flight jobs to finish
+ * Jobs that don't finish are reclaimed by another worker once their lease expires.
+ * @returns {Promise<void>}
+ */
+export async function stopWorker() {
+  if (!running) return;
+
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  console.log(`[JobQueue] Stopping worker, waiting for ${inFlight.size} in-flight jobs`);
+  await Promise.allSettled([...inFlight]);
+}
+
+/**
+ * List jobs
+ * @param {Object} filters - { status, type, captureId, limit }
+ * @returns {Promise<{success: boolean, jobs?: Array, counts?: Object, error?: string}>}
+ */
+export async function listJobs({ status = null, type = null, captureId = null, limit = 50 } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('jobs')
+      .select('id, type, capture_id, status, attempts, max_attempts, run_at, last_error, locked_by, lease_expires_at, created_at, completed_at');
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    if (captureId) query = query.eq('capture_id', captureId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    // Count active and dead jobs for a quick health view
+    const counts = {};
+    for (const countStatus of ['queued', 'running', 'dead']) {
+      let countQuery = supabase
+        .from('jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', countStatus);
+
+      if (userId) countQuery = countQuery.eq('user_id', userId);
+
+      const { count } = await countQuery;
+      counts[countStatus] = count || 0;
+    }
+
+    return { success: true, jobs: data || [], counts };
+  } catch (err) {
+    console.error('[JobQueue] List failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Requeue a dead job with a fresh attempt budget
+ * @param {string} jobId - Job ID
+ * @returns {Promise<{success: boolean, job?: Object, error?: string}>}
+ */
+export async function retryJob(jobId, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let query = supabase
+      .from('jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        run_at: new Date().toISOString(),
+        locked_by: null,
+        lease_expires_at: null,
+      })
+      .eq('id', jobId)
+      .eq('status', 'dead');
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      // Another active job for the same capture already exists
+      if (error.code === '23505') {
+        return { success: false, error: 'An active job for this capture already exists' };
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Dead job not found' };
+    }
+
+    console.log(`[JobQueue] Requeued dead job ${jobId}`);
+    pokeWorker();
+    return { success: true, job: data };
+  } catch (err) {
+    console.error('[JobQueue] Retry failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
@@ -2,6 +2,10 @@
 // Designed to support future multi-workspace (see ALU-31)
 
 import { Client } from '@notionhq/client';
+import { isYouTubeVideoUrl, splitTimestamp, timestampUrl } from './youtube.js';
+
+// Longest text Notion accepts in one rich text item
+const NOTION_TEXT_LIMIT = 2000;
 
 // Initialize Notion client (will be null if not configured)
 let notionClient = null;
@@ -157,6 +161,23 @@ function mapCaptureToProperties(capture) {
   return properties;
 }
 
+/**
+ * Build rich text for a takeaway
+ * Video takeaways start with a [m:ss] timestamp, which links to that point in the video
+ */
+function takeawayRichText(takeaway, url) {
+  const timestamp = isYouTubeVideoUrl(url) ? splitTimestamp(takeaway) : null;
+
+  if (!timestamp) {
+    return [{ type: 'text', text: { content: takeaway } }];
+  }
+
+  return [
+    { type: 'text', text: { content: timestamp.label, link: { url: timestampUrl(url, timestamp.seconds) } } },
+    { type: 'text', text: { content: ` ${timestamp.text}` } },
+  ];
+}
+
 /**
  * Build page content blocks for Notion
  * @param {object} capture - The capture object
@@ -212,13 +233,17 @@ function buildPageContent(capture) {
         object: 'block',
         type: 'bulleted_list_item',
         bulleted_list_item: {
-          rich_text: [{ type: 'text', text: { content: takeaway } }],
+          rich_text: takeawayRichText(takeaway, capture.url),
         },
       });
     }
   }
 
-  // Add action items if available
+  // Add action items if available, checked when already done
+  const doneActions = new Set((capture.tracked_action_items || [])
+    .filter(item => item.status === 'done')
+    .map(item => todoKey(item.text)));
+
   if (capture.action_items && capture.action_items.length > 0) {
     blocks.push({
       object: 'block',
@@ -234,12 +259,17 @@ function buildPageContent(capture) {
         type: 'to_do',
         to_do: {
           rich_text: [{ type: 'text', text: { content: action } }],
-          checked: false,
+          checked: doneActions.has(todoKey(action)),
         },
       });
     }
   }
 
+  // Add highlights if available
+  if (capture.highlights && capture.highlights.length > 0) {
+    blocks.push(...buildHighlightBlocks(capture.highlights));
+  }
+
   // Add divider and bookmark
   blocks.push({
     object: 'block',
@@ -258,6 +288,159 @@ function buildPageContent(capture) {
   return blocks;
 }
 
+/**
+ * Build Notion blocks for highlights: a quote per highlight with its note in
+ * italics, under a heading unless the page already has one
+ * @param {array} highlights - Highlights of the capture
+ * @param {boolean} withHeading - Start with a "Highlights" heading
+ * @returns {array} - Array of Notion blocks
+ */
+function buildHighlightBlocks(highlights, withHeading = true) {
+  const blocks = [];
+
+  if (withHeading) {
+    blocks.push({
+      object: 'block',
+      type: 'heading_3',
+      heading_3: {
+        rich_text: [{ type: 'text', text: { content: 'Highlights' } }],
+      },
+    });
+  }
+
+  for (const highlight of highlights) {
+    const richText = [{ type: 'text', text: { content: highlight.quote.slice(0, NOTION_TEXT_LIMIT) } }];
+    if (highlight.note) {
+      richText.push({
+        type: 'text',
+        text: { content: `\n${highlight.note.slice(0, NOTION_TEXT_LIMIT - 1)}` },
+        annotations: { italic: true },
+      });
+    }
+
+    blocks.push({
+      object: 'block',
+      type: 'quote',
+      quote: { rich_text: richText },
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Key for matching an action item to its to-do block by text
+ */
+function todoKey(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * List the to-do blocks of a page
+ * @param {string} pageId - Notion page ID
+ * @param {object} client - Notion client
+ * @returns {Promise<Array<{id: string, text: string, checked: boolean}>>}
+ */
+async function listTodoBlocks(pageId, client) {
+  const todos = [];
+  let cursor;
+
+  do {
+    const response = await client.blocks.children.list({
+      block_id: pageId,
+      start_cursor: cursor,
+      page_size: 100,
+    });
+
+    for (const block of response.results) {
+      if (block.type !== 'to_do') continue;
+      todos.push({
+        id: block.id,
+        text: block.to_do.rich_text.map(part => part.plain_text).join(''),
+        checked: block.to_do.checked,
+      });
+    }
+
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return todos;
+}
+
+/**
+ * Link tracked action items to the to-do blocks on their capture's page and
+ * bring the blocks' checked state in line with the items' status
+ * Failures are logged and don't fail the sync; the page itself is saved.
+ * @param {string} pageId - Notion page ID
+ * @param {array} items - Tracked action items of the capture
+ * @param {object} client - Notion client
+ * @returns {Promise<array>} - [{ id, blockId }] for items linked to a block just now
+ */
+async function reconcileTodoBlocks(pageId, items, client) {
+  const linked = [];
+
+  try {
+    const todos = await listTodoBlocks(pageId, client);
+
+    for (const item of items) {
+      let todo = item.notion_block_id && todos.find(block => block.id === item.notion_block_id);
+
+      if (!todo) {
+        todo = todos.find(block => !block.linked && todoKey(block.text) === todoKey(item.text));
+        if (!todo) continue;
+        linked.push({ id: item.id, blockId: todo.id });
+      }
+      todo.linked = true;
+
+      const checked = item.status === 'done';
+      if (todo.checked !== checked) {
+        await client.blocks.update({ block_id: todo.id, to_do: { checked } });
+      }
+    }
+  } catch (error) {
+    console.error('[Notion] Failed to update action item to-dos:', error.message);
+  }
+
+  return linked;
+}
+
+/**
+ * Check or uncheck a to-do block
+ * @param {string} blockId - Notion block ID
+ * @param {boolean} checked - New checked state
+ * @param {object} options - Optional: { apiKey } for multi-workspace
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function setTodoChecked(blockId, checked, options = {}) {
+  try {
+    const client = getClient(options.apiKey);
+    await client.blocks.update({ block_id: blockId, to_do: { checked } });
+    return { success: true };
+  } catch (error) {
+    console.error('[Notion] To-do update failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the to-do block of an action item on a page, by its text
+ * @param {string} pageId - Notion page ID
+ * @param {string} text - Action item text
+ * @param {object} options - Optional: { apiKey } for multi-workspace
+ * @returns {Promise<{success: boolean, blockId?: string|null, error?: string}>}
+ */
+export async function findTodoBlock(pageId, text, options = {}) {
+  try {
+    const client = getClient(options.apiKey);
+    const todos = await listTodoBlocks(pageId, client);
+    const todo = todos.find(block => todoKey(block.text) === todoKey(text));
+    return { success: true, blockId: todo?.id || null };
+  } catch (error) {
+    console.error('[Notion] To-do lookup failed:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Sync a single capture to Notion
  * @param {object} capture - The capture object from database
@@ -277,6 +460,20 @@ export async function syncCapture(capture, options = {}) {
         properties: mapCaptureToProperties(capture),
       });
 
+      // Highlights made since the last sync are appended to the page
+      const newHighlights = (capture.highlights || []).filter(highlight => !highlight.notion_synced_at);
+      if (newHighlights.length > 0) {
+        await client.blocks.children.append({
+          block_id: capture.notion_page_id,
+          children: buildHighlightBlocks(newHighlights, newHighlights.length === capture.highlights.length),
+        });
+      }
+
+      // Completed action items are checked off on the page
+      const actionItemBlocks = capture.tracked_action_items?.length > 0
+        ? await reconcileTodoBlocks(capture.notion_page_id, capture.tracked_action_items, client)
+        : [];
+
       console.log(`[Notion] Updated page ${capture.notion_page_id}`);
 
       return {
@@ -284,6 +481,8 @@ export async function syncCapture(capture, options = {}) {
         pageId: response.id,
         pageUrl: response.url,
         updated: true,
+        highlightIds: newHighlights.map(highlight => highlight.id),
+        actionItemBlocks,
       };
     } else {
       // Create new page with rich content
@@ -296,6 +495,11 @@ export async function syncCapture(capture, options = {}) {
         children: buildPageContent(capture),
       });
 
+      // Remember which to-do block belongs to which action item
+      const actionItemBlocks = capture.tracked_action_items?.length > 0
+        ? await reconcileTodoBlocks(response.id, capture.tracked_action_items, client)
+        : [];
+
       console.log(`[Notion] Created page ${response.id}`);
 
       return {
@@ -303,6 +507,8 @@ export async function syncCapture(capture, options = {}) {
         pageId: response.id,
         pageUrl: response.url,
         created: true,
+        highlightIds: (capture.highlights || []).map(highlight => highlight.id),
+        actionItemBlocks,
       };
     }
   } catch (error) {
@@ -346,6 +552,8 @@ export async function syncMultiple(captures, options = {}) {
         id: capture.id,
         pageId: result.pageId,
         pageUrl: result.pageUrl,
+        highlightIds: result.highlightIds,
+        actionItemBlocks: result.actionItemBlocks,
       });
     } else {
       results.failed++;
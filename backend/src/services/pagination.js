@@ -0,0 +1,171 @@
+// Pagination Service
+// Keyset (cursor) pagination for capture listings: results are ordered by the
+// sort's columns with id as the final tiebreaker, and the cursor holds the
+// last row's sort values so pages stay stable while new captures arrive
+
+// Sort orders; nullable columns sort their NULLs last
+const SORTS = {
+  newest: [{ column: 'created_at', ascending: false }],
+  oldest: [{ column: 'created_at', ascending: true }],
+  quality: [
+    { column: 'quality_score', ascending: false, nullable: true },
+    { column: 'created_at', ascending: false },
+  ],
+  actionability: [
+    { column: 'actionability_score', ascending: false, nullable: true },
+    { column: 'created_at', ascending: false },
+  ],
+};
+
+export const LISTING_SORTS = Object.keys(SORTS);
+export const SEARCH_SORTS = ['similarity', ...LISTING_SORTS];
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Resolve a sort name to its key columns
+ * @param {string} sort - newest, oldest, quality, actionability, or similarity
+ * @param {string|null} scoreColumn - Relevance column for similarity (search results only)
+ * @returns {Array<{column: string, ascending: boolean, nullable?: boolean}>|null} - null for unknown sorts
+ */
+export function getSortKeys(sort, scoreColumn = null) {
+  if (sort === 'similarity') {
+    return scoreColumn ? [{ column: scoreColumn, ascending: false }] : null;
+  }
+  return SORTS[sort] || null;
+}
+
+/**
+ * Parse the limit query parameter
+ * @param {string|undefined} value - Raw limit
+ * @param {number} defaultSize - Page size when not given
+ * @returns {number}
+ */
+export function parseLimit(value, defaultSize = DEFAULT_PAGE_SIZE) {
+  return Math.min(Math.max(parseInt(value) || defaultSize, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Decode a cursor from a previous page
+ * @param {string|undefined} cursor - Opaque cursor string
+ * @param {string} sort - Sort of the current request; cursors only continue the sort they came from
+ * @returns {{sort: string, values: Array, id: string, seen: number}|null} - null when absent
+ * @throws {Error} - Malformed cursor, or a cursor from another sort
+ */
+export function decodeCursor(cursor, sort) {
+  if (!cursor) return null;
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!Array.isArray(decoded?.values) || typeof decoded.id !== 'string' || !Number.isInteger(decoded.seen)) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (decoded.sort !== sort) {
+    throw new Error(`Cursor was issued for sort "${decoded.sort}"; restart paging without a cursor`);
+  }
+
+  return decoded;
+}
+
+/**
+ * Order a query by the sort keys and, when continuing, skip rows up to the cursor
+ * Fetches one extra row so pageResults can tell whether more pages exist.
+ * @param {Object} query - Supabase filter builder (table or set-returning RPC)
+ * @param {Array} sortKeys - From getSortKeys
+ * @param {Object|null} cursor - From decodeCursor
+ * @param {number} limit - Page size
+ * @returns {Object} - The ordered, limited query
+ */
+export function applyCursor(query, sortKeys, cursor, limit) {
+  if (cursor) {
+    query = query.or(buildKeysetFilter(sortKeys, cursor));
+  }
+
+  for (const key of sortKeys) {
+    query = query.order(key.column, { ascending: key.ascending, nullsFirst: false });
+  }
+
+  const idAscending = sortKeys[sortKeys.length - 1].ascending;
+  return query.order('id', { ascending: idAscending }).limit(limit + 1);
+}
+
+/**
+ * Trim the extra row and build the page response fields
+ * @param {Array} rows - Rows from a query built with applyCursor
+ * @param {string} sort - Sort name, recorded in the next cursor
+ * @param {Array} sortKeys - Same keys passed to applyCursor
+ * @param {Object|null} cursor - Cursor the page was fetched with
+ * @param {number} limit - Page size
+ * @param {number|null} remaining - Exact count of rows from this page onwards
+ * @returns {{results: Array, count: number, total: number|null, hasMore: boolean, nextCursor: string|null}}
+ */
+export function pageResults(rows, sort, sortKeys, cursor, limit, remaining = null) {
+  const results = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const seen = (cursor?.seen || 0) + results.length;
+  const last = results[results.length - 1];
+
+  return {
+    results,
+    count: results.length,
+    // The count excludes rows before the cursor, which earlier pages returned
+    total: remaining === null ? null : (cursor?.seen || 0) + remaining,
+    hasMore,
+    nextCursor: hasMore && last
+      ? Buffer.from(JSON.stringify({
+        sort,
+        values: sortKeys.map(key => last[key.column] ?? null),
+        id: last.id,
+        seen,
+      })).toString('base64url')
+      : null,
+  };
+}
+
+/**
+ * Build a PostgREST or-filter matching rows that sort after the cursor
+ * For keys k1..kn then id: (k1 after) or (k1 = and k2 after) or ... or (all = and id after)
+ */
+function buildKeysetFilter(sortKeys, cursor) {
+  const keys = [...sortKeys, { column: 'id', ascending: sortKeys[sortKeys.length - 1].ascending }];
+  const values = [...cursor.values, cursor.id];
+  const branches = [];
+
+  for (let i = 0; i < keys.length; i++) {
+    const after = afterCondition(keys[i], values[i]);
+    if (!after) continue;
+
+    const equal = keys.slice(0, i).map((key, j) => equalCondition(key, values[j]));
+    const conditions = [...equal, after];
+    branches.push(conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`);
+  }
+
+  return branches.join(',');
+}
+
+function equalCondition(key, value) {
+  return value === null ? `${key.column}.is.null` : `${key.column}.eq.${formatValue(value)}`;
+}
+
+/**
+ * Condition for rows strictly after value on one key (NULLs sort last)
+ * Returns null when nothing can follow (value is already NULL)
+ */
+function afterCondition(key, value) {
+  if (value === null) return null;
+
+  const comparison = `${key.column}.${key.ascending ? 'gt' : 'lt'}.${formatValue(value)}`;
+  return key.nullable ? `or(${comparison},${key.column}.is.null)` : comparison;
+}
+
+function formatValue(value) {
+  if (typeof value === 'number') return String(value);
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
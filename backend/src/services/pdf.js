@@ -0,0 +1,152 @@
+// PDF Service
+// Extracts per-page text and document metadata (title, author) from PDFs
+// Uses pdf.js (legacy Node build), loaded on first use
+
+// Documents beyond these limits are rejected rather than partially parsed
+const MAX_PDF_BYTES = 50 * 1024 * 1024;
+const MAX_PDF_PAGES = 1000;
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Check whether a response looks like a PDF document
+ * Some servers send PDFs as application/octet-stream, so fall back to the URL
+ * @param {string} contentType - Response Content-Type header
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+export function isPdfResponse(contentType, url) {
+  if (contentType.includes('application/pdf')) return true;
+
+  if (contentType.includes('application/octet-stream') || contentType.includes('binary/octet-stream')) {
+    try {
+      return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Extract text and metadata from a PDF
+ * @param {ArrayBuffer|Uint8Array} data - PDF bytes
+ * @returns {Promise<{success: boolean, pages?: Array<{page: number, text: string}>, metadata?: Object, error?: string}>}
+ */
+export async function extractPdf(data) {
+  if (data.byteLength > MAX_PDF_BYTES) {
+    return { success: false, error: `PDF too large (${Math.round(data.byteLength / 1024 / 1024)}MB)` };
+  }
+
+  let pdfjs;
+  try {
+    pdfjs = await loadPdfjs();
+  } catch (error) {
+    return { success: false, error: `PDF support unavailable: ${error.message}` };
+  }
+
+  let doc = null;
+
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(data),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0,
+    }).promise;
+
+    if (doc.numPages > MAX_PDF_PAGES) {
+      return { success: false, error: `PDF has too many pages (${doc.numPages})` };
+    }
+
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      pages.push({ page: pageNumber, text: joinTextItems(textContent.items) });
+      page.cleanup();
+    }
+
+    const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+
+    return {
+      success: true,
+      pages,
+      metadata: {
+        title: cleanMetadataValue(info?.Title),
+        author: cleanMetadataValue(info?.Author),
+        subject: cleanMetadataValue(info?.Subject),
+        created_at: parsePdfDate(pdfjs, info?.CreationDate),
+        page_count: doc.numPages,
+      },
+    };
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      return { success: false, error: 'PDF is password-protected' };
+    }
+    return { success: false, error: `PDF parsing failed: ${error.message}` };
+  } finally {
+    if (doc) {
+      await doc.destroy().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Format extracted pages as capture content with page markers
+ * "[Page N]" markers let chunking and citations point back to the page
+ * @param {Array<{page: number, text: string}>} pages
+ * @returns {string}
+ */
+export function formatPages(pages) {
+  return pages
+    .filter(({ text }) => text)
+    .map(({ page, text }) => `[Page ${page}]\n${text}`)
+    .join('\n\n');
+}
+
+/**
+ * Join pdf.js text items into lines, re-joining words hyphenated across lines
+ */
+function joinTextItems(items) {
+  let text = '';
+
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+  }
+
+  return text
+    .replace(/[ \t]+/g, ' ')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function cleanMetadataValue(value) {
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/\s+/g, ' ').trim();
+  // Word processors often leave placeholder titles like "untitled" or "Microsoft Word - draft.docx"
+  if (!cleaned || /^untitled$/i.test(cleaned) || /^microsoft word - /i.test(cleaned)) return null;
+  return cleaned.slice(0, 300);
+}
+
+function parsePdfDate(pdfjs, value) {
+  if (!value) return null;
+  try {
+    return pdfjs.PDFDateString.toDateObject(value)?.toISOString() || null;
+  } catch (e) {
+    return null;
+  }
+}
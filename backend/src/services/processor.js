@@ -1,181 +1,479 @@
 // Background Processor Pipeline
-// Orchestrates: scrape → AI process → embed → update
+// Orchestrates: scrape → image → AI + insights → embed → dedupe → update
+// Each stage records its own status, timing, and error on the capture
 
 import { supabase, isConfigured as isSupabaseConfigured } from './supabase.js';
-import { scrapeUrl, isScrapeable, extractAuthor } from './scraper.js';
-import { processContent, generateDisplayTitle, extractInsights, isConfigured as isAiConfigured } from './ai.js';
+import { scrapeUrl, isScrapeable, extractAuthor, extractCanonicalLink, extractSnapshotContent } from './scraper.js';
+import { isYouTubeVideoUrl } from './youtube.js';
+import { processContent, extractInsights, condenseChunks, isConfigured as isAiConfigured } from './ai.js';
 import { generateCaptureEmbedding, formatForPgVector, isConfigured as isEmbeddingsConfigured } from './embeddings.js';
 import { detectSourcePlatform } from './sourceDetector.js';
 import { extractImageUrl, storeImage } from './imageStorage.js';
+import { enqueueJob, registerJobHandler, isEnabled as isJobQueueEnabled } from './jobQueue.js';
+import { chunkText } from './chunker.js';
+import { indexCaptureChunks } from './chunks.js';
+import { canonicalizeUrl, isUsableCanonicalLink } from './canonicalUrl.js';
+import { findCanonicalDuplicate, findDuplicate } from './duplicates.js';
+import { getHighlightsPrompt } from './highlights.js';
+import { omitEditedFields, getEditedFields } from './captureEdits.js';
+import { syncActionItems } from './actionItems.js';
+import { assignCaptureToCollection } from './collections.js';
+
+export const PROCESS_CAPTURE_JOB = 'process_capture';
+export const RERUN_STAGES_JOB = 'rerun_stages';
+
+// Captures with an in-process re-run waiting (when the job queue is unavailable)
+const pendingReruns = new Set();
+
+// Pipeline stages, in execution order (ai and insights run in parallel)
+export const PIPELINE_STAGES = ['scrape', 'image', 'ai', 'insights', 'embedding', 'dedupe'];
+
+// Stages built from a stage's output, re-run along with it
+const DEPENDENT_STAGES = {
+  scrape: ['image', 'ai', 'insights', 'embedding', 'dedupe'],
+  ai: ['embedding', 'dedupe'],
+  embedding: ['dedupe'],
+};
+
+// Long documents are condensed chunk by chunk before AI processing instead of
+// being cut off at what a single prompt reads
+const LONG_FORM_CONTENT_TYPES = ['pdf', 'transcript'];
+const LONG_CONTENT_THRESHOLD = 6000;
+const MAX_CONDENSE_CHUNKS = 16;
 
 /**
- * Process a single capture through the AI pipeline
- * @param {string} captureId - The capture ID to process
- * @param {string|null} userId - Optional user ID to enforce ownership
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Run one pipeline stage and record its outcome in `stages`
+ * A stage function may return { skipped: 'reason' } to mark itself skipped;
+ * throwing marks the stage failed without aborting the rest of the pipeline.
+ * @param {Object} stages - Stage state map being built for this run
+ * @param {string} name - Stage name
+ * @param {Function} fn - async () => void | { skipped: string }
  */
-export async function processCapture(captureId, userId = null) {
-  if (!isSupabaseConfigured()) {
-    return { success: false, error: 'Supabase not configured' };
-  }
+async function runStage(stages, name, fn) {
+  const startedAt = new Date();
+
+  const record = (status, extra = {}) => {
+    const finishedAt = new Date();
+    stages[name] = {
+      status,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt - startedAt,
+      ...extra,
+    };
+  };
 
   try {
-    // 1. Fetch the capture
-    let fetchQuery = supabase
-      .from('captures')
-      .select('*')
-      .eq('id', captureId);
-
-    if (userId) {
-      fetchQuery = fetchQuery.eq('user_id', userId);
-    }
-
-    const { data: capture, error: fetchError } = await fetchQuery.single();
-
-    if (fetchError || !capture) {
-      throw new Error(`Failed to fetch capture: ${fetchError?.message || 'Not found'}`);
+    const result = await fn();
+    if (result?.skipped) {
+      record('skipped', { reason: result.skipped });
+      console.log(`[Processor] Stage ${name} skipped: ${result.skipped}`);
+    } else {
+      record('completed');
     }
+  } catch (error) {
+    record('failed', { error: error.message });
+    console.error(`[Processor] Stage ${name} failed:`, error.message);
+  }
+}
 
-    console.log(`[Processor] Processing capture: ${capture.title || capture.url}`);
+/**
+ * Run the selected pipeline stages for a capture
+ * Stages not selected keep the capture's existing data (e.g., AI stages reuse
+ * stored content when only they are re-run).
+ * @param {Object} capture - Capture row
+ * @param {string[]} stageNames - Stages to run
+ * @param {Object} options - { skipDuplicates: skip the paid stages when the
+ *   page's canonical URL was already captured }
+ * @returns {Promise<{stages: Object, updates: Object}>}
+ */
+async function runPipeline(capture, stageNames, { skipDuplicates = false } = {}) {
+  const captureId = capture.id;
+  const ownerId = capture.user_id || null;
+  const shouldRun = name => stageNames.includes(name);
+
+  const stages = {};
+  const updates = {};
+  let content = capture.content || '';
+  let markdown = capture.content_markdown || '';
+  let contentType = capture.content_type || null;
+  let documentMetadata = capture.document_metadata || null;
+  let transcript = null;
+  let rawHtml = '';
+  let contentSource = null;
+
+  // Scrape content (if URL is scrapeable), then derive source/author from it
+  // A snapshot sent by the extension is preferred: it is the page as the user
+  // saw it, including paywalled, logged-in and intranet pages
+  if (shouldRun('scrape')) {
+    await runStage(stages, 'scrape', async () => {
+      // YouTube videos are read from their caption track instead of the watch page
+      if (capture.page_snapshot && !isYouTubeVideoUrl(capture.url)) {
+        const snapshotResult = extractSnapshotContent(capture.page_snapshot, capture.url);
+        rawHtml = snapshotResult.html || '';
+
+        if (snapshotResult.success) {
+          content = snapshotResult.content;
+          markdown = snapshotResult.markdown || '';
+          contentType = snapshotResult.contentType;
+          documentMetadata = null;
+          contentSource = 'snapshot';
+          console.log(`[Processor] Using page snapshot: ${content.length} characters`);
+          return;
+        }
 
-    // 2. Update status to processing
-    let processingStatusQuery = supabase
-      .from('captures')
-      .update({ status: 'processing' })
-      .eq('id', captureId);
+        console.log(`[Processor] Page snapshot unusable (${snapshotResult.error}), scraping instead`);
+      }
 
-    if (userId) {
-      processingStatusQuery = processingStatusQuery.eq('user_id', userId);
-    }
-    await processingStatusQuery;
+      if (!isScrapeable(capture.url)) {
+        return { skipped: 'URL is not scrapeable' };
+      }
 
-    // 3. Scrape content (if URL is scrapeable)
-    let content = '';
-    let rawHtml = '';
-    if (isScrapeable(capture.url)) {
       console.log('[Processor] Scraping URL...');
       const scrapeResult = await scrapeUrl(capture.url);
-      if (scrapeResult.success) {
-        content = scrapeResult.content;
-        rawHtml = scrapeResult.html || '';
-        console.log(`[Processor] Scraped ${content.length} characters`);
-      } else {
-        console.log(`[Processor] Scrape failed: ${scrapeResult.error}`);
-        // Even on failure, we might have HTML for author extraction
-        rawHtml = scrapeResult.html || '';
+      // Even on failure, we might have HTML for author extraction
+      rawHtml = scrapeResult.html || '';
+
+      if (!scrapeResult.success) {
+        throw new Error(scrapeResult.error || 'Scrape failed');
       }
+
+      contentType = scrapeResult.contentType || null;
+      documentMetadata = scrapeResult.metadata || null;
+      transcript = scrapeResult.transcript || null;
+      content = scrapeResult.content;
+      markdown = scrapeResult.markdown || '';
+      contentSource = 'scrape';
+      console.log(`[Processor] Scraped ${content.length} characters (${contentType})`);
+    });
+
+    // A failed scrape keeps the content (and author) already stored
+    const scraped = stages.scrape.status !== 'failed';
+    if (scraped) {
+      updates.content_source = contentSource;
+      updates.content = content || null;
+      updates.content_markdown = markdown || null;
+      updates.content_type = contentType;
+      updates.document_metadata = documentMetadata;
+      updates.transcript = transcript;
+    }
+    if (stages.scrape.status === 'completed') {
+      stages.scrape.source = contentSource;
+    }
+
+    // Tab titles for PDFs are often just the file name
+    if (documentMetadata?.title && isPlaceholderTitle(capture.title, capture.url)) {
+      updates.title = documentMetadata.title;
     }
 
     // Detect source platform from URL
-    const sourcePlatform = detectSourcePlatform(capture.url);
-    console.log(`[Processor] Source platform: ${sourcePlatform}`);
+    updates.source_platform = detectSourcePlatform(capture.url);
+    console.log(`[Processor] Source platform: ${updates.source_platform}`);
 
-    // Extract author name from HTML and URL
-    const authorName = extractAuthor(rawHtml, capture.url);
+    // Extract author name from document metadata, or HTML and URL
+    const authorName = documentMetadata?.author || extractAuthor(rawHtml, capture.url);
+    if (authorName || scraped) {
+      updates.author_name = authorName || null;
+    }
     if (authorName) {
       console.log(`[Processor] Extracted author: ${authorName}`);
     }
 
-    // Extract and store image (platform-specific APIs + og:image fallback)
-    let imageUrl = null;
-    const sourceImageUrl = await extractImageUrl(capture.url, rawHtml);
-    if (sourceImageUrl) {
+    // AMP and mirrored pages declare the original article as rel=canonical
+    const canonicalLink = extractCanonicalLink(rawHtml, capture.url);
+    updates.canonical_url = canonicalizeUrl(
+      canonicalLink && isUsableCanonicalLink(canonicalLink, capture.url) ? canonicalLink : capture.url
+    );
+  }
+
+  // A page that is already in the vault is flagged rather than paid for again
+  let duplicate = null;
+  if (skipDuplicates && shouldRun('dedupe') && !capture.duplicate_dismissed) {
+    try {
+      duplicate = await findCanonicalDuplicate({ ...capture, ...updates });
+    } catch (error) {
+      console.error('[Processor] Canonical duplicate check failed:', error.message);
+    }
+
+    if (duplicate) {
+      console.log(`[Processor] Duplicate of ${duplicate.id}, skipping AI stages`);
+    }
+  }
+
+  // Extract and store image (platform-specific APIs + og:image fallback)
+  if (shouldRun('image')) {
+    // Image-only re-runs still need page HTML for og:image (no paid calls involved)
+    if (!shouldRun('scrape') && capture.page_snapshot?.html) {
+      rawHtml = capture.page_snapshot.html;
+    } else if (!shouldRun('scrape') && isScrapeable(capture.url) && contentType !== 'pdf') {
+      const scrapeResult = await scrapeUrl(capture.url);
+      rawHtml = scrapeResult.html || '';
+    }
+
+    await runStage(stages, 'image', async () => {
+      const sourceImageUrl = await extractImageUrl(capture.url, rawHtml);
+      if (!sourceImageUrl) {
+        return { skipped: 'No image found' };
+      }
+
       console.log(`[Processor] Found image: ${sourceImageUrl}`);
       const imageResult = await storeImage(sourceImageUrl, captureId);
-      if (imageResult.success) {
-        imageUrl = imageResult.url;
-        console.log(`[Processor] Stored image: ${imageUrl}`);
-      } else {
-        console.log(`[Processor] Image storage failed: ${imageResult.error}`);
+      if (!imageResult.success) {
+        throw new Error(imageResult.error || 'Image storage failed');
       }
+
+      updates.image_url = imageResult.url;
+      console.log(`[Processor] Stored image: ${imageResult.url}`);
+    });
+  }
+
+  // AI processing and insights run in parallel; each records its own outcome
+  const title = updates.title || capture.title || capture.url;
+  const duplicateSkipReason = duplicate ? `Duplicate of capture ${duplicate.id}` : null;
+  const aiSkipReason = duplicateSkipReason || (!isAiConfigured()
+    ? 'AI not configured'
+    : (!content && !capture.title ? 'No content or title' : null));
+
+  // Transcripts carry [m:ss] markers that takeaways keep, so they can link to ?t= offsets
+  const aiOptions = { timestamps: contentType === 'transcript' };
+
+  // Shared by both AI stages so long documents are condensed once.
+  // The reader's highlights and notes lead the input so prompts always see them.
+  let aiInputPromise = null;
+  const getAiInput = () => {
+    if (!aiInputPromise) {
+      aiInputPromise = Promise.all([
+        getHighlightsPrompt(captureId, capture.selected_text, ownerId),
+        buildAiInput(title, content || capture.title || '', contentType, captureId, ownerId, aiOptions),
+      ]).then(([highlights, input]) => (highlights ? `${highlights}\n\n${input}` : input));
     }
+    return aiInputPromise;
+  };
 
-    // Prepare update object
-    const updates = {
-      content: content || null,
-      processed_at: new Date().toISOString(),
-      source_platform: sourcePlatform,
-      author_name: authorName,
-      image_url: imageUrl,
-    };
+  const aiStages = [];
+
+  if (shouldRun('ai')) {
+    aiStages.push(runStage(stages, 'ai', async () => {
+      if (aiSkipReason) {
+        return { skipped: aiSkipReason };
+      }
 
-    // 4. AI Processing (if configured)
-    if (isAiConfigured() && (content || capture.title)) {
       console.log('[Processor] Running AI processing...');
-      try {
-        // Run processContent and extractInsights in parallel
-        const [aiResult, insights] = await Promise.all([
-          processContent(
-            capture.title || capture.url,
-            content || capture.title || '',
-            captureId,
-            capture.user_id || null
-          ),
-          extractInsights(
-            capture.title || capture.url,
-            content || capture.title || '',
-            captureId,
-            capture.user_id || null
-          ),
-        ]);
-
-        updates.summary = aiResult.summary;
-        updates.category = aiResult.category;
-        updates.tags = aiResult.tags;
-        updates.quality_score = aiResult.quality;
-        updates.actionability_score = aiResult.actionability;
-        updates.display_title = aiResult.displayTitle;
-        updates.key_takeaways = insights.takeaways;
-        updates.action_items = insights.actions;
-
-        console.log(`[Processor] AI complete: ${aiResult.category}, quality=${aiResult.quality}, takeaways=${insights.takeaways.length}, actions=${insights.actions.length}`);
-      } catch (aiError) {
-        console.error('[Processor] AI processing failed:', aiError.message);
-        // Continue without AI - don't fail the whole process
+      const aiResult = await processContent(title, await getAiInput(), captureId, ownerId);
+
+      updates.summary = aiResult.summary;
+      updates.category = aiResult.category;
+      updates.tags = aiResult.tags;
+      updates.quality_score = aiResult.quality;
+      updates.actionability_score = aiResult.actionability;
+      updates.display_title = aiResult.displayTitle;
+
+      console.log(`[Processor] AI complete: ${aiResult.category}, quality=${aiResult.quality}`);
+    }));
+  }
+
+  if (shouldRun('insights')) {
+    aiStages.push(runStage(stages, 'insights', async () => {
+      if (aiSkipReason) {
+        return { skipped: aiSkipReason };
+      }
+
+      const editedFields = capture.edited_fields || [];
+      if (editedFields.includes('key_takeaways') && editedFields.includes('action_items')) {
+        return { skipped: 'Takeaways and action items edited by user' };
+      }
+
+      const insights = await extractInsights(title, await getAiInput(), captureId, ownerId, aiOptions);
+
+      updates.key_takeaways = insights.takeaways;
+      updates.action_items = insights.actions;
+
+      console.log(`[Processor] Insights complete: takeaways=${insights.takeaways.length}, actions=${insights.actions.length}`);
+    }));
+  }
+
+  await Promise.all(aiStages);
+
+  // Generate embeddings (if configured)
+  if (shouldRun('embedding')) {
+    await runStage(stages, 'embedding', async () => {
+      if (duplicateSkipReason) {
+        return { skipped: duplicateSkipReason };
+      }
+
+      if (!isEmbeddingsConfigured()) {
+        return { skipped: 'Embeddings not configured' };
       }
-    } else {
-      console.log('[Processor] AI not configured, skipping');
-    }
 
-    // 5. Generate embeddings (if configured)
-    if (isEmbeddingsConfigured()) {
       console.log('[Processor] Generating embeddings...');
-      try {
-        const captureForEmbedding = {
-          ...capture,
-          ...updates,
-        };
-        const embedding = await generateCaptureEmbedding(captureForEmbedding);
-        updates.embedding = formatForPgVector(embedding);
-        console.log('[Processor] Embeddings generated');
-      } catch (embError) {
-        console.error('[Processor] Embedding failed:', embError.message);
-        // Continue without embeddings
+      // User-edited fields are what gets saved, so they are what gets embedded
+      const embedded = { ...capture, ...omitEditedFields(updates, capture.edited_fields) };
+      const embedding = await generateCaptureEmbedding(embedded);
+      updates.embedding = formatForPgVector(embedding);
+      updates.chunk_count = await indexCaptureChunks(embedded);
+      console.log(`[Processor] Embeddings generated (${updates.chunk_count} chunks)`);
+    });
+  }
+
+  // Flag the capture as a duplicate of an earlier one (same canonical URL or near-identical embedding)
+  if (shouldRun('dedupe')) {
+    await runStage(stages, 'dedupe', async () => {
+      if (capture.duplicate_dismissed) {
+        return { skipped: 'Marked as not a duplicate' };
       }
-    } else {
-      console.log('[Processor] Embeddings not configured, skipping');
-    }
 
-    // 6. Update capture with results
-    updates.status = 'completed';
+      const match = duplicate || await findDuplicate({ ...capture, ...updates });
+      updates.duplicate_of = match?.id || null;
+      updates.duplicate_similarity = match?.similarity ?? null;
+
+      if (match) {
+        console.log(`[Processor] Duplicate of ${match.id} (similarity ${match.similarity.toFixed(3)})`);
+      }
+    });
+  }
+
+  return { stages, updates };
+}
+
+/**
+ * Build the text the AI stages read
+ * Long documents (PDFs, transcripts) are split into chunks and condensed into
+ * per-section notes so the whole document informs the summary; everything else
+ * is used as-is.
+ */
+async function buildAiInput(title, content, contentType, captureId, userId, options = {}) {
+  if (!LONG_FORM_CONTENT_TYPES.includes(contentType) || content.length <= LONG_CONTENT_THRESHOLD) {
+    return content;
+  }
+
+  const chunks = chunkText(content, {
+    maxChars: Math.max(12000, Math.ceil(content.length / MAX_CONDENSE_CHUNKS)),
+  });
+
+  console.log(`[Processor] Condensing ${content.length} chars in ${chunks.length} chunks`);
+  return await condenseChunks(title, chunks, captureId, userId, options);
+}
+
+/**
+ * Whether a capture title is missing or just echoes the URL / file name
+ */
+function isPlaceholderTitle(title, url) {
+  if (!title || title === url) return true;
+  return /\.pdf$/i.test(title.trim()) || /^https?:\/\//i.test(title.trim());
+}
+
+/**
+ * Fetch a capture row, optionally scoped to a user
+ */
+async function fetchCapture(captureId, userId = null) {
+  let fetchQuery = supabase
+    .from('captures')
+    .select('*')
+    .eq('id', captureId);
+
+  if (userId) {
+    fetchQuery = fetchQuery.eq('user_id', userId);
+  }
+
+  const { data: capture, error: fetchError } = await fetchQuery.single();
+
+  if (fetchError || !capture) {
+    throw new Error(`Failed to fetch capture: ${fetchError?.message || 'Not found'}`);
+  }
+
+  return capture;
+}
 
-    let finalUpdateQuery = supabase
+/**
+ * Write pipeline results back to a capture
+ * Fields the user has edited keep the user's version. New action items are
+ * added to the tracked action items, and a new embedding files the capture
+ * under its closest collection.
+ */
+async function saveCaptureUpdates(captureId, updates, userId = null) {
+  const editedFields = await getEditedFields(captureId);
+  const saved = omitEditedFields(updates, editedFields);
+
+  let updateQuery = supabase
+    .from('captures')
+    .update(saved)
+    .eq('id', captureId);
+
+  if (userId) {
+    updateQuery = updateQuery.eq('user_id', userId);
+  }
+
+  const { error: updateError } = await updateQuery;
+
+  if (updateError) {
+    throw new Error(`Failed to update capture: ${updateError.message}`);
+  }
+
+  if (saved.action_items) {
+    await syncActionItems(captureId, saved.action_items);
+  }
+
+  if (saved.embedding) {
+    await assignCaptureToCollection(captureId);
+  }
+}
+
+/**
+ * List stages that failed in a stage state map
+ * @param {Object} stages - pipeline_stages value
+ * @returns {string[]}
+ */
+export function getFailedStages(stages) {
+  return PIPELINE_STAGES.filter(name => stages?.[name]?.status === 'failed');
+}
+
+/**
+ * Process a single capture through the AI pipeline
+ * Each stage's status, timing, and error is recorded in captures.pipeline_stages.
+ * @param {string} captureId - The capture ID to process
+ * @param {string|null} userId - Optional user ID to enforce ownership
+ * @returns {Promise<{success: boolean, stages?: Object, failedStages?: string[], error?: string}>}
+ */
+export async function processCapture(captureId, userId = null) {
+  if (!isSupabaseConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    // 1. Fetch the capture
+    const capture = await fetchCapture(captureId, userId);
+
+    console.log(`[Processor] Processing capture: ${capture.title || capture.url}`);
+
+    // 2. Update status to processing
+    let processingStatusQuery = supabase
       .from('captures')
-      .update(updates)
+      .update({ status: 'processing' })
       .eq('id', captureId);
 
     if (userId) {
-      finalUpdateQuery = finalUpdateQuery.eq('user_id', userId);
+      processingStatusQuery = processingStatusQuery.eq('user_id', userId);
     }
+    await processingStatusQuery;
 
-    const { error: updateError } = await finalUpdateQuery;
+    // 3. Run every stage: scrape → image → AI + insights → embedding → dedupe
+    const { stages, updates } = await runPipeline(capture, PIPELINE_STAGES, { skipDuplicates: true });
 
-    if (updateError) {
-      throw new Error(`Failed to update capture: ${updateError.message}`);
-    }
+    // 4. Update capture with results
+    updates.pipeline_stages = stages;
+    updates.processed_at = new Date().toISOString();
+    updates.status = 'completed';
+    updates.error_message = null;
 
-    console.log(`[Processor] Capture processed successfully: ${captureId}`);
-    return { success: true };
+    await saveCaptureUpdates(captureId, updates, userId);
+
+    const failedStages = getFailedStages(stages);
+    if (failedStages.length > 0) {
+      console.log(`[Processor] Capture processed with failed stages (${failedStages.join(', ')}): ${captureId}`);
+    } else {
+      console.log(`[Processor] Capture processed successfully: ${captureId}`);
+    }
+    return { success: true, stages, failedStages };
 
   } catch (error) {
     console.error('[Processor] Processing failed:', error.message);
@@ -206,245 +504,253 @@ export async function processCapture(captureId, userId = null) {
 }
 
 /**
- * Process a capture in the background (fire and forget)
- * @param {string} captureId - The capture ID to process
- */
-export function processInBackground(captureId, userId = null) {
-  // Use setImmediate to not block the response
-  setImmediate(async () => {
-    try {
-      await processCapture(captureId, userId);
-    } catch (error) {
-      console.error('[Processor] Background processing error:', error);
-    }
-  });
-}
-
-/**
- * Process all pending captures
- * Useful for batch processing or recovery
- * @returns {Promise<{processed: number, failed: number}>}
+ * Re-run selected pipeline stages for a capture
+ * Defaults to the stages recorded as failed, so successful paid AI calls are
+ * not repeated. Stages built from a re-run stage's output (e.g. everything
+ * after scrape) are re-run with it. Results are merged into the existing
+ * pipeline_stages.
+ * @param {string} captureId - The capture ID
+ * @param {string|null} userId - Optional user ID to enforce ownership
+ * @param {string[]|null} requestedStages - Stages to run (default: failed stages)
+ * @returns {Promise<{success: boolean, rerun?: string[], stages?: Object, failedStages?: string[], error?: string}>}
  */
-export async function processPendingCaptures(userId = null) {
+export async function rerunStages(captureId, userId = null, requestedStages = null) {
   if (!isSupabaseConfigured()) {
-    return { processed: 0, failed: 0 };
+    return { success: false, error: 'Supabase not configured' };
   }
 
-  let pendingQuery = supabase
-    .from('captures')
-    .select('id')
-    .eq('status', 'pending')
-    .order('created_at', { ascending: true });
-
-  if (userId) {
-    pendingQuery = pendingQuery.eq('user_id', userId);
+  if (requestedStages) {
+    const invalid = requestedStages.filter(name => !PIPELINE_STAGES.includes(name));
+    if (invalid.length > 0) {
+      return { success: false, error: `Unknown stages: ${invalid.join(', ')}. Valid stages: ${PIPELINE_STAGES.join(', ')}` };
+    }
   }
 
-  const { data: pendingCaptures, error } = await pendingQuery.limit(10);
+  try {
+    const capture = await fetchCapture(captureId, userId);
+    const existingStages = capture.pipeline_stages || {};
 
-  if (error || !pendingCaptures) {
-    console.error('[Processor] Failed to fetch pending captures:', error?.message);
-    return { processed: 0, failed: 0 };
-  }
+    if (!requestedStages && Object.keys(existingStages).length === 0) {
+      return { success: false, error: 'No stage history for this capture. Specify stages or reprocess it.' };
+    }
 
-  let processed = 0;
-  let failed = 0;
+    const stageNames = withDependentStages(requestedStages || getFailedStages(existingStages));
 
-  for (const capture of pendingCaptures) {
-    const result = await processCapture(capture.id, userId);
-    if (result.success) {
-      processed++;
-    } else {
-      failed++;
+    if (stageNames.length === 0) {
+      return { success: true, rerun: [], stages: existingStages, failedStages: [] };
     }
-  }
 
-  console.log(`[Processor] Batch complete: ${processed} processed, ${failed} failed`);
-  return { processed, failed };
+    console.log(`[Processor] Re-running stages for ${captureId}: ${stageNames.join(', ')}`);
+
+    const { stages, updates } = await runPipeline(capture, stageNames);
+    const mergedStages = { ...existingStages, ...stages };
+
+    updates.pipeline_stages = mergedStages;
+    updates.processed_at = new Date().toISOString();
+    updates.status = 'completed';
+    updates.error_message = null;
+
+    await saveCaptureUpdates(captureId, updates, userId);
+
+    const failedStages = getFailedStages(mergedStages);
+    console.log(`[Processor] Re-run complete for ${captureId}, failed stages: ${failedStages.join(', ') || 'none'}`);
+    return { success: true, rerun: stageNames, stages: mergedStages, failedStages };
+  } catch (error) {
+    console.error('[Processor] Stage re-run failed:', error.message);
+    return { success: false, error: error.message };
+  }
 }
 
 /**
- * Backfill embeddings for captures that don't have them
- * Only generates embeddings - doesn't re-run AI processing
- * @param {number} limit - Max captures to process (default 50)
- * @returns {Promise<{processed: number, failed: number, remaining: number}>}
+ * Add the stages that depend on the given ones, in pipeline order
  */
-export async function backfillEmbeddings(limit = 50, userId = null) {
-  if (!isSupabaseConfigured()) {
-    return { processed: 0, failed: 0, remaining: 0, error: 'Supabase not configured' };
+function withDependentStages(stageNames) {
+  const expanded = new Set(stageNames);
+  // Dependents come later in the pipeline, so one pass picks up their dependents too
+  for (const name of PIPELINE_STAGES) {
+    if (expanded.has(name)) {
+      (DEPENDENT_STAGES[name] || []).forEach(dependent => expanded.add(dependent));
+    }
   }
+  return PIPELINE_STAGES.filter(name => expanded.has(name));
+}
 
-  if (!isEmbeddingsConfigured()) {
-    return { processed: 0, failed: 0, remaining: 0, error: 'Embeddings not configured' };
+/**
+ * Queue a capture for background processing
+ * Uses the durable job queue when available so processing survives restarts;
+ * falls back to in-process setImmediate (e.g., dev mode without Supabase).
+ * @param {string} captureId - The capture ID to process
+ * @param {string|null} userId - Optional user ID to enforce ownership
+ * @returns {Promise<{queued: boolean, jobId?: string}>}
+ */
+export async function processInBackground(captureId, userId = null) {
+  if (isJobQueueEnabled()) {
+    const result = await enqueueJob(PROCESS_CAPTURE_JOB, { captureId, userId });
+    if (result.success) {
+      return { queued: true, jobId: result.job?.id };
+    }
+    console.error(`[Processor] Could not enqueue capture ${captureId}, processing in-process: ${result.error}`);
   }
 
-  // Find captures without embeddings that have been processed
-  let capturesQuery = supabase
-    .from('captures')
-    .select('id, user_id, title, summary, category, tags, content')
-    .is('embedding', null)
-    .eq('status', 'completed')
-    .order('created_at', { ascending: false });
+  // Use setImmediate to not block the response
+  setImmediate(async () => {
+    try {
+      await processCapture(captureId, userId);
+    } catch (error) {
+      console.error('[Processor] Background processing error:', error);
+    }
+  });
 
-  if (userId) {
-    capturesQuery = capturesQuery.eq('user_id', userId);
+  return { queued: false };
+}
+
+// Job handler: throw on failure so the queue retries with backoff
+registerJobHandler(PROCESS_CAPTURE_JOB, async (job) => {
+  const result = await processCapture(job.capture_id, job.user_id || null);
+  if (!result.success) {
+    throw new Error(result.error || 'Processing failed');
   }
+}, {
+  onDead: async (job, error) => {
+    if (!isSupabaseConfigured() || !job.capture_id) return;
 
-  const { data: captures, error: fetchError } = await capturesQuery.limit(limit);
+    await supabase
+      .from('captures')
+      .update({
+        status: 'error',
+        error_message: `Processing failed after ${job.attempts} attempts: ${error.message}`,
+      })
+      .eq('id', job.capture_id);
+  },
+});
 
-  if (fetchError) {
-    console.error('[Backfill] Failed to fetch captures:', fetchError.message);
-    return { processed: 0, failed: 0, remaining: 0, error: fetchError.message };
+/**
+ * Queue a re-run of pipeline stages of a capture
+ * Like processInBackground: a durable job when the queue is available, in
+ * process otherwise. With a delay, requests made before it runs fold into the
+ * one re-run (a capture has at most one queued re-run).
+ * @param {string} captureId - Capture ID
+ * @param {string[]} stages - Stages to re-run
+ * @param {string|null} userId - Optional user ID to enforce ownership
+ * @param {Object} options - { delaySeconds }
+ * @returns {Promise<{queued: boolean, jobId?: string}>}
+ */
+export async function rerunInBackground(captureId, stages, userId = null, { delaySeconds = 0 } = {}) {
+  if (isJobQueueEnabled()) {
+    const result = await enqueueJob(RERUN_STAGES_JOB, {
+      captureId,
+      userId,
+      payload: { stages },
+      runAt: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+    });
+    if (result.success) {
+      return { queued: true, jobId: result.job?.id };
+    }
+    console.error(`[Processor] Could not enqueue re-run for ${captureId}, running in-process: ${result.error}`);
   }
 
-  if (!captures || captures.length === 0) {
-    console.log('[Backfill] No captures need embeddings');
-    return { processed: 0, failed: 0, remaining: 0 };
+  if (pendingReruns.has(captureId)) {
+    return { queued: false };
   }
 
-  console.log(`[Backfill] Found ${captures.length} captures without embeddings`);
-
-  let processed = 0;
-  let failed = 0;
-
-  for (const capture of captures) {
-    try {
-      console.log(`[Backfill] Generating embedding for: ${capture.title || capture.id}`);
-
-      const embedding = await generateCaptureEmbedding(capture);
-      const vectorString = formatForPgVector(embedding);
-
-      let embeddingUpdateQuery = supabase
-        .from('captures')
-        .update({ embedding: vectorString })
-        .eq('id', capture.id);
-
-      if (userId) {
-        embeddingUpdateQuery = embeddingUpdateQuery.eq('user_id', userId);
-      }
+  pendingReruns.add(captureId);
+  setTimeout(async () => {
+    pendingReruns.delete(captureId);
+    const result = await rerunStages(captureId, userId, stages);
+    if (!result.success) {
+      console.error('[Processor] Background re-run error:', result.error);
+    }
+  }, delaySeconds * 1000);
 
-      const { error: updateError } = await embeddingUpdateQuery;
+  return { queued: false };
+}
 
-      if (updateError) {
-        throw new Error(updateError.message);
-      }
+registerJobHandler(RERUN_STAGES_JOB, async (job) => {
+  const result = await rerunStages(job.capture_id, job.user_id || null, job.payload?.stages || null);
+  if (!result.success) {
+    throw new Error(result.error || 'Re-run failed');
+  }
+});
 
-      processed++;
-      console.log(`[Backfill] Embedded: ${capture.id}`);
-    } catch (err) {
-      console.error(`[Backfill] Failed for ${capture.id}:`, err.message);
-      failed++;
-    }
+/**
+ * Enqueue jobs for captures left in pending/processing without an active job
+ * Covers captures stranded by crashes before the job queue existed.
+ * Captures that already have an active job are deduplicated by the queue.
+ * @returns {Promise<{queued: number}>}
+ */
+export async function recoverStrandedCaptures() {
+  if (!isJobQueueEnabled()) {
+    return { queued: 0 };
   }
 
-  // Check how many remain
-  let remainingQuery = supabase
+  const { data: stranded, error } = await supabase
     .from('captures')
-    .select('id', { count: 'exact', head: true })
-    .is('embedding', null)
-    .eq('status', 'completed');
-
-  if (userId) {
-    remainingQuery = remainingQuery.eq('user_id', userId);
+    .select('id, user_id')
+    .in('status', ['pending', 'processing'])
+    .order('created_at', { ascending: true })
+    .limit(500);
+
+  if (error || !stranded) {
+    console.error('[Processor] Failed to fetch stranded captures:', error?.message);
+    return { queued: 0 };
   }
 
-  const { count: remaining } = await remainingQuery;
+  let queued = 0;
+  for (const capture of stranded) {
+    const result = await enqueueJob(PROCESS_CAPTURE_JOB, {
+      captureId: capture.id,
+      userId: capture.user_id || null,
+    });
+    if (result.success && !result.duplicate) {
+      queued++;
+    }
+  }
 
-  console.log(`[Backfill] Complete: ${processed} processed, ${failed} failed, ${remaining || 0} remaining`);
-  return { processed, failed, remaining: remaining || 0 };
+  if (queued > 0) {
+    console.log(`[Processor] Recovered ${queued} stranded captures`);
+  }
+  return { queued };
 }
 
 /**
- * Backfill display titles for captures that don't have them
- * Only generates titles - doesn't re-run full AI processing
- * @param {number} limit - Max captures to process (default 50)
- * @returns {Promise<{processed: number, failed: number, remaining: number}>}
+ * Process all pending captures
+ * Useful for batch processing or recovery
+ * @returns {Promise<{processed: number, failed: number}>}
  */
-export async function backfillDisplayTitles(limit = 50, userId = null) {
+export async function processPendingCaptures(userId = null) {
   if (!isSupabaseConfigured()) {
-    return { processed: 0, failed: 0, remaining: 0, error: 'Supabase not configured' };
-  }
-
-  if (!isAiConfigured()) {
-    return { processed: 0, failed: 0, remaining: 0, error: 'AI not configured' };
+    return { processed: 0, failed: 0 };
   }
 
-  // Find captures without display_title that have been processed
-  let capturesQuery = supabase
+  let pendingQuery = supabase
     .from('captures')
-    .select('id, title, content')
-    .is('display_title', null)
-    .eq('status', 'completed')
-    .order('created_at', { ascending: false });
+    .select('id')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true });
 
   if (userId) {
-    capturesQuery = capturesQuery.eq('user_id', userId);
+    pendingQuery = pendingQuery.eq('user_id', userId);
   }
 
-  const { data: captures, error: fetchError } = await capturesQuery.limit(limit);
-
-  if (fetchError) {
-    console.error('[BackfillTitles] Failed to fetch captures:', fetchError.message);
-    return { processed: 0, failed: 0, remaining: 0, error: fetchError.message };
-  }
+  const { data: pendingCaptures, error } = await pendingQuery.limit(10);
 
-  if (!captures || captures.length === 0) {
-    console.log('[BackfillTitles] No captures need display titles');
-    return { processed: 0, failed: 0, remaining: 0 };
+  if (error || !pendingCaptures) {
+    console.error('[Processor] Failed to fetch pending captures:', error?.message);
+    return { processed: 0, failed: 0 };
   }
 
-  console.log(`[BackfillTitles] Found ${captures.length} captures without display titles`);
-
   let processed = 0;
   let failed = 0;
 
-  for (const capture of captures) {
-    try {
-      console.log(`[BackfillTitles] Generating title for: ${capture.title || capture.id}`);
-
-      const displayTitle = await generateDisplayTitle(
-        capture.title || '',
-        capture.content || '',
-        capture.id,
-        userId
-      );
-
-      let titleUpdateQuery = supabase
-        .from('captures')
-        .update({ display_title: displayTitle })
-        .eq('id', capture.id);
-
-      if (userId) {
-        titleUpdateQuery = titleUpdateQuery.eq('user_id', userId);
-      }
-
-      const { error: updateError } = await titleUpdateQuery;
-
-      if (updateError) {
-        throw new Error(updateError.message);
-      }
-
+  for (const capture of pendingCaptures) {
+    const result = await processCapture(capture.id, userId);
+    if (result.success) {
       processed++;
-      console.log(`[BackfillTitles] Generated: "${displayTitle}"`);
-    } catch (err) {
-      console.error(`[BackfillTitles] Failed for ${capture.id}:`, err.message);
+    } else {
       failed++;
     }
   }
 
-  // Check how many remain
-  let remainingQuery = supabase
-    .from('captures')
-    .select('id', { count: 'exact', head: true })
-    .is('display_title', null)
-    .eq('status', 'completed');
-
-  if (userId) {
-    remainingQuery = remainingQuery.eq('user_id', userId);
-  }
-
-  const { count: remaining } = await remainingQuery;
-
-  console.log(`[BackfillTitles] Complete: ${processed} processed, ${failed} failed, ${remaining || 0} remaining`);
-  return { processed, failed, remaining: remaining || 0 };
+  console.log(`[Processor] Batch complete: ${processed} processed, ${failed} failed`);
+  return { processed, failed };
 }
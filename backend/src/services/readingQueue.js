@@ -0,0 +1,261 @@
+// Reading Queue Service
+// Read/unread/archived state of captures, reading progress reported by the
+// extension, and the queue of unread captures ranked by get_reading_queue
+
+import { supabase, isConfigured } from './supabase.js';
+import { findPageCapture } from './highlights.js';
+import { CAPTURE_COLUMNS } from './search.js';
+import { applyCursor, pageResults } from './pagination.js';
+
+export const READ_STATES = ['unread', 'read', 'archived'];
+
+// Progress (percent of the page scrolled through) at which a capture counts as read
+const READ_THRESHOLD = 90;
+
+// Queued pages returned to the extension for progress tracking
+const QUEUED_PAGES_LIMIT = 2000;
+
+// Listing order of each read state, for keyset paging (cursors record the state)
+const QUEUE_SORT_KEYS = {
+  unread: [{ column: 'priority', ascending: false }],
+  read: [{ column: 'read_at', ascending: false, nullable: true }, { column: 'created_at', ascending: false }],
+  archived: [{ column: 'archived_at', ascending: false, nullable: true }, { column: 'created_at', ascending: false }],
+};
+
+// Columns returned after a read state or progress change
+const READ_COLUMNS = 'id, read_state, read_progress, read_at, archived_at, last_read_at';
+
+/**
+ * List captures in a read state, paged by cursor
+ * Unread captures come ranked by priority (see get_reading_queue); read and
+ * archived ones most recently read or archived first.
+ * @param {Object} options - { state, limit, cursor } (cursor from decodeCursor, issued for the state)
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, results?: Array, count?: number, total?: number, hasMore?: boolean, nextCursor?: string|null, error?: string}>}
+ */
+export async function getReadingQueue({ state = 'unread', limit = 20, cursor = null } = {}, userId = null) {
+  if (!READ_STATES.includes(state)) {
+    return { success: false, error: `Invalid state. Use one of: ${READ_STATES.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: true, results: [], count: 0, total: 0, hasMore: false, nextCursor: null };
+  }
+
+  try {
+    const sortKeys = QUEUE_SORT_KEYS[state];
+
+    if (state === 'unread') {
+      const query = supabase.rpc('get_reading_queue', { filter_user_id: userId }, { count: 'exact' });
+      const { data: ranked, error, count } = await applyCursor(query, sortKeys, cursor, limit);
+
+      if (error) {
+        throw error;
+      }
+
+      const page = pageResults(ranked || [], state, sortKeys, cursor, limit, count);
+
+      if (page.results.length > 0) {
+        const { data: captures, error: capturesError } = await supabase
+          .from('captures')
+          .select(`${CAPTURE_COLUMNS}, last_read_at`)
+          .in('id', page.results.map(row => row.id));
+
+        if (capturesError) {
+          throw capturesError;
+        }
+
+        const byId = new Map((captures || []).map(capture => [capture.id, capture]));
+        page.results = page.results
+          .filter(row => byId.has(row.id))
+          .map(row => ({ ...byId.get(row.id), priority: row.priority }));
+        page.count = page.results.length;
+      }
+
+      return { success: true, ...page };
+    }
+
+    let query = supabase
+      .from('captures')
+      .select(`${CAPTURE_COLUMNS}, read_at, archived_at`, { count: 'exact' })
+      .eq('read_state', state);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error, count } = await applyCursor(query, sortKeys, cursor, limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, ...pageResults(data || [], state, sortKeys, cursor, limit, count) };
+  } catch (err) {
+    console.error('[Queue] Failed to list:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Mark a capture read, unread or archived
+ * Marking unread clears the read and archived times; progress is kept.
+ * @param {string} id - Capture ID
+ * @param {string} state - unread, read or archived
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, capture?: Object, error?: string}>}
+ */
+export async function setReadState(id, state, userId = null) {
+  if (!READ_STATES.includes(state)) {
+    return { success: false, error: `Invalid state. Use one of: ${READ_STATES.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  const now = new Date().toISOString();
+  const updates = { read_state: state };
+  if (state === 'unread') {
+    updates.read_at = null;
+    updates.archived_at = null;
+  } else if (state === 'read') {
+    updates.read_at = now;
+    updates.archived_at = null;
+  } else {
+    updates.archived_at = now;
+  }
+
+  try {
+    let query = supabase
+      .from('captures')
+      .update(updates)
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .select(READ_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    return { success: true, capture: data };
+  } catch (err) {
+    console.error('[Queue] State update failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Record how far into a captured page the reader got
+ * Progress only moves forward. An unread capture read past READ_THRESHOLD is
+ * marked read.
+ * @param {string} url - Page URL
+ * @param {number} progress - Percent of the page scrolled through (0-100)
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, capture?: Object|null, error?: string}>} - capture is null for pages not captured
+ */
+export async function reportReadingProgress(url, progress, userId = null) {
+  if (typeof progress !== 'number' || !Number.isFinite(progress) || progress < 0 || progress > 100) {
+    return { success: false, error: 'progress must be a number from 0 to 100' };
+  }
+
+  if (!isConfigured()) {
+    return { success: true, capture: null };
+  }
+
+  try {
+    const page = await findPageCapture(url, userId);
+    if (!page) {
+      return { success: true, capture: null };
+    }
+
+    const { data: current, error: fetchError } = await supabase
+      .from('captures')
+      .select('read_state, read_progress')
+      .eq('id', page.id)
+      .single();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const now = new Date().toISOString();
+    const updates = { last_read_at: now, read_progress: Math.max(current.read_progress || 0, Math.round(progress)) };
+    if (current.read_state === 'unread' && updates.read_progress >= READ_THRESHOLD) {
+      updates.read_state = 'read';
+      updates.read_at = now;
+    }
+
+    const { data, error } = await supabase
+      .from('captures')
+      .update(updates)
+      .eq('id', page.id)
+      .select(READ_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (updates.read_state) {
+      console.log(`[Queue] Capture ${page.id} read`);
+    }
+
+    return { success: true, capture: data };
+  } catch (err) {
+    console.error('[Queue] Progress update failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * List the URLs of unread captures
+ * The extension tracks reading progress only on these pages.
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, urls?: string[], error?: string}>}
+ */
+export async function getQueuedUrls(userId = null) {
+  if (!isConfigured()) {
+    return { success: true, urls: [] };
+  }
+
+  try {
+    let query = supabase
+      .from('captures')
+      .select('url, canonical_url')
+      .eq('read_state', 'unread');
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(QUEUED_PAGES_LIMIT);
+
+    if (error) {
+      throw error;
+    }
+
+    const urls = new Set();
+    for (const capture of data || []) {
+      urls.add(capture.url);
+      if (capture.canonical_url) urls.add(capture.canonical_url);
+    }
+
+    return { success: true, urls: [...urls] };
+  } catch (err) {
+    console.error('[Queue] Failed to list queued pages:', err.message);
+    return { success: false, error: err.message };
+  }
+}
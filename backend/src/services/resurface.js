@@ -0,0 +1,385 @@
+// Resurface Service
+// Picks old captures worth revisiting: takeaways due for spaced review,
+// high-quality captures never opened, and captures related to recent ones.
+// Feedback on a pick reschedules it and tunes which categories get picked
+
+import { supabase, isConfigured } from './supabase.js';
+import { CAPTURE_COLUMNS } from './search.js';
+
+export const RESURFACE_FEEDBACK = ['useful', 'not_useful', 'archive'];
+const RESURFACE_REASONS = ['review', 'unopened', 'related'];
+
+// Spaced review: captures with takeaways first come up this long after being
+// captured; "useful" grows the interval, "not useful" pushes the capture far out
+const FIRST_REVIEW_DAYS = 3;
+const FIRST_INTERVAL_DAYS = 7;
+const USEFUL_INTERVAL_FACTOR = 2.5;
+const NOT_USEFUL_INTERVAL_FACTOR = 4;
+const NOT_USEFUL_MIN_DAYS = 60;
+
+// Never-opened picks: quality at least this, captured at least this long ago
+const UNOPENED_MIN_QUALITY = 7;
+const UNOPENED_MIN_AGE_DAYS = 7;
+
+// Related picks: similar to captures from the last week, and at least a month old
+const RELATED_SEED_DAYS = 7;
+const RELATED_SEED_COUNT = 3;
+const RELATED_MIN_AGE_DAYS = 30;
+const RELATED_MIN_SIMILARITY = 0.5;
+
+// Candidates considered from each source, and feedback looked at for category weights
+const CANDIDATES_PER_SOURCE = 20;
+const FEEDBACK_WINDOW_DAYS = 90;
+
+// Capture columns needed to pick and show resurfaced captures
+const RESURFACE_COLUMNS = `${CAPTURE_COLUMNS}, favicon_url, resurface_interval_days, resurface_due_at, last_resurfaced_at`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick captures to revisit
+ * Each pick has a reason (review, unopened or related) and a short
+ * explanation. Every reason with candidates gets at least one pick; the rest
+ * go to the highest scores, weighted by how useful past picks in the same
+ * category were.
+ * @param {Object} options - { limit }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, results?: Array, error?: string}>}
+ */
+export async function getResurfacePicks({ limit = 5 } = {}, userId = null) {
+  if (!isConfigured()) {
+    return { success: true, results: [] };
+  }
+
+  try {
+    const now = new Date();
+    const [reviews, unopened, related, weights] = await Promise.all([
+      findReviewCandidates(now, userId),
+      findUnopenedCandidates(now, userId),
+      findRelatedCandidates(now, userId),
+      getCategoryWeights(now, userId),
+    ]);
+
+    // A capture found by several sources is kept under its best score
+    const candidates = new Map();
+    for (const pick of [...reviews, ...unopened, ...related]) {
+      const category = pick.capture.category?.toLowerCase() || 'reference';
+      pick.score *= weights.get(category) ?? 1;
+
+      const existing = candidates.get(pick.capture.id);
+      if (!existing || pick.score > existing.score) {
+        candidates.set(pick.capture.id, pick);
+      }
+    }
+
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+    const picked = [];
+    for (const reason of RESURFACE_REASONS) {
+      const best = ranked.find(pick => pick.reason === reason);
+      if (best && picked.length < limit) picked.push(best);
+    }
+    for (const pick of ranked) {
+      if (picked.length >= limit) break;
+      if (!picked.includes(pick)) picked.push(pick);
+    }
+
+    return {
+      success: true,
+      results: picked
+        .sort((a, b) => b.score - a.score)
+        .map(({ capture, reason, why }) => ({ ...capture, reason, why })),
+    };
+  } catch (err) {
+    console.error('[Resurface] Failed to pick captures:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Record feedback on a resurfaced capture and reschedule it
+ * - useful: comes up again after a longer interval (7 days, then x2.5)
+ * - not_useful: pushed out by at least 60 days (x4)
+ * - archive: archived, which takes it out of resurfacing for good
+ * @param {string} id - Capture ID
+ * @param {string} feedback - useful, not_useful or archive
+ * @param {string|null} reason - Why the capture was picked, if known
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, capture?: Object, error?: string}>}
+ */
+export async function recordResurfaceFeedback(id, feedback, reason = null, userId = null) {
+  if (!RESURFACE_FEEDBACK.includes(feedback)) {
+    return { success: false, error: `Invalid feedback. Use one of: ${RESURFACE_FEEDBACK.join(', ')}` };
+  }
+
+  if (reason !== null && !RESURFACE_REASONS.includes(reason)) {
+    return { success: false, error: `Invalid reason. Use one of: ${RESURFACE_REASONS.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    let fetchQuery = supabase
+      .from('captures')
+      .select('id, user_id, category, resurface_interval_days')
+      .eq('id', id);
+
+    if (userId) {
+      fetchQuery = fetchQuery.eq('user_id', userId);
+    }
+
+    const { data: capture, error: fetchError } = await fetchQuery.maybeSingle();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    if (!capture) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const now = new Date();
+    const previous = capture.resurface_interval_days;
+    let interval;
+    if (feedback === 'useful') {
+      interval = previous ? Math.round(previous * USEFUL_INTERVAL_FACTOR) : FIRST_INTERVAL_DAYS;
+    } else {
+      interval = Math.max(NOT_USEFUL_MIN_DAYS, Math.round((previous || FIRST_INTERVAL_DAYS) * NOT_USEFUL_INTERVAL_FACTOR));
+    }
+
+    const updates = {
+      resurface_interval_days: interval,
+      resurface_due_at: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+      last_resurfaced_at: now.toISOString(),
+    };
+    if (feedback === 'archive') {
+      updates.read_state = 'archived';
+      updates.archived_at = now.toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from('captures')
+      .update(updates)
+      .eq('id', id)
+      .select('id, read_state, resurface_interval_days, resurface_due_at, last_resurfaced_at')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const { error: logError } = await supabase
+      .from('resurface_feedback')
+      .insert({
+        capture_id: id,
+        user_id: capture.user_id,
+        feedback,
+        reason,
+        category: capture.category?.toLowerCase() || null,
+      });
+
+    if (logError) {
+      console.error('[Resurface] Failed to log feedback:', logError.message);
+    }
+
+    console.log(`[Resurface] ${feedback} on ${id}, next in ${interval} days`);
+    return { success: true, capture: data };
+  } catch (err) {
+    console.error('[Resurface] Feedback failed:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Captures eligible for resurfacing: not archived, not a flagged duplicate
+ */
+function eligibleCaptures(userId) {
+  let query = supabase
+    .from('captures')
+    .select(RESURFACE_COLUMNS)
+    .neq('read_state', 'archived')
+    .is('duplicate_of', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  return query;
+}
+
+/**
+ * Filter out captures rescheduled by feedback to a later time
+ */
+function notSnoozed(query, now) {
+  return query.or(`resurface_due_at.is.null,resurface_due_at.lte.${now.toISOString()}`);
+}
+
+/**
+ * Captures with takeaways whose spaced review is due
+ * Captures never reviewed are due FIRST_REVIEW_DAYS after being captured.
+ */
+async function findReviewCandidates(now, userId) {
+  const firstDue = new Date(now.getTime() - FIRST_REVIEW_DAYS * DAY_MS).toISOString();
+
+  const { data, error } = await eligibleCaptures(userId)
+    .not('key_takeaways', 'is', null)
+    .neq('key_takeaways', '{}')
+    .or(`resurface_due_at.lte.${now.toISOString()},and(resurface_due_at.is.null,created_at.lte.${firstDue})`)
+    .order('resurface_due_at', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: true })
+    .limit(CANDIDATES_PER_SOURCE);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(capture => ({
+    capture,
+    reason: 'review',
+    why: capture.last_resurfaced_at
+      ? `Review its takeaways - last reviewed ${daysAgo(capture.last_resurfaced_at, now)}`
+      : `Review its takeaways - captured ${daysAgo(capture.created_at, now)}`,
+    score: 1 + (capture.quality_score || 5) / 10,
+  }));
+}
+
+/**
+ * High-quality captures that were never opened after being captured
+ */
+async function findUnopenedCandidates(now, userId) {
+  const capturedBefore = new Date(now.getTime() - UNOPENED_MIN_AGE_DAYS * DAY_MS).toISOString();
+
+  const { data, error } = await notSnoozed(eligibleCaptures(userId), now)
+    .eq('read_state', 'unread')
+    .eq('read_progress', 0)
+    .gte('quality_score', UNOPENED_MIN_QUALITY)
+    .lte('created_at', capturedBefore)
+    .order('quality_score', { ascending: false })
+    .order('created_at', { ascending: false })
+    .limit(CANDIDATES_PER_SOURCE);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(capture => ({
+    capture,
+    reason: 'unopened',
+    why: `Rated ${capture.quality_score}/10 and never opened since ${daysAgo(capture.created_at, now)}`,
+    score: 0.6 + capture.quality_score / 10 + (capture.actionability_score || 5) / 20,
+  }));
+}
+
+/**
+ * Older captures similar to what was captured in the last week
+ */
+async function findRelatedCandidates(now, userId) {
+  let seedsQuery = supabase
+    .from('captures')
+    .select('id, title, display_title')
+    .not('embedding', 'is', null)
+    .gte('created_at', new Date(now.getTime() - RELATED_SEED_DAYS * DAY_MS).toISOString());
+
+  if (userId) {
+    seedsQuery = seedsQuery.eq('user_id', userId);
+  }
+
+  const { data: seeds, error: seedsError } = await seedsQuery
+    .order('created_at', { ascending: false })
+    .limit(RELATED_SEED_COUNT);
+
+  if (seedsError) {
+    throw seedsError;
+  }
+
+  // Best similarity of each related capture, and the recent capture it is like
+  const matches = new Map();
+  for (const seed of seeds || []) {
+    const { data, error } = await supabase.rpc('get_related_captures', {
+      capture_id: seed.id,
+      filter_user_id: userId,
+      match_count: 10,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    for (const related of data || []) {
+      if (related.similarity < RELATED_MIN_SIMILARITY) continue;
+      if (!matches.has(related.id) || matches.get(related.id).similarity < related.similarity) {
+        matches.set(related.id, { similarity: related.similarity, seed });
+      }
+    }
+  }
+
+  if (matches.size === 0) return [];
+
+  const { data, error } = await notSnoozed(eligibleCaptures(userId), now)
+    .in('id', [...matches.keys()])
+    .lte('created_at', new Date(now.getTime() - RELATED_MIN_AGE_DAYS * DAY_MS).toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(capture => {
+    const { similarity, seed } = matches.get(capture.id);
+    return {
+      capture,
+      reason: 'related',
+      why: `Related to "${seed.display_title || seed.title}", captured recently`,
+      score: 0.5 + similarity,
+    };
+  });
+}
+
+/**
+ * Weight per category from recent feedback: 1 is neutral, higher for
+ * categories whose picks were found useful, lower for ones that were not
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getCategoryWeights(now, userId) {
+  let query = supabase
+    .from('resurface_feedback')
+    .select('category, feedback')
+    .neq('feedback', 'archive')
+    .gte('created_at', new Date(now.getTime() - FEEDBACK_WINDOW_DAYS * DAY_MS).toISOString());
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const counts = new Map();
+  for (const { category, feedback } of data || []) {
+    const key = category || 'reference';
+    const count = counts.get(key) || { useful: 0, total: 0 };
+    count.total++;
+    if (feedback === 'useful') count.useful++;
+    counts.set(key, count);
+  }
+
+  // Smoothed share of useful picks, scaled so an even split is 1
+  const weights = new Map();
+  for (const [category, { useful, total }] of counts) {
+    weights.set(category, 2 * (useful + 1) / (total + 2));
+  }
+  return weights;
+}
+
+/**
+ * "today", "yesterday" or "N days ago"
+ */
+function daysAgo(date, now) {
+  const days = Math.floor((now - new Date(date)) / DAY_MS);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+}
@@ -2,9 +2,16 @@
 // Extracts main content from URLs for AI processing
 // Uses simple fetch with Playwright fallback for JS-heavy sites
 
+import { extractArticle } from './extractor.js';
+import { isPdfResponse, extractPdf, formatPages } from './pdf.js';
+import { isYouTubeVideoUrl, fetchVideo, formatTranscript } from './youtube.js';
+
 // Maximum content length to return (characters)
 const MAX_CONTENT_LENGTH = 50000;
 
+// PDFs and transcripts keep far more text; long documents are chunked downstream instead of cut here
+const MAX_DOCUMENT_CONTENT_LENGTH = 1000000;
+
 /**
  * Extract author/creator name from HTML and URL
  * Tries multiple methods: meta tags, JSON-LD, platform-specific patterns
@@ -36,6 +43,34 @@ export function extractAuthor(html, url) {
   return null;
 }
 
+/**
+ * Extract the canonical URL a page declares (<link rel="canonical">)
+ * AMP and mirrored pages point it at the original article.
+ * @param {string} html - The raw HTML content
+ * @param {string} url - The page URL, for resolving relative links
+ * @returns {string|null} - Absolute canonical URL or null if not declared
+ */
+export function extractCanonicalLink(html, url) {
+  if (!html) return null;
+
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = tag.match(/\brel\s*=\s*["']?([^"'>]+)/i)?.[1] || '';
+    if (!rel.toLowerCase().split(/\s+/).includes('canonical')) continue;
+
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const value = (href?.[1] ?? href?.[2] ?? href?.[3] ?? '').trim().replace(/&amp;/g, '&');
+    if (!value) continue;
+
+    try {
+      return new URL(value, url).toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Extract author from URL patterns (platform-specific)
  * @param {string} url - The page URL
@@ -326,44 +361,96 @@ function cleanAuthorName(name) {
   return cleaned;
 }
 
-// Simple HTML tag stripper for basic content extraction
-function stripHtml(html) {
-  // Remove script and style elements
-  html = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-  html = html.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-  html = html.replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '');
-  html = html.replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '');
-  html = html.replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '');
-  html = html.replace(/<aside[^>]*>[\s\S]*?<\/aside>/gi, '');
-
-  // Remove all HTML tags
-  html = html.replace(/<[^>]+>/g, ' ');
-
-  // Decode common HTML entities
-  html = html.replace(/&nbsp;/g, ' ');
-  html = html.replace(/&amp;/g, '&');
-  html = html.replace(/&lt;/g, '<');
-  html = html.replace(/&gt;/g, '>');
-  html = html.replace(/&quot;/g, '"');
-  html = html.replace(/&#39;/g, "'");
-
-  // Clean up whitespace
-  html = html.replace(/\s+/g, ' ').trim();
-
-  return html;
+/**
+ * Extract main content from page HTML
+ * Shared by the fetch and Playwright paths so both produce the same shape
+ * @param {string} html - Raw page HTML
+ * @param {string} url - Page URL (for resolving relative links)
+ * @returns {{content: string, markdown: string}}
+ */
+function extractContent(html, url) {
+  const { text, markdown } = extractArticle(html, url);
+
+  return {
+    content: text.slice(0, MAX_CONTENT_LENGTH),
+    markdown: markdown.slice(0, MAX_CONTENT_LENGTH),
+  };
+}
+
+/**
+ * Extract text and metadata from a PDF response
+ * @param {Response} response - Fetch response with a PDF body
+ * @returns {Promise<{success: boolean, content?: string, contentType: string, metadata?: Object, error?: string}>}
+ */
+async function scrapePdf(response) {
+  const result = await extractPdf(await response.arrayBuffer());
+
+  if (!result.success) {
+    return { success: false, contentType: 'pdf', error: result.error };
+  }
+
+  const content = formatPages(result.pages);
+  if (!content) {
+    return { success: false, contentType: 'pdf', error: 'PDF has no extractable text (likely scanned)', metadata: result.metadata };
+  }
+
+  return {
+    success: true,
+    contentType: 'pdf',
+    content: content.slice(0, MAX_DOCUMENT_CONTENT_LENGTH),
+    metadata: result.metadata,
+  };
+}
+
+/**
+ * Get a YouTube video's transcript (or description when it has no captions)
+ * @param {string} url - YouTube video URL
+ * @returns {Promise<{success: boolean, content?: string, contentType: string, transcript?: Array, metadata?: Object, html?: string, error?: string}>}
+ */
+async function scrapeYouTube(url) {
+  const result = await fetchVideo(url);
+
+  if (!result.success) {
+    return { success: false, contentType: 'video', error: result.error, html: result.html };
+  }
+
+  if (result.transcript) {
+    return {
+      success: true,
+      contentType: 'transcript',
+      content: formatTranscript(result.transcript).slice(0, MAX_DOCUMENT_CONTENT_LENGTH),
+      transcript: result.transcript,
+      metadata: result.metadata,
+      html: result.html,
+    };
+  }
+
+  // No captions: the description is still far better than the watch page text
+  const description = result.metadata.description || '';
+  if (!description) {
+    return { success: false, contentType: 'video', error: 'Video has no captions or description', html: result.html };
+  }
+
+  return {
+    success: true,
+    contentType: 'video',
+    content: description,
+    metadata: result.metadata,
+    html: result.html,
+  };
 }
 
 /**
  * Simple fetch-based scraper (works without browser dependencies)
  * @param {string} url - The URL to scrape
- * @returns {Promise<{success: boolean, content?: string, html?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, content?: string, markdown?: string, html?: string, contentType?: string, metadata?: Object, error?: string}>}
  */
 async function simpleScrape(url) {
   try {
     const response = await fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml',
+        'Accept': 'text/html,application/xhtml+xml,application/pdf',
       },
       signal: AbortSignal.timeout(15000),
     });
@@ -373,12 +460,16 @@ async function simpleScrape(url) {
     }
 
     const contentType = response.headers.get('content-type') || '';
+    if (isPdfResponse(contentType, url)) {
+      return await scrapePdf(response);
+    }
+
     if (!contentType.includes('text/html')) {
       return { success: false, error: 'Not an HTML page' };
     }
 
     const html = await response.text();
-    const content = stripHtml(html);
+    const { content, markdown } = extractContent(html, url);
 
     if (content.length < 100) {
       return { success: false, error: 'Content too short (likely JS-rendered)', html };
@@ -386,7 +477,9 @@ async function simpleScrape(url) {
 
     return {
       success: true,
-      content: content.slice(0, MAX_CONTENT_LENGTH),
+      contentType: 'html',
+      content,
+      markdown,
       html, // Return raw HTML for author extraction
     };
   } catch (error) {
@@ -397,16 +490,36 @@ async function simpleScrape(url) {
 /**
  * Scrape content from a URL
  * Uses simple fetch first, falls back to Playwright for JS-heavy sites
+ * PDFs are parsed directly (contentType 'pdf', with document metadata) and
+ * YouTube videos use their caption track (contentType 'transcript')
  * @param {string} url - The URL to scrape
- * @returns {Promise<{success: boolean, content?: string, html?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, content?: string, markdown?: string, html?: string, contentType?: string, metadata?: Object, transcript?: Array, error?: string}>}
  */
 export async function scrapeUrl(url) {
+  if (isYouTubeVideoUrl(url)) {
+    console.log('[Scraper] Fetching YouTube transcript for:', url);
+    const videoResult = await scrapeYouTube(url);
+
+    if (videoResult.success) {
+      console.log(`[Scraper] YouTube ${videoResult.contentType} extracted: ${videoResult.content.length} chars`);
+      return videoResult;
+    }
+
+    console.log(`[Scraper] YouTube extraction failed: ${videoResult.error}`);
+  }
+
   // Try simple fetch-based scraping first (fast, no dependencies)
   console.log('[Scraper] Trying simple scrape for:', url);
   const simpleResult = await simpleScrape(url);
 
   if (simpleResult.success) {
-    console.log(`[Scraper] Simple scrape succeeded: ${simpleResult.content.length} chars`);
+    console.log(`[Scraper] Simple scrape succeeded (${simpleResult.contentType}): ${simpleResult.content.length} chars`);
+    return simpleResult;
+  }
+
+  // A browser can't do better than pdf.js on a PDF
+  if (simpleResult.contentType === 'pdf') {
+    console.log(`[Scraper] PDF extraction failed: ${simpleResult.error}`);
     return simpleResult;
   }
 
@@ -429,32 +542,20 @@ export async function scrapeUrl(url) {
       await page.goto(url, { timeout: 30000, waitUntil: 'domcontentloaded' });
       await page.waitForTimeout(1000);
 
-      // Get both raw HTML and processed content
-      const { content, html } = await page.evaluate(() => {
-        // Get raw HTML first
-        const rawHtml = document.documentElement.outerHTML;
-
-        // Remove unwanted elements
-        ['script', 'style', 'noscript', 'nav', 'header', 'footer', 'aside']
-          .forEach(tag => document.querySelectorAll(tag).forEach(el => el.remove()));
-
-        // Try to find main content
-        const main = document.querySelector('article, main, [role="main"], .content, #content');
-        const el = (main && main.textContent.trim().length > 200) ? main : document.body;
-
-        return {
-          content: el.textContent.replace(/\s+/g, ' ').trim(),
-          html: rawHtml,
-        };
-      });
+      // Rendered HTML goes through the same extractor as the fetch path
+      const html = await page.content();
 
       await browser.close();
 
+      const { content, markdown } = extractContent(html, url);
+
       console.log(`[Scraper] Playwright succeeded: ${content.length} chars`);
 
       return {
         success: true,
-        content: content.slice(0, MAX_CONTENT_LENGTH),
+        contentType: 'html',
+        content,
+        markdown,
         html, // Return raw HTML for author extraction
       };
     } catch (pageError) {
@@ -473,6 +574,38 @@ export async function scrapeUrl(url) {
   }
 }
 
+/**
+ * Extract content from a page snapshot taken in the user's browser
+ * Snapshots cover pages the server cannot fetch (paywalls, logged-in and
+ * intranet pages): html is the page head plus its main article, text is the
+ * rendered body text, used when the article HTML yields too little.
+ * @param {{html?: string, text?: string}} snapshot - Snapshot from the extension
+ * @param {string} url - The page URL
+ * @returns {{success: boolean, content?: string, markdown?: string, html?: string, contentType?: string, error?: string}}
+ */
+export function extractSnapshotContent(snapshot, url) {
+  const html = snapshot?.html || '';
+
+  if (html) {
+    const { content, markdown } = extractContent(html, url);
+    if (content.length >= 100) {
+      return { success: true, contentType: 'html', content, markdown, html };
+    }
+  }
+
+  const text = (snapshot?.text || '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim()
+    .slice(0, MAX_CONTENT_LENGTH);
+
+  if (text.length < 100) {
+    return { success: false, error: 'Snapshot content too short', html };
+  }
+
+  return { success: true, contentType: 'html', content: text, markdown: '', html };
+}
+
 /**
  * Check if a URL is scrapeable (not a special protocol)
  * @param {string} url - The URL to check
@@ -0,0 +1,334 @@
+// Search Service
+// Semantic and hybrid (full-text + vector) search over captures and their
+// chunks, returning the best-matching passage of each capture as a snippet
+
+import { supabase } from './supabase.js';
+import { generateQueryEmbedding, formatForPgVector } from './embeddings.js';
+import { applySearchFilters, hasFilters } from './searchQuery.js';
+import { getSortKeys, applyCursor, pageResults } from './pagination.js';
+
+const SNIPPET_LENGTH = 300;
+
+// Most candidates taken from each ranking before filtering and paging
+const MAX_CANDIDATES = 1000;
+
+// Columns returned for capture listings
+export const CAPTURE_COLUMNS = 'id, url, title, display_title, summary, category, tags, quality_score, actionability_score, created_at, notion_synced, notion_page_id, key_takeaways, action_items, source_platform, author_name, image_url, notes, edited_fields, read_state, read_progress';
+
+// Words too common to be worth highlighting
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or', 'our', 'so',
+  'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Search captures by meaning
+ * Captures match on their own embedding or on any of their chunks; each
+ * result carries a snippet from the best-matching chunk when there is one.
+ * @param {Object} parsed - Query from parseSearchQuery (semanticText is embedded)
+ * @param {Object} options - { threshold, limit, sort, cursor, source }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Object>} - Page from pageResults
+ */
+export async function semanticSearch(parsed, { threshold = 0.4, limit = 10, sort = 'similarity', cursor = null, source = null } = {}, userId = null) {
+  const queryEmbedding = await generateQueryEmbedding(parsed.semanticText);
+  const sortKeys = getSortKeys(sort, 'similarity');
+
+  const query = supabase.rpc('search_captures', {
+    query_embedding: formatForPgVector(queryEmbedding),
+    match_threshold: threshold,
+    match_count: candidateCount(parsed, sort, cursor, limit),
+    filter_user_id: userId || null,
+    filter_source: source || null,
+    ...textConstraints(parsed)
+  }, { count: 'exact' });
+
+  const { data, error, count } = await applyCursor(applySearchFilters(query, parsed.filters), sortKeys, cursor, limit);
+
+  if (error) {
+    throw error;
+  }
+
+  const page = pageResults(data || [], sort, sortKeys, cursor, limit, count);
+  return { ...page, results: page.results.map(row => withSnippet(row, parsed.semanticText)) };
+}
+
+/**
+ * Search captures by keywords and meaning at once
+ * Full-text rank and vector similarity are computed in one query and fused
+ * with reciprocal rank fusion, so exact terms and related concepts both match.
+ * Queries with only operators (no free text) list matching captures instead.
+ * @param {Object} parsed - Query from parseSearchQuery
+ * @param {Object} options - { mode: 'hybrid'|'keyword', limit, sort, cursor, source }
+ *   keyword skips the query embedding and ranks by full text only
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Object>} - Page from pageResults, plus the mode used
+ */
+export async function hybridSearch(parsed, { mode = 'hybrid', limit = 20, sort = 'similarity', cursor = null, source = null } = {}, userId = null) {
+  if (!parsed.semanticText) {
+    const page = await listCaptures(parsed.filters, {
+      limit,
+      sort: sort === 'similarity' ? 'newest' : sort,
+      cursor,
+      source,
+      excludes: parsed.excludes,
+    }, userId);
+    return { ...page, mode: 'filter' };
+  }
+
+  let queryEmbedding = null;
+  if (mode === 'hybrid') {
+    queryEmbedding = formatForPgVector(await generateQueryEmbedding(parsed.semanticText));
+  }
+
+  const sortKeys = getSortKeys(sort, 'score');
+
+  const query = supabase.rpc('hybrid_search_captures', {
+    query_text: parsed.text,
+    query_embedding: queryEmbedding,
+    // Fused scores depend on how deep each ranking goes, so every page of a
+    // query fuses the same candidates
+    candidate_count: MAX_CANDIDATES,
+    filter_user_id: userId || null,
+    filter_source: source || null,
+    ...textConstraints(parsed)
+  }, { count: 'exact' });
+
+  const { data, error, count } = await applyCursor(applySearchFilters(query, parsed.filters), sortKeys, cursor, limit);
+
+  if (error) {
+    throw error;
+  }
+
+  const page = pageResults(data || [], sort, sortKeys, cursor, limit, count);
+  const rows = await addTextChunks(page.results, parsed.text);
+
+  return {
+    ...page,
+    results: rows.map(row => withSnippet(row, parsed.semanticText)),
+    mode,
+  };
+}
+
+/**
+ * List captures matching filters, sorted and paged by cursor
+ * Used for operator-only queries (e.g. "tag:rust is:unsynced") and the
+ * recent/tag/category listings.
+ * @param {Object} filters - From parseSearchQuery or createFilters
+ * @param {Object} options - { limit, sort, cursor, source, excludes }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<Object>} - Page from pageResults
+ */
+export async function listCaptures(filters, { limit = 20, sort = 'newest', cursor = null, source = null, excludes = [] } = {}, userId = null) {
+  const sortKeys = getSortKeys(sort);
+
+  let query = supabase
+    .from('captures')
+    .select(CAPTURE_COLUMNS, { count: 'exact' });
+
+  if (userId) query = query.eq('user_id', userId);
+  if (source) query = query.eq('source_platform', source);
+
+  // Without a full-text query, exclusions fall back to substring matching.
+  // NOT ILIKE is null for a null column, so empty columns (pending captures,
+  // captures without extracted content) are let through explicitly.
+  for (const exclude of excludes) {
+    const pattern = `"%${exclude.replace(/[%_,()"\\]/g, ' ')}%"`;
+    for (const column of ['title', 'summary', 'content']) {
+      query = query.or(`${column}.is.null,${column}.not.ilike.${pattern}`);
+    }
+  }
+
+  const { data, error, count } = await applyCursor(applySearchFilters(query, filters), sortKeys, cursor, limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return pageResults(data || [], sort, sortKeys, cursor, limit, count);
+}
+
+/**
+ * Number of semantic matches taken before filters and paging
+ * Similarity-sorted pages only need the top of the ranking (deep enough for the
+ * pages seen so far; a capture's similarity doesn't depend on how deep it goes);
+ * other sorts and filters reorder or drop candidates, so they take the maximum.
+ */
+function candidateCount(parsed, sort, cursor, limit) {
+  if (sort !== 'similarity' || hasFilters(parsed.filters)) {
+    return MAX_CANDIDATES;
+  }
+  const depth = (cursor?.seen || 0) + limit + 1;
+  return Math.min(Math.max(depth * 2, 100), MAX_CANDIDATES);
+}
+
+/**
+ * Full-text constraints for semantic matches: quoted phrases must appear,
+ * excluded terms must not
+ */
+function textConstraints(parsed) {
+  return {
+    required_text: parsed.phrases.length > 0 ? parsed.phrases.map(phrase => `"${phrase}"`).join(' ') : null,
+    excluded_text: parsed.excludes.length > 0 ? parsed.excludes.map(exclude => `"${exclude}"`).join(' or ') : null,
+  };
+}
+
+/**
+ * Fill in the best full-text chunk for results that matched on keywords only
+ */
+async function addTextChunks(rows, queryText) {
+  const missing = rows.filter(row => !row.matched_chunk).map(row => row.id);
+  if (missing.length === 0) return rows;
+
+  const { data, error } = await supabase.rpc('match_text_chunks', {
+    capture_ids: missing,
+    query_text: queryText
+  });
+
+  if (error) {
+    console.error('[Search] Failed to match text chunks:', error.message);
+    return rows;
+  }
+
+  const chunks = new Map((data || []).map(chunk => [chunk.capture_id, chunk]));
+  return rows.map(row => {
+    const chunk = chunks.get(row.id);
+    if (row.matched_chunk || !chunk) return row;
+    return {
+      ...row,
+      matched_chunk_index: chunk.chunk_index,
+      matched_chunk: chunk.content,
+      matched_page_start: chunk.page_start,
+      matched_page_end: chunk.page_end,
+      matched_start_seconds: chunk.start_seconds,
+    };
+  });
+}
+
+/**
+ * Replace the matched_* chunk columns of a search row with a snippet
+ */
+function withSnippet(row, query) {
+  const {
+    matched_chunk: matchedChunk,
+    matched_chunk_index: chunkIndex,
+    matched_page_start: pageStart,
+    matched_page_end: pageEnd,
+    matched_start_seconds: startSeconds,
+    ...result
+  } = row;
+
+  if (matchedChunk) {
+    result.snippet = {
+      ...buildSnippet(matchedChunk, query),
+      chunk_index: chunkIndex,
+      page_start: pageStart,
+      page_end: pageEnd,
+      start_seconds: startSeconds,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Cut the passage of text that best covers the query terms
+ * @param {string} text - Text to cut from (e.g. a chunk)
+ * @param {string} query - Search text
+ * @param {number} maxLength - Snippet length in characters
+ * @returns {{text: string, highlights: Array<[number, number]>}} - highlights are
+ *   [start, end) offsets of query terms within the snippet text
+ */
+export function buildSnippet(text, query, maxLength = SNIPPET_LENGTH) {
+  const normalized = text
+    .replace(/^\[Page \d+\]$/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const matches = findTermMatches(normalized, query);
+
+  // Choose the window containing the most distinct terms, then the most hits
+  let best = null;
+  for (let i = 0; i < matches.length; i++) {
+    const terms = new Set();
+    let j = i;
+    while (j < matches.length && matches[j].end - matches[i].start <= maxLength) {
+      terms.add(matches[j].term);
+      j++;
+    }
+    const score = terms.size * 100 + (j - i);
+    if (!best || score > best.score) {
+      best = { score, first: matches[i], last: matches[j - 1] };
+    }
+  }
+
+  let start = 0;
+  if (best) {
+    // Center the matched span in the window
+    const span = best.last.end - best.first.start;
+    start = Math.max(0, best.first.start - Math.floor((maxLength - span) / 2));
+  }
+  let end = Math.min(normalized.length, start + maxLength);
+  start = Math.max(0, Math.min(start, end - maxLength));
+
+  // Snap to word boundaries without cutting into a highlighted term
+  if (start > 0) {
+    const space = normalized.indexOf(' ', start);
+    const firstMatch = matches.find(match => match.start >= start);
+    if (space !== -1 && (!firstMatch || space < firstMatch.start)) start = space + 1;
+  }
+  if (end < normalized.length) {
+    const space = normalized.lastIndexOf(' ', end);
+    const lastMatch = [...matches].reverse().find(match => match.end <= end);
+    if (space > start && (!lastMatch || space >= lastMatch.end)) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < normalized.length ? '…' : '';
+
+  return {
+    text: `${prefix}${normalized.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => [match.start - start + prefix.length, match.end - start + prefix.length]),
+  };
+}
+
+/**
+ * Find occurrences of query terms in text
+ * Terms match as word prefixes so "embedding" also finds "embeddings"
+ */
+function findTermMatches(text, query) {
+  const terms = [...new Set(
+    // Excluded terms ("-word") are not highlighted
+    (query.toLowerCase().replace(/(^|\s)-\S+/g, ' ').match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(term => !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term)))
+      .map(stem)
+  )];
+
+  const matches = [];
+  for (const term of terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}[\\p{L}\\p{N}]*`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Terms sharing a prefix can match the same word; keep the first
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  return matches.filter((match, i) => i === 0 || match.start >= matches[i - 1].end);
+}
+
+/**
+ * Strip common English suffixes so a term matches its inflections
+ */
+function stem(term) {
+  const stemmed = term.replace(/(?:ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : term;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
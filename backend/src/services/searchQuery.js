@@ -0,0 +1,313 @@
+// Search Query Service
+// Parses search input with operators (tag:rust quality:>=7 site:github.com ...)
+// into free text for ranking and filters that compile to Supabase query filters
+
+// Operator names, with aliases
+const OPERATORS = {
+  tag: 'tag',
+  tags: 'tag',
+  category: 'category',
+  cat: 'category',
+  quality: 'quality',
+  author: 'author',
+  by: 'author',
+  after: 'after',
+  since: 'after',
+  before: 'before',
+  until: 'before',
+  site: 'site',
+  domain: 'site',
+  source: 'source',
+  is: 'is',
+};
+
+const COMPARISON = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/;
+const RANGE = /^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/;
+const DATE = /^\d{4}-\d{2}(?:-\d{2})?$/;
+const HOST = /^[a-z0-9.-]+\.[a-z]{2,}$/;
+
+// Operator token, quoted phrase, or bare word (each optionally negated)
+const TOKEN = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|(-?)"([^"]*)"?|(\S+)/gi;
+
+/**
+ * Parse a search query
+ * Unknown operators (e.g. "note:this") are kept as text.
+ * @param {string} input - Raw query, e.g. `tag:rust quality:>=7 "exact phrase" -exclude`
+ * @returns {{
+ *   text: string,          // free text in websearch syntax (words, "phrases", -exclusions) for full-text ranking
+ *   semanticText: string,  // words and phrases without operators or exclusions, for embeddings
+ *   phrases: string[],
+ *   excludes: string[],
+ *   filters: Object,
+ *   errors: string[]
+ * }}
+ */
+export function parseSearchQuery(input) {
+  const filters = createFilters();
+  const words = [];
+  const phrases = [];
+  const excludes = [];
+  const errors = [];
+
+  for (const match of (input || '').matchAll(TOKEN)) {
+    const [raw, negated, name, quotedValue, plainValue, phraseNegated, phrase, word] = match;
+
+    if (name !== undefined) {
+      const operator = OPERATORS[name.toLowerCase()];
+      const value = (quotedValue ?? plainValue).trim();
+
+      if (!operator || !value) {
+        words.push(raw);
+        continue;
+      }
+
+      const error = applyOperator(filters, operator, value, !!negated);
+      if (error) errors.push(error);
+      continue;
+    }
+
+    if (phrase !== undefined) {
+      const text = phrase.trim();
+      if (!text) continue;
+      if (phraseNegated) excludes.push(text);
+      else phrases.push(text);
+      continue;
+    }
+
+    if (word.startsWith('-') && word.length > 1) {
+      excludes.push(word.slice(1));
+    } else {
+      words.push(word);
+    }
+  }
+
+  const text = [
+    ...words,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excludes.map(exclude => (exclude.includes(' ') ? `-"${exclude}"` : `-${exclude}`)),
+  ].join(' ');
+
+  return {
+    text,
+    semanticText: [...words, ...phrases].join(' '),
+    phrases,
+    excludes,
+    filters,
+    errors,
+  };
+}
+
+/**
+ * Create an empty filter set (matches every capture)
+ * @returns {Object}
+ */
+export function createFilters() {
+  return {
+    tags: [],
+    excludeTags: [],
+    categories: [],
+    excludeCategories: [],
+    quality: [],
+    authors: [],
+    after: null,
+    before: null,
+    sites: [],
+    excludeSites: [],
+    sources: [],
+    excludeSources: [],
+    synced: null,
+  };
+}
+
+/**
+ * Check whether parsed filters restrict results at all
+ * @param {Object} filters - filters from parseSearchQuery
+ * @returns {boolean}
+ */
+export function hasFilters(filters) {
+  return Object.values(filters).some(value => (Array.isArray(value) ? value.length > 0 : value !== null));
+}
+
+/**
+ * Apply parsed filters to a Supabase query on captures (or an RPC returning
+ * capture columns: tags, category, quality_score, author_name, created_at, url,
+ * source_platform, notion_synced)
+ * @param {Object} query - Supabase filter builder
+ * @param {Object} filters - filters from parseSearchQuery
+ * @returns {Object} - The filtered query
+ */
+export function applySearchFilters(query, filters) {
+  if (filters.tags.length > 0) {
+    query = query.contains('tags', filters.tags);
+  }
+
+  // NOT is null for a null column, so untagged and uncategorized (e.g. pending)
+  // captures are let through explicitly
+  for (const tag of filters.excludeTags) {
+    query = query.or(`tags.is.null,tags.not.cs.{${quoteArrayValue(tag)}}`);
+  }
+
+  if (filters.categories.length > 0) {
+    const conditions = filters.categories.map(category => `category.ilike.${quoteLikeValue(category)}`);
+    // Uncategorized captures are listed as reference
+    if (filters.categories.includes('reference')) conditions.push('category.is.null');
+    query = query.or(conditions.join(','));
+  }
+
+  for (const category of filters.excludeCategories) {
+    query = query.or(`category.is.null,category.not.ilike.${quoteLikeValue(category)}`);
+  }
+
+  for (const { op, value } of filters.quality) {
+    query = query[op]('quality_score', value);
+  }
+
+  for (const author of filters.authors) {
+    query = query.ilike('author_name', `%${author}%`);
+  }
+
+  if (filters.after) {
+    query = query.gte('created_at', filters.after);
+  }
+
+  if (filters.before) {
+    query = query.lt('created_at', filters.before);
+  }
+
+  if (filters.sites.length > 0) {
+    query = query.or(filters.sites.flatMap(sitePatterns).map(pattern => `url.ilike.${pattern}`).join(','));
+  }
+
+  for (const site of filters.excludeSites) {
+    for (const pattern of sitePatterns(site)) {
+      query = query.not('url', 'ilike', pattern);
+    }
+  }
+
+  if (filters.sources.length > 0) {
+    query = query.in('source_platform', filters.sources);
+  }
+
+  for (const source of filters.excludeSources) {
+    query = query.or(`source_platform.is.null,source_platform.neq.${source}`);
+  }
+
+  if (filters.synced === true) {
+    query = query.eq('notion_synced', true);
+  } else if (filters.synced === false) {
+    query = query.not('notion_synced', 'is', true);
+  }
+
+  return query;
+}
+
+/**
+ * Validate one operator and record it in filters
+ * @returns {string|null} - Error message for invalid values
+ */
+function applyOperator(filters, operator, value, negated) {
+  const values = value.split(',').map(v => v.trim()).filter(Boolean);
+
+  switch (operator) {
+    case 'tag':
+      (negated ? filters.excludeTags : filters.tags).push(...values.map(v => v.toLowerCase()));
+      return null;
+
+    case 'category':
+      (negated ? filters.excludeCategories : filters.categories).push(...values.map(v => v.toLowerCase()));
+      return null;
+
+    case 'source':
+      (negated ? filters.excludeSources : filters.sources).push(...values.map(v => v.toLowerCase()));
+      return null;
+
+    case 'author':
+      if (negated) return 'author: cannot be negated';
+      filters.authors.push(value.replace(/^@/, ''));
+      return null;
+
+    case 'site': {
+      const hosts = values.map(normalizeHost);
+      if (hosts.some(host => !host)) return `Invalid site: ${value}`;
+      (negated ? filters.excludeSites : filters.sites).push(...hosts);
+      return null;
+    }
+
+    case 'quality': {
+      if (negated) return 'quality: cannot be negated';
+      const range = value.match(RANGE);
+      if (range) {
+        filters.quality.push({ op: 'gte', value: parseFloat(range[1]) }, { op: 'lte', value: parseFloat(range[2]) });
+        return null;
+      }
+      const comparison = value.match(COMPARISON);
+      if (!comparison) return `Invalid quality: ${value} (use e.g. quality:>=7 or quality:5..8)`;
+      const op = { '>=': 'gte', '<=': 'lte', '>': 'gt', '<': 'lt', '=': 'eq' }[comparison[1] || '='];
+      filters.quality.push({ op, value: parseFloat(comparison[2]) });
+      return null;
+    }
+
+    case 'after':
+    case 'before': {
+      if (negated) return `${operator}: cannot be negated`;
+      const date = parseDate(value);
+      if (!date) return `Invalid date for ${operator}: ${value} (use YYYY-MM-DD)`;
+      filters[operator] = date;
+      return null;
+    }
+
+    case 'is': {
+      const state = value.toLowerCase();
+      if (state !== 'synced' && state !== 'unsynced') return `Unknown is: value: ${value} (use synced or unsynced)`;
+      filters.synced = (state === 'synced') !== negated;
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse YYYY-MM or YYYY-MM-DD as an ISO timestamp (UTC midnight)
+ * Impossible dates (2026-02-31) are rejected rather than rolled over.
+ */
+function parseDate(value) {
+  if (!DATE.test(value)) return null;
+  const day = value.length === 7 ? `${value}-01` : value;
+  const date = new Date(day);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== day) return null;
+  return date.toISOString();
+}
+
+/**
+ * Reduce "https://www.GitHub.com/foo" or "github.com" to "github.com"
+ */
+function normalizeHost(value) {
+  let host = value.toLowerCase();
+  try {
+    if (host.includes('://')) host = new URL(host).hostname;
+  } catch (e) {
+    return null;
+  }
+  host = host.split('/')[0].replace(/^www\./, '');
+  return HOST.test(host) ? host : null;
+}
+
+/**
+ * URL patterns matching a host and its subdomains
+ */
+function sitePatterns(host) {
+  return [`%://${host}`, `%://${host}/%`, `%.${host}`, `%.${host}/%`];
+}
+
+// An ilike value matching the text itself (case-insensitively): LIKE wildcards
+// are escaped, then the value is quoted
+function quoteLikeValue(value) {
+  const pattern = value.replace(/[\\%_]/g, '\\$&');
+  return `"${pattern.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function quoteArrayValue(value) {
+  return /[,{}"\s]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value;
+}
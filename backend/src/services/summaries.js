@@ -0,0 +1,211 @@
+// Summaries Service
+// Deep summaries of a capture's whole content in several styles, made on
+// demand and cached on the capture. Long content is summarized map-reduce
+// style: each chunk is condensed into section notes (cached too, and shared
+// by all styles), then the notes are summarized in the requested style.
+
+import { createHash } from 'crypto';
+import { supabase, isConfigured } from './supabase.js';
+import { isConfigured as isAiConfigured, condenseChunks, deepSummarize } from './ai.js';
+import { chunkText } from './chunker.js';
+
+export const DEEP_SUMMARY_STYLES = ['outline', 'eli5', 'brief', 'tweet'];
+
+// Content up to this length is summarized in one step
+const DIRECT_CONTENT_LENGTH = 12000;
+
+// Map step: chunk size, chunk count cap and total length of the section notes
+const MAP_CHUNK_CHARS = 8000;
+const MAX_MAP_CHUNKS = 24;
+const NOTES_LENGTH = 16000;
+
+// Summaries being built, so simultaneous requests share one set of AI calls
+const inFlight = new Map();
+
+/**
+ * Get a capture's cached deep summaries
+ * Summaries of content that has changed since are marked stale.
+ * @param {string} captureId - Capture ID
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, summaries?: Object, styles?: string[], error?: string}>}
+ */
+export async function listDeepSummaries(captureId, userId = null) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const capture = await loadCapture(captureId, userId);
+    if (!capture) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    const hash = hashContent(capture.content);
+    const summaries = Object.fromEntries(
+      Object.entries(capture.deep_summaries || {})
+        .filter(([style]) => DEEP_SUMMARY_STYLES.includes(style))
+        .map(([style, entry]) => [style, { ...formatSummary(style, entry), stale: entry.content_hash !== hash }])
+    );
+
+    return { success: true, summaries, styles: DEEP_SUMMARY_STYLES };
+  } catch (err) {
+    console.error('[Summaries] Failed to list summaries:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get a deep summary of a capture, building it unless it is cached
+ * @param {string} captureId - Capture ID
+ * @param {string} style - outline, eli5, brief or tweet
+ * @param {Object} options - { refresh: build it again even when cached }
+ * @param {string|null} userId - Optional user scope
+ * @returns {Promise<{success: boolean, summary?: Object, cached?: boolean, error?: string}>}
+ */
+export async function getDeepSummary(captureId, style, { refresh = false } = {}, userId = null) {
+  if (!DEEP_SUMMARY_STYLES.includes(style)) {
+    return { success: false, error: `Invalid style. Use one of: ${DEEP_SUMMARY_STYLES.join(', ')}` };
+  }
+
+  if (!isConfigured()) {
+    return { success: false, error: 'Supabase not configured' };
+  }
+
+  try {
+    const capture = await loadCapture(captureId, userId);
+    if (!capture) {
+      return { success: false, error: 'Capture not found' };
+    }
+
+    if (!capture.content?.trim()) {
+      return { success: false, error: 'Capture has no content to summarize' };
+    }
+
+    const hash = hashContent(capture.content);
+    const cached = capture.deep_summaries?.[style];
+    if (cached && cached.content_hash === hash && !refresh) {
+      return { success: true, summary: formatSummary(style, cached), cached: true };
+    }
+
+    if (!isAiConfigured()) {
+      return { success: false, error: 'AI not configured' };
+    }
+
+    const entry = await once(`${capture.id}:${style}`, () => buildSummary(capture, style, hash));
+    return { success: true, summary: formatSummary(style, entry), cached: false };
+  } catch (err) {
+    console.error('[Summaries] Failed to summarize:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+async function buildSummary(capture, style, hash) {
+  const title = capture.display_title || capture.title || capture.url;
+  const fromNotes = capture.content.length > DIRECT_CONTENT_LENGTH;
+  const text = fromNotes
+    ? await once(`${capture.id}:notes`, () => getNotes(capture, title, hash))
+    : capture.content;
+
+  const summary = await deepSummarize(title, text, style, capture.id, capture.user_id || null, { fromNotes });
+  const entry = {
+    text: summary,
+    from_notes: fromNotes,
+    content_hash: hash,
+    generated_at: new Date().toISOString(),
+  };
+
+  // Merged in the database: other styles may be saved meanwhile
+  const { error } = await supabase.rpc('save_deep_summary', {
+    target_capture_id: capture.id,
+    summary_style: style,
+    entry,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(`[Summaries] Built ${style} summary for ${capture.id}${fromNotes ? ' from section notes' : ''}`);
+  return entry;
+}
+
+/**
+ * Section notes of long content (map step), from the cache when the content is unchanged
+ */
+async function getNotes(capture, title, hash) {
+  const cached = capture.deep_summary_notes;
+  if (cached && cached.content_hash === hash) {
+    return cached.notes;
+  }
+
+  const chunks = chunkText(capture.content, {
+    maxChars: Math.max(MAP_CHUNK_CHARS, Math.ceil(capture.content.length / MAX_MAP_CHUNKS)),
+  });
+
+  console.log(`[Summaries] Condensing ${capture.content.length} chars in ${chunks.length} chunks`);
+  const notes = await condenseChunks(title, chunks, capture.id, capture.user_id || null, {
+    timestamps: capture.content_type === 'transcript',
+    length: NOTES_LENGTH,
+  });
+
+  const { error } = await supabase
+    .from('captures')
+    .update({
+      deep_summary_notes: {
+        notes,
+        chunk_count: chunks.length,
+        content_hash: hash,
+        generated_at: new Date().toISOString(),
+      },
+    })
+    .eq('id', capture.id);
+
+  if (error) {
+    // The notes are still good for this summary; they are just built again next time
+    console.error('[Summaries] Failed to cache section notes:', error.message);
+  }
+
+  return notes;
+}
+
+async function loadCapture(captureId, userId) {
+  let query = supabase
+    .from('captures')
+    .select('id, user_id, url, title, display_title, content, content_type, deep_summaries, deep_summary_notes')
+    .eq('id', captureId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Run fn once per key at a time; callers arriving meanwhile share its result
+ */
+async function once(key, fn) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fn().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content || '').digest('hex').slice(0, 16);
+}
+
+function formatSummary(style, entry) {
+  return {
+    style,
+    text: entry.text,
+    from_notes: entry.from_notes,
+    generated_at: entry.generated_at,
+  };
+}
@@ -3,9 +3,12 @@
 
 import { supabase, isConfigured } from './supabase.js';
 
+// Captures read per request when aggregating tag counts
+const TAG_SCAN_PAGE_SIZE = 1000;
+
 /**
  * Get all tags with their usage counts
- * @returns {Promise<{success: boolean, tags?: Array, error?: string}>}
+ * @returns {Promise<{success: boolean, tags?: Array, total?: number, taggedCaptures?: number, error?: string}>}
  */
 export async function getTagsWithCounts(userId = null) {
   if (!isConfigured()) {
@@ -13,30 +16,39 @@ export async function getTagsWithCounts(userId = null) {
   }
 
   try {
-    // Get all captures with tags
-    let query = supabase
-      .from('captures')
-      .select('tags')
-      .not('tags', 'is', null);
+    // Aggregate tag counts across all captures with tags, a page at a time
+    // (PostgREST caps a single response at 1000 rows)
+    const tagCounts = {};
+    let taggedCaptures = 0;
 
-    if (userId) {
-      query = query.eq('user_id', userId);
-    }
+    for (let offset = 0; ; offset += TAG_SCAN_PAGE_SIZE) {
+      let query = supabase
+        .from('captures')
+        .select('tags')
+        .not('tags', 'is', null);
 
-    const { data, error } = await query;
+      if (userId) {
+        query = query.eq('user_id', userId);
+      }
 
-    if (error) {
-      throw error;
-    }
+      const { data, error } = await query
+        .order('id')
+        .range(offset, offset + TAG_SCAN_PAGE_SIZE - 1);
 
-    // Aggregate tag counts
-    const tagCounts = {};
-    for (const capture of data || []) {
-      if (Array.isArray(capture.tags)) {
-        for (const tag of capture.tags) {
-          tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      if (error) {
+        throw error;
+      }
+
+      for (const capture of data || []) {
+        if (Array.isArray(capture.tags) && capture.tags.length > 0) {
+          taggedCaptures++;
+          for (const tag of capture.tags) {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+          }
         }
       }
+
+      if (!data || data.length < TAG_SCAN_PAGE_SIZE) break;
     }
 
     // Convert to sorted array
@@ -44,7 +56,7 @@ export async function getTagsWithCounts(userId = null) {
       .map(([name, count]) => ({ name, count }))
       .sort((a, b) => b.count - a.count);
 
-    return { success: true, tags };
+    return { success: true, tags, total: tags.length, taggedCaptures };
   } catch (err) {
     console.error('[Tags] Failed to get tags:', err.message);
     return { success: false, error: err.message };
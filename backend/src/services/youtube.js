@@ -0,0 +1,318 @@
+// YouTube Service
+// Pulls video details and the caption track (timed text) for YouTube videos,
+// producing a timestamped transcript for AI processing
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Caption cues are merged into paragraphs of roughly this length
+const PARAGRAPH_SECONDS = 30;
+const PARAGRAPH_CHARS = 500;
+
+/**
+ * Extract the video ID from a YouTube URL
+ * @param {string} url - YouTube URL (watch, youtu.be, shorts, embed, live)
+ * @returns {string|null}
+ */
+export function getVideoId(url) {
+  try {
+    const parsed = new URL(url);
+    const hostname = parsed.hostname.toLowerCase();
+    let videoId = null;
+
+    if (hostname === 'youtu.be') {
+      videoId = parsed.pathname.slice(1).split('/')[0];
+    } else if (['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com'].includes(hostname)) {
+      if (parsed.pathname === '/watch') {
+        videoId = parsed.searchParams.get('v');
+      } else {
+        const match = parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([^\/?#]+)/);
+        videoId = match ? match[1] : null;
+      }
+    }
+
+    return videoId && /^[\w-]{11}$/.test(videoId) ? videoId : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check if a URL points to a single YouTube video
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+export function isYouTubeVideoUrl(url) {
+  return !!getVideoId(url);
+}
+
+/**
+ * Format seconds as a transcript timestamp (m:ss or h:mm:ss)
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Split a leading "[m:ss]" / "[h:mm:ss]" timestamp off a takeaway
+ * @param {string} text - e.g. "[12:34] Point"
+ * @returns {{label: string, seconds: number, text: string}|null}
+ */
+export function splitTimestamp(text) {
+  const match = text.match(/^\[(\d+(?::\d{2}){1,2})\]\s*/);
+  if (!match) return null;
+
+  const seconds = match[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  return { label: match[1], seconds, text: text.slice(match[0].length) };
+}
+
+/**
+ * Link to a point in a YouTube video
+ * @param {string} url - Video URL
+ * @param {number} seconds - Offset in seconds
+ * @returns {string}
+ */
+export function timestampUrl(url, seconds) {
+  const videoId = getVideoId(url);
+  return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+}
+
+/**
+ * Fetch video details and transcript for a YouTube video
+ * @param {string} url - YouTube video URL
+ * @returns {Promise<{success: boolean, transcript?: Array<{start: number, end: number, text: string}>, metadata?: Object, html?: string, error?: string}>}
+ *   transcript is null when the video has no usable caption track
+ */
+export async function fetchVideo(url) {
+  const videoId = getVideoId(url);
+  if (!videoId) {
+    return { success: false, error: 'Not a YouTube video URL' };
+  }
+
+  try {
+    const response = await fetch(`https://www.youtube.com/watch?v=${videoId}&hl=en`, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': 'en-US,en;q=0.9',
+        // Skip the EU consent interstitial
+        'Cookie': 'CONSENT=YES+1',
+      },
+      signal: AbortSignal.timeout(15000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await response.text();
+    const player = extractJsonAssignment(html, 'ytInitialPlayerResponse');
+
+    if (!player?.videoDetails) {
+      const reason = player?.playabilityStatus?.reason;
+      return { success: false, error: reason || 'Video details not found', html };
+    }
+
+    const details = player.videoDetails;
+    const track = pickCaptionTrack(player.captions?.playerCaptionsTracklistRenderer?.captionTracks || []);
+
+    const metadata = {
+      video_id: videoId,
+      title: details.title || null,
+      author: details.author || null,
+      channel_id: details.channelId || null,
+      duration_seconds: parseInt(details.lengthSeconds) || null,
+      description: (details.shortDescription || '').slice(0, 5000) || null,
+      transcript_language: track?.languageCode || null,
+      transcript_auto_generated: track ? track.kind === 'asr' : null,
+    };
+
+    if (!track) {
+      console.log(`[YouTube] No caption track for ${videoId}`);
+      return { success: true, transcript: null, metadata, html };
+    }
+
+    const cues = await fetchCaptionTrack(track.baseUrl);
+    if (cues.length === 0) {
+      console.log(`[YouTube] Caption track for ${videoId} is empty`);
+      return { success: true, transcript: null, metadata, html };
+    }
+
+    const transcript = mergeCues(cues);
+    console.log(`[YouTube] Transcript for ${videoId}: ${cues.length} cues, ${transcript.length} paragraphs (${track.languageCode}${track.kind === 'asr' ? ', auto' : ''})`);
+
+    return { success: true, transcript, metadata, html };
+  } catch (error) {
+    return { success: false, error: `YouTube fetch failed: ${error.message}` };
+  }
+}
+
+/**
+ * Render a transcript as capture content, one "[m:ss] text" paragraph per block
+ * @param {Array<{start: number, text: string}>} transcript
+ * @returns {string}
+ */
+export function formatTranscript(transcript) {
+  return transcript
+    .map(paragraph => `[${formatTimestamp(paragraph.start)}] ${paragraph.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Choose the best caption track
+ * Prefers human captions in the spoken language, then auto-generated captions,
+ * then English, then whatever is available
+ */
+function pickCaptionTrack(tracks) {
+  if (tracks.length === 0) return null;
+
+  const autoTrack = tracks.find(track => track.kind === 'asr');
+  const spokenLanguage = autoTrack?.languageCode;
+  const manual = tracks.filter(track => track.kind !== 'asr');
+
+  return (spokenLanguage && manual.find(track => track.languageCode === spokenLanguage))
+    || autoTrack
+    || manual.find(track => track.languageCode?.startsWith('en'))
+    || tracks[0];
+}
+
+/**
+ * Fetch and parse a caption track
+ * @returns {Promise<Array<{start: number, duration: number, text: string}>>}
+ */
+async function fetchCaptionTrack(baseUrl) {
+  const trackUrl = new URL(baseUrl);
+  trackUrl.searchParams.set('fmt', 'json3');
+
+  const response = await fetch(trackUrl, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(15000),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Caption track HTTP ${response.status}`);
+  }
+
+  const body = await response.text();
+  if (!body.trim()) {
+    return [];
+  }
+
+  try {
+    const data = JSON.parse(body);
+    return (data.events || [])
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        start: (event.tStartMs || 0) / 1000,
+        duration: (event.dDurationMs || 0) / 1000,
+        text: cleanCueText(event.segs.map(seg => seg.utf8 || '').join('')),
+      }))
+      .filter(cue => cue.text);
+  } catch (e) {
+    // Older endpoints ignore fmt and return XML: <text start="1.2" dur="3.4">...</text>
+    return [...body.matchAll(/<text start="([\d.]+)"(?: dur="([\d.]+)")?[^>]*>([\s\S]*?)<\/text>/g)]
+      .map(match => ({
+        start: parseFloat(match[1]),
+        duration: parseFloat(match[2] || '0'),
+        text: cleanCueText(decodeXmlEntities(decodeXmlEntities(match[3]))),
+      }))
+      .filter(cue => cue.text);
+  }
+}
+
+/**
+ * Merge short caption cues into paragraphs, preferring to break at sentence ends
+ */
+function mergeCues(cues) {
+  const paragraphs = [];
+  let current = null;
+
+  for (const cue of cues) {
+    if (!current) {
+      current = { start: cue.start, end: cue.start + cue.duration, text: cue.text };
+      continue;
+    }
+
+    const elapsed = cue.start - current.start;
+    const atSentenceEnd = /[.!?]["')\]]?$/.test(current.text);
+    const tooLong = elapsed >= PARAGRAPH_SECONDS * 2 || current.text.length >= PARAGRAPH_CHARS * 2;
+
+    if (tooLong || (atSentenceEnd && (elapsed >= PARAGRAPH_SECONDS || current.text.length >= PARAGRAPH_CHARS))) {
+      paragraphs.push(current);
+      current = { start: cue.start, end: cue.start + cue.duration, text: cue.text };
+    } else {
+      current.text += ` ${cue.text}`;
+      current.end = Math.max(current.end, cue.start + cue.duration);
+    }
+  }
+
+  if (current) paragraphs.push(current);
+
+  return paragraphs.map(paragraph => ({
+    start: Math.round(paragraph.start * 10) / 10,
+    end: Math.round(paragraph.end * 10) / 10,
+    text: paragraph.text,
+  }));
+}
+
+function cleanCueText(text) {
+  return text
+    .replace(/\[(?:Music|Applause|Laughter)\]/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a `name = {...};` JSON assignment embedded in page script
+ * Walks braces (respecting strings) since the object is followed by more script
+ */
+function extractJsonAssignment(html, name) {
+  const marker = html.search(new RegExp(`${name}\\s*=\\s*\\{`));
+  if (marker === -1) return null;
+
+  const start = html.indexOf('{', marker);
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch (e) {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
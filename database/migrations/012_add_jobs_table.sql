@@ -0,0 +1,100 @@
+-- Migration 012: Durable job queue for background processing
+-- Replaces fire-and-forget setImmediate processing so captures survive restarts
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- What to run
+  type TEXT NOT NULL,                  -- e.g. 'process_capture'
+  capture_id UUID REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  payload JSONB DEFAULT '{}'::jsonb,
+
+  -- Lifecycle
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed, dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),  -- Earliest time the job may run (backoff)
+  last_error TEXT,
+
+  -- Leasing (a worker owns a running job until its lease expires)
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS jobs_status_run_at_idx ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS jobs_capture_id_idx ON jobs(capture_id);
+CREATE INDEX IF NOT EXISTS jobs_user_id_idx ON jobs(user_id);
+
+-- At most one active job of a given type per capture
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_active_capture_idx ON jobs(type, capture_id)
+  WHERE status IN ('queued', 'running') AND capture_id IS NOT NULL;
+
+COMMENT ON COLUMN jobs.status IS 'queued, running, completed, or dead (max attempts exhausted)';
+COMMENT ON COLUMN jobs.lease_expires_at IS 'Running jobs with an expired lease are reclaimed by the next worker poll';
+
+-- Row Level Security
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on jobs" ON jobs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON jobs TO anon;
+GRANT ALL ON jobs TO authenticated;
+
+-- Trigger to auto-update timestamp (reuses update_updated_at from schema.sql)
+DROP TRIGGER IF EXISTS jobs_updated_at ON jobs;
+CREATE TRIGGER jobs_updated_at
+  BEFORE UPDATE ON jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- Atomically lease up to batch_size runnable jobs for a worker.
+-- Picks queued jobs whose run_at has passed, plus running jobs whose lease expired
+-- (the previous worker crashed or was redeployed). SKIP LOCKED keeps concurrent
+-- workers from claiming the same row.
+CREATE OR REPLACE FUNCTION claim_jobs(
+  worker_id TEXT,
+  batch_size INT DEFAULT 1,
+  lease_seconds INT DEFAULT 300,
+  job_types TEXT[] DEFAULT NULL
+)
+RETURNS SETOF jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE jobs j
+  SET
+    status = 'running',
+    locked_by = worker_id,
+    locked_at = NOW(),
+    lease_expires_at = NOW() + make_interval(secs => lease_seconds),
+    attempts = j.attempts + 1
+  WHERE j.id IN (
+    SELECT q.id
+    FROM jobs q
+    WHERE (
+        (q.status = 'queued' AND q.run_at <= NOW())
+        OR (q.status = 'running' AND q.lease_expires_at < NOW())
+      )
+      AND (job_types IS NULL OR q.type = ANY(job_types))
+    ORDER BY q.run_at ASC
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_jobs TO anon, authenticated;
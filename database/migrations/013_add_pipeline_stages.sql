@@ -0,0 +1,10 @@
+-- Migration 013: Per-stage pipeline status
+-- Records status, timing, and errors for each processing stage so partial
+-- failures (e.g. embeddings) are visible and can be re-run on their own
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS pipeline_stages JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN captures.pipeline_stages IS 'Per-stage state keyed by stage (scrape, image, ai, insights, embedding): {status, started_at, finished_at, duration_ms, error, reason}';
+
+-- Find captures with at least one failed stage
+CREATE INDEX IF NOT EXISTS captures_pipeline_stages_idx ON captures USING gin(pipeline_stages);
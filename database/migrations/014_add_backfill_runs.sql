@@ -0,0 +1,56 @@
+-- Migration 014: Backfill run tracking
+-- Each row is one backfill (e.g. re-embedding every capture after a model change),
+-- executed by a `backfill` job from the jobs table and resumable from its cursor
+
+CREATE TABLE IF NOT EXISTS backfill_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- What to backfill
+  operation TEXT NOT NULL,              -- embeddings, titles, insights, authors, images, source_platform, scores
+  mode TEXT NOT NULL DEFAULT 'missing', -- missing: only captures lacking the field, all: every capture
+  concurrency INTEGER NOT NULL DEFAULT 3,
+  max_items INTEGER,                    -- Optional cap on items for this run
+  user_id UUID REFERENCES auth.users(id),
+
+  -- Lifecycle
+  status TEXT NOT NULL DEFAULT 'running', -- running, paused, cancelled, completed, failed
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+
+  -- Progress
+  total INTEGER DEFAULT 0,
+  processed INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  cursor JSONB,                         -- {created_at, id} of the last capture handled
+  errors JSONB DEFAULT '[]'::jsonb,     -- Most recent item errors
+  last_error TEXT,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS backfill_runs_status_idx ON backfill_runs(status);
+CREATE INDEX IF NOT EXISTS backfill_runs_user_id_idx ON backfill_runs(user_id);
+CREATE INDEX IF NOT EXISTS backfill_runs_created_at_idx ON backfill_runs(created_at DESC);
+
+-- Row Level Security
+ALTER TABLE backfill_runs ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on backfill_runs" ON backfill_runs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON backfill_runs TO anon;
+GRANT ALL ON backfill_runs TO authenticated;
+
+-- Trigger to auto-update timestamp
+DROP TRIGGER IF EXISTS backfill_runs_updated_at ON backfill_runs;
+CREATE TRIGGER backfill_runs_updated_at
+  BEFORE UPDATE ON backfill_runs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
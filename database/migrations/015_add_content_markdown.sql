@@ -0,0 +1,7 @@
+-- Migration 015: Structured Markdown content
+-- The scraper's article extractor keeps headings, lists, code blocks and links;
+-- `content` holds the plain-text version used for AI prompts and search
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS content_markdown TEXT;
+
+COMMENT ON COLUMN captures.content_markdown IS 'Main article content as Markdown (boilerplate removed, structure preserved)';
@@ -0,0 +1,11 @@
+-- Migration 016: Document type and metadata
+-- Distinguishes web pages from documents such as PDFs, and keeps metadata the
+-- document itself declares (title, author, page count)
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS content_type TEXT;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS document_metadata JSONB;
+
+COMMENT ON COLUMN captures.content_type IS 'Kind of content scraped: html, pdf';
+COMMENT ON COLUMN captures.document_metadata IS 'Metadata from the document itself, e.g. PDF {title, author, subject, created_at, page_count}';
+
+CREATE INDEX IF NOT EXISTS captures_content_type_idx ON captures(content_type);
@@ -0,0 +1,8 @@
+-- Migration 017: Video transcripts
+-- YouTube captures store the caption track as timestamped paragraphs; `content`
+-- holds the same text with [m:ss] markers for AI processing
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS transcript JSONB;
+
+COMMENT ON COLUMN captures.transcript IS 'Timestamped transcript paragraphs for videos: [{start, end, text}] in seconds';
+COMMENT ON COLUMN captures.content_type IS 'Kind of content scraped: html, pdf, transcript (video captions), video (description only)';
@@ -0,0 +1,139 @@
+-- Migration 018: Chunked embeddings
+-- Long captures (PDFs, transcripts, long articles) are split into overlapping
+-- chunks, each with its own embedding, so search can match a passage deep in
+-- the document instead of only the capture-level embedding
+
+CREATE TABLE IF NOT EXISTS capture_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  page_start INTEGER,                   -- PDF pages covered by the chunk
+  page_end INTEGER,
+  start_seconds INTEGER,                -- Transcript offset of the chunk
+  embedding vector(1536),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (capture_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS capture_chunks_capture_id_idx ON capture_chunks(capture_id);
+CREATE INDEX IF NOT EXISTS capture_chunks_user_id_idx ON capture_chunks(user_id);
+CREATE INDEX IF NOT EXISTS capture_chunks_embedding_idx ON capture_chunks
+USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+
+-- Number of chunks indexed for the capture (NULL = not chunked yet)
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
+
+-- Row Level Security
+ALTER TABLE capture_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on capture_chunks" ON capture_chunks
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON capture_chunks TO anon;
+GRANT ALL ON capture_chunks TO authenticated;
+
+-- Recreate search_captures to aggregate chunk hits back to captures.
+-- A capture's similarity is the best of its capture-level embedding and its
+-- best-matching chunk; the matching chunk is returned for snippets.
+DROP FUNCTION IF EXISTS search_captures(vector, FLOAT, INT, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION search_captures(
+  query_embedding vector(1536),
+  match_threshold FLOAT DEFAULT 0.7,
+  match_count INT DEFAULT 10,
+  filter_user_id UUID DEFAULT NULL,
+  filter_source TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  display_title TEXT,
+  summary TEXT,
+  category TEXT,
+  tags TEXT[],
+  quality_score INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  source_platform TEXT,
+  similarity FLOAT,
+  chunk_matches INT,
+  matched_chunk_index INT,
+  matched_chunk TEXT,
+  matched_page_start INT,
+  matched_page_end INT,
+  matched_start_seconds INT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH chunk_hits AS (
+    -- Nearest chunks first; over-fetch since several may belong to one capture
+    SELECT
+      ch.capture_id,
+      ch.chunk_index,
+      ch.content,
+      ch.page_start,
+      ch.page_end,
+      ch.start_seconds,
+      1 - (ch.embedding <=> query_embedding) AS similarity
+    FROM capture_chunks ch
+    WHERE ch.embedding IS NOT NULL
+      AND (filter_user_id IS NULL OR ch.user_id = filter_user_id)
+    ORDER BY ch.embedding <=> query_embedding
+    LIMIT match_count * 10
+  ),
+  best_chunks AS (
+    SELECT DISTINCT ON (h.capture_id)
+      h.*,
+      CAST(COUNT(*) OVER (PARTITION BY h.capture_id) AS INT) AS matches
+    FROM chunk_hits h
+    WHERE h.similarity > match_threshold
+    ORDER BY h.capture_id, h.similarity DESC
+  ),
+  capture_hits AS (
+    SELECT c.id AS capture_id, 1 - (c.embedding <=> query_embedding) AS similarity
+    FROM captures c
+    WHERE c.embedding IS NOT NULL
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count * 2
+  )
+  SELECT
+    c.id,
+    c.url,
+    c.title,
+    c.display_title,
+    c.summary,
+    c.category,
+    c.tags,
+    c.quality_score,
+    c.created_at,
+    c.source_platform,
+    GREATEST(COALESCE(b.similarity, 0), COALESCE(ch.similarity, 0)) AS similarity,
+    COALESCE(b.matches, 0) AS chunk_matches,
+    b.chunk_index,
+    b.content,
+    b.page_start,
+    b.page_end,
+    b.start_seconds
+  FROM captures c
+  LEFT JOIN best_chunks b ON b.capture_id = c.id
+  LEFT JOIN capture_hits ch ON ch.capture_id = c.id
+  WHERE (b.capture_id IS NOT NULL OR ch.similarity > match_threshold)
+    AND (filter_source IS NULL OR c.source_platform = filter_source)
+  ORDER BY GREATEST(COALESCE(b.similarity, 0), COALESCE(ch.similarity, 0)) DESC
+  LIMIT match_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_captures TO anon, authenticated;
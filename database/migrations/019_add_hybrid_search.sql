@@ -0,0 +1,159 @@
+-- Migration 019: Hybrid search
+-- Full-text ranking (ts_rank_cd over the captures_fts_idx expression) and vector
+-- similarity (search_captures, including chunk matches) are run together and
+-- fused with reciprocal rank fusion: score = sum of 1 / (rrf_k + rank)
+
+-- Same expression as captures_fts_idx (schema.sql) so the GIN index is used
+CREATE INDEX IF NOT EXISTS captures_fts_idx ON captures
+USING gin(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(summary, '') || ' ' || coalesce(content, '')));
+
+-- Full-text index on chunks, used to pick the passage for keyword-only matches
+CREATE INDEX IF NOT EXISTS capture_chunks_fts_idx ON capture_chunks
+USING gin(to_tsvector('english', content));
+
+CREATE OR REPLACE FUNCTION hybrid_search_captures(
+  query_text TEXT,
+  query_embedding vector(1536) DEFAULT NULL,  -- NULL = full-text only
+  match_count INT DEFAULT 20,
+  match_offset INT DEFAULT 0,
+  filter_user_id UUID DEFAULT NULL,
+  filter_source TEXT DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.3,
+  rrf_k INT DEFAULT 60
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  display_title TEXT,
+  summary TEXT,
+  category TEXT,
+  tags TEXT[],
+  quality_score INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  notion_synced BOOLEAN,
+  notion_page_id TEXT,
+  key_takeaways TEXT[],
+  action_items TEXT[],
+  source_platform TEXT,
+  author_name TEXT,
+  image_url TEXT,
+  score FLOAT,
+  text_rank FLOAT,
+  text_position INT,
+  similarity FLOAT,
+  semantic_position INT,
+  total_count BIGINT,
+  matched_chunk_index INT,
+  matched_chunk TEXT,
+  matched_page_start INT,
+  matched_page_end INT,
+  matched_start_seconds INT
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  -- Each ranking contributes this many candidates to the fused list
+  candidate_count INT := LEAST(GREATEST((match_offset + match_count) * 2, 100), 1000);
+BEGIN
+  RETURN QUERY
+  WITH text_hits AS (
+    SELECT
+      c.id AS capture_id,
+      ts_rank_cd(
+        to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, '')),
+        websearch_to_tsquery('english', query_text)
+      ) AS rank_value
+    FROM captures c
+    WHERE to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, ''))
+        @@ websearch_to_tsquery('english', query_text)
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+      AND (filter_source IS NULL OR c.source_platform = filter_source)
+    ORDER BY rank_value DESC
+    LIMIT candidate_count
+  ),
+  text_ranked AS (
+    SELECT t.*, CAST(ROW_NUMBER() OVER (ORDER BY t.rank_value DESC) AS INT) AS rank_position
+    FROM text_hits t
+  ),
+  semantic_ranked AS (
+    SELECT
+      s.id AS capture_id,
+      s.similarity AS similarity_value,
+      s.matched_chunk_index AS chunk_index,
+      s.matched_chunk AS chunk,
+      s.matched_page_start AS page_start,
+      s.matched_page_end AS page_end,
+      s.matched_start_seconds AS start_seconds,
+      CAST(ROW_NUMBER() OVER (ORDER BY s.similarity DESC) AS INT) AS rank_position
+    FROM search_captures(query_embedding, match_threshold, candidate_count, filter_user_id, filter_source) s
+    WHERE query_embedding IS NOT NULL
+  ),
+  fused AS (
+    SELECT
+      COALESCE(t.capture_id, s.capture_id) AS capture_id,
+      COALESCE(1.0 / (rrf_k + t.rank_position), 0) + COALESCE(1.0 / (rrf_k + s.rank_position), 0) AS fused_score,
+      t.rank_value,
+      t.rank_position AS text_pos,
+      s.similarity_value,
+      s.rank_position AS semantic_pos,
+      s.chunk_index,
+      s.chunk,
+      s.page_start,
+      s.page_end,
+      s.start_seconds
+    FROM text_ranked t
+    FULL OUTER JOIN semantic_ranked s ON s.capture_id = t.capture_id
+  ),
+  page_rows AS (
+    SELECT f.*, COUNT(*) OVER () AS total
+    FROM fused f
+    ORDER BY f.fused_score DESC, f.capture_id
+    LIMIT match_count
+    OFFSET match_offset
+  )
+  SELECT
+    c.id,
+    c.url,
+    c.title,
+    c.display_title,
+    c.summary,
+    c.category,
+    c.tags,
+    c.quality_score,
+    c.created_at,
+    c.notion_synced,
+    c.notion_page_id,
+    c.key_takeaways,
+    c.action_items,
+    c.source_platform,
+    c.author_name,
+    c.image_url,
+    CAST(p.fused_score AS FLOAT),
+    CAST(p.rank_value AS FLOAT),
+    p.text_pos,
+    CAST(p.similarity_value AS FLOAT),
+    p.semantic_pos,
+    p.total,
+    COALESCE(p.chunk_index, tc.chunk_index),
+    COALESCE(p.chunk, tc.content),
+    COALESCE(p.page_start, tc.page_start),
+    COALESCE(p.page_end, tc.page_end),
+    COALESCE(p.start_seconds, tc.start_seconds)
+  FROM page_rows p
+  JOIN captures c ON c.id = p.capture_id
+  -- Keyword-only matches: use the chunk with the best full-text rank as the passage
+  LEFT JOIN LATERAL (
+    SELECT ch.chunk_index, ch.content, ch.page_start, ch.page_end, ch.start_seconds
+    FROM capture_chunks ch
+    WHERE p.chunk IS NULL
+      AND ch.capture_id = p.capture_id
+      AND to_tsvector('english', ch.content) @@ websearch_to_tsquery('english', query_text)
+    ORDER BY ts_rank_cd(to_tsvector('english', ch.content), websearch_to_tsquery('english', query_text)) DESC
+    LIMIT 1
+  ) tc ON TRUE
+  ORDER BY p.fused_score DESC, p.capture_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION hybrid_search_captures TO anon, authenticated;
@@ -0,0 +1,282 @@
+-- Migration 021: Cursor pagination and sorting
+-- Listings page with keyset cursors on (sort column, created_at, id), so these
+-- indexes cover each sort order. The search RPCs also return
+-- actionability_score so search results can be sorted by it.
+
+CREATE INDEX IF NOT EXISTS captures_created_at_id_idx ON captures(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS captures_quality_created_idx ON captures(quality_score DESC NULLS LAST, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS captures_actionability_created_idx ON captures(actionability_score DESC NULLS LAST, created_at DESC, id DESC);
+
+-- Capture counts per category for the category listing
+CREATE OR REPLACE FUNCTION get_category_counts(
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  category TEXT,
+  capture_count BIGINT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    LOWER(COALESCE(c.category, 'reference')) AS category,
+    COUNT(*) AS capture_count
+  FROM captures c
+  WHERE (filter_user_id IS NULL OR c.user_id = filter_user_id)
+  GROUP BY LOWER(COALESCE(c.category, 'reference'));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_category_counts TO anon, authenticated;
+
+-- Recreate the search RPCs with actionability_score
+DROP FUNCTION IF EXISTS hybrid_search_captures(TEXT, vector, INT, UUID, TEXT, FLOAT, INT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS search_captures(vector, FLOAT, INT, UUID, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION search_captures(
+  query_embedding vector(1536),
+  match_threshold FLOAT DEFAULT 0.7,
+  match_count INT DEFAULT 10,
+  filter_user_id UUID DEFAULT NULL,
+  filter_source TEXT DEFAULT NULL,
+  required_text TEXT DEFAULT NULL,   -- Results must match this full-text query
+  excluded_text TEXT DEFAULT NULL    -- Results must not match this full-text query
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  display_title TEXT,
+  summary TEXT,
+  category TEXT,
+  tags TEXT[],
+  quality_score INTEGER,
+  actionability_score INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  notion_synced BOOLEAN,
+  notion_page_id TEXT,
+  key_takeaways TEXT[],
+  action_items TEXT[],
+  source_platform TEXT,
+  author_name TEXT,
+  image_url TEXT,
+  similarity FLOAT,
+  chunk_matches INT,
+  matched_chunk_index INT,
+  matched_chunk TEXT,
+  matched_page_start INT,
+  matched_page_end INT,
+  matched_start_seconds INT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH chunk_hits AS (
+    -- Nearest chunks first; over-fetch since several may belong to one capture
+    SELECT
+      ch.capture_id,
+      ch.chunk_index,
+      ch.content,
+      ch.page_start,
+      ch.page_end,
+      ch.start_seconds,
+      1 - (ch.embedding <=> query_embedding) AS similarity
+    FROM capture_chunks ch
+    WHERE ch.embedding IS NOT NULL
+      AND (filter_user_id IS NULL OR ch.user_id = filter_user_id)
+    ORDER BY ch.embedding <=> query_embedding
+    LIMIT match_count * 10
+  ),
+  best_chunks AS (
+    SELECT DISTINCT ON (h.capture_id)
+      h.*,
+      CAST(COUNT(*) OVER (PARTITION BY h.capture_id) AS INT) AS matches
+    FROM chunk_hits h
+    WHERE h.similarity > match_threshold
+    ORDER BY h.capture_id, h.similarity DESC
+  ),
+  capture_hits AS (
+    SELECT c.id AS capture_id, 1 - (c.embedding <=> query_embedding) AS similarity
+    FROM captures c
+    WHERE c.embedding IS NOT NULL
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count * 2
+  )
+  SELECT
+    c.id,
+    c.url,
+    c.title,
+    c.display_title,
+    c.summary,
+    c.category,
+    c.tags,
+    c.quality_score,
+    c.actionability_score,
+    c.created_at,
+    c.notion_synced,
+    c.notion_page_id,
+    c.key_takeaways,
+    c.action_items,
+    c.source_platform,
+    c.author_name,
+    c.image_url,
+    GREATEST(COALESCE(b.similarity, 0), COALESCE(ch.similarity, 0)) AS similarity,
+    COALESCE(b.matches, 0) AS chunk_matches,
+    b.chunk_index,
+    b.content,
+    b.page_start,
+    b.page_end,
+    b.start_seconds
+  FROM captures c
+  LEFT JOIN best_chunks b ON b.capture_id = c.id
+  LEFT JOIN capture_hits ch ON ch.capture_id = c.id
+  WHERE (b.capture_id IS NOT NULL OR ch.similarity > match_threshold)
+    AND (filter_source IS NULL OR c.source_platform = filter_source)
+    AND (required_text IS NULL
+      OR to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, ''))
+        @@ websearch_to_tsquery('english', required_text))
+    AND (excluded_text IS NULL
+      OR NOT to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, ''))
+        @@ websearch_to_tsquery('english', excluded_text))
+  ORDER BY GREATEST(COALESCE(b.similarity, 0), COALESCE(ch.similarity, 0)) DESC
+  LIMIT match_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_captures TO anon, authenticated;
+
+-- Fused candidates from both rankings, best first. Callers filter, order by
+-- score and page the result (PostgREST range), counting with count=exact.
+CREATE OR REPLACE FUNCTION hybrid_search_captures(
+  query_text TEXT,
+  query_embedding vector(1536) DEFAULT NULL,  -- NULL = full-text only
+  candidate_count INT DEFAULT 200,            -- Candidates taken from each ranking
+  filter_user_id UUID DEFAULT NULL,
+  filter_source TEXT DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.3,
+  rrf_k INT DEFAULT 60,
+  required_text TEXT DEFAULT NULL,
+  excluded_text TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  display_title TEXT,
+  summary TEXT,
+  category TEXT,
+  tags TEXT[],
+  quality_score INTEGER,
+  actionability_score INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  notion_synced BOOLEAN,
+  notion_page_id TEXT,
+  key_takeaways TEXT[],
+  action_items TEXT[],
+  source_platform TEXT,
+  author_name TEXT,
+  image_url TEXT,
+  score FLOAT,
+  text_rank FLOAT,
+  text_position INT,
+  similarity FLOAT,
+  semantic_position INT,
+  matched_chunk_index INT,
+  matched_chunk TEXT,
+  matched_page_start INT,
+  matched_page_end INT,
+  matched_start_seconds INT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH text_hits AS (
+    -- query_text carries phrases and -exclusions itself
+    SELECT
+      c.id AS capture_id,
+      ts_rank_cd(
+        to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, '')),
+        websearch_to_tsquery('english', query_text)
+      ) AS rank_value
+    FROM captures c
+    WHERE to_tsvector('english', coalesce(c.title, '') || ' ' || coalesce(c.summary, '') || ' ' || coalesce(c.content, ''))
+        @@ websearch_to_tsquery('english', query_text)
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+      AND (filter_source IS NULL OR c.source_platform = filter_source)
+    ORDER BY rank_value DESC
+    LIMIT candidate_count
+  ),
+  text_ranked AS (
+    SELECT t.*, CAST(ROW_NUMBER() OVER (ORDER BY t.rank_value DESC) AS INT) AS rank_position
+    FROM text_hits t
+  ),
+  semantic_ranked AS (
+    SELECT
+      s.id AS capture_id,
+      s.similarity AS similarity_value,
+      s.matched_chunk_index AS chunk_index,
+      s.matched_chunk AS chunk,
+      s.matched_page_start AS page_start,
+      s.matched_page_end AS page_end,
+      s.matched_start_seconds AS start_seconds,
+      CAST(ROW_NUMBER() OVER (ORDER BY s.similarity DESC) AS INT) AS rank_position
+    FROM search_captures(
+      query_embedding, match_threshold, candidate_count, filter_user_id, filter_source, required_text, excluded_text
+    ) s
+    WHERE query_embedding IS NOT NULL
+  ),
+  fused AS (
+    SELECT
+      COALESCE(t.capture_id, s.capture_id) AS capture_id,
+      COALESCE(1.0 / (rrf_k + t.rank_position), 0) + COALESCE(1.0 / (rrf_k + s.rank_position), 0) AS fused_score,
+      t.rank_value,
+      t.rank_position AS text_pos,
+      s.similarity_value,
+      s.rank_position AS semantic_pos,
+      s.chunk_index,
+      s.chunk,
+      s.page_start,
+      s.page_end,
+      s.start_seconds
+    FROM text_ranked t
+    FULL OUTER JOIN semantic_ranked s ON s.capture_id = t.capture_id
+  )
+  SELECT
+    c.id,
+    c.url,
+    c.title,
+    c.display_title,
+    c.summary,
+    c.category,
+    c.tags,
+    c.quality_score,
+    c.actionability_score,
+    c.created_at,
+    c.notion_synced,
+    c.notion_page_id,
+    c.key_takeaways,
+    c.action_items,
+    c.source_platform,
+    c.author_name,
+    c.image_url,
+    CAST(f.fused_score AS FLOAT),
+    CAST(f.rank_value AS FLOAT),
+    f.text_pos,
+    CAST(f.similarity_value AS FLOAT),
+    f.semantic_pos,
+    f.chunk_index,
+    f.chunk,
+    f.page_start,
+    f.page_end,
+    f.start_seconds
+  FROM fused f
+  JOIN captures c ON c.id = f.capture_id
+  ORDER BY f.fused_score DESC, f.capture_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION hybrid_search_captures TO anon, authenticated;
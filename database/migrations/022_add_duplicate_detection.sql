@@ -0,0 +1,55 @@
+-- Migration 022: Duplicate detection
+-- Captures record a canonical URL (tracking params, AMP, mobile hosts and
+-- fragments removed; rel=canonical when the page declares one) and, when they
+-- repeat an earlier capture, which capture they duplicate
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS canonical_url TEXT;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES captures(id) ON DELETE SET NULL;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS duplicate_similarity FLOAT;      -- 1 for canonical URL matches
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS duplicate_dismissed BOOLEAN DEFAULT FALSE;  -- Marked as not a duplicate
+
+CREATE INDEX IF NOT EXISTS captures_canonical_url_idx ON captures(user_id, canonical_url);
+CREATE INDEX IF NOT EXISTS captures_duplicate_of_idx ON captures(duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+-- Earlier captures whose embedding is nearly identical to query_embedding.
+-- Captures already flagged as duplicates are skipped so matches point at originals.
+CREATE OR REPLACE FUNCTION find_near_duplicates(
+  query_embedding vector(1536),
+  exclude_capture_id UUID DEFAULT NULL,
+  created_before TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  match_threshold FLOAT DEFAULT 0.95,
+  match_count INT DEFAULT 5,
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  url TEXT,
+  title TEXT,
+  display_title TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.url,
+    c.title,
+    c.display_title,
+    c.created_at,
+    1 - (c.embedding <=> query_embedding) AS similarity
+  FROM captures c
+  WHERE c.embedding IS NOT NULL
+    AND c.duplicate_of IS NULL
+    AND (exclude_capture_id IS NULL OR c.id != exclude_capture_id)
+    AND (created_before IS NULL OR c.created_at < created_before)
+    AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+    AND 1 - (c.embedding <=> query_embedding) >= match_threshold
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION find_near_duplicates TO anon, authenticated;
@@ -0,0 +1,7 @@
+-- Migration 023: Client-side page snapshots
+-- The extension can send the page as the user sees it (head + main article
+-- HTML and rendered text). Processing prefers it over fetching the URL
+-- server-side, which fails for paywalled, logged-in and intranet pages.
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS page_snapshot JSONB;   -- { html, text, captured_at }
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS content_source TEXT;   -- snapshot, scrape
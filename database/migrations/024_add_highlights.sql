@@ -0,0 +1,53 @@
+-- Migration 024: Highlights
+-- Passages the user highlighted on a captured page, each with an optional note.
+-- Highlights are anchored by quote, so they can be found on the page again
+-- when it is revisited: the exact text plus up to 32 characters of
+-- surrounding text (prefix/suffix) to tell repeated passages apart
+
+CREATE TABLE IF NOT EXISTS highlights (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  quote TEXT NOT NULL,                  -- Highlighted text, as selected
+  prefix TEXT,                          -- Text just before the quote on the page
+  suffix TEXT,                          -- Text just after the quote on the page
+  note TEXT,
+
+  notion_synced_at TIMESTAMP WITH TIME ZONE,  -- Added to the capture's Notion page
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS highlights_capture_id_idx ON highlights(capture_id, created_at);
+CREATE INDEX IF NOT EXISTS highlights_user_id_idx ON highlights(user_id);
+
+-- Row Level Security
+ALTER TABLE highlights ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on highlights" ON highlights
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON highlights TO anon;
+GRANT ALL ON highlights TO authenticated;
+
+-- Function to update the updated_at timestamp
+CREATE OR REPLACE FUNCTION update_highlights_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger to auto-update timestamp
+DROP TRIGGER IF EXISTS highlights_updated_at ON highlights;
+CREATE TRIGGER highlights_updated_at
+  BEFORE UPDATE ON highlights
+  FOR EACH ROW
+  EXECUTE FUNCTION update_highlights_timestamp();
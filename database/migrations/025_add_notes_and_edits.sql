@@ -0,0 +1,9 @@
+-- Migration 025: Personal notes and manual edits
+-- Captures get a Markdown notes field, and record which AI-generated fields
+-- the user has edited so reprocessing and backfills keep the user's version
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS edited_fields TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN captures.notes IS 'User notes in Markdown';
+COMMENT ON COLUMN captures.edited_fields IS 'Fields edited by the user (display_title, summary, key_takeaways, action_items, category, tags), never overwritten by AI';
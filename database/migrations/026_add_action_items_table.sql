@@ -0,0 +1,66 @@
+-- Migration 026: Action items
+-- Action items extracted from a capture become rows that can be tracked:
+-- marked done, snoozed until a later date, dismissed, and given a due date.
+-- captures.action_items stays the list the AI (or the user) wrote; rows are
+-- kept in step with it, and each row remembers its Notion to-do block so
+-- completion can be synced to the capture's Notion page
+
+CREATE TABLE IF NOT EXISTS action_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  text TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,  -- Order in the capture's action_items
+
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'dismissed')),
+  due_date DATE,
+  snoozed_until TIMESTAMP WITH TIME ZONE,  -- Hidden from open actions until then
+  completed_at TIMESTAMP WITH TIME ZONE,
+  dismissed_at TIMESTAMP WITH TIME ZONE,
+
+  notion_block_id TEXT,                    -- To-do block on the capture's Notion page
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS action_items_capture_id_idx ON action_items(capture_id, position);
+CREATE INDEX IF NOT EXISTS action_items_user_status_idx ON action_items(user_id, status, due_date);
+
+-- Row Level Security
+ALTER TABLE action_items ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on action_items" ON action_items
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON action_items TO anon;
+GRANT ALL ON action_items TO authenticated;
+
+-- Function to update the updated_at timestamp
+CREATE OR REPLACE FUNCTION update_action_items_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger to auto-update timestamp
+DROP TRIGGER IF EXISTS action_items_updated_at ON action_items;
+CREATE TRIGGER action_items_updated_at
+  BEFORE UPDATE ON action_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_action_items_timestamp();
+
+-- Track the action items of existing captures
+INSERT INTO action_items (capture_id, user_id, text, position)
+SELECT c.id, c.user_id, item.text, item.ordinality - 1
+FROM captures c
+CROSS JOIN LATERAL unnest(c.action_items) WITH ORDINALITY AS item(text, ordinality)
+WHERE btrim(item.text) <> ''
+  AND NOT EXISTS (SELECT 1 FROM action_items a WHERE a.capture_id = c.id);
@@ -0,0 +1,63 @@
+-- Migration 027: Reading queue
+-- Captures get a read state (unread, read, archived) and reading progress
+-- reported by the extension when the page is revisited. Unread captures form
+-- a queue ranked by actionability, quality and age.
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS read_state TEXT NOT NULL DEFAULT 'unread'
+  CHECK (read_state IN ('unread', 'read', 'archived'));
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS read_progress INTEGER NOT NULL DEFAULT 0
+  CHECK (read_progress BETWEEN 0 AND 100);
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN captures.read_state IS 'unread, read or archived';
+COMMENT ON COLUMN captures.read_progress IS 'Furthest point scrolled to on the page, in percent';
+COMMENT ON COLUMN captures.last_read_at IS 'When reading progress was last reported';
+
+CREATE INDEX IF NOT EXISTS captures_read_state_idx ON captures(user_id, read_state);
+
+-- Unread captures, most worth reading first
+-- Priority is out of 100: actionability up to 45 points and quality up to 35
+-- (unscored captures count as 5/10), plus up to 20 for freshness, which halves
+-- about every 10 days. Captures already started get 10 extra points so they
+-- get finished.
+-- Flagged duplicates are left out.
+CREATE OR REPLACE FUNCTION get_reading_queue(
+  filter_user_id UUID DEFAULT NULL,
+  match_count INT DEFAULT 20,
+  match_offset INT DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  priority INT,
+  total_count BIGINT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    q.id,
+    CAST(ROUND(q.score * 100) AS INT) AS priority,
+    COUNT(*) OVER () AS total_count
+  FROM (
+    SELECT
+      c.id,
+      c.created_at,
+      0.45 * COALESCE(c.actionability_score, 5) / 10.0
+        + 0.35 * COALESCE(c.quality_score, 5) / 10.0
+        + 0.20 * EXP(-EXTRACT(EPOCH FROM (NOW() - c.created_at)) / 86400.0 / 14)
+        + CASE WHEN c.read_progress > 0 THEN 0.10 ELSE 0 END AS score
+    FROM captures c
+    WHERE c.read_state = 'unread'
+      AND c.duplicate_of IS NULL
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+  ) q
+  ORDER BY q.score DESC, q.created_at DESC, q.id
+  LIMIT match_count
+  OFFSET match_offset;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_reading_queue TO anon, authenticated;
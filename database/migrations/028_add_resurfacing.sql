@@ -0,0 +1,42 @@
+-- Migration 028: Resurfacing
+-- Old captures are picked to revisit on a spaced schedule. Each capture keeps
+-- its current review interval and when it may come up next; feedback on a
+-- pick ("useful", "not useful", "archive") is logged so the categories the
+-- user finds useful are picked more often
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS resurface_interval_days INTEGER;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS resurface_due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS last_resurfaced_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN captures.resurface_interval_days IS 'Days until the capture comes up again, grown or stretched by feedback';
+COMMENT ON COLUMN captures.resurface_due_at IS 'Not resurfaced before this time';
+COMMENT ON COLUMN captures.last_resurfaced_at IS 'When feedback was last given on the capture as a resurfaced pick';
+
+CREATE INDEX IF NOT EXISTS captures_resurface_due_idx ON captures(user_id, resurface_due_at);
+
+CREATE TABLE IF NOT EXISTS resurface_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  feedback TEXT NOT NULL CHECK (feedback IN ('useful', 'not_useful', 'archive')),
+  reason TEXT,                          -- Why it was picked: review, unopened or related
+  category TEXT,                        -- The capture's category at the time
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS resurface_feedback_user_idx ON resurface_feedback(user_id, created_at DESC);
+
+-- Row Level Security
+ALTER TABLE resurface_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on resurface_feedback" ON resurface_feedback
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON resurface_feedback TO anon;
+GRANT ALL ON resurface_feedback TO authenticated;
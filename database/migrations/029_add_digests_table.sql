@@ -0,0 +1,47 @@
+-- Migration 029: Digests
+-- Daily or weekly digests of what was captured, built by the backend's digest
+-- scheduler (or on request) and delivered by email and/or webhook. Each digest
+-- is kept here with its content and how each delivery went.
+
+CREATE TABLE IF NOT EXISTS digests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id),
+
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  trigger TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual')),
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  -- building, sent, partial (some deliveries failed), failed, stored (no delivery
+  -- configured) or skipped (nothing captured in the period)
+  status TEXT NOT NULL DEFAULT 'building'
+    CHECK (status IN ('building', 'sent', 'partial', 'failed', 'stored', 'skipped')),
+  capture_count INTEGER NOT NULL DEFAULT 0,
+  content JSONB,                        -- Categories, top captures, open actions and themes
+  html TEXT,                            -- The digest as sent by email
+  deliveries JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ channel, success, error, at }]
+  error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS digests_user_created_idx ON digests(user_id, created_at DESC);
+
+-- One scheduled digest per period, so several backend instances don't send it twice
+CREATE UNIQUE INDEX IF NOT EXISTS digests_scheduled_period_idx
+  ON digests(COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid), frequency, period_end)
+  WHERE trigger = 'scheduled';
+
+-- Row Level Security
+ALTER TABLE digests ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on digests" ON digests
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON digests TO anon;
+GRANT ALL ON digests TO authenticated;
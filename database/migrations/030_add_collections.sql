@@ -0,0 +1,118 @@
+-- Migration 030: Automatic collections
+-- Captures are grouped into topical collections by clustering their embeddings.
+-- Each collection has an AI-given name and description and a centroid, which
+-- new captures are matched against as they are embedded. A full re-clustering
+-- runs as a `cluster_collections` job, tracked in collection_runs.
+
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id),
+
+  name TEXT NOT NULL,
+  description TEXT,
+  centroid vector(1536),                -- Normalized mean of the members' embeddings
+  capture_count INTEGER NOT NULL DEFAULT 0,
+  named_count INTEGER,                  -- capture_count when the AI last named it (NULL: not named by the AI yet)
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS collections_user_id_idx ON collections(user_id);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  collection_id UUID NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  similarity REAL,                      -- Cosine similarity to the collection's centroid
+  added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (collection_id, capture_id)
+);
+
+CREATE INDEX IF NOT EXISTS collection_items_capture_id_idx ON collection_items(capture_id);
+
+CREATE TABLE IF NOT EXISTS collection_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id),
+
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+
+  capture_count INTEGER,                -- Captures clustered
+  collection_count INTEGER,             -- Collections after the run
+  unclustered_count INTEGER,            -- Captures left out of every collection
+  error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS collection_runs_user_created_idx ON collection_runs(user_id, created_at DESC);
+
+-- At most one queued or running clustering per user
+CREATE UNIQUE INDEX IF NOT EXISTS collection_runs_active_idx
+  ON collection_runs(COALESCE(user_id, '00000000-0000-0000-0000-000000000000'::uuid))
+  WHERE status IN ('queued', 'running');
+
+-- Captures with an embedding that are in no collection (flagged duplicates are never clustered)
+CREATE OR REPLACE FUNCTION count_unclustered_captures(
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COUNT(*)
+  FROM captures c
+  WHERE c.embedding IS NOT NULL
+    AND c.duplicate_of IS NULL
+    AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+    AND NOT EXISTS (SELECT 1 FROM collection_items ci WHERE ci.capture_id = c.id);
+$$;
+
+GRANT EXECUTE ON FUNCTION count_unclustered_captures TO anon, authenticated;
+
+-- Row Level Security
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_runs ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on collections" ON collections
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on collection_items" ON collection_items
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on collection_runs" ON collection_runs
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON collections TO anon;
+GRANT ALL ON collections TO authenticated;
+GRANT ALL ON collection_items TO anon;
+GRANT ALL ON collection_items TO authenticated;
+GRANT ALL ON collection_runs TO anon;
+GRANT ALL ON collection_runs TO authenticated;
+
+-- Triggers to auto-update timestamps
+DROP TRIGGER IF EXISTS collections_updated_at ON collections;
+CREATE TRIGGER collections_updated_at
+  BEFORE UPDATE ON collections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS collection_runs_updated_at ON collection_runs;
+CREATE TRIGGER collection_runs_updated_at
+  BEFORE UPDATE ON collection_runs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
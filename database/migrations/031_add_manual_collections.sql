@@ -0,0 +1,75 @@
+-- Migration 031: Manual collections
+-- Besides the automatic collections found by clustering, users can curate
+-- their own: an ordered list of captures with a description and a cover
+-- image, shareable read-only through an unguessable link that can expire.
+
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'auto'
+  CHECK (kind IN ('auto', 'manual'));
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS cover_capture_id UUID REFERENCES captures(id) ON DELETE SET NULL;
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS share_token TEXT UNIQUE;
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS share_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE collection_items ADD COLUMN IF NOT EXISTS position INTEGER;
+
+COMMENT ON COLUMN collections.kind IS 'auto (found by clustering) or manual (curated by the user)';
+COMMENT ON COLUMN collections.cover_capture_id IS 'Capture whose image_url is the cover (default: first capture with an image)';
+COMMENT ON COLUMN collections.share_token IS 'Token of the public read-only link, NULL when not shared';
+COMMENT ON COLUMN collections.share_expires_at IS 'When the public link stops working, NULL for never';
+COMMENT ON COLUMN collection_items.position IS 'Order within a manual collection';
+
+DROP INDEX IF EXISTS collections_user_id_idx;
+CREATE INDEX IF NOT EXISTS collections_user_kind_idx ON collections(user_id, kind);
+CREATE INDEX IF NOT EXISTS collection_items_position_idx ON collection_items(collection_id, position);
+
+-- Only automatic collections count towards a capture being clustered
+CREATE OR REPLACE FUNCTION count_unclustered_captures(
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COUNT(*)
+  FROM captures c
+  WHERE c.embedding IS NOT NULL
+    AND c.duplicate_of IS NULL
+    AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+    AND NOT EXISTS (
+      SELECT 1
+      FROM collection_items ci
+      JOIN collections co ON co.id = ci.collection_id
+      WHERE ci.capture_id = c.id AND co.kind = 'auto'
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION count_unclustered_captures TO anon, authenticated;
+
+-- Cover image of each collection: the chosen cover capture's image when it is
+-- still in the collection, otherwise the first capture with an image (by
+-- position, then by closeness to an automatic collection's center)
+CREATE OR REPLACE FUNCTION get_collection_covers(collection_ids UUID[])
+RETURNS TABLE (
+  collection_id UUID,
+  capture_id UUID,
+  image_url TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT DISTINCT ON (co.id)
+    co.id AS collection_id,
+    c.id AS capture_id,
+    c.image_url
+  FROM collections co
+  JOIN collection_items ci ON ci.collection_id = co.id
+  JOIN captures c ON c.id = ci.capture_id
+  WHERE co.id = ANY(collection_ids)
+    AND c.image_url IS NOT NULL
+  ORDER BY
+    co.id,
+    (c.id = co.cover_capture_id) DESC NULLS LAST,
+    ci.position ASC NULLS LAST,
+    ci.similarity DESC NULLS LAST;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_collection_covers TO anon, authenticated;
@@ -0,0 +1,80 @@
+-- Migration 032: Chat conversations
+-- Multi-turn chat over captures. Each conversation keeps its messages (with
+-- the sources each answer drew on and cited) and the captures pinned into it,
+-- which every answer in the conversation gets to read.
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id),
+
+  title TEXT,                           -- NULL until the first message names it
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS conversations_user_recent_idx ON conversations(user_id, last_message_at DESC NULLS LAST);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  sources JSONB NOT NULL DEFAULT '[]',  -- Assistant: captures the answer was given, numbered as cited ([n])
+  citations JSONB NOT NULL DEFAULT '[]', -- Assistant: the sources the answer cites
+  error TEXT,                           -- Assistant: why answering failed (content is then empty)
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS messages_conversation_created_idx ON messages(conversation_id, created_at);
+
+CREATE TABLE IF NOT EXISTS conversation_pins (
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  pinned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (conversation_id, capture_id)
+);
+
+-- Row Level Security
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_pins ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on conversations" ON conversations
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on messages" ON messages
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations on conversation_pins" ON conversation_pins
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON conversations TO anon;
+GRANT ALL ON conversations TO authenticated;
+GRANT ALL ON messages TO anon;
+GRANT ALL ON messages TO authenticated;
+GRANT ALL ON conversation_pins TO anon;
+GRANT ALL ON conversation_pins TO authenticated;
+
+-- Trigger to auto-update timestamps
+DROP TRIGGER IF EXISTS conversations_updated_at ON conversations;
+CREATE TRIGGER conversations_updated_at
+  BEFORE UPDATE ON conversations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,44 @@
+-- Migration 033: Deep summaries and per-capture questions
+-- On-demand summaries of a capture's whole content (outline, ELI5, brief,
+-- tweet) are cached on the capture, with the section notes they are built
+-- from, so asking again doesn't call the AI again. Both record a hash of the
+-- content they were made from and are rebuilt when it changes.
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS deep_summaries JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS deep_summary_notes JSONB;
+
+COMMENT ON COLUMN captures.deep_summaries IS 'Cached summaries by style: {style: {text, from_notes, content_hash, generated_at}}';
+COMMENT ON COLUMN captures.deep_summary_notes IS 'Cached section notes of long content (map step): {notes, chunk_count, content_hash, generated_at}';
+
+-- A capture's chunks closest to a query (questions about one capture)
+CREATE OR REPLACE FUNCTION match_capture_chunks(
+  target_capture_id UUID,
+  query_embedding vector(1536),
+  match_count INT DEFAULT 8
+)
+RETURNS TABLE (
+  chunk_index INT,
+  content TEXT,
+  page_start INT,
+  page_end INT,
+  start_seconds INT,
+  similarity FLOAT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    ch.chunk_index,
+    ch.content,
+    ch.page_start,
+    ch.page_end,
+    ch.start_seconds,
+    1 - (ch.embedding <=> query_embedding) AS similarity
+  FROM capture_chunks ch
+  WHERE ch.capture_id = target_capture_id
+    AND ch.embedding IS NOT NULL
+  ORDER BY ch.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+GRANT EXECUTE ON FUNCTION match_capture_chunks TO anon, authenticated;
@@ -0,0 +1,13 @@
+-- Migration 034: Digest retries
+-- A scheduled digest that failed, or whose build was cut off (left in
+-- 'building'), is attempted again by the scheduler a bounded number of times.
+-- Each attempt is counted, with when it started.
+
+ALTER TABLE digests ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE digests ADD COLUMN IF NOT EXISTS attempted_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE digests SET attempted_at = created_at WHERE attempted_at IS NULL;
+ALTER TABLE digests ALTER COLUMN attempted_at SET DEFAULT NOW();
+
+COMMENT ON COLUMN digests.attempts IS 'Times the digest has been built (scheduled digests are retried when they fail)';
+COMMENT ON COLUMN digests.attempted_at IS 'When the latest build attempt started';
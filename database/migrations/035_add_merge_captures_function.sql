@@ -0,0 +1,181 @@
+-- Migration 035: Atomic capture merges
+-- Folding duplicate captures into a surviving capture runs as one function,
+-- so a failure part-way leaves both untouched. The survivor takes the tags,
+-- selected text, notes and action items of the merged captures, and their
+-- highlights, tracked action items, collection memberships, chat pins and
+-- resurfacing feedback move to it before they are deleted.
+
+-- Key for matching action items by text (as itemKey in actionItems.js)
+CREATE OR REPLACE FUNCTION action_item_key(item TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT lower(btrim(regexp_replace(item, '\s+', ' ', 'g')));
+$$;
+
+CREATE OR REPLACE FUNCTION merge_captures(
+  target_id UUID,
+  source_ids UUID[],
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  missing UUID[];
+  merged_tags TEXT[];
+  merged_selected_text TEXT;
+  merged_notes TEXT;
+  merged_actions TEXT[];
+  collection_ids UUID[];
+BEGIN
+  IF target_id = ANY(source_ids) THEN
+    RAISE EXCEPTION 'A capture cannot be merged into itself' USING ERRCODE = '22023';
+  END IF;
+
+  -- Hold the captures until the merge commits
+  PERFORM 1
+  FROM captures c
+  WHERE (c.id = target_id OR c.id = ANY(source_ids))
+    AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+  FOR UPDATE;
+
+  SELECT array_agg(wanted.id) INTO missing
+  FROM unnest(target_id || source_ids) AS wanted(id)
+  WHERE NOT EXISTS (
+    SELECT 1 FROM captures c
+    WHERE c.id = wanted.id
+      AND (filter_user_id IS NULL OR c.user_id = filter_user_id)
+  );
+
+  IF missing IS NOT NULL THEN
+    RAISE EXCEPTION 'Captures not found: %', array_to_string(missing, ', ') USING ERRCODE = 'P0002';
+  END IF;
+
+  -- The target's values come first, then the merged captures' oldest first;
+  -- repeated values are kept once
+  WITH ordered AS (
+    SELECT c.tags, c.selected_text, c.notes, c.action_items,
+      row_number() OVER (ORDER BY c.id <> target_id, c.created_at) AS pos
+    FROM captures c
+    WHERE c.id = target_id OR c.id = ANY(source_ids)
+  )
+  SELECT
+    (SELECT array_agg(tags.tag ORDER BY tags.first_seen)
+      FROM (
+        SELECT t.tag, MIN(ARRAY[o.pos, t.ord]) AS first_seen
+        FROM ordered o CROSS JOIN LATERAL unnest(o.tags) WITH ORDINALITY AS t(tag, ord)
+        GROUP BY t.tag
+      ) AS tags),
+    (SELECT string_agg(texts.text, E'\n\n' ORDER BY texts.first_seen)
+      FROM (
+        SELECT btrim(o.selected_text, E' \t\r\n') AS text, MIN(o.pos) AS first_seen
+        FROM ordered o
+        WHERE btrim(o.selected_text, E' \t\r\n') <> ''
+        GROUP BY 1
+      ) AS texts),
+    (SELECT string_agg(texts.text, E'\n\n' ORDER BY texts.first_seen)
+      FROM (
+        SELECT btrim(o.notes, E' \t\r\n') AS text, MIN(o.pos) AS first_seen
+        FROM ordered o
+        WHERE btrim(o.notes, E' \t\r\n') <> ''
+        GROUP BY 1
+      ) AS texts),
+    (SELECT array_agg(items.item ORDER BY items.first_seen)
+      FROM (
+        SELECT DISTINCT ON (action_item_key(a.item)) btrim(a.item) AS item, ARRAY[o.pos, a.ord] AS first_seen
+        FROM ordered o CROSS JOIN LATERAL unnest(o.action_items) WITH ORDINALITY AS a(item, ord)
+        WHERE btrim(a.item) <> ''
+        ORDER BY action_item_key(a.item), o.pos, a.ord
+      ) AS items)
+  INTO merged_tags, merged_selected_text, merged_notes, merged_actions;
+
+  UPDATE captures
+  SET
+    tags = COALESCE(merged_tags, '{}'),
+    selected_text = merged_selected_text,
+    notes = merged_notes,
+    action_items = COALESCE(merged_actions, action_items),
+    duplicate_of = NULL,
+    duplicate_similarity = NULL
+  WHERE id = target_id;
+
+  -- Other duplicates of the merged captures now duplicate the survivor
+  UPDATE captures
+  SET duplicate_of = target_id
+  WHERE duplicate_of = ANY(source_ids)
+    AND (filter_user_id IS NULL OR user_id = filter_user_id);
+
+  UPDATE highlights
+  SET capture_id = target_id
+  WHERE capture_id = ANY(source_ids);
+
+  UPDATE resurface_feedback
+  SET capture_id = target_id
+  WHERE capture_id = ANY(source_ids);
+
+  -- Tracked action items the target doesn't track yet move with their status
+  -- and due date, one per text, placed where their text is in the merged list.
+  -- Their Notion to-dos were on the merged captures' pages, so they are relinked
+  -- on the next sync.
+  UPDATE action_items ai
+  SET
+    capture_id = target_id,
+    position = COALESCE(
+      (SELECT m.ord - 1 FROM unnest(merged_actions) WITH ORDINALITY AS m(item, ord)
+        WHERE action_item_key(m.item) = action_item_key(ai.text) LIMIT 1),
+      ai.position
+    ),
+    notion_block_id = NULL
+  WHERE ai.capture_id = ANY(source_ids)
+    AND NOT EXISTS (
+      SELECT 1 FROM action_items t
+      WHERE t.capture_id = target_id AND action_item_key(t.text) = action_item_key(ai.text)
+    )
+    AND ai.id = (
+      SELECT s.id FROM action_items s
+      WHERE s.capture_id = ANY(source_ids) AND action_item_key(s.text) = action_item_key(ai.text)
+      ORDER BY s.created_at
+      LIMIT 1
+    );
+
+  -- Collections and conversations holding a merged capture hold the survivor
+  SELECT array_agg(DISTINCT ci.collection_id) INTO collection_ids
+  FROM collection_items ci
+  WHERE ci.capture_id = ANY(source_ids);
+
+  INSERT INTO collection_items (collection_id, capture_id, user_id, similarity, added_at, position)
+  SELECT DISTINCT ON (ci.collection_id) ci.collection_id, target_id, ci.user_id, ci.similarity, ci.added_at, ci.position
+  FROM collection_items ci
+  WHERE ci.capture_id = ANY(source_ids)
+  ORDER BY ci.collection_id, ci.position ASC NULLS LAST, ci.added_at
+  ON CONFLICT (collection_id, capture_id) DO NOTHING;
+
+  UPDATE collections
+  SET cover_capture_id = target_id
+  WHERE cover_capture_id = ANY(source_ids);
+
+  INSERT INTO conversation_pins (conversation_id, capture_id, user_id, pinned_at)
+  SELECT DISTINCT ON (p.conversation_id) p.conversation_id, target_id, p.user_id, p.pinned_at
+  FROM conversation_pins p
+  WHERE p.capture_id = ANY(source_ids)
+  ORDER BY p.conversation_id, p.pinned_at
+  ON CONFLICT (conversation_id, capture_id) DO NOTHING;
+
+  -- Chunks, jobs and the rest of what the merged captures had go with them
+  DELETE FROM captures
+  WHERE id = ANY(source_ids);
+
+  IF collection_ids IS NOT NULL THEN
+    UPDATE collections co
+    SET capture_count = (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = co.id)
+    WHERE co.id = ANY(collection_ids);
+  END IF;
+
+  RETURN cardinality(source_ids);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION action_item_key TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_captures TO anon, authenticated;
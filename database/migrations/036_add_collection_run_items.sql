@@ -0,0 +1,109 @@
+-- Migration 036: Atomic re-clustering
+-- A clustering run stages where it files each capture in collection_run_items,
+-- then apply_collection_run swaps the automatic collections over in one
+-- transaction, so a run that fails part-way leaves the old collections whole.
+
+CREATE TABLE IF NOT EXISTS collection_run_items (
+  run_id UUID NOT NULL REFERENCES collection_runs(id) ON DELETE CASCADE,
+  capture_id UUID NOT NULL REFERENCES captures(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+
+  cluster INTEGER,                      -- Index of the capture's cluster in the run (NULL: fits none)
+  similarity REAL,                      -- Cosine similarity to the cluster's centroid
+
+  PRIMARY KEY (run_id, capture_id)
+);
+
+-- Replace the automatic collections with a run's clusters
+-- clusters: [{cluster, collection_id (the old collection it takes over, or null),
+-- centroid, name (for a new collection)}]. Captures the run clustered leave
+-- their old collections for their new one; captures it didn't see (embedded
+-- since it started) stay where they were filed, if that collection is kept.
+CREATE OR REPLACE FUNCTION apply_collection_run(
+  target_run_id UUID,
+  clusters JSONB,
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (cluster_index INT, kept_collection_id UUID)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  entry JSONB;
+  kept_id UUID;
+  kept_clusters INT[] := '{}';
+  kept_ids UUID[] := '{}';
+BEGIN
+  -- Hold the automatic collections until the swap commits, so captures being
+  -- filed meanwhile wait for it
+  PERFORM 1
+  FROM collections co
+  WHERE co.kind = 'auto'
+    AND (filter_user_id IS NULL OR co.user_id = filter_user_id)
+  FOR UPDATE;
+
+  DELETE FROM collections co
+  WHERE co.kind = 'auto'
+    AND (filter_user_id IS NULL OR co.user_id = filter_user_id)
+    AND co.id NOT IN (
+      SELECT (c->>'collection_id')::uuid
+      FROM jsonb_array_elements(clusters) AS c
+      WHERE c->>'collection_id' IS NOT NULL
+    );
+
+  FOR entry IN SELECT * FROM jsonb_array_elements(clusters) LOOP
+    kept_id := NULL;
+
+    IF entry->>'collection_id' IS NOT NULL THEN
+      UPDATE collections co
+      SET centroid = (entry->>'centroid')::vector
+      WHERE co.id = (entry->>'collection_id')::uuid AND co.kind = 'auto'
+      RETURNING co.id INTO kept_id;
+    END IF;
+
+    IF kept_id IS NULL THEN
+      INSERT INTO collections (user_id, name, centroid)
+      VALUES (filter_user_id, COALESCE(entry->>'name', 'Untitled'), (entry->>'centroid')::vector)
+      RETURNING id INTO kept_id;
+    END IF;
+
+    kept_clusters := kept_clusters || (entry->>'cluster')::int;
+    kept_ids := kept_ids || kept_id;
+  END LOOP;
+
+  DELETE FROM collection_items ci
+  USING collection_run_items ri
+  WHERE ri.run_id = target_run_id
+    AND ri.capture_id = ci.capture_id
+    AND ci.collection_id = ANY(kept_ids);
+
+  INSERT INTO collection_items (collection_id, capture_id, user_id, similarity)
+  SELECT k.id, ri.capture_id, ri.user_id, ri.similarity
+  FROM collection_run_items ri
+  JOIN unnest(kept_clusters, kept_ids) AS k(cluster, id) ON k.cluster = ri.cluster
+  WHERE ri.run_id = target_run_id
+  ON CONFLICT (collection_id, capture_id) DO NOTHING;
+
+  UPDATE collections co
+  SET capture_count = (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = co.id)
+  WHERE co.id = ANY(kept_ids);
+
+  DELETE FROM collection_run_items
+  WHERE run_id = target_run_id;
+
+  RETURN QUERY SELECT * FROM unnest(kept_clusters, kept_ids);
+END;
+$$;
+
+-- Row Level Security
+ALTER TABLE collection_run_items ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Allow all operations (single user for now)
+CREATE POLICY "Allow all operations on collection_run_items" ON collection_run_items
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Grant permissions
+GRANT ALL ON collection_run_items TO anon;
+GRANT ALL ON collection_run_items TO authenticated;
+GRANT EXECUTE ON FUNCTION apply_collection_run TO anon, authenticated;
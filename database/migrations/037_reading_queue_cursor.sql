@@ -0,0 +1,35 @@
+-- Migration 037: Cursor paging for the reading queue
+-- get_reading_queue returns the whole ranked queue, and the API pages it with
+-- keyset cursors on (priority, id) like the other listings, instead of an
+-- offset that skips or repeats captures as they are read.
+
+DROP FUNCTION IF EXISTS get_reading_queue(UUID, INT, INT);
+
+-- Unread captures with their priority (see migration 027)
+CREATE OR REPLACE FUNCTION get_reading_queue(
+  filter_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  priority INT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    c.id,
+    CAST(ROUND((
+      0.45 * COALESCE(c.actionability_score, 5) / 10.0
+        + 0.35 * COALESCE(c.quality_score, 5) / 10.0
+        + 0.20 * EXP(-EXTRACT(EPOCH FROM (NOW() - c.created_at)) / 86400.0 / 14)
+        + CASE WHEN c.read_progress > 0 THEN 0.10 ELSE 0 END
+    ) * 100) AS INT) AS priority
+  FROM captures c
+  WHERE c.read_state = 'unread'
+    AND c.duplicate_of IS NULL
+    AND (filter_user_id IS NULL OR c.user_id = filter_user_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_reading_queue TO anon, authenticated;
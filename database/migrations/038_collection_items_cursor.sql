@@ -0,0 +1,24 @@
+-- Migration 038: Cursor paging for collection items
+-- A collection's captures are paged with keyset cursors like the other
+-- listings. collection_items is keyed on (collection_id, capture_id), so this
+-- returns one collection's items with the capture ID as id, the tiebreaker
+-- the cursors use.
+
+CREATE OR REPLACE FUNCTION get_collection_items(
+  target_collection_id UUID
+)
+RETURNS TABLE (
+  id UUID,
+  "position" INT,                       -- Quoted: POSITION is a keyword here
+  similarity REAL,
+  added_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT ci.capture_id, ci.position, ci.similarity, ci.added_at
+  FROM collection_items ci
+  WHERE ci.collection_id = target_collection_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_collection_items TO anon, authenticated;
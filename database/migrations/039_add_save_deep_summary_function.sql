@@ -0,0 +1,19 @@
+-- Migration 039: Saving deep summaries in place
+-- A built summary is merged into deep_summaries by the database, so summaries
+-- of different styles (or from several backend instances) finishing together
+-- don't overwrite each other.
+
+CREATE OR REPLACE FUNCTION save_deep_summary(
+  target_capture_id UUID,
+  summary_style TEXT,
+  entry JSONB
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE captures
+  SET deep_summaries = COALESCE(deep_summaries, '{}') || jsonb_build_object(summary_style, entry)
+  WHERE id = target_capture_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_deep_summary TO anon, authenticated;
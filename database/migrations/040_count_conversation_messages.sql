@@ -0,0 +1,26 @@
+-- Migration 040: Conversation message counts kept by the database
+-- Each saved message bumps its conversation's message_count and
+-- last_message_at in the same statement, so messages sent at the same time
+-- are all counted.
+
+CREATE OR REPLACE FUNCTION count_conversation_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations
+  SET
+    message_count = message_count + 1,
+    last_message_at = GREATEST(COALESCE(last_message_at, NEW.created_at), NEW.created_at)
+  WHERE id = NEW.conversation_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS messages_count_conversation ON messages;
+CREATE TRIGGER messages_count_conversation
+  AFTER INSERT ON messages
+  FOR EACH ROW
+  EXECUTE FUNCTION count_conversation_message();
+
+-- Counts written before this migration may have missed messages
+UPDATE conversations co
+SET message_count = (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = co.id);
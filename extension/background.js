@@ -8,6 +8,32 @@ const AUTH_STORAGE_KEY = 'supabaseSession';
 const LEGACY_TOKEN_KEY = 'supabaseAccessToken';
 const AUTH_REFRESH_BUFFER_SECONDS = 90;
 
+// Tabs sent per batch capture request (the backend accepts up to 100)
+const BULK_CAPTURE_BATCH_SIZE = 50;
+
+// Offline capture queue: captures that could not reach the backend, retried with backoff
+const CAPTURE_QUEUE_KEY = 'captureQueue';
+const CAPTURE_QUEUE_ALARM = 'retryCaptureQueue';
+const MAX_QUEUED_CAPTURES = 500;
+const QUEUE_RETRY_BASE_MS = 30 * 1000;
+const QUEUE_RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Page snapshots are cut to this many characters of HTML and text each, and
+// to this many bytes together as sent, below the backend's 5 MB body limit
+const SNAPSHOT_MAX_CHARS = 1500000;
+const SNAPSHOT_MAX_BYTES = 4 * 1024 * 1024;
+
+// URLs of pages with highlights (chrome.storage.local), so revisiting one
+// re-shows its highlights without asking the backend about every page
+const HIGHLIGHTED_PAGES_KEY = 'highlightedPages';
+
+// URLs of unread captures (chrome.storage.local); reading progress is tracked
+// on these pages only
+const QUEUED_PAGES_KEY = 'queuedPages';
+
+// A page must be in view this long before its progress is reported
+const MIN_READING_MS = 10 * 1000;
+
 let API_URL = DEFAULT_API_URL;
 let cachedSupabaseConfig = null;
 
@@ -269,7 +295,7 @@ async function apiFetch(path, options = {}, retryOnUnauthorized = true) {
 }
 
 // Load custom API URL from storage on startup
-chrome.storage.sync.get(['apiUrl'], (result) => {
+const apiUrlLoaded = chrome.storage.sync.get(['apiUrl']).then((result) => {
   if (result.apiUrl) {
     API_URL = result.apiUrl;
     console.log('[Tab Vault] Using custom API URL:', API_URL);
@@ -288,7 +314,15 @@ chrome.commands.onCommand.addListener(async (command) => {
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'authSignIn') {
-    signInWithPassword(request.email, request.password).then(sendResponse);
+    signInWithPassword(request.email, request.password).then((result) => {
+      sendResponse(result);
+      // Captures queued while signed out can go through now
+      if (result.success) {
+        flushCaptureQueue({ force: true });
+        refreshHighlightedPages();
+        refreshQueuedPages();
+      }
+    });
     return true;
   }
   if (request.action === 'authSignOut') {
@@ -304,6 +338,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     captureCurrentTab().then(sendResponse);
     return true; // Keep channel open for async response
   }
+  if (request.action === 'getBulkTabs') {
+    getBulkTabs(request.scope, request.groupId).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'captureTabs') {
+    captureTabs(request.tabs, request.closeTabs).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'getCaptureQueue') {
+    getCaptureQueue().then(queue => sendResponse({ success: true, queue }));
+    return true;
+  }
+  if (request.action === 'cancelQueuedCapture') {
+    cancelQueuedCapture(request.id).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'retryCaptureQueue') {
+    flushCaptureQueue({ force: true }).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'startHighlighting') {
+    startHighlighting().then(sendResponse);
+    return true;
+  }
+  if (request.action === 'getPageHighlights') {
+    getPageHighlights(sender.tab?.url).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'saveHighlight') {
+    saveHighlight(sender.tab, request.highlight).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'updateHighlight') {
+    updateHighlight(request.id, request.note).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'deleteHighlight') {
+    deleteHighlight(request.id).then(sendResponse);
+    return true;
+  }
+  if (request.action === 'reportReadingProgress') {
+    reportReadingProgress(sender.tab?.url, request.progress).then(sendResponse);
+    return true;
+  }
   if (request.action === 'search') {
     searchCaptures(request.query).then(sendResponse);
     return true;
@@ -312,6 +390,14 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     getRecentCaptures().then(sendResponse);
     return true;
   }
+  if (request.action === 'getResurface') {
+    getResurfacePicks().then(sendResponse);
+    return true;
+  }
+  if (request.action === 'resurfaceFeedback') {
+    sendResurfaceFeedback(request.id, request.feedback, request.reason).then(sendResponse);
+    return true;
+  }
   if (request.action === 'getSettings') {
     getSettings().then(sendResponse);
     return true;
@@ -358,7 +444,10 @@ function getResponseError(response) {
 }
 
 // Capture the current tab
+// Captures that fail for connectivity, auth or server reasons are queued and retried
 async function captureCurrentTab() {
+  let capture = null;
+
   try {
     // Get active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -380,58 +469,698 @@ async function captureCurrentTab() {
       console.log('Could not get selected text:', e.message);
     }
 
-    // Send to backend
-    const response = await apiFetch('/capture', {
+    capture = {
+      url: tab.url,
+      title: tab.title,
+      selectedText: selectedText,
+      favIconUrl: tab.favIconUrl
+    };
+
+    // Optionally send the page as rendered, for pages the backend cannot fetch
+    // (not kept for queued retries, which the backend scrapes)
+    const { sendPageSnapshot } = await chrome.storage.sync.get(['sendPageSnapshot']);
+    const snapshot = sendPageSnapshot ? await takePageSnapshot(tab.id) : null;
+
+    // Send to backend; a snapshot over the backend's size limit is dropped and
+    // the page is scraped instead
+    let data;
+    try {
+      data = await postCapture('/capture', snapshot ? { ...capture, snapshot } : capture);
+    } catch (error) {
+      if (!snapshot || error.status !== 413) throw error;
+      console.log('Page snapshot too large, capturing without it');
+      data = await postCapture('/capture', capture);
+    }
+    await addQueuedPages([tab.url]);
+
+    // Show notification
+    showNotification('Captured!', data.summary || 'Saved to Tab Vault');
+
+    return { success: true, data };
+  } catch (error) {
+    if (capture && error.retryable) {
+      const queued = await enqueueCaptures([capture], error.message);
+      if (queued > 0) {
+        showNotification('Capture queued', `${error.message} - will retry automatically`);
+        return { success: true, queued: true, error: error.message };
+      }
+    }
+
+    console.error('Capture failed:', error);
+    showNotification('Capture failed', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Snapshot the page in a tab, or null when it can't be read (chrome:// pages, PDFs, ...)
+async function takePageSnapshot(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: snapshotPage,
+      args: [SNAPSHOT_MAX_CHARS]
+    });
+    return fitSnapshot(result?.result || null);
+  } catch (e) {
+    console.log('Could not snapshot page:', e.message);
+    return null;
+  }
+}
+
+// Shorten a snapshot's HTML and text until its JSON fits in SNAPSHOT_MAX_BYTES
+// (non-Latin text takes several bytes per character)
+function fitSnapshot(snapshot) {
+  if (!snapshot) return null;
+
+  let { html, text } = snapshot;
+  const encoder = new TextEncoder();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const bytes = encoder.encode(JSON.stringify({ html, text })).length;
+    if (bytes <= SNAPSHOT_MAX_BYTES) {
+      return { html, text };
+    }
+
+    const ratio = (SNAPSHOT_MAX_BYTES / bytes) * 0.95;
+    html = html.slice(0, Math.floor(html.length * ratio));
+    text = text.slice(0, Math.floor(text.length * ratio));
+  }
+
+  return null;
+}
+
+// Runs in the page: head metadata (title, meta tags, canonical link, JSON-LD)
+// plus the main article's HTML, and the rendered text of the whole page
+function snapshotPage(maxChars) {
+  // PDFs and other non-HTML documents are read better by the backend
+  if (document.contentType !== 'text/html' || !document.body) {
+    return null;
+  }
+
+  const head = [...document.head.querySelectorAll('title, meta, link[rel~="canonical"], script[type="application/ld+json"]')]
+    .map(element => element.outerHTML)
+    .join('\n');
+
+  // The article with the most text, else the main landmark, else the whole body
+  const articles = [...document.querySelectorAll('article')]
+    .sort((a, b) => b.innerText.length - a.innerText.length);
+  const main = articles[0] || document.querySelector('main, [role="main"]') || document.body;
+
+  const clone = main.cloneNode(true);
+  clone.querySelectorAll('script, style, noscript, iframe, svg, canvas, template').forEach(element => element.remove());
+
+  return {
+    html: `<html><head>${head}</head><body>${clone.outerHTML}</body></html>`.slice(0, maxChars),
+    text: document.body.innerText.slice(0, maxChars)
+  };
+}
+
+// Whether a failed request is worth retrying later (timeouts, rate limits,
+// server errors, and auth that may come back after signing in)
+function isRetryableStatus(status) {
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+// POST a capture request; failures carry error.retryable (and error.status
+// when the backend answered)
+async function postCapture(path, body) {
+  let response;
+  try {
+    response = await apiFetch(path, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    // Offline, DNS failure or backend unreachable
+    error.retryable = true;
+    throw error;
+  }
+
+  if (!response.ok) {
+    const error = new Error(getResponseError(response));
+    error.status = response.status;
+    error.retryable = isRetryableStatus(response.status);
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Whether a tab holds a page worth capturing (not browser or extension pages)
+function isCapturableTab(tab) {
+  return /^https?:\/\//i.test(tab.url || '');
+}
+
+// List tabs for bulk capture
+// scope: 'window' (current window), 'all' (every window), or 'group' (groupId)
+async function getBulkTabs(scope = 'window', groupId = null) {
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    let query = { currentWindow: true };
+    if (scope === 'all') {
+      query = {};
+    } else if (scope === 'group') {
+      const targetGroup = groupId ?? activeTab?.groupId;
+      if (targetGroup === undefined || targetGroup === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        return { success: false, error: 'Choose a tab group', tabs: [], groups: [] };
+      }
+      query = { groupId: targetGroup };
+    }
+
+    const tabs = (await chrome.tabs.query(query)).filter(isCapturableTab);
+    const windowTabs = await chrome.tabs.query({ currentWindow: true });
+    const groupIds = [...new Set(windowTabs
+      .map(tab => tab.groupId)
+      .filter(id => id !== chrome.tabGroups.TAB_GROUP_ID_NONE))];
+    const groups = await Promise.all(groupIds.map(id => chrome.tabGroups.get(id)));
+
+    return {
+      success: true,
+      tabs: tabs.map(tab => ({
+        id: tab.id,
+        windowId: tab.windowId,
+        url: tab.url,
+        title: tab.title,
+        favIconUrl: tab.favIconUrl,
+        pinned: tab.pinned,
+        active: tab.id === activeTab?.id,
+      })),
+      groups: groups.map(group => ({
+        id: group.id,
+        title: group.title || 'Untitled group',
+        color: group.color,
+      })),
+    };
+  } catch (error) {
+    console.error('Failed to list tabs:', error);
+    return { success: false, error: error.message, tabs: [], groups: [] };
+  }
+}
+
+// Capture a list of tabs in batches; optionally close the ones the backend confirmed
+// (newly captured, or already in the vault). Batches that fail for retryable
+// reasons are queued, and their tabs stay open.
+async function captureTabs(tabs, closeTabs = false) {
+  const summary = { captured: 0, duplicates: 0, failed: 0, queued: 0, closed: 0, errors: [] };
+  const confirmedTabIds = [];
+  const capturedUrls = [];
+
+  for (let i = 0; i < tabs.length; i += BULK_CAPTURE_BATCH_SIZE) {
+    const batch = tabs.slice(i, i + BULK_CAPTURE_BATCH_SIZE);
+    const captures = batch.map(tab => ({
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl
+    }));
+
+    try {
+      const data = await postCapture('/captures/batch', { tabs: captures });
+      data.results.forEach((result, index) => {
+        if (result.status === 'captured') summary.captured++;
+        else if (result.status === 'duplicate') summary.duplicates++;
+        else summary.failed++;
+
+        if (result.status === 'captured') {
+          capturedUrls.push(batch[index].url);
+        }
+        if (result.status === 'captured' || result.status === 'duplicate') {
+          confirmedTabIds.push(batch[index].id);
+        } else if (result.error) {
+          summary.errors.push(`${batch[index].url}: ${result.error}`);
+        }
+      });
+    } catch (error) {
+      const queued = error.retryable ? await enqueueCaptures(captures, error.message) : 0;
+      if (queued > 0) {
+        summary.queued += queued;
+      } else {
+        console.error('Batch capture failed:', error);
+        summary.failed += batch.length;
+        summary.errors.push(error.message);
+      }
+    }
+  }
+
+  await addQueuedPages(capturedUrls);
+
+  if (closeTabs && confirmedTabIds.length > 0) {
+    try {
+      await chrome.tabs.remove(confirmedTabIds);
+      summary.closed = confirmedTabIds.length;
+    } catch (error) {
+      // Tabs closed by the user in the meantime make the whole call fail; close the rest one by one
+      for (const tabId of confirmedTabIds) {
+        try {
+          await chrome.tabs.remove(tabId);
+          summary.closed++;
+        } catch (e) {
+          // Already closed
+        }
+      }
+    }
+  }
+
+  showNotification('Captured tabs', `${summary.captured} new, ${summary.duplicates} already saved, ${summary.queued} queued, ${summary.failed} failed`);
+
+  return {
+    success: summary.captured + summary.duplicates + summary.queued > 0 || tabs.length === 0,
+    ...summary,
+    ...(summary.failed > 0 ? { error: summary.errors[0] } : {}),
+  };
+}
+
+// ============ Offline Capture Queue ============
+
+async function getCaptureQueue() {
+  const data = await chrome.storage.local.get([CAPTURE_QUEUE_KEY]);
+  return data[CAPTURE_QUEUE_KEY] || [];
+}
+
+async function saveCaptureQueue(queue) {
+  await chrome.storage.local.set({ [CAPTURE_QUEUE_KEY]: queue });
+  await updateQueueBadge(queue);
+  await scheduleQueueRetry(queue);
+}
+
+// Delay before the next attempt: 30s doubling per attempt, capped at an hour, with jitter
+function getRetryDelay(attempts) {
+  const delay = Math.min(QUEUE_RETRY_BASE_MS * 2 ** attempts, QUEUE_RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Queue captures for retry; returns how many were queued (the queue is capped)
+async function enqueueCaptures(captures, errorMessage) {
+  const queue = await getCaptureQueue();
+  const room = Math.max(MAX_QUEUED_CAPTURES - queue.length, 0);
+  const now = Date.now();
+
+  const items = captures.slice(0, room).map(capture => ({
+    id: crypto.randomUUID(),
+    capture,
+    queuedAt: now,
+    attempts: 0,
+    nextAttemptAt: now + getRetryDelay(0),
+    lastError: errorMessage,
+  }));
+
+  if (items.length > 0) {
+    await saveCaptureQueue([...queue, ...items]);
+    console.log(`[Tab Vault] Queued ${items.length} captures for retry (${errorMessage})`);
+  }
+
+  return items.length;
+}
+
+async function updateQueueBadge(queue = null) {
+  const count = (queue || await getCaptureQueue()).length;
+  await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+  if (count > 0) {
+    await chrome.action.setBadgeBackgroundColor({ color: '#f59e0b' });
+  }
+}
+
+// Wake the service worker for the earliest due retry
+async function scheduleQueueRetry(queue) {
+  if (queue.length === 0) {
+    await chrome.alarms.clear(CAPTURE_QUEUE_ALARM);
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...queue.map(item => item.nextAttemptAt));
+  await chrome.alarms.create(CAPTURE_QUEUE_ALARM, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+}
+
+let queueFlush = null;
+
+// Send queued captures that are due (or all of them, when forced after
+// connectivity or sign-in comes back). Only one flush runs at a time.
+function flushCaptureQueue({ force = false } = {}) {
+  if (!queueFlush) {
+    queueFlush = runQueueFlush(force).finally(() => {
+      queueFlush = null;
+    });
+  }
+  return queueFlush;
+}
+
+async function runQueueFlush(force) {
+  // An alarm can wake the worker before the custom API URL is read
+  await apiUrlLoaded;
+
+  const now = Date.now();
+  const due = (await getCaptureQueue()).filter(item => force || item.nextAttemptAt <= now);
+  const sent = new Set();
+  const failed = new Map();
+  let stopError = null;
+
+  for (let i = 0; i < due.length; i += BULK_CAPTURE_BATCH_SIZE) {
+    const batch = due.slice(i, i + BULK_CAPTURE_BATCH_SIZE);
+
+    try {
+      const data = await postCapture('/captures/batch', { tabs: batch.map(item => item.capture) });
+      // Captured, already saved, or rejected as invalid: either way it leaves the queue
+      data.results.forEach((result, index) => {
+        if (result.status === 'invalid') {
+          console.log(`[Tab Vault] Dropped queued capture ${batch[index].capture.url}: ${result.error}`);
+        }
+        sent.add(batch[index].id);
+      });
+    } catch (error) {
+      if (!error.retryable) {
+        // The backend rejected the request itself; drop it rather than retrying forever
+        console.error('[Tab Vault] Queued captures rejected:', error.message);
+        batch.forEach(item => sent.add(item.id));
+        continue;
+      }
+
+      // Still unreachable: back off the rest of this flush too
+      stopError = error.message;
+      due.slice(i).forEach(item => failed.set(item.id, error.message));
+      break;
+    }
+  }
+
+  // Re-read the queue so captures queued or cancelled during the flush are kept as they are
+  const queue = (await getCaptureQueue())
+    .filter(item => !sent.has(item.id))
+    .map(item => {
+      if (!failed.has(item.id)) return item;
+      const attempts = item.attempts + 1;
+      return {
+        ...item,
+        attempts,
+        lastError: failed.get(item.id),
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+      };
+    });
+
+  await saveCaptureQueue(queue);
+
+  if (sent.size > 0) {
+    showNotification('Queued captures sent', `${sent.size} captures delivered`);
+  }
+
+  return { success: !stopError, sent: sent.size, remaining: queue.length, ...(stopError ? { error: stopError } : {}) };
+}
+
+// Cancel a queued capture
+async function cancelQueuedCapture(id) {
+  const queue = await getCaptureQueue();
+  await saveCaptureQueue(queue.filter(item => item.id !== id));
+  return { success: true };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CAPTURE_QUEUE_ALARM) {
+    flushCaptureQueue();
+  }
+});
+
+// Connectivity came back
+self.addEventListener('online', () => {
+  flushCaptureQueue({ force: true });
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateQueueBadge();
+  flushCaptureQueue();
+  refreshHighlightedPages();
+  refreshQueuedPages();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  refreshHighlightedPages();
+  refreshQueuedPages();
+});
+
+// Turn on highlighting in the active tab
+async function startHighlighting() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !isCapturableTab(tab)) {
+    return { success: false, error: 'This page cannot be highlighted' };
+  }
+
+  try {
+    await injectHighlighter(tab.id);
+    await chrome.tabs.sendMessage(tab.id, { action: 'setHighlightMode', enabled: true });
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to start highlighting:', error);
+    return { success: false, error: 'This page cannot be highlighted' };
+  }
+}
+
+// Load the highlighter into a tab (it ignores repeat injections)
+async function injectHighlighter(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: ['highlighter.js']
+  });
+}
+
+// Highlights saved on a page
+async function getPageHighlights(url) {
+  try {
+    const response = await apiFetch(`/highlights?url=${encodeURIComponent(url)}`);
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to get highlights:', error);
+    return { success: false, error: error.message, highlights: [] };
+  }
+}
+
+// Save a highlight made in a tab; the page is captured if it isn't yet
+async function saveHighlight(tab, highlight) {
+  try {
+    const response = await apiFetch('/highlights', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         url: tab.url,
         title: tab.title,
-        selectedText: selectedText,
-        favIconUrl: tab.favIconUrl
+        favIconUrl: tab.favIconUrl,
+        highlights: [highlight]
       })
     });
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    const data = await response.json();
+    await addHighlightedPage(tab.url);
+    return { success: true, captured: data.captured, highlight: data.highlights[0] };
+  } catch (error) {
+    console.error('Failed to save highlight:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Update a highlight's note
+async function updateHighlight(id, note) {
+  try {
+    const response = await apiFetch(`/highlights/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ note })
+    });
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to update highlight:', error);
+    return { success: false, error: error.message };
+  }
+}
 
+// Delete a highlight
+async function deleteHighlight(id) {
+  try {
+    const response = await apiFetch(`/highlights/${id}`, {
+      method: 'DELETE'
+    });
     if (!response.ok) {
       throw new Error(getResponseError(response));
     }
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to delete highlight:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Page URLs are compared without their fragment
+function getPageKey(url) {
+  return (url || '').split('#')[0];
+}
+
+async function addHighlightedPage(url) {
+  const result = await chrome.storage.local.get([HIGHLIGHTED_PAGES_KEY]);
+  const pages = new Set(result[HIGHLIGHTED_PAGES_KEY] || []);
+  pages.add(getPageKey(url));
+  await chrome.storage.local.set({ [HIGHLIGHTED_PAGES_KEY]: [...pages] });
+}
 
+// Reload the list of highlighted pages from the backend
+async function refreshHighlightedPages() {
+  try {
+    await apiUrlLoaded;
+    const response = await apiFetch('/highlights/pages');
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
     const data = await response.json();
+    await chrome.storage.local.set({ [HIGHLIGHTED_PAGES_KEY]: data.urls.map(getPageKey) });
+  } catch (error) {
+    console.log('Could not refresh highlighted pages:', error.message);
+  }
+}
 
-    // Show notification
-    showNotification('Captured!', data.summary || 'Saved to Tab Vault');
+// Re-show highlights when a highlighted page finishes loading
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !isCapturableTab(tab)) return;
 
-    return { success: true, data };
+  const result = await chrome.storage.local.get([HIGHLIGHTED_PAGES_KEY]);
+  if (!(result[HIGHLIGHTED_PAGES_KEY] || []).includes(getPageKey(tab.url))) return;
+
+  try {
+    await injectHighlighter(tabId);
   } catch (error) {
-    console.error('Capture failed:', error);
-    showNotification('Capture failed', error.message);
-    return { success: false, error: error.message };
+    console.log('Could not show highlights:', error.message);
   }
+});
+
+// ============ Reading Progress ============
+
+async function addQueuedPages(urls) {
+  if (urls.length === 0) return;
+  const result = await chrome.storage.local.get([QUEUED_PAGES_KEY]);
+  const pages = new Set(result[QUEUED_PAGES_KEY] || []);
+  urls.forEach(url => pages.add(getPageKey(url)));
+  await chrome.storage.local.set({ [QUEUED_PAGES_KEY]: [...pages] });
 }
 
-// Search captures - tries semantic search first, falls back to keyword
-async function searchCaptures(query) {
+async function removeQueuedPage(url) {
+  const result = await chrome.storage.local.get([QUEUED_PAGES_KEY]);
+  const pages = (result[QUEUED_PAGES_KEY] || []).filter(page => page !== getPageKey(url));
+  await chrome.storage.local.set({ [QUEUED_PAGES_KEY]: pages });
+}
+
+// Reload the list of unread captured pages from the backend
+async function refreshQueuedPages() {
   try {
-    // Try semantic search first (finds conceptually similar content)
-    const semanticResponse = await apiFetch(`/semantic-search?q=${encodeURIComponent(query)}`);
-
-    if (semanticResponse.ok) {
-      const semanticData = await semanticResponse.json();
-      if (semanticData.success && semanticData.results?.length > 0) {
-        console.log('[Tab Vault] Semantic search:', semanticData.count, 'results');
-        return semanticData;
-      }
+    await apiUrlLoaded;
+    const response = await apiFetch('/queue/pages');
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
     }
+    const data = await response.json();
+    await chrome.storage.local.set({ [QUEUED_PAGES_KEY]: data.urls.map(getPageKey) });
+  } catch (error) {
+    console.log('Could not refresh queued pages:', error.message);
+  }
+}
 
-    // Fall back to keyword search
-    console.log('[Tab Vault] Falling back to keyword search');
-    const response = await apiFetch(`/search?q=${encodeURIComponent(query)}`);
+// Send how far into a page the reader got; pages that are now read stop being tracked
+async function reportReadingProgress(url, progress) {
+  try {
+    const response = await apiFetch('/queue/progress', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, progress })
+    });
     if (!response.ok) {
       throw new Error(getResponseError(response));
     }
-    return await response.json();
+    const data = await response.json();
+    if (!data.capture || data.capture.read_state !== 'unread') {
+      await removeQueuedPage(url);
+    }
+    return data;
+  } catch (error) {
+    console.log('Could not report reading progress:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Runs in the page: tracks the furthest point scrolled to and reports it
+// while the page is being read and when it is hidden or left
+function trackReadingProgress(minReadingMs) {
+  if (window.__tabVaultProgress) return;
+  window.__tabVaultProgress = true;
+
+  let furthest = 0;
+  let reported = 0;
+  let visibleMs = 0;
+  let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+
+  const measure = () => {
+    const height = document.documentElement.scrollHeight;
+    if (height > 0) {
+      furthest = Math.max(furthest, Math.min(100, Math.round((window.scrollY + window.innerHeight) / height * 100)));
+    }
+  };
+
+  const report = () => {
+    const readingMs = visibleMs + (visibleSince ? Date.now() - visibleSince : 0);
+    if (furthest <= reported || readingMs < minReadingMs) return;
+
+    reported = furthest;
+    try {
+      chrome.runtime.sendMessage({ action: 'reportReadingProgress', progress: furthest }).catch(() => {});
+    } catch (e) {
+      // The extension was reloaded; this page's tracker is orphaned
+    }
+  };
+
+  window.addEventListener('scroll', measure, { passive: true });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      if (visibleSince) visibleMs += Date.now() - visibleSince;
+      visibleSince = null;
+      report();
+    } else {
+      visibleSince = Date.now();
+    }
+  });
+  window.addEventListener('pagehide', report);
+  setInterval(report, 15000);
+  measure();
+}
+
+// Start tracking reading progress when an unread captured page finishes loading
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !isCapturableTab(tab)) return;
+
+  const result = await chrome.storage.local.get([QUEUED_PAGES_KEY]);
+  if (!(result[QUEUED_PAGES_KEY] || []).includes(getPageKey(tab.url))) return;
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: trackReadingProgress,
+      args: [MIN_READING_MS]
+    });
+  } catch (error) {
+    console.log('Could not track reading progress:', error.message);
+  }
+});
+
+// Search captures - hybrid search matches exact terms and related concepts
+async function searchCaptures(query) {
+  try {
+    const response = await apiFetch(`/search?q=${encodeURIComponent(query)}&limit=10`);
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    const data = await response.json();
+    console.log('[Tab Vault] Search:', data.count, 'of', data.total, `results (${data.searchType})`);
+    return data;
   } catch (error) {
     console.error('Search failed:', error);
     return { success: false, error: error.message, results: [] };
@@ -452,6 +1181,42 @@ async function getRecentCaptures() {
   }
 }
 
+// Get old captures worth revisiting
+async function getResurfacePicks() {
+  try {
+    const response = await apiFetch('/resurface?limit=3');
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Failed to get captures to revisit:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+}
+
+// Send feedback on a resurfaced capture (useful, not_useful or archive)
+async function sendResurfaceFeedback(id, feedback, reason) {
+  try {
+    const response = await apiFetch(`/resurface/${id}/feedback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ feedback, reason })
+    });
+    if (!response.ok) {
+      throw new Error(getResponseError(response));
+    }
+    const data = await response.json();
+    if (feedback === 'archive') {
+      await refreshQueuedPages();
+    }
+    return data;
+  } catch (error) {
+    console.error('Resurface feedback failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // Get settings
 async function getSettings() {
   try {
@@ -610,6 +1375,7 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
       API_URL = changes.apiUrl.newValue || DEFAULT_API_URL;
       cachedSupabaseConfig = null;
       console.log('[Tab Vault] API URL updated:', API_URL);
+      flushCaptureQueue({ force: true });
     }
     if (changes.supabaseUrl || changes.supabaseAnonKey) {
       cachedSupabaseConfig = null;
@@ -0,0 +1,413 @@
+// Tab Vault - Highlighter Content Script
+// Injected on demand: lets the user highlight passages and attach notes, and
+// re-shows saved highlights by finding their quotes on the page again
+
+(() => {
+  // Injected again on every revisit and highlight request; the first copy stays in charge
+  if (window.__tabVaultHighlighter) return;
+  window.__tabVaultHighlighter = true;
+
+  // Characters of surrounding text saved with each quote to tell repeats apart
+  const CONTEXT_CHARS = 32;
+
+  // Pages that render late get one more try at placing their highlights
+  const LATE_CONTENT_RETRY_MS = 2000;
+
+  const MARK_CLASS = 'tab-vault-highlight';
+  const UI_CLASS = 'tab-vault-ui';
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION']);
+
+  let highlightMode = false;
+  let toolbar = null;
+  let banner = null;
+
+  injectStyles();
+  loadHighlights();
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'setHighlightMode') {
+      setHighlightMode(request.enabled);
+      sendResponse({ success: true });
+    }
+  });
+
+  document.addEventListener('mousedown', (event) => {
+    if (!event.target.closest?.(`.${UI_CLASS}`)) {
+      hideToolbar();
+    }
+  });
+
+  document.addEventListener('mouseup', (event) => {
+    if (!highlightMode || event.target.closest?.(`.${UI_CLASS}`)) return;
+    // Let the selection settle before reading it
+    setTimeout(showSelectionToolbar, 0);
+  });
+
+  document.addEventListener('click', (event) => {
+    const mark = event.target.closest?.(`.${MARK_CLASS}`);
+    if (mark?.dataset.highlightId && window.getSelection().isCollapsed) {
+      showHighlightToolbar(mark);
+    }
+  });
+
+  // ============ Highlight mode ============
+
+  function setHighlightMode(enabled) {
+    highlightMode = enabled;
+    if (!enabled) {
+      hideToolbar();
+      banner?.remove();
+      banner = null;
+      return;
+    }
+
+    if (!banner) {
+      banner = createUi('div', 'tab-vault-banner');
+      const text = document.createElement('span');
+      text.className = 'tab-vault-banner-text';
+      const done = document.createElement('button');
+      done.textContent = 'Done';
+      done.addEventListener('click', () => setHighlightMode(false));
+      banner.append(text, done);
+      document.documentElement.appendChild(banner);
+    }
+    showMessage('Select text to highlight it');
+  }
+
+  function showMessage(message) {
+    if (banner) {
+      banner.querySelector('.tab-vault-banner-text').textContent = `Tab Vault: ${message}`;
+    }
+  }
+
+  // ============ Toolbars ============
+
+  function showSelectionToolbar() {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || selection.rangeCount === 0 || !selection.toString().trim()) return;
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    showToolbar(rect, [
+      { label: 'Highlight', onClick: () => saveSelection(false) },
+      { label: 'Highlight + note', onClick: () => saveSelection(true) }
+    ]);
+  }
+
+  function showHighlightToolbar(mark) {
+    const id = mark.dataset.highlightId;
+    const note = mark.dataset.note || '';
+
+    showToolbar(mark.getBoundingClientRect(), [
+      { label: note ? 'Edit note' : 'Add note', onClick: () => editNote(id, note) },
+      { label: 'Remove', onClick: () => removeHighlight(id) }
+    ], note);
+  }
+
+  function showToolbar(rect, actions, note = '') {
+    hideToolbar();
+
+    toolbar = createUi('div', 'tab-vault-toolbar');
+    if (note) {
+      const noteEl = document.createElement('div');
+      noteEl.className = 'tab-vault-note';
+      noteEl.textContent = note;
+      toolbar.appendChild(noteEl);
+    }
+
+    for (const { label, onClick } of actions) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        hideToolbar();
+        onClick();
+      });
+      toolbar.appendChild(button);
+    }
+
+    toolbar.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    toolbar.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+    document.documentElement.appendChild(toolbar);
+  }
+
+  function hideToolbar() {
+    toolbar?.remove();
+    toolbar = null;
+  }
+
+  function createUi(tag, className) {
+    const element = document.createElement(tag);
+    element.className = `${UI_CLASS} ${className}`;
+    return element;
+  }
+
+  // ============ Saving and editing ============
+
+  async function saveSelection(withNote) {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || selection.rangeCount === 0) return;
+
+    const index = indexPageText();
+    const bounds = findRangeBounds(index, selection.getRangeAt(0));
+    if (!bounds) return;
+
+    const note = withNote ? window.prompt('Note for this highlight:') : null;
+    if (withNote && note === null) return;
+
+    const highlight = {
+      quote: index.text.slice(bounds.start, bounds.end),
+      prefix: index.text.slice(Math.max(0, bounds.start - CONTEXT_CHARS), bounds.start),
+      suffix: index.text.slice(bounds.end, bounds.end + CONTEXT_CHARS),
+      note: note?.trim() || null
+    };
+
+    const marks = wrapText(index, bounds.start, bounds.end);
+    marks.forEach(mark => mark.classList.add('tab-vault-pending'));
+    selection.removeAllRanges();
+
+    const response = await chrome.runtime.sendMessage({ action: 'saveHighlight', highlight });
+    if (!response?.success) {
+      unwrap(marks);
+      showMessage(response?.error || 'Could not save the highlight');
+      return;
+    }
+
+    marks.forEach(mark => {
+      mark.classList.remove('tab-vault-pending');
+      setMarkData(mark, response.highlight);
+    });
+    showMessage(response.captured ? 'Page captured with your highlight' : 'Highlight saved');
+  }
+
+  async function editNote(id, currentNote) {
+    const note = window.prompt('Note for this highlight:', currentNote);
+    if (note === null) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'updateHighlight', id, note: note.trim() || null });
+    if (!response?.success) {
+      showMessage(response?.error || 'Could not update the note');
+      return;
+    }
+
+    getMarks(id).forEach(mark => setMarkData(mark, response.highlight));
+  }
+
+  async function removeHighlight(id) {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteHighlight', id });
+    if (!response?.success) {
+      showMessage(response?.error || 'Could not remove the highlight');
+      return;
+    }
+
+    unwrap(getMarks(id));
+  }
+
+  function getMarks(id) {
+    return [...document.querySelectorAll(`.${MARK_CLASS}`)].filter(mark => mark.dataset.highlightId === id);
+  }
+
+  function setMarkData(mark, highlight) {
+    mark.dataset.highlightId = highlight.id;
+    if (highlight.note) {
+      mark.dataset.note = highlight.note;
+      mark.title = highlight.note;
+    } else {
+      delete mark.dataset.note;
+      mark.removeAttribute('title');
+    }
+  }
+
+  // ============ Showing saved highlights ============
+
+  async function loadHighlights() {
+    const response = await chrome.runtime.sendMessage({ action: 'getPageHighlights' });
+    if (!response?.success || !response.highlights?.length) return;
+
+    const missing = placeHighlights(response.highlights);
+    if (missing.length > 0) {
+      setTimeout(() => placeHighlights(missing), LATE_CONTENT_RETRY_MS);
+    }
+  }
+
+  // Mark highlights on the page; returns the ones whose quote wasn't found
+  function placeHighlights(highlights) {
+    const index = indexPageText();
+    const missing = [];
+    const placed = [];
+
+    for (const highlight of highlights) {
+      const bounds = anchorQuote(index, highlight);
+      if (bounds) {
+        placed.push({ highlight, bounds });
+      } else {
+        missing.push(highlight);
+      }
+    }
+
+    // Wrapping from the end of the page backwards keeps earlier offsets valid
+    placed.sort((a, b) => b.bounds.start - a.bounds.start);
+    let limit = Infinity;
+    for (const { highlight, bounds } of placed) {
+      if (bounds.end > limit) continue; // Overlaps a highlight already marked
+      wrapText(index, bounds.start, bounds.end).forEach(mark => setMarkData(mark, highlight));
+      limit = bounds.start;
+    }
+
+    return missing;
+  }
+
+  // ============ Text anchoring ============
+
+  // Page text with whitespace collapsed, and the text node and offset each character came from
+  function indexPageText() {
+    const nodes = [];
+    const owners = [];
+    const offsets = [];
+    const chars = [];
+    let lastWasSpace = true;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || SKIPPED_TAGS.has(parent.tagName) || parent.closest(`.${UI_CLASS}`)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const nodeIndex = nodes.push(node) - 1;
+      const data = node.data;
+
+      for (let i = 0; i < data.length; i++) {
+        const isSpace = /\s/.test(data[i]);
+        if (isSpace && lastWasSpace) continue;
+
+        chars.push(isSpace ? ' ' : data[i]);
+        owners.push(nodeIndex);
+        offsets.push(i);
+        lastWasSpace = isSpace;
+      }
+    }
+
+    return { text: chars.join(''), nodes, owners, offsets };
+  }
+
+  // Indexed text covered by a DOM range, without leading/trailing spaces
+  function findRangeBounds(index, range) {
+    const touched = index.nodes.map(node => range.intersectsNode(node));
+    let start = -1;
+    let end = -1;
+
+    for (let k = 0; k < index.owners.length; k++) {
+      const nodeIndex = index.owners[k];
+      if (!touched[nodeIndex]) continue;
+
+      const node = index.nodes[nodeIndex];
+      const offset = index.offsets[k];
+      if (node === range.startContainer && offset < range.startOffset) continue;
+      if (node === range.endContainer && offset >= range.endOffset) continue;
+
+      if (start < 0) start = k;
+      end = k + 1;
+    }
+
+    while (start >= 0 && start < end && index.text[start] === ' ') start++;
+    while (end > start && index.text[end - 1] === ' ') end--;
+
+    return start >= 0 && start < end ? { start, end } : null;
+  }
+
+  // Find a saved quote in the indexed text, preferring the occurrence whose
+  // surrounding text best matches the saved prefix and suffix
+  function anchorQuote(index, highlight) {
+    const quote = collapseSpaces(highlight.quote).trim();
+    const prefix = collapseSpaces(highlight.prefix || '');
+    const suffix = collapseSpaces(highlight.suffix || '');
+    if (!quote) return null;
+
+    let best = null;
+    for (let position = index.text.indexOf(quote); position !== -1; position = index.text.indexOf(quote, position + 1)) {
+      const before = index.text.slice(Math.max(0, position - prefix.length), position);
+      const after = index.text.slice(position + quote.length, position + quote.length + suffix.length);
+      const score = matchingTailLength(before, prefix) + matchingHeadLength(after, suffix);
+
+      if (!best || score > best.score) {
+        best = { start: position, end: position + quote.length, score };
+      }
+    }
+
+    return best;
+  }
+
+  function collapseSpaces(text) {
+    return text.replace(/\s+/g, ' ');
+  }
+
+  function matchingHeadLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+  }
+
+  function matchingTailLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+    return length;
+  }
+
+  // Wrap indexed text in <mark> elements, one per text node it spans
+  function wrapText(index, start, end) {
+    const firstNode = index.owners[start];
+    const lastNode = index.owners[end - 1];
+    const marks = [];
+
+    for (let nodeIndex = firstNode; nodeIndex <= lastNode; nodeIndex++) {
+      let node = index.nodes[nodeIndex];
+      const from = nodeIndex === firstNode ? index.offsets[start] : 0;
+      const to = nodeIndex === lastNode ? index.offsets[end - 1] + 1 : node.length;
+
+      // Whitespace between block elements (table cells, list items) stays unwrapped
+      if (from >= to || !node.data.slice(from, to).trim()) continue;
+
+      if (to < node.length) node.splitText(to);
+      if (from > 0) node = node.splitText(from);
+
+      const mark = document.createElement('mark');
+      mark.className = MARK_CLASS;
+      node.parentNode.insertBefore(mark, node);
+      mark.appendChild(node);
+      marks.push(mark);
+    }
+
+    return marks;
+  }
+
+  function unwrap(marks) {
+    for (const mark of marks) {
+      const parent = mark.parentNode;
+      if (!parent) continue;
+      mark.replaceWith(...mark.childNodes);
+      parent.normalize();
+    }
+  }
+
+  // ============ Styles ============
+
+  function injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .${MARK_CLASS} { background: #fde68a !important; color: inherit !important; border-radius: 2px; cursor: pointer; }
+      .${MARK_CLASS}[data-note] { border-bottom: 2px solid #f59e0b; }
+      .${MARK_CLASS}.tab-vault-pending { opacity: 0.6; }
+      .${UI_CLASS} { font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important; color: #1a1a2e; z-index: 2147483647; }
+      .${UI_CLASS} button { font: inherit; border: none; border-radius: 6px; padding: 4px 10px; background: #667eea; color: #fff; cursor: pointer; }
+      .${UI_CLASS} button:hover { background: #5a67d8; }
+      .tab-vault-toolbar { position: absolute; display: flex; flex-wrap: wrap; gap: 4px; max-width: 320px; padding: 6px; background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+      .tab-vault-note { flex-basis: 100%; padding: 2px 4px 4px; white-space: pre-wrap; }
+      .tab-vault-banner { position: fixed; top: 12px; right: 12px; display: flex; align-items: center; gap: 10px; padding: 8px 10px 8px 14px; background: #fff; border: 1px solid #667eea; border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+    `;
+    document.documentElement.appendChild(style);
+  }
+})();
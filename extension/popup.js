@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Views
   const mainView = document.getElementById('mainView');
   const settingsView = document.getElementById('settingsView');
+  const bulkView = document.getElementById('bulkView');
 
   // Main view elements
   const captureBtn = document.getElementById('captureBtn');
@@ -14,6 +15,24 @@ document.addEventListener('DOMContentLoaded', () => {
   const resultsContainer = document.getElementById('results');
   const openFullSearch = document.getElementById('openFullSearch');
   const openSettings = document.getElementById('openSettings');
+  const bulkCaptureBtn = document.getElementById('bulkCaptureBtn');
+  const highlightBtn = document.getElementById('highlightBtn');
+  const queueSection = document.getElementById('queueSection');
+  const queueTitle = document.getElementById('queueTitle');
+  const queueList = document.getElementById('queueList');
+  const retryQueueBtn = document.getElementById('retryQueueBtn');
+  const resurfaceSection = document.getElementById('resurfaceSection');
+  const resurfaceList = document.getElementById('resurfaceList');
+
+  // Bulk capture view elements
+  const bulkBackToMain = document.getElementById('bulkBackToMain');
+  const bulkScope = document.getElementById('bulkScope');
+  const bulkSelectAll = document.getElementById('bulkSelectAll');
+  const bulkSelectedCount = document.getElementById('bulkSelectedCount');
+  const bulkTabsList = document.getElementById('bulkTabsList');
+  const bulkCloseTabs = document.getElementById('bulkCloseTabs');
+  const bulkCaptureConfirm = document.getElementById('bulkCaptureConfirm');
+  const bulkStatus = document.getElementById('bulkStatus');
 
   // Settings view elements
   const backToMain = document.getElementById('backToMain');
@@ -25,6 +44,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const usageStats = document.getElementById('usageStats');
   const apiUrlInput = document.getElementById('apiUrlInput');
   const saveApiUrl = document.getElementById('saveApiUrl');
+  const sendPageSnapshotInput = document.getElementById('sendPageSnapshotInput');
   const authStateText = document.getElementById('authStateText');
   const authCredentials = document.getElementById('authCredentials');
   const authEmailInput = document.getElementById('authEmailInput');
@@ -53,9 +73,13 @@ document.addEventListener('DOMContentLoaded', () => {
   let tags = [];
   let currentAuthState = { authenticated: false };
   let isSwitchingAccount = false;
+  let bulkTabs = [];
+  let selectedTabIds = new Set();
 
-  // Load recent captures on open
+  // Load recent captures, the offline queue and captures to revisit on open
   loadRecentCaptures();
+  loadCaptureQueue();
+  loadResurface();
 
   // ============ Main View ============
 
@@ -70,6 +94,11 @@ document.addEventListener('DOMContentLoaded', () => {
     captureBtn.disabled = false;
     captureBtn.innerHTML = '<span class="icon">+</span> Capture This Tab';
 
+    if (response.queued) {
+      showStatus(captureStatus, true, 'Backend unreachable - queued, will retry automatically');
+      return;
+    }
+
     showStatus(captureStatus, response.success, response.success
       ? 'Captured! ' + (response.data?.category || '')
       : response.error || 'Failed to capture');
@@ -130,6 +159,278 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // ============ Revisit ============
+
+  async function loadResurface() {
+    const response = await chrome.runtime.sendMessage({ action: 'getResurface' });
+    renderResurface(response.results || []);
+  }
+
+  function renderResurface(picks) {
+    resurfaceSection.classList.toggle('hidden', picks.length === 0);
+    resurfaceList.innerHTML = picks.map(item => `
+      <div class="result-item resurface-item" data-url="${escapeHtml(item.url)}">
+        <div class="title">${escapeHtml(item.display_title || item.title || item.url)}</div>
+        <div class="resurface-why">${escapeHtml(item.why || '')}</div>
+        <div class="resurface-actions">
+          <button class="item-btn" data-feedback="useful" data-id="${escapeHtml(item.id)}" data-reason="${escapeHtml(item.reason)}">Useful</button>
+          <button class="item-btn" data-feedback="not_useful" data-id="${escapeHtml(item.id)}" data-reason="${escapeHtml(item.reason)}">Not useful</button>
+          <button class="item-btn delete" data-feedback="archive" data-id="${escapeHtml(item.id)}" data-reason="${escapeHtml(item.reason)}">Archive</button>
+        </div>
+      </div>
+    `).join('');
+
+    resurfaceList.querySelectorAll('.resurface-item').forEach(item => {
+      item.addEventListener('click', () => {
+        chrome.tabs.create({ url: item.dataset.url });
+      });
+    });
+
+    resurfaceList.querySelectorAll('[data-feedback]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        btn.disabled = true;
+        const response = await chrome.runtime.sendMessage({
+          action: 'resurfaceFeedback',
+          id: btn.dataset.id,
+          feedback: btn.dataset.feedback,
+          reason: btn.dataset.reason
+        });
+        if (response.success) {
+          btn.closest('.resurface-item').remove();
+          resurfaceSection.classList.toggle('hidden', !resurfaceList.children.length);
+        } else {
+          btn.disabled = false;
+          showStatus(captureStatus, false, response.error || 'Could not save feedback');
+        }
+      });
+    });
+  }
+
+  // ============ Offline Queue ============
+
+  async function loadCaptureQueue() {
+    const response = await chrome.runtime.sendMessage({ action: 'getCaptureQueue' });
+    renderCaptureQueue(response.queue || []);
+  }
+
+  function renderCaptureQueue(queue) {
+    queueSection.classList.toggle('hidden', queue.length === 0);
+    if (!queue.length) {
+      queueList.innerHTML = '';
+      return;
+    }
+
+    queueTitle.textContent = `Waiting to send (${queue.length})`;
+    queueList.innerHTML = queue.map(item => `
+      <div class="item-row">
+        <div class="item-info queue-item-text">
+          <span class="item-name" title="${escapeHtml(item.capture.url)}">${escapeHtml(item.capture.title || item.capture.url)}</span>
+          <span class="queue-detail" title="${escapeHtml(item.lastError || '')}">${escapeHtml(formatQueueDetail(item))}</span>
+        </div>
+        <div class="item-actions">
+          <button class="item-btn delete" data-action="cancel-queued" data-id="${escapeHtml(item.id)}">Cancel</button>
+        </div>
+      </div>
+    `).join('');
+
+    queueList.querySelectorAll('[data-action="cancel-queued"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ action: 'cancelQueuedCapture', id: btn.dataset.id });
+      });
+    });
+  }
+
+  function formatQueueDetail(item) {
+    const seconds = Math.max(Math.round((item.nextAttemptAt - Date.now()) / 1000), 0);
+    const retry = seconds < 60 ? 'retrying soon' : `retry in ${Math.round(seconds / 60)}m`;
+    const attempts = item.attempts > 0 ? ` · ${item.attempts} failed attempts` : '';
+    return `${retry}${attempts}${item.lastError ? ` · ${item.lastError}` : ''}`;
+  }
+
+  retryQueueBtn.addEventListener('click', async () => {
+    retryQueueBtn.disabled = true;
+    retryQueueBtn.textContent = 'Sending...';
+
+    const response = await chrome.runtime.sendMessage({ action: 'retryCaptureQueue' });
+
+    retryQueueBtn.disabled = false;
+    retryQueueBtn.textContent = 'Retry now';
+
+    if (response.sent) {
+      showStatus(captureStatus, true, `Sent ${response.sent} queued captures`);
+      setTimeout(loadRecentCaptures, 500);
+    } else if (!response.success) {
+      showStatus(captureStatus, false, response.error || 'Still unable to reach the backend');
+    }
+  });
+
+  // The background worker updates the queue as captures are queued, sent or cancelled
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.captureQueue) {
+      renderCaptureQueue(changes.captureQueue.newValue || []);
+    }
+  });
+
+  // ============ Highlights ============
+
+  // Highlighting happens on the page itself, so the popup gets out of the way
+  highlightBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'startHighlighting' });
+    if (response?.success) {
+      window.close();
+    } else {
+      showStatus(captureStatus, false, response?.error || 'Could not start highlighting');
+    }
+  });
+
+  // ============ Bulk Capture ============
+
+  bulkCaptureBtn.addEventListener('click', () => {
+    showBulkView();
+  });
+
+  bulkBackToMain.addEventListener('click', () => {
+    bulkView.classList.add('hidden');
+    mainView.classList.remove('hidden');
+  });
+
+  function showBulkView() {
+    mainView.classList.add('hidden');
+    bulkView.classList.remove('hidden');
+    chrome.storage.sync.get(['closeAfterBulkCapture'], (result) => {
+      bulkCloseTabs.checked = !!result.closeAfterBulkCapture;
+    });
+    loadBulkTabs(true);
+  }
+
+  bulkCloseTabs.addEventListener('change', () => {
+    chrome.storage.sync.set({ closeAfterBulkCapture: bulkCloseTabs.checked });
+  });
+
+  bulkScope.addEventListener('change', () => loadBulkTabs());
+
+  async function loadBulkTabs(refreshGroups = false) {
+    bulkTabsList.innerHTML = '<div class="loading">Loading...</div>';
+
+    // Scope values: "window", "all", or "group:<id>"
+    const [scope, groupId] = bulkScope.value.split(':');
+    const response = await chrome.runtime.sendMessage({
+      action: 'getBulkTabs',
+      scope,
+      groupId: groupId ? Number(groupId) : null
+    });
+
+    if (refreshGroups) {
+      renderGroupOptions(response.groups || []);
+    }
+
+    if (!response.success) {
+      bulkTabs = [];
+      selectedTabIds = new Set();
+      bulkTabsList.innerHTML = `<div class="empty">${escapeHtml(response.error || 'Failed to load tabs')}</div>`;
+      updateBulkSelection();
+      return;
+    }
+
+    bulkTabs = response.tabs;
+    // Pinned tabs are usually kept open on purpose, so they start deselected
+    selectedTabIds = new Set(bulkTabs.filter(tab => !tab.pinned).map(tab => tab.id));
+    renderBulkTabs();
+  }
+
+  function renderGroupOptions(groups) {
+    bulkScope.querySelectorAll('option[value^="group:"]').forEach(option => option.remove());
+    groups.forEach(group => {
+      const option = document.createElement('option');
+      option.value = `group:${group.id}`;
+      option.textContent = `Tab group: ${group.title}`;
+      bulkScope.appendChild(option);
+    });
+  }
+
+  function renderBulkTabs() {
+    if (!bulkTabs.length) {
+      bulkTabsList.innerHTML = '<div class="empty">No tabs to capture</div>';
+      updateBulkSelection();
+      return;
+    }
+
+    bulkTabsList.innerHTML = bulkTabs.map(tab => `
+      <div class="item-row" data-tab-id="${tab.id}">
+        <div class="item-info">
+          <input type="checkbox" ${selectedTabIds.has(tab.id) ? 'checked' : ''}>
+          ${tab.favIconUrl ? `<img class="bulk-favicon" src="${escapeHtml(tab.favIconUrl)}" alt="">` : ''}
+          <span class="item-name" title="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</span>
+        </div>
+        <span class="bulk-host">${escapeHtml(getHost(tab.url))}</span>
+      </div>
+    `).join('');
+
+    bulkTabsList.querySelectorAll('.item-row').forEach(row => {
+      const tabId = Number(row.dataset.tabId);
+      const checkbox = row.querySelector('input[type="checkbox"]');
+
+      row.addEventListener('click', (e) => {
+        if (e.target !== checkbox) {
+          checkbox.checked = !checkbox.checked;
+        }
+        if (checkbox.checked) {
+          selectedTabIds.add(tabId);
+        } else {
+          selectedTabIds.delete(tabId);
+        }
+        updateBulkSelection();
+      });
+    });
+
+    updateBulkSelection();
+  }
+
+  function updateBulkSelection() {
+    const selected = selectedTabIds.size;
+    bulkSelectedCount.textContent = `${selected} of ${bulkTabs.length} selected`;
+    bulkSelectAll.checked = bulkTabs.length > 0 && selected === bulkTabs.length;
+    bulkSelectAll.indeterminate = selected > 0 && selected < bulkTabs.length;
+    bulkCaptureConfirm.disabled = selected === 0;
+    bulkCaptureConfirm.textContent = selected === 1 ? 'Capture 1 Tab' : `Capture ${selected} Tabs`;
+  }
+
+  bulkSelectAll.addEventListener('change', () => {
+    selectedTabIds = bulkSelectAll.checked ? new Set(bulkTabs.map(tab => tab.id)) : new Set();
+    renderBulkTabs();
+  });
+
+  bulkCaptureConfirm.addEventListener('click', async () => {
+    const tabs = bulkTabs.filter(tab => selectedTabIds.has(tab.id));
+    if (!tabs.length) return;
+
+    bulkCaptureConfirm.disabled = true;
+    bulkCaptureConfirm.textContent = 'Capturing...';
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'captureTabs',
+      tabs,
+      closeTabs: bulkCloseTabs.checked
+    });
+
+    const parts = [`${response.captured} captured`];
+    if (response.duplicates) parts.push(`${response.duplicates} already saved`);
+    if (response.queued) parts.push(`${response.queued} queued for retry`);
+    if (response.failed) parts.push(`${response.failed} failed`);
+    if (response.closed) parts.push(`${response.closed} closed`);
+    const message = parts.join(', ') + (response.failed && response.error ? ` (${response.error})` : '');
+
+    showStatus(bulkStatus, response.success && !response.failed, message);
+
+    if (response.closed) {
+      loadBulkTabs();
+    } else {
+      updateBulkSelection();
+    }
+    setTimeout(loadRecentCaptures, 500);
+  });
+
   // ============ Settings Navigation ============
 
   openSettings.addEventListener('click', (e) => {
@@ -147,6 +448,7 @@ document.addEventListener('DOMContentLoaded', () => {
     loadSettings();
     loadUsageStats();
     loadApiUrl();
+    loadSnapshotSetting();
     loadAuthState();
   }
 
@@ -295,6 +597,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  function loadSnapshotSetting() {
+    chrome.storage.sync.get(['sendPageSnapshot'], (result) => {
+      sendPageSnapshotInput.checked = !!result.sendPageSnapshot;
+    });
+  }
+
+  sendPageSnapshotInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ sendPageSnapshot: sendPageSnapshotInput.checked });
+    showStatus(settingsStatus, true, sendPageSnapshotInput.checked
+      ? 'Page content will be sent with captures'
+      : 'Pages will be fetched by the server');
+  });
+
   saveApiUrl.addEventListener('click', () => {
     const newUrl = apiUrlInput.value.trim();
     if (newUrl) {
@@ -636,6 +951,14 @@ document.addEventListener('DOMContentLoaded', () => {
     return div.innerHTML;
   }
 
+  function getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
   function capitalize(str) {
     return str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
   }